@@ -1,13 +1,24 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useCallback, createContext, useContext } from 'react';
 import './App.css';
 import Login from './components/Login';
 import Signup from './components/Signup';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import AcceptInvitation from './components/AcceptInvitation';
+import ConfirmEmail from './components/ConfirmEmail';
+import AcceptProxyInvitation from './components/AcceptProxyInvitation';
 import Dashboard from './components/Dashboard';
 import PractitionerDashboard from './components/PractitionerDashboard';
-import { getToken, removeToken } from './utils/secureStorage';
+import IdleTimeoutDialog from './components/IdleTimeoutDialog';
+import AccessBanner from './components/AccessBanner';
+import { isAuthenticated, canRefreshSession, removeToken, refreshAccessToken, startTokenRefresh } from './utils/secureStorage';
+import { apiFetch } from './utils/api';
+import { getImpersonation, clearImpersonation } from './utils/impersonation';
+import { clearActingAs } from './utils/proxy';
+import { setViewerTimeZone, clearViewerTimeZone } from './utils/timezone';
 import { initSocket, disconnectSocket } from './utils/socket';
-import config from './utils/config';
-import { BrowserRouter, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
+import { broadcastLogout, onLogoutBroadcast } from './utils/idleTimer';
+import { BrowserRouter, Routes, Route, Navigate, useNavigate, useSearchParams } from 'react-router-dom';
 import UserRoutes from './routes/UserRoutes';
 
 // Create Auth Context
@@ -34,75 +45,175 @@ const ProtectedRoute = ({ children }) => {
 const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Set while an admin views the app as another user (in this tab)
+  const [impersonation, setImpersonation] = useState(null);
 
   const handleLogin = (userData) => {
     setUser(userData);
   };
 
-  const handleLogout = async () => {
+  // Profile changes made in Settings
+  const updateUser = useCallback((changes) => {
+    setUser((current) => (current ? { ...current, ...changes } : current));
+  }, []);
+
+  // Stop viewing as another user; the admin's own session carries on
+  const endImpersonation = useCallback(async () => {
+    const current = getImpersonation();
+    clearImpersonation();
+    setImpersonation(null);
+    if (current) {
+      try {
+        await apiFetch(`/api/admin/impersonation/${current.id}/end`, { method: 'POST', asSelf: true });
+      } catch (error) {
+        console.error('Error ending impersonation:', error);
+      }
+    }
+  }, []);
+
+  // Reload so every page fetches its data as the admin again
+  const exitImpersonation = useCallback(async () => {
+    await endImpersonation();
+    window.location.assign('/user-dashboard/settings');
+  }, [endImpersonation]);
+
+  // Log out here and in every other open tab
+  // While viewing as someone else, logging out only leaves view-as mode (unless the admin went idle)
+  const handleLogout = useCallback(async ({ idle = false } = {}) => {
+    if (getImpersonation()) {
+      if (!idle) {
+        await exitImpersonation();
+        return;
+      }
+      await endImpersonation();
+    }
+
     try {
-      const token = getToken();
-      if (token) {
-        await fetch(`${config.API_BASE_URL}/api/auth/logout`, {
+      if (isAuthenticated() || canRefreshSession()) {
+        await apiFetch('/api/auth/logout', {
           method: 'POST',
           headers: {
-            'Authorization': `Bearer ${token}`
-          }
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(idle ? { reason: 'idle' } : {})
         });
       }
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
+      broadcastLogout();
       disconnectSocket();
       removeToken();
+      clearActingAs();
+      clearViewerTimeZone();
       setUser(null);
     }
-  };
+  }, [endImpersonation, exitImpersonation]);
+
+  const handleIdleTimeout = useCallback(() => handleLogout({ idle: true }), [handleLogout]);
+
+  // Drop the user when the refresh token is rejected (expired, revoked or reused)
+  // or when another tab logs out
+  useEffect(() => {
+    const handleExpired = () => {
+      broadcastLogout();
+      disconnectSocket();
+      clearActingAs();
+      clearViewerTimeZone();
+      setUser(null);
+    };
+    const stopListening = onLogoutBroadcast(() => {
+      disconnectSocket();
+      removeToken();
+      clearActingAs();
+      clearViewerTimeZone();
+      setUser(null);
+    });
+    window.addEventListener('auth:expired', handleExpired);
+    return () => {
+      stopListening();
+      window.removeEventListener('auth:expired', handleExpired);
+    };
+  }, []);
 
   // Check if user is already logged in
   useEffect(() => {
-    const token = getToken();
-    if (token) {
-      // Verify token with backend
-      fetch(`${config.API_BASE_URL}/api/auth/verify`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
+    const restoreSession = async () => {
+      // The access token is short-lived; fall back to the refresh token
+      // (in cookie mode neither is readable here - the browser sends the cookies)
+      if (!isAuthenticated() && canRefreshSession()) {
+        await refreshAccessToken();
+      }
+
+      if (!isAuthenticated()) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        // Verify token with backend
+        let res = await apiFetch('/api/auth/verify');
+        if (!res.ok && getImpersonation()) {
+          // The view-as session ended (or expired) - carry on as the admin
+          clearImpersonation();
+          res = await apiFetch('/api/auth/verify');
         }
-      })
-        .then(res => res.json())
-        .then(data => {
-          if (data.valid) {
-            // Initialize socket connection if user is logged in
-            initSocket();
-            setUser(data.user);
-          } else {
-            // Token invalid, remove it
-            removeToken();
-          }
-        })
-        .catch(err => {
-          console.error('Token verification failed');
+        const data = await res.json();
+        if (data.valid) {
+          // Initialize socket connection if user is logged in
+          initSocket();
+          startTokenRefresh();
+          setUser(data.user);
+          setImpersonation(data.impersonation ? getImpersonation() : null);
+        } else {
+          // Token invalid, remove it
           removeToken();
-        })
-        .finally(() => {
-          setLoading(false);
-        });
-    } else {
-      setLoading(false);
-    }
+        }
+      } catch (err) {
+        console.error('Token verification failed');
+        removeToken();
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    restoreSession();
   }, []);
 
+  // Show times in the time zone saved in the user's profile (the browser's if none)
+  const userId = user && user.id;
+  useEffect(() => {
+    if (!userId) return;
+
+    const loadTimeZone = async () => {
+      try {
+        const res = await apiFetch('/api/users/me');
+        if (res.ok) {
+          setViewerTimeZone((await res.json()).user.timezone);
+        }
+      } catch (err) {
+        console.error('Error loading time zone:', err);
+      }
+    };
+    loadTimeZone();
+  }, [userId]);
+
   return (
-    <AuthContext.Provider value={{ user, loading, handleLogin, handleLogout }}>
+    <AuthContext.Provider value={{ user, loading, impersonation, handleLogin, handleLogout, updateUser }}>
+      {user && (
+        <AccessBanner user={user} impersonation={impersonation} onExitImpersonation={exitImpersonation} />
+      )}
       {children}
+      {user && <IdleTimeoutDialog onTimeout={handleIdleTimeout} onLogout={() => handleLogout()} />}
     </AuthContext.Provider>
   );
 };
 
-// Login Page Wrapper
-const LoginPage = () => {
+// Login Page Wrapper (also the single sign-on redirect target, /login/sso)
+const LoginPage = ({ sso = false }) => {
   const { user, handleLogin } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
 
   useEffect(() => {
     if (user) {
@@ -117,6 +228,12 @@ const LoginPage = () => {
         navigate(userData.userType === 'practitioner' ? '/practitioner-dashboard' : '/user-dashboard');
       }} 
       onSwitchToSignup={() => navigate('/signup')} 
+      onForgotPassword={() => navigate('/forgot-password')}
+      ssoCallback={sso ? {
+        code: searchParams.get('code'),
+        state: searchParams.get('state'),
+        error: searchParams.get('error')
+      } : null}
     />
   );
 };
@@ -143,9 +260,83 @@ const SignupPage = () => {
   );
 };
 
+// Forgot Password Page Wrapper
+const ForgotPasswordPage = () => {
+  const navigate = useNavigate();
+
+  return <ForgotPassword onSwitchToLogin={() => navigate('/login')} />;
+};
+
+// Reset Password Page Wrapper (token comes from the emailed link)
+const ResetPasswordPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  return (
+    <ResetPassword
+      token={searchParams.get('token')}
+      onSwitchToLogin={() => navigate('/login')}
+      onRequestNewLink={() => navigate('/forgot-password')}
+    />
+  );
+};
+
+// Accept Invitation Page Wrapper (staff accounts are created by invitation)
+const AcceptInvitationPage = () => {
+  const { handleLogin } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  return (
+    <AcceptInvitation
+      token={searchParams.get('token')}
+      onAccept={(userData) => {
+        handleLogin(userData);
+        navigate(userData.userType === 'practitioner' ? '/practitioner-dashboard' : '/user-dashboard');
+      }}
+      onSwitchToLogin={() => navigate('/login')}
+    />
+  );
+};
+
+// Confirm Email Page Wrapper (token comes from the link sent to the new address)
+const ConfirmEmailPage = () => {
+  const { updateUser } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  return (
+    <ConfirmEmail
+      token={searchParams.get('token')}
+      onConfirm={(email) => updateUser({ email })}
+      onContinue={() => navigate('/login')}
+    />
+  );
+};
+
+// Accept Proxy Invitation Page Wrapper (caregivers accept while signed in to their own account)
+const AcceptProxyInvitationPage = () => {
+  const { user, loading } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  if (loading) {
+    return <div className="flex items-center justify-center h-screen">Loading...</div>;
+  }
+
+  return (
+    <AcceptProxyInvitation
+      token={searchParams.get('token')}
+      user={user}
+      onSwitchToLogin={() => navigate('/login')}
+      onContinue={() => navigate('/user-dashboard')}
+    />
+  );
+};
+
 // Old Dashboard Wrapper (for practitioner)
 const PractitionerDashboardPage = () => {
-  const { user, handleLogout } = useAuth();
+  const { user, handleLogout, updateUser } = useAuth();
   const navigate = useNavigate();
 
   const onLogout = async () => {
@@ -153,7 +344,7 @@ const PractitionerDashboardPage = () => {
     navigate('/login');
   };
 
-  return <PractitionerDashboard user={user} onLogout={onLogout} />;
+  return <PractitionerDashboard user={user} onLogout={onLogout} onProfileChange={updateUser} />;
 };
 
 // Old User Dashboard Wrapper
@@ -177,7 +368,13 @@ function App() {
           <Routes>
             {/* Public Routes */}
             <Route path="/login" element={<LoginPage />} />
+            <Route path="/login/sso" element={<LoginPage sso />} />
             <Route path="/signup" element={<SignupPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+            <Route path="/accept-invitation" element={<AcceptInvitationPage />} />
+            <Route path="/confirm-email" element={<ConfirmEmailPage />} />
+            <Route path="/accept-proxy" element={<AcceptProxyInvitationPage />} />
             
             {/* Protected User Dashboard Routes */}
             <Route 
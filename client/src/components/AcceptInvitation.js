@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import './Auth.css';
+import { setToken, startTokenRefresh } from '../utils/secureStorage';
+import { initSocket } from '../utils/socket';
+import config from '../utils/config';
+import { apiFetch } from '../utils/api';
+
+const USER_TYPE_LABELS = {
+  admin: 'Administrator',
+  practitioner: 'Practitioner'
+};
+
+const AcceptInvitation = ({ token, onAccept, onSwitchToLogin }) => {
+  const [invitation, setInvitation] = useState(null);
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    password: '',
+    confirmPassword: ''
+  });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  // Look up the invitation so we can show who it is for
+  useEffect(() => {
+    if (!token) {
+      setError('This invitation is invalid or has expired');
+      setLoading(false);
+      return;
+    }
+
+    const loadInvitation = async () => {
+      try {
+        const response = await fetch(`${config.API_BASE_URL}/api/auth/invitations/${encodeURIComponent(token)}`);
+        const data = await response.json();
+        if (response.ok) {
+          setInvitation(data.invitation);
+        } else {
+          setError(data.error || 'This invitation is invalid or has expired');
+        }
+      } catch (err) {
+        console.error('Invitation lookup error occurred:', err.message);
+        setError('Unable to connect to server. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInvitation();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/auth/invitations/accept', {
+        auth: false,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          token,
+          firstName: formData.firstName,
+          lastName: formData.lastName,
+          password: formData.password
+        })
+      });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch {
+        data = {};
+      }
+
+      if (response.status === 429) {
+        setError(data.error || 'Too many attempts. Please wait 15 minutes before trying again.');
+      } else if (response.ok && (data.mfaRequired || data.mfaEnrollmentRequired)) {
+        // Staff accounts may need an authenticator app before their first sign-in
+        setMessage('Your account has been created. Sign in to set up multi-factor authentication.');
+      } else if (response.ok) {
+        setToken(data.token, { refreshToken: data.refreshToken, expiresIn: data.expiresIn, csrfToken: data.csrfToken });
+        startTokenRefresh();
+        initSocket();
+        onAccept(data.user);
+      } else {
+        setError(data.error || 'Unable to accept invitation. Please try again.');
+      }
+    } catch (err) {
+      console.error('Accept invitation error occurred:', err.message);
+      setError('Unable to connect to server. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (message) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Welcome to KNKO</h2>
+          <div className="success-message">{message}</div>
+          <button type="button" className="submit-btn" onClick={onSwitchToLogin}>
+            Go to Login
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Accept Invitation</h2>
+        {!invitation ? (
+          loading ? (
+            <p className="auth-hint">Checking your invitation...</p>
+          ) : (
+            <div className="error-message">{error}</div>
+          )
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="auth-hint">
+              You've been invited to join as a {USER_TYPE_LABELS[invitation.userType] || invitation.userType} with{' '}
+              <strong>{invitation.email}</strong>.
+            </p>
+
+            <div className="form-group">
+              <label htmlFor="firstName">First Name</label>
+              <input
+                type="text"
+                id="firstName"
+                name="firstName"
+                value={formData.firstName}
+                onChange={handleChange}
+                required
+                placeholder="Enter your first name"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="lastName">Last Name</label>
+              <input
+                type="text"
+                id="lastName"
+                name="lastName"
+                value={formData.lastName}
+                onChange={handleChange}
+                required
+                placeholder="Enter your last name"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                placeholder="Choose a password (min 8 characters)"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                placeholder="Confirm your password"
+              />
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="submit-btn" disabled={loading}>
+              {loading ? 'Creating account...' : 'Create Account'}
+            </button>
+          </form>
+        )}
+
+        <p className="switch-auth">
+          Already have an account?{' '}
+          <span onClick={onSwitchToLogin} className="link">
+            Login
+          </span>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import './Auth.css';
+import { apiFetch } from '../utils/api';
+
+const SCOPE_LABELS = {
+  book: 'Book and manage appointments',
+  view_documents: 'View documents and records',
+  message: 'Message practitioners'
+};
+
+// Accepts an invitation to act for a patient, from the link emailed to the caregiver
+const AcceptProxyInvitation = ({ token, user, onSwitchToLogin, onContinue }) => {
+  const [invitation, setInvitation] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!token || !user) return;
+
+    const fetchInvitation = async () => {
+      try {
+        const response = await apiFetch(`/api/proxies/invitations/${encodeURIComponent(token)}`);
+        const data = await response.json();
+        if (response.ok) {
+          setInvitation(data.invitation);
+        } else {
+          setError(data.error || 'This invitation is invalid or has expired');
+        }
+      } catch (err) {
+        console.error('Proxy invitation error occurred:', err.message);
+        setError('Unable to connect to server. Please try again later.');
+      }
+    };
+    fetchInvitation();
+  }, [token, user]);
+
+  const handleAccept = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/proxies/invitations/accept', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage(`You can now act for ${invitation.dependent.firstName}. Choose them from the profile menu at the top of your dashboard.`);
+      } else {
+        setError(data.error || 'Unable to accept the invitation. Please try again.');
+      }
+    } catch (err) {
+      console.error('Accept proxy invitation error occurred:', err.message);
+      setError('Unable to connect to server. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Proxy Invitation</h2>
+          <p>Sign in (or create an account) with the email address the invitation was sent to, then open the link again.</p>
+          <button type="button" className="submit-btn" onClick={onSwitchToLogin}>
+            Sign In
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Proxy Invitation</h2>
+        {!token && <div className="error-message">This invitation link is invalid or incomplete.</div>}
+        {message && <div className="success-message">{message}</div>}
+        {error && <div className="error-message">{error}</div>}
+
+        {invitation && !message && (
+          <>
+            <p>
+              {invitation.dependent.firstName} {invitation.dependent.lastName} has asked you, as their {invitation.relationship}, to:
+            </p>
+            <ul>
+              {invitation.scopes.map((scope) => (
+                <li key={scope}>{SCOPE_LABELS[scope]}</li>
+              ))}
+            </ul>
+            <button type="button" className="submit-btn" onClick={handleAccept} disabled={loading}>
+              {loading ? 'Accepting...' : 'Accept Invitation'}
+            </button>
+          </>
+        )}
+
+        {(message || error || !token) && (
+          <button type="button" className="submit-btn" onClick={onContinue}>
+            Continue
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptProxyInvitation;
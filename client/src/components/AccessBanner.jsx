@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Eye, ShieldAlert } from "lucide-react";
+import { apiFetch } from "../utils/api";
+
+// SQLite timestamps are UTC without a zone marker; the view-as expiry is ISO
+const toTime = (value) =>
+  new Date(value.includes("T") ? value : `${value.replace(" ", "T")}Z`).getTime();
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+};
+
+const buttonClass = "px-4 py-1.5 rounded-full font-semibold text-xs whitespace-nowrap";
+
+/**
+ * Always-visible notice of privileged access, above every page
+ * Shows while an admin views the app as another user, and while a clinician
+ * has break-glass access to a patient record.
+ */
+const AccessBanner = ({ user, impersonation, onExitImpersonation }) => {
+  const [grants, setGrants] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  const fetchGrants = useCallback(async () => {
+    try {
+      const response = await apiFetch("/api/break-glass");
+      if (response.ok) {
+        const data = await response.json();
+        setGrants(data.grants || []);
+      }
+    } catch (err) {
+      console.error("Error fetching emergency access:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user.userType !== "practitioner") return undefined;
+    fetchGrants();
+    window.addEventListener("break-glass:changed", fetchGrants);
+    return () => window.removeEventListener("break-glass:changed", fetchGrants);
+  }, [user.userType, fetchGrants]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const impersonationLeft = impersonation ? toTime(impersonation.expiresAt) - now : 0;
+
+  // The view-as token has expired - go back to the admin's own account
+  useEffect(() => {
+    if (impersonation && impersonationLeft <= 0) {
+      onExitImpersonation();
+    }
+  }, [impersonation, impersonationLeft, onExitImpersonation]);
+
+  const activeGrants = grants.filter((grant) => toTime(grant.expiresAt) > now);
+
+  if (!impersonation && activeGrants.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="sticky top-0 z-50" role="status">
+      {impersonation && (
+        <div className="flex flex-wrap items-center justify-between gap-3 bg-amber-400 text-[#2d2d2d] px-6 py-2 text-sm">
+          <span className="flex items-center gap-2">
+            <Eye className="w-4 h-4" />
+            <strong>
+              Viewing as {user.firstName} {user.lastName} ({user.userType})
+            </strong>
+            · read-only · {formatRemaining(impersonationLeft)} left
+            {impersonation.reason && ` · ${impersonation.reason}`}
+          </span>
+          <button onClick={onExitImpersonation} className={`${buttonClass} bg-[#2d2d2d] text-white`}>
+            EXIT VIEW-AS
+          </button>
+        </div>
+      )}
+      {activeGrants.map((grant) => (
+        <div
+          key={grant.id}
+          className="flex flex-wrap items-center justify-between gap-3 bg-red-700 text-white px-6 py-2 text-sm"
+        >
+          <span className="flex items-center gap-2">
+            <ShieldAlert className="w-4 h-4" />
+            <strong>
+              Emergency access to {grant.patientFirstName} {grant.patientLastName}'s record
+            </strong>
+            · logged and reviewed · {formatRemaining(toTime(grant.expiresAt) - now)} left
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AccessBanner;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { apiFetch } from "../utils/api";
+
+// SQLite timestamps are UTC without a zone marker
+const formatDateTime = (value) =>
+  value ? new Date(`${value.replace(" ", "T")}Z`).toLocaleString() : "";
+
+const fullName = (firstName, lastName, fallback) =>
+  firstName || lastName ? `${firstName || ""} ${lastName || ""}`.trim() : fallback;
+
+const describeEnd = (entry) => {
+  if (entry.endedAt) {
+    return `Ended ${formatDateTime(entry.endedAt)}${entry.endedReason ? ` (${entry.endedReason})` : ""}`;
+  }
+  return new Date(`${entry.expiresAt.replace(" ", "T")}Z`).getTime() > Date.now()
+    ? "Running"
+    : `Expired ${formatDateTime(entry.expiresAt)}`;
+};
+
+const cellClass = "py-2 pr-4 align-top";
+
+// Admins: who viewed as whom and who broke the glass, with their reasons
+const AccessReportPanel = () => {
+  const [report, setReport] = useState({ impersonations: [], breakGlass: [] });
+  const [entries, setEntries] = useState(null);
+  const [from, setFrom] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const request = async (path) => {
+    const response = await apiFetch(`/api/admin/access-report${path}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "An error occurred");
+    }
+    return data;
+  };
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(await request(from ? `?from=${encodeURIComponent(from)}` : ""));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [from]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const showEntries = async (mode, id) => {
+    try {
+      const data = await request(`/${mode}/${id}`);
+      setEntries({ mode, id, list: data.entries });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h2 className="text-xl libre-font font-semibold text-[#5f7a3d]">Privileged access report</h2>
+        <label className="text-sm text-gray-600 flex items-center gap-2">
+          Since
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="rounded-xl border border-gray-300 px-3 py-1.5 text-sm"
+          />
+        </label>
+      </div>
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+      {loading && <p className="text-sm text-gray-500">Loading report...</p>}
+
+      <h3 className="text-sm font-semibold text-[#2d2d2d] mb-2">View as</h3>
+      {report.impersonations.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No one has viewed the app as another user.</p>
+      ) : (
+        <table className="w-full text-sm text-left mb-6">
+          <tbody>
+            {report.impersonations.map((entry) => (
+              <tr key={entry.id} className="border-b border-gray-100">
+                <td className={cellClass}>{formatDateTime(entry.startedAt)}</td>
+                <td className={cellClass}>
+                  {fullName(entry.adminFirstName, entry.adminLastName, "Deleted admin")} as{" "}
+                  {fullName(entry.targetFirstName, entry.targetLastName, "deleted account")}
+                  {entry.targetUserType && ` (${entry.targetUserType})`}
+                </td>
+                <td className={cellClass}>{entry.reason}</td>
+                <td className={cellClass}>{describeEnd(entry)}</td>
+                <td className={cellClass}>
+                  <button
+                    onClick={() => showEntries("impersonation", entry.id)}
+                    className="text-[#5f7a3d] font-semibold"
+                  >
+                    {entry.requestCount} requests
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3 className="text-sm font-semibold text-[#2d2d2d] mb-2">Break-glass access</h3>
+      {report.breakGlass.length === 0 ? (
+        <p className="text-sm text-gray-500">No emergency access to patient records.</p>
+      ) : (
+        <table className="w-full text-sm text-left">
+          <tbody>
+            {report.breakGlass.map((entry) => (
+              <tr key={entry.id} className="border-b border-gray-100">
+                <td className={cellClass}>{formatDateTime(entry.createdAt)}</td>
+                <td className={cellClass}>
+                  {fullName(entry.userFirstName, entry.userLastName, "Deleted account")} opened{" "}
+                  {fullName(entry.patientFirstName, entry.patientLastName, "a deleted patient")}
+                </td>
+                <td className={cellClass}>{entry.reason}</td>
+                <td className={cellClass}>{describeEnd(entry)}</td>
+                <td className={cellClass}>
+                  <button
+                    onClick={() => showEntries("break_glass", entry.id)}
+                    className="text-[#5f7a3d] font-semibold"
+                  >
+                    {entry.viewCount} views
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {entries && (
+        <div className="mt-6 rounded-2xl border border-gray-200 p-4">
+          <div className="flex justify-between mb-2">
+            <h3 className="text-sm font-semibold text-[#2d2d2d]">
+              Audit trail · {entries.mode === "impersonation" ? "view as" : "break-glass"} #{entries.id}
+            </h3>
+            <button onClick={() => setEntries(null)} className="text-xs text-gray-500">
+              Close
+            </button>
+          </div>
+          {entries.list.map((entry) => (
+            <p key={entry.id} className="text-xs text-gray-700 py-1">
+              {formatDateTime(entry.timestamp)} · {entry.action} · {entry.status} · {entry.resource}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccessReportPanel;
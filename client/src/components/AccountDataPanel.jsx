@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { apiFetch } from "../utils/api";
+
+// SQLite timestamps are UTC without a zone marker
+const formatDate = (value) =>
+  value ? new Date(`${value.replace(" ", "T")}Z`).toLocaleDateString() : "";
+
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+// Download a copy of the account's data, or ask for the account to be deleted
+const AccountDataPanel = ({ hasPassword = true }) => {
+  const [deletion, setDeletion] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [form, setForm] = useState({ currentPassword: "", reason: "" });
+  const [status, setStatus] = useState({});
+
+  const request = async (path, options = {}) => {
+    const response = await apiFetch(`/api/users/me${path}`, {
+      ...options,
+      headers: { "Content-Type": "application/json" },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "An error occurred");
+    }
+    return data;
+  };
+
+  const fetchDeletion = useCallback(async () => {
+    try {
+      const data = await request("/deletion");
+      setDeletion(data.request);
+    } catch (err) {
+      console.error("Error fetching deletion request:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDeletion();
+  }, [fetchDeletion]);
+
+  const downloadExport = async () => {
+    setExporting(true);
+    setStatus({});
+    try {
+      const response = await apiFetch("/api/users/me/export", { method: "POST" });
+      if (!response.ok) {
+        throw new Error("Unable to export your data.");
+      }
+      const fileName =
+        (response.headers.get("Content-Disposition") || "").match(/filename="(.+)"/)?.[1] ||
+        "knko-export.zip";
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error exporting data:", err);
+      setStatus({ error: err.message });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const requestDeletion = async (e) => {
+    e.preventDefault();
+    setStatus({});
+    try {
+      const data = await request("/deletion", { method: "POST", body: JSON.stringify(form) });
+      setDeletion(data.request);
+      setConfirming(false);
+      setForm({ currentPassword: "", reason: "" });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const cancelDeletion = async () => {
+    setStatus({});
+    try {
+      const data = await request("/deletion", { method: "DELETE" });
+      setDeletion(null);
+      setStatus({ message: data.message });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6">
+      <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-6">Your data</h2>
+      {status.error && <p className="text-sm text-red-600 mb-4">{status.error}</p>}
+      {status.message && <p className="text-sm text-[#5f7a3d] mb-4">{status.message}</p>}
+
+      <div className="flex items-center justify-between gap-4 py-4 border-b border-gray-100">
+        <div>
+          <h3 className="text-base font-semibold text-[#2d2d2d]">Download your data</h3>
+          <p className="text-sm text-gray-600">
+            A zip file with your profile, sign-in history and account activity.
+          </p>
+        </div>
+        <button
+          onClick={downloadExport}
+          disabled={exporting}
+          className={`${buttonClass} border border-gray-300 text-gray-800`}
+        >
+          {exporting ? "PREPARING..." : "DOWNLOAD"}
+        </button>
+      </div>
+
+      <div className="pt-4">
+        <h3 className="text-base font-semibold text-[#2d2d2d]">Delete your account</h3>
+        {deletion ? (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-gray-600">
+              {deletion.status === "in_review"
+                ? "Your deletion request is being reviewed because some of your records must be retained."
+                : `Your account will be deleted after ${formatDate(deletion.scheduledFor)}.`}
+            </p>
+            <button
+              onClick={cancelDeletion}
+              className={`${buttonClass} border border-gray-300 text-gray-800`}
+            >
+              CANCEL DELETION
+            </button>
+          </div>
+        ) : confirming ? (
+          <form onSubmit={requestDeletion} className="space-y-4 mt-2">
+            <p className="text-sm text-gray-600">
+              After a grace period your account and the personal data linked to it are deleted.
+              Records the clinic must keep are anonymised. You can cancel until then.
+            </p>
+            <textarea
+              name="reason"
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              maxLength={500}
+              placeholder="Why are you leaving? (optional)"
+              className="w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm"
+            />
+            {hasPassword && (
+              <input
+                name="currentPassword"
+                type="password"
+                autoComplete="current-password"
+                value={form.currentPassword}
+                onChange={(e) => setForm({ ...form, currentPassword: e.target.value })}
+                required
+                placeholder="Current password"
+                className="w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm"
+              />
+            )}
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setConfirming(false)}
+                className={`${buttonClass} border border-gray-300 text-gray-800`}
+              >
+                KEEP MY ACCOUNT
+              </button>
+              <button type="submit" className={`${buttonClass} bg-red-600 text-white`}>
+                DELETE MY ACCOUNT
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-gray-600">
+              Permanently close your account after a grace period.
+            </p>
+            <button
+              onClick={() => setConfirming(true)}
+              className={`${buttonClass} border border-red-300 text-red-600`}
+            >
+              DELETE ACCOUNT
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountDataPanel;
@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { apiFetch } from "../utils/api";
+import AccountDataPanel from "./AccountDataPanel";
+import PasskeysPanel from "./PasskeysPanel";
+import ViewAsPanel from "./ViewAsPanel";
+import AccessReportPanel from "./AccessReportPanel";
+import ProxyAccessPanel from "./ProxyAccessPanel";
+import HolidaysPanel from "./HolidaysPanel";
+import LocationsPanel from "./LocationsPanel";
+import ServicePoliciesPanel from "./ServicePoliciesPanel";
+import CalendarFeedPanel from "./CalendarFeedPanel";
+import { getActingAs } from "../utils/proxy";
+import { browserTimeZone, listTimeZones, setViewerTimeZone } from "../utils/timezone";
+
+const CONTACT_METHODS = [
+  { value: "email", label: "Email" },
+  { value: "phone", label: "Phone call" },
+  { value: "sms", label: "Text message" },
+];
+
+const EMPTY_PROFILE = {
+  firstName: "",
+  lastName: "",
+  phone: "",
+  dateOfBirth: "",
+  pronouns: "",
+  preferredContactMethod: "email",
+  timezone: "",
+};
+
+const inputClass =
+  "w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm text-[#2d2d2d] focus:outline-none focus:border-[#5f7a3d]";
+const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+const buttonClass =
+  "px-5 py-2.5 rounded-full bg-[#5f7a3d] font-semibold text-white text-sm whitespace-nowrap disabled:opacity-60";
+
+const request = async (path, options = {}) => {
+  const response = await apiFetch(`/api/users${path}`, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "An error occurred");
+  }
+  return data;
+};
+
+const toForm = (user) =>
+  Object.keys(EMPTY_PROFILE).reduce(
+    (form, field) => ({ ...form, [field]: user[field] || EMPTY_PROFILE[field] }),
+    {}
+  );
+
+const Notice = ({ error, message }) => (
+  <>
+    {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+    {message && <p className="text-sm text-[#5f7a3d] mb-4">{message}</p>}
+  </>
+);
+
+// Read-only details of the patient a caregiver is acting for
+const ActingAsProfile = ({ actingAs, profile, error }) => (
+  <div className="bg-white rounded-3xl p-6">
+    <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2">
+      {actingAs.firstName} {actingAs.lastName}
+    </h2>
+    <p className="text-sm text-gray-600 mb-6">
+      You are acting for {actingAs.firstName}. Only they can change their profile and sign-in
+      details; switch back to yourself with the profile menu at the top of the page.
+    </p>
+    <Notice error={error} />
+    {!error && (
+      <dl className="grid grid-cols-2 gap-2 text-sm">
+        <dt className="text-gray-500">Phone</dt>
+        <dd>{profile.phone || "—"}</dd>
+        <dt className="text-gray-500">Date of birth</dt>
+        <dd>{profile.dateOfBirth || "—"}</dd>
+        <dt className="text-gray-500">Pronouns</dt>
+        <dd>{profile.pronouns || "—"}</dd>
+        <dt className="text-gray-500">Preferred contact</dt>
+        <dd>{CONTACT_METHODS.find((method) => method.value === profile.preferredContactMethod)?.label}</dd>
+      </dl>
+    )}
+  </div>
+);
+
+// Profile, password and email settings for the signed-in user
+// (or a read-only profile while acting for someone else)
+const AccountSettings = ({ onProfileChange }) => {
+  const [actingAs] = useState(getActingAs);
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+  const [email, setEmail] = useState("");
+  const [userType, setUserType] = useState(null);
+  const [pendingEmail, setPendingEmail] = useState(null);
+  // Single sign-on accounts change their email and password at the identity provider
+  const [hasPassword, setHasPassword] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [profileStatus, setProfileStatus] = useState({});
+  const [passwordForm, setPasswordForm] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [passwordStatus, setPasswordStatus] = useState({});
+  const [emailForm, setEmailForm] = useState({ newEmail: "", currentPassword: "" });
+  const [emailStatus, setEmailStatus] = useState({});
+
+  const applyUser = (user) => {
+    setProfile(toForm(user));
+    setEmail(user.email);
+    setUserType(user.userType);
+    setPendingEmail(user.pendingEmail);
+    setHasPassword(user.hasPassword);
+  };
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      const data = await request("/me", { onBehalf: true });
+      applyUser(data.user);
+    } catch (err) {
+      console.error("Error fetching profile:", err);
+      setProfileStatus({ error: getActingAs() ? err.message : "Unable to load your profile." });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  const saveProfile = async (e) => {
+    e.preventDefault();
+    setProfileStatus({ saving: true });
+    try {
+      const data = await request("/me", { method: "PUT", body: JSON.stringify(profile) });
+      applyUser(data.user);
+      setViewerTimeZone(data.user.timezone);
+      setProfileStatus({ message: "Your profile has been saved." });
+      if (onProfileChange) {
+        onProfileChange({ firstName: data.user.firstName, lastName: data.user.lastName });
+      }
+    } catch (err) {
+      setProfileStatus({ error: err.message });
+    }
+  };
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordStatus({ error: "Passwords do not match" });
+      return;
+    }
+    if (passwordForm.newPassword.length < 8) {
+      setPasswordStatus({ error: "Password must be at least 8 characters" });
+      return;
+    }
+
+    setPasswordStatus({ saving: true });
+    try {
+      await request("/me/password", {
+        method: "POST",
+        body: JSON.stringify({
+          currentPassword: passwordForm.currentPassword,
+          newPassword: passwordForm.newPassword,
+        }),
+      });
+      setPasswordForm({ currentPassword: "", newPassword: "", confirmPassword: "" });
+      setPasswordStatus({
+        message: "Your password has been changed and your other devices were signed out.",
+      });
+    } catch (err) {
+      setPasswordStatus({ error: err.message });
+    }
+  };
+
+  const changeEmail = async (e) => {
+    e.preventDefault();
+    setEmailStatus({ saving: true });
+    try {
+      const data = await request("/me/email", { method: "POST", body: JSON.stringify(emailForm) });
+      setPendingEmail(data.pendingEmail);
+      setEmailForm({ newEmail: "", currentPassword: "" });
+      setEmailStatus({ message: data.message });
+    } catch (err) {
+      setEmailStatus({ error: err.message });
+    }
+  };
+
+  const updateProfile = (e) => setProfile({ ...profile, [e.target.name]: e.target.value });
+  const updatePassword = (e) =>
+    setPasswordForm({ ...passwordForm, [e.target.name]: e.target.value });
+  const updateEmail = (e) => setEmailForm({ ...emailForm, [e.target.name]: e.target.value });
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading settings...</p>;
+  }
+
+  if (actingAs) {
+    return <ActingAsProfile actingAs={actingAs} profile={profile} error={profileStatus.error} />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={saveProfile} className="bg-white rounded-3xl p-6">
+        <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-6">Profile</h2>
+        <Notice {...profileStatus} />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div>
+            <label htmlFor="firstName" className={labelClass}>First name</label>
+            <input id="firstName" name="firstName" value={profile.firstName} onChange={updateProfile} required className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="lastName" className={labelClass}>Last name</label>
+            <input id="lastName" name="lastName" value={profile.lastName} onChange={updateProfile} required className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="phone" className={labelClass}>Phone</label>
+            <input id="phone" name="phone" type="tel" value={profile.phone} onChange={updateProfile} className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="dateOfBirth" className={labelClass}>Date of birth</label>
+            <input id="dateOfBirth" name="dateOfBirth" type="date" value={profile.dateOfBirth} onChange={updateProfile} className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="pronouns" className={labelClass}>Pronouns</label>
+            <input id="pronouns" name="pronouns" value={profile.pronouns} onChange={updateProfile} maxLength={40} placeholder="e.g. she/her" className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="preferredContactMethod" className={labelClass}>Preferred contact method</label>
+            <select id="preferredContactMethod" name="preferredContactMethod" value={profile.preferredContactMethod} onChange={updateProfile} className={inputClass}>
+              {CONTACT_METHODS.map((method) => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="timezone" className={labelClass}>Time zone</label>
+            <select id="timezone" name="timezone" value={profile.timezone} onChange={updateProfile} className={inputClass}>
+              <option value="">Automatic ({browserTimeZone()})</option>
+              {listTimeZones().map((timeZone) => (
+                <option key={timeZone} value={timeZone}>{timeZone}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              {userType === "practitioner"
+                ? "Your working hours are in this time zone. On automatic, they follow your clinic location's."
+                : "Appointment and availability times are shown in this time zone."}
+            </p>
+          </div>
+        </div>
+        <div className="flex justify-end">
+          <button type="submit" disabled={profileStatus.saving} className={buttonClass}>
+            {profileStatus.saving ? "SAVING..." : "SAVE PROFILE"}
+          </button>
+        </div>
+      </form>
+
+      {!hasPassword && (
+        <div className="bg-white rounded-3xl p-6">
+          <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2">Sign-in</h2>
+          <p className="text-sm text-gray-600">
+            You sign in as <span className="font-semibold">{email}</span> through your organisation's
+            single sign-on. Your email and password are managed there.
+          </p>
+        </div>
+      )}
+
+      {hasPassword && (
+        <form onSubmit={changeEmail} className="bg-white rounded-3xl p-6">
+          <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2">Email</h2>
+          <p className="text-sm text-gray-600 mb-6">
+            You sign in with <span className="font-semibold">{email}</span>.
+            {pendingEmail && ` A change to ${pendingEmail} is waiting for confirmation from that address.`}
+          </p>
+          <Notice {...emailStatus} />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <div>
+              <label htmlFor="newEmail" className={labelClass}>New email</label>
+              <input id="newEmail" name="newEmail" type="email" value={emailForm.newEmail} onChange={updateEmail} required className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="emailCurrentPassword" className={labelClass}>Current password</label>
+              <input id="emailCurrentPassword" name="currentPassword" type="password" autoComplete="current-password" value={emailForm.currentPassword} onChange={updateEmail} required className={inputClass} />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" disabled={emailStatus.saving} className={buttonClass}>
+              {emailStatus.saving ? "SENDING..." : "CHANGE EMAIL"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {hasPassword && (
+        <form onSubmit={changePassword} className="bg-white rounded-3xl p-6">
+          <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-6">Password</h2>
+          <Notice {...passwordStatus} />
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div>
+              <label htmlFor="currentPassword" className={labelClass}>Current password</label>
+              <input id="currentPassword" name="currentPassword" type="password" autoComplete="current-password" value={passwordForm.currentPassword} onChange={updatePassword} required className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="newPassword" className={labelClass}>New password</label>
+              <input id="newPassword" name="newPassword" type="password" autoComplete="new-password" value={passwordForm.newPassword} onChange={updatePassword} required className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="confirmPassword" className={labelClass}>Confirm new password</label>
+              <input id="confirmPassword" name="confirmPassword" type="password" autoComplete="new-password" value={passwordForm.confirmPassword} onChange={updatePassword} required className={inputClass} />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" disabled={passwordStatus.saving} className={buttonClass}>
+              {passwordStatus.saving ? "SAVING..." : "CHANGE PASSWORD"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <PasskeysPanel userType={userType} />
+
+      <AccountDataPanel hasPassword={hasPassword} />
+
+      <CalendarFeedPanel />
+
+      {userType === "patient" && <ProxyAccessPanel />}
+
+      {userType === "admin" && (
+        <>
+          <ViewAsPanel />
+          <AccessReportPanel />
+          <HolidaysPanel />
+          <LocationsPanel />
+          <ServicePoliciesPanel />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AccountSettings;
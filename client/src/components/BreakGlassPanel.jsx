@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { ShieldAlert } from "lucide-react";
+import { apiFetch } from "../utils/api";
+
+const MIN_REASON_LENGTH = 15;
+
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+// SQLite timestamps are UTC without a zone marker
+const formatTime = (value) =>
+  value ? new Date(`${value.replace(" ", "T")}Z`).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "";
+
+// The banner in the layout shows running grants; tell it when they change
+const announceChange = () => window.dispatchEvent(new Event("break-glass:changed"));
+
+// Break-glass: open a patient's record in an emergency, with a reason that is logged and reviewed
+const BreakGlassPanel = () => {
+  const [grants, setGrants] = useState([]);
+  const [form, setForm] = useState({ patientEmail: "", reason: "" });
+  const [opened, setOpened] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [status, setStatus] = useState({});
+
+  const request = async (path, options = {}) => {
+    const response = await apiFetch(`/api/break-glass${path}`, {
+      ...options,
+      headers: { "Content-Type": "application/json" },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "An error occurred");
+    }
+    return data;
+  };
+
+  const fetchGrants = useCallback(async () => {
+    try {
+      const data = await request("");
+      setGrants(data.grants || []);
+    } catch (err) {
+      console.error("Error fetching emergency access:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGrants();
+  }, [fetchGrants]);
+
+  const openRecord = async (grantId) => {
+    setStatus({});
+    try {
+      setOpened(await request(`/${grantId}/record`));
+    } catch (err) {
+      setOpened(null);
+      setStatus({ error: err.message });
+      fetchGrants();
+    }
+  };
+
+  const breakGlass = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setStatus({});
+    try {
+      const { grant } = await request("", {
+        method: "POST",
+        body: JSON.stringify({ patientEmail: form.patientEmail.trim(), reason: form.reason.trim() }),
+      });
+      setForm({ patientEmail: "", reason: "" });
+      announceChange();
+      await fetchGrants();
+      await openRecord(grant.id);
+    } catch (err) {
+      setStatus({ error: err.message });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const endAccess = async (grantId) => {
+    setStatus({});
+    try {
+      await request(`/${grantId}/end`, { method: "POST", body: "{}" });
+      if (opened && opened.grant.id === grantId) {
+        setOpened(null);
+      }
+      announceChange();
+      fetchGrants();
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6 space-y-6">
+      <div>
+        <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2 flex items-center gap-2">
+          <ShieldAlert className="w-5 h-5 text-red-700" />
+          Emergency access to a patient record
+        </h2>
+        <p className="text-sm text-gray-600">
+          Only use this when a patient needs urgent care and you have no other way to see their
+          record. Your reason, and every time you open the record, is logged and reviewed by an
+          administrator.
+        </p>
+      </div>
+
+      {status.error && <p className="text-sm text-red-600">{status.error}</p>}
+
+      <form onSubmit={breakGlass} className="space-y-3">
+        <input
+          type="email"
+          name="patientEmail"
+          value={form.patientEmail}
+          onChange={(e) => setForm({ ...form, patientEmail: e.target.value })}
+          placeholder="Patient's email address"
+          required
+          className="w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm"
+        />
+        <textarea
+          name="reason"
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          placeholder="Why do you need this record now?"
+          minLength={MIN_REASON_LENGTH}
+          maxLength={1000}
+          rows={3}
+          required
+          className="w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={submitting || form.reason.trim().length < MIN_REASON_LENGTH}
+          className={`${buttonClass} bg-red-700 text-white`}
+        >
+          {submitting ? "OPENING..." : "BREAK THE GLASS"}
+        </button>
+      </form>
+
+      {grants.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-[#2d2d2d] mb-2">Your open emergency access</h3>
+          {grants.map((grant) => (
+            <div
+              key={grant.id}
+              className="flex items-center justify-between gap-4 py-3 border-b border-gray-100"
+            >
+              <div>
+                <p className="text-sm font-semibold text-[#2d2d2d]">
+                  {grant.patientFirstName} {grant.patientLastName}
+                </p>
+                <p className="text-xs text-gray-500">Until {formatTime(grant.expiresAt)} · {grant.reason}</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => openRecord(grant.id)}
+                  className={`${buttonClass} border border-[#5f7a3d] text-[#5f7a3d]`}
+                >
+                  OPEN RECORD
+                </button>
+                <button
+                  onClick={() => endAccess(grant.id)}
+                  className={`${buttonClass} border border-gray-300 text-gray-700`}
+                >
+                  END ACCESS
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {opened && (
+        <div className="rounded-2xl border border-red-200 p-4">
+          <h3 className="text-sm font-semibold text-red-700 mb-3">
+            Record of {opened.record.firstName} {opened.record.lastName}
+          </h3>
+          <dl className="grid grid-cols-2 gap-2 text-sm">
+            <dt className="text-gray-500">Email</dt>
+            <dd>{opened.record.email}</dd>
+            <dt className="text-gray-500">Phone</dt>
+            <dd>{opened.record.phone || "—"}</dd>
+            <dt className="text-gray-500">Date of birth</dt>
+            <dd>{opened.record.dateOfBirth || "—"}</dd>
+            <dt className="text-gray-500">Pronouns</dt>
+            <dd>{opened.record.pronouns || "—"}</dd>
+            <dt className="text-gray-500">Preferred contact</dt>
+            <dd>{opened.record.preferredContactMethod || "—"}</dd>
+          </dl>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BreakGlassPanel;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { CalendarSync, Copy } from "lucide-react";
+import { apiFetch } from "../utils/api";
+import { formatDateTime } from "../utils/timezone";
+
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+const request = async (path, options = {}) => {
+  const response = await apiFetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "An error occurred");
+  }
+  return data;
+};
+
+// A secret iCalendar URL for Google Calendar, Apple Calendar or Outlook; it's only shown once
+const CalendarFeedPanel = () => {
+  const [feed, setFeed] = useState(null);
+  const [url, setUrl] = useState("");
+  const [status, setStatus] = useState({});
+
+  const fetchFeed = useCallback(async () => {
+    try {
+      const data = await request("/api/calendar/feed");
+      setFeed(data.feed);
+    } catch (err) {
+      console.error("Error fetching calendar feed:", err);
+      setStatus({ error: "Unable to load your calendar feed." });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFeed();
+  }, [fetchFeed]);
+
+  const issueUrl = async () => {
+    if (
+      feed.enabled &&
+      !window.confirm("Create a new URL? Calendars subscribed to the current one will stop updating.")
+    ) {
+      return;
+    }
+    setStatus({});
+    try {
+      const data = await request("/api/calendar/feed", { method: "POST", body: JSON.stringify({}) });
+      setFeed(data.feed);
+      setUrl(data.url);
+      setStatus({ message: data.message });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const setShowDetails = async (showDetails) => {
+    setStatus({});
+    try {
+      const data = await request("/api/calendar/feed", {
+        method: "PATCH",
+        body: JSON.stringify({ showDetails }),
+      });
+      setFeed(data.feed);
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const turnOff = async () => {
+    if (!window.confirm("Turn off your calendar feed? Subscribed calendars will stop updating.")) return;
+    setStatus({});
+    try {
+      const data = await request("/api/calendar/feed", { method: "DELETE" });
+      setFeed({ ...feed, enabled: false });
+      setUrl("");
+      setStatus({ message: data.message });
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus({ message: "Copied" });
+    } catch (err) {
+      setStatus({ error: "Copy the URL by hand" });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6 space-y-4">
+      <div>
+        <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2 flex items-center gap-2">
+          <CalendarSync className="w-5 h-5" />
+          Calendar feed
+        </h2>
+        <p className="text-sm text-gray-600">
+          Subscribe to your confirmed appointments from your calendar app. Anyone with the URL can see
+          them, so keep it private; if it gets out, create a new one.
+        </p>
+      </div>
+
+      {status.error && <p className="text-sm text-red-600">{status.error}</p>}
+      {status.message && <p className="text-sm text-[#5f7a3d]">{status.message}</p>}
+
+      {url && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500">
+            Copy this URL now - it won't be shown again.
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={url}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 rounded-xl border border-gray-300 px-4 py-2.5 text-sm text-[#2d2d2d]"
+            />
+            <button
+              type="button"
+              onClick={copyUrl}
+              className={`${buttonClass} bg-white text-gray-800 border border-gray-300 flex items-center gap-2`}
+            >
+              <Copy className="w-4 h-4" />
+              COPY
+            </button>
+          </div>
+        </div>
+      )}
+
+      {feed && feed.enabled && (
+        <>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={feed.showDetails}
+              onChange={(e) => setShowDetails(e.target.checked)}
+              className="accent-[#5f7a3d]"
+            />
+            Show the service and who the appointment is with (otherwise events are titled "KNKO
+            appointment")
+          </label>
+          <p className="text-xs text-gray-500">
+            {feed.lastFetchedAt
+              ? `Last read by a calendar app ${formatDateTime(feed.lastFetchedAt)}`
+              : "Not read by a calendar app yet"}
+          </p>
+        </>
+      )}
+
+      {feed && (
+        <div className="flex gap-3">
+          <button type="button" onClick={issueUrl} className={`${buttonClass} bg-[#5f7a3d] text-white`}>
+            {feed.enabled ? "NEW URL" : "TURN ON"}
+          </button>
+          {feed.enabled && (
+            <button
+              type="button"
+              onClick={turnOff}
+              className={`${buttonClass} bg-white text-gray-800 border border-gray-300`}
+            >
+              TURN OFF
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeedPanel;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import './Auth.css';
+import { apiFetch } from '../utils/api';
+
+// Confirms a new email address from the link sent to it
+const ConfirmEmail = ({ token, onConfirm, onContinue }) => {
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleConfirm = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/api/users/email/confirm', {
+        auth: false,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token })
+      });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch {
+        data = {};
+      }
+
+      if (response.ok) {
+        setMessage(data.message);
+        onConfirm(data.email);
+      } else {
+        setError(data.error || 'Unable to confirm your email address. Please try again.');
+      }
+    } catch (err) {
+      console.error('Confirm email error occurred:', err.message);
+      setError('Unable to connect to server. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Confirm Email</h2>
+        {!token && <div className="error-message">This confirmation link is invalid or incomplete.</div>}
+        {message && <div className="success-message">{message}</div>}
+        {error && <div className="error-message">{error}</div>}
+
+        {token && !message ? (
+          <button type="button" className="submit-btn" onClick={handleConfirm} disabled={loading}>
+            {loading ? 'Confirming...' : 'Confirm New Email'}
+          </button>
+        ) : (
+          <button type="button" className="submit-btn" onClick={onContinue}>
+            Continue
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmEmail;
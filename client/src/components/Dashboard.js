@@ -1,19 +1,89 @@
 import React, { useState, useEffect } from 'react';
 import './Dashboard.css';
-import { getToken, removeToken } from '../utils/secureStorage';
+import { isAuthenticated, canRefreshSession, removeToken } from '../utils/secureStorage';
 import { initSocket, disconnectSocket } from '../utils/socket';
-import config from '../utils/config';
+import { apiFetch } from '../utils/api';
+import { getViewerTimeZone, timeZoneName, formatTime, formatDateTime, dateIn } from '../utils/timezone';
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Availability windows grouped by day, as edited in the weekly template
+const toTemplate = (availability) =>
+  availability.reduce(
+    (template, slot) => ({
+      ...template,
+      [slot.dayOfWeek]: [...template[slot.dayOfWeek], { startTime: slot.startTime, endTime: slot.endTime }]
+    }),
+    DAYS_OF_WEEK.reduce((template, day) => ({ ...template, [day]: [] }), {})
+  );
+
+// A new window starts where the day's last one ends and lasts an hour
+const nextWindow = (windows) => {
+  if (windows.length === 0) {
+    return { startTime: '09:00', endTime: '17:00' };
+  }
+  const [hours, minutes] = windows[windows.length - 1].endTime.split(':').map(Number);
+  const start = Math.min(hours * 60 + minutes, 22 * 60 + 59);
+  const format = (total) => `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  return { startTime: format(start), endTime: format(Math.min(start + 60, 23 * 60 + 59)) };
+};
+
+// Calendar dates (YYYY-MM-DD) are shown as local dates, e.g. "Mon, Dec 24"
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+
+// A window's times in a time zone - with its date there, if that's not the practitioner's date
+const describeWindow = (window, date, timeZone) => {
+  const startDate = dateIn(window.start, timeZone);
+  const prefix = startDate === date ? '' : `${formatDate(startDate)} `;
+  return `${prefix}${formatTime(window.start, timeZone)} - ${formatTime(window.end, timeZone)}`;
+};
+
+const APPOINTMENT_STATUS_LABELS = {
+  requested: 'Awaiting your confirmation',
+  confirmed: 'Confirmed'
+};
+
+const describeDay = (day, timeZone) => {
+  if (day.status === 'open') {
+    return day.windows.map((window) => describeWindow(window, day.date, timeZone)).join(', ');
+  }
+  if (day.source === 'holiday') {
+    return `Closed (${day.note})`;
+  }
+  return day.source === 'override' ? `Off${day.note ? ` (${day.note})` : ''}` : 'Not working';
+};
+
+const EMPTY_OVERRIDE = { date: '', kind: 'closed', startTime: '09:00', endTime: '17:00', reason: '' };
+
+const EMPTY_IMPORT = { name: '', sourceType: 'upload', ics: '', fileName: '', url: '', path: '' };
+
+const IMPORT_SOURCE_LABELS = { upload: 'Uploaded file', url: 'Synced from URL', path: 'Synced from server file' };
+
+// The request field the import form's source goes in
+const importSourceKey = (sourceType) => (sourceType === 'upload' ? 'ics' : sourceType);
 
 const Dashboard = ({ user, onLogout }) => {
   const [availability, setAvailability] = useState([]);
   const [practitioners, setPractitioners] = useState([]);
   const [loading, setLoading] = useState(false);
   const [showAvailabilityForm, setShowAvailabilityForm] = useState(false);
-  const [formData, setFormData] = useState({
-    dayOfWeek: 'Monday',
-    startTime: '09:00',
-    endTime: '17:00'
-  });
+  const [template, setTemplate] = useState(() => toTemplate([]));
+  // The time zone the practitioner's hours are in
+  const [timeZone, setTimeZone] = useState(null);
+  // Effective hours for the coming week, and dated time off / custom hours
+  const [schedule, setSchedule] = useState([]);
+  const [overrides, setOverrides] = useState([]);
+  const [overrideForm, setOverrideForm] = useState(EMPTY_OVERRIDE);
+  // The service catalogue, and the ones this practitioner offers
+  const [services, setServices] = useState([]);
+  const [offeredServiceIds, setOfferedServiceIds] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  // Other calendars whose busy times aren't bookable, and the appointments they clash with
+  const [calendarImports, setCalendarImports] = useState([]);
+  const [importConflicts, setImportConflicts] = useState([]);
+  const [importForm, setImportForm] = useState(EMPTY_IMPORT);
+  const [importPreview, setImportPreview] = useState(null);
 
   const getUserTypeLabel = (type) => {
     const labels = {
@@ -33,26 +103,58 @@ const Dashboard = ({ user, onLogout }) => {
     return colors[type] || '#757575';
   };
 
-  // Token is now retrieved from secure storage utility
+  // Requests go through apiFetch, which attaches the session credentials
 
   // Fetch availability for practitioner
   const fetchAvailability = async () => {
     if (user.userType !== 'practitioner') return;
     
     try {
-      const token = getToken();
-      if (!token) {
+      if (!isAuthenticated() && !canRefreshSession()) {
         onLogout();
         return;
       }
-      const response = await fetch(`${config.API_BASE_URL}/api/practitioner/availability`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      const data = await response.json();
-      if (response.ok) {
+      const [
+        availabilityResponse,
+        scheduleResponse,
+        overridesResponse,
+        servicesResponse,
+        offeredResponse,
+        appointmentsResponse,
+        importsResponse
+      ] = await Promise.all([
+        apiFetch('/api/practitioner/availability'),
+        apiFetch('/api/practitioner/schedule'),
+        apiFetch('/api/practitioner/overrides'),
+        apiFetch('/api/services'),
+        apiFetch('/api/practitioner/services'),
+        apiFetch('/api/appointments?status=requested,confirmed'),
+        apiFetch('/api/practitioner/calendar-imports')
+      ]);
+      if (availabilityResponse.ok) {
+        const data = await availabilityResponse.json();
         setAvailability(data.availability || []);
+        setTimeZone(data.timeZone);
+      }
+      if (scheduleResponse.ok) {
+        setSchedule((await scheduleResponse.json()).schedule || []);
+      }
+      if (overridesResponse.ok) {
+        setOverrides((await overridesResponse.json()).overrides || []);
+      }
+      if (servicesResponse.ok) {
+        setServices((await servicesResponse.json()).services || []);
+      }
+      if (offeredResponse.ok) {
+        setOfferedServiceIds((await offeredResponse.json()).serviceIds || []);
+      }
+      if (appointmentsResponse.ok) {
+        setAppointments((await appointmentsResponse.json()).appointments || []);
+      }
+      if (importsResponse.ok) {
+        const data = await importsResponse.json();
+        setCalendarImports(data.imports || []);
+        setImportConflicts(data.conflicts || []);
       }
     } catch (error) {
       console.error('Error fetching availability:', error);
@@ -65,16 +167,11 @@ const Dashboard = ({ user, onLogout }) => {
     
     try {
       setLoading(true);
-      const token = getToken();
-      if (!token) {
+      if (!isAuthenticated() && !canRefreshSession()) {
         onLogout();
         return;
       }
-      const response = await fetch(`${config.API_BASE_URL}/api/practitioner/all`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const response = await apiFetch('/api/practitioner/all');
       const data = await response.json();
       if (response.ok) {
         console.log('Fetched practitioners:', data.practitioners);
@@ -132,43 +229,54 @@ const Dashboard = ({ user, onLogout }) => {
     }
   }, [user.userType]);
 
-  // Handle availability form submission
+  // Open the weekly template editor with the current windows
+  const editTemplate = () => {
+    setTemplate(toTemplate(availability));
+    setShowAvailabilityForm(true);
+  };
+
+  const addWindow = (day) => {
+    setTemplate({ ...template, [day]: [...template[day], nextWindow(template[day])] });
+  };
+
+  const removeWindow = (day, index) => {
+    setTemplate({ ...template, [day]: template[day].filter((_, i) => i !== index) });
+  };
+
+  const updateWindow = (day, index, field, value) => {
+    setTemplate({
+      ...template,
+      [day]: template[day].map((window, i) => (i === index ? { ...window, [field]: value } : window))
+    });
+  };
+
+  // Save the whole weekly template - the server keeps all of it or none of it
   const handleAvailabilitySubmit = async (e) => {
     e.preventDefault();
     try {
       setLoading(true);
-      const token = getToken();
-      if (!token) {
+      if (!isAuthenticated() && !canRefreshSession()) {
         onLogout();
         return;
       }
-      const response = await fetch(`${config.API_BASE_URL}/api/practitioner/availability`, {
-        method: 'POST',
+      const response = await apiFetch('/api/practitioner/availability', {
+        method: 'PUT',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         },
-        body: JSON.stringify(formData)
+        body: JSON.stringify({
+          availability: DAYS_OF_WEEK.flatMap((day) => template[day].map((window) => ({ dayOfWeek: day, ...window })))
+        })
       });
 
       const data = await response.json();
       if (response.ok) {
         await fetchAvailability();
         setShowAvailabilityForm(false);
-        setFormData({ dayOfWeek: 'Monday', startTime: '09:00', endTime: '17:00' });
         alert('Availability updated successfully!');
       } else {
-        // Show detailed error message
-        let errorMessage = data.error || 'Error updating availability';
-        if (data.details) {
-          if (Array.isArray(data.details)) {
-            errorMessage += ': ' + data.details.map(d => d.msg || d).join(', ');
-          } else {
-            errorMessage += ': ' + data.details;
-          }
-        }
         console.error('Error response:', data);
-        alert(errorMessage);
+        alert(data.error || 'Error updating availability');
       }
     } catch (error) {
       console.error('Error updating availability:', error);
@@ -178,6 +286,218 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
+  // Take a date off or set custom hours on it
+  const handleOverrideSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const { startTime, endTime, ...override } = overrideForm;
+      const response = await apiFetch('/api/practitioner/overrides', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(override.kind === 'custom' ? { ...override, startTime, endTime } : override)
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setOverrideForm(EMPTY_OVERRIDE);
+        await fetchAvailability();
+      } else {
+        alert(data.error || 'Error saving schedule change');
+      }
+    } catch (error) {
+      console.error('Error saving schedule change:', error);
+      alert('Error saving schedule change');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteOverride = async (id) => {
+    try {
+      const response = await apiFetch(`/api/practitioner/overrides/${id}`, { method: 'DELETE' });
+      if (response.ok) {
+        await fetchAvailability();
+      } else {
+        const data = await response.json();
+        alert(data.error || 'Error removing schedule change');
+      }
+    } catch (error) {
+      console.error('Error removing schedule change:', error);
+      alert('Error removing schedule change');
+    }
+  };
+
+  const updateImportForm = (changes) => {
+    setImportForm({ ...importForm, ...changes });
+    setImportPreview(null);
+  };
+
+  // Uploaded calendars are read in the browser and sent as text
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const ics = await file.text();
+    updateImportForm({ ics, fileName: file.name, name: importForm.name || file.name.replace(/\.ics$/i, '') });
+  };
+
+  // What the calendar would block out, and which booked appointments it overlaps
+  const handleImportPreview = async () => {
+    const key = importSourceKey(importForm.sourceType);
+    try {
+      setLoading(true);
+      const response = await apiFetch('/api/practitioner/calendar-imports/preview', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ [key]: importForm[key] })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setImportPreview(data.preview);
+      } else {
+        alert(data.error || 'Error reading calendar');
+      }
+    } catch (error) {
+      console.error('Error previewing calendar import:', error);
+      alert('Error reading calendar');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImportSubmit = async (e) => {
+    e.preventDefault();
+    const key = importSourceKey(importForm.sourceType);
+    try {
+      setLoading(true);
+      const response = await apiFetch('/api/practitioner/calendar-imports', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name: importForm.name, [key]: importForm[key] })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setImportForm(EMPTY_IMPORT);
+        setImportPreview(null);
+        await fetchAvailability();
+      } else {
+        alert(data.error || 'Error importing calendar');
+      }
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      alert('Error importing calendar');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // URL and file imports are read again by the server; an uploaded one needs the file again
+  const handleSyncImport = async (id, file) => {
+    try {
+      const response = await apiFetch(`/api/practitioner/calendar-imports/${id}/sync`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(file ? { ics: await file.text() } : {})
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Error updating calendar');
+      }
+      await fetchAvailability();
+    } catch (error) {
+      console.error('Error syncing calendar import:', error);
+      alert('Error updating calendar');
+    }
+  };
+
+  const handleDeleteImport = async (id) => {
+    if (!window.confirm('Remove this calendar? Its busy times will be bookable again.')) return;
+    try {
+      const response = await apiFetch(`/api/practitioner/calendar-imports/${id}`, { method: 'DELETE' });
+      if (response.ok) {
+        await fetchAvailability();
+      } else {
+        const data = await response.json();
+        alert(data.error || 'Error removing calendar');
+      }
+    } catch (error) {
+      console.error('Error removing calendar:', error);
+      alert('Error removing calendar');
+    }
+  };
+
+  // Confirm a request, cancel, or record how a session went
+  const handleAppointmentStatus = async (id, status) => {
+    // The patient sees the reason; cancelling from here never charges them a fee
+    let reason;
+    if (status === 'cancelled') {
+      reason = window.prompt('Why is this appointment cancelled? The patient will see your reason.');
+      if (!reason || !reason.trim()) {
+        return;
+      }
+    }
+    try {
+      const response = await apiFetch(`/api/appointments/${id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ status, reason })
+      });
+      if (response.ok) {
+        await fetchAvailability();
+      } else {
+        const data = await response.json();
+        alert(data.error || 'Error updating appointment');
+      }
+    } catch (error) {
+      console.error('Error updating appointment:', error);
+      alert('Error updating appointment');
+    }
+  };
+
+  const toggleService = (serviceId) => {
+    setOfferedServiceIds((current) =>
+      current.includes(serviceId) ? current.filter((id) => id !== serviceId) : [...current, serviceId]
+    );
+  };
+
+  // Patients can only book the services a practitioner offers
+  const handleServicesSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const response = await apiFetch('/api/practitioner/services', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ serviceIds: offeredServiceIds })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setOfferedServiceIds(data.serviceIds);
+        alert('Services saved successfully!');
+      } else {
+        alert(data.error || 'Error saving services');
+      }
+    } catch (error) {
+      console.error('Error saving services:', error);
+      alert('Error saving services');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handle delete availability
   const handleDeleteAvailability = async (id) => {
     if (!window.confirm('Are you sure you want to delete this availability slot?')) {
@@ -185,16 +505,12 @@ const Dashboard = ({ user, onLogout }) => {
     }
 
     try {
-      const token = getToken();
-      if (!token) {
+      if (!isAuthenticated() && !canRefreshSession()) {
         onLogout();
         return;
       }
-      const response = await fetch(`${config.API_BASE_URL}/api/practitioner/availability/${id}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
+      const response = await apiFetch(`/api/practitioner/availability/${id}`, {
+        method: 'DELETE'
       });
 
       if (response.ok) {
@@ -210,8 +526,6 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
-  const daysOfWeek = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-
   return (
     <div className="dashboard-container">
       <div className="dashboard-card">
@@ -267,51 +581,58 @@ const Dashboard = ({ user, onLogout }) => {
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
                 <h3>My Availability</h3>
                 <button 
-                  onClick={() => setShowAvailabilityForm(!showAvailabilityForm)}
+                  onClick={() => (showAvailabilityForm ? setShowAvailabilityForm(false) : editTemplate())}
                   className="add-availability-btn"
                 >
-                  {showAvailabilityForm ? 'Cancel' : '+ Add Availability'}
+                  {showAvailabilityForm ? 'Cancel' : 'Edit Weekly Schedule'}
                 </button>
               </div>
+              {timeZone && (
+                <p className="time-zone-note">
+                  All your hours are in <strong>{timeZone}</strong> ({timeZoneName(timeZone)}) and keep their clock
+                  times when daylight saving starts or ends. Change it in Settings.
+                </p>
+              )}
 
               {showAvailabilityForm && (
                 <form onSubmit={handleAvailabilitySubmit} className="availability-form">
-                  <div className="form-row">
-                    <div className="form-group">
-                      <label>Day of Week</label>
-                      <select
-                        value={formData.dayOfWeek}
-                        onChange={(e) => setFormData({ ...formData, dayOfWeek: e.target.value })}
-                        required
-                      >
-                        {daysOfWeek.map(day => (
-                          <option key={day} value={day}>{day}</option>
+                  {DAYS_OF_WEEK.map((day) => (
+                    <div key={day} className="template-day">
+                      <strong className="template-day-name">{day}</strong>
+                      <div className="template-windows">
+                        {template[day].length === 0 && <span className="template-off">Not working</span>}
+                        {template[day].map((window, index) => (
+                          <div key={index} className="template-window">
+                            <input
+                              type="time"
+                              aria-label={`${day} window ${index + 1} start`}
+                              value={window.startTime}
+                              onChange={(e) => updateWindow(day, index, 'startTime', e.target.value)}
+                              required
+                            />
+                            <span>-</span>
+                            <input
+                              type="time"
+                              aria-label={`${day} window ${index + 1} end`}
+                              value={window.endTime}
+                              onChange={(e) => updateWindow(day, index, 'endTime', e.target.value)}
+                              required
+                            />
+                            <button type="button" onClick={() => removeWindow(day, index)} className="delete-btn">
+                              Remove
+                            </button>
+                          </div>
                         ))}
-                      </select>
-                    </div>
-                    <div className="form-group">
-                      <label>Start Time</label>
-                      <input
-                        type="time"
-                        value={formData.startTime}
-                        onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
-                        required
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label>End Time</label>
-                      <input
-                        type="time"
-                        value={formData.endTime}
-                        onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
-                        required
-                      />
-                    </div>
-                    <div className="form-group">
-                      <button type="submit" className="submit-btn" disabled={loading}>
-                        {loading ? 'Saving...' : 'Save'}
+                      </div>
+                      <button type="button" onClick={() => addWindow(day)} className="add-window-btn">
+                        + Add window
                       </button>
                     </div>
+                  ))}
+                  <div className="template-actions">
+                    <button type="submit" className="submit-btn" disabled={loading}>
+                      {loading ? 'Saving...' : 'Save Schedule'}
+                    </button>
                   </div>
                 </form>
               )}
@@ -334,8 +655,331 @@ const Dashboard = ({ user, onLogout }) => {
                   ))}
                 </div>
               ) : (
-                <p className="no-availability">No availability set. Click "+ Add Availability" to set your schedule.</p>
+                <p className="no-availability">No availability set. Click "Edit Weekly Schedule" to set your schedule.</p>
+              )}
+            </div>
+          )}
+
+          {user.userType === 'practitioner' && (
+            <div className="info-section">
+              <h3>Time Off &amp; Custom Hours</h3>
+              <form onSubmit={handleOverrideSubmit} className="availability-form">
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Date</label>
+                    <input
+                      type="date"
+                      value={overrideForm.date}
+                      onChange={(e) => setOverrideForm({ ...overrideForm, date: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Change</label>
+                    <select
+                      value={overrideForm.kind}
+                      onChange={(e) => setOverrideForm({ ...overrideForm, kind: e.target.value })}
+                    >
+                      <option value="closed">Day off</option>
+                      <option value="custom">Custom hours</option>
+                    </select>
+                  </div>
+                  {overrideForm.kind === 'custom' && (
+                    <>
+                      <div className="form-group">
+                        <label>Start Time</label>
+                        <input
+                          type="time"
+                          value={overrideForm.startTime}
+                          onChange={(e) => setOverrideForm({ ...overrideForm, startTime: e.target.value })}
+                          required
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>End Time</label>
+                        <input
+                          type="time"
+                          value={overrideForm.endTime}
+                          onChange={(e) => setOverrideForm({ ...overrideForm, endTime: e.target.value })}
+                          required
+                        />
+                      </div>
+                    </>
+                  )}
+                  <div className="form-group">
+                    <label>Note (only you see it)</label>
+                    <input
+                      type="text"
+                      value={overrideForm.reason}
+                      maxLength={200}
+                      onChange={(e) => setOverrideForm({ ...overrideForm, reason: e.target.value })}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <button type="submit" className="submit-btn" disabled={loading}>
+                      {loading ? 'Saving...' : 'Add'}
+                    </button>
+                  </div>
+                </div>
+              </form>
+
+              {overrides.length > 0 ? (
+                <div className="availability-list">
+                  {overrides.map((override) => (
+                    <div key={override.id} className="availability-item">
+                      <div className="availability-info">
+                        <strong>{formatDate(override.date)}</strong>
+                        <span>
+                          {override.kind === 'closed' ? 'Day off' : `${override.startTime} - ${override.endTime}`}
+                          {override.reason && ` · ${override.reason}`}
+                        </span>
+                      </div>
+                      <button onClick={() => handleDeleteOverride(override.id)} className="delete-btn">
+                        Delete
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="no-availability">No upcoming time off or custom hours.</p>
               )}
+
+              <h3>Your Next 7 Days</h3>
+              <div className="availability-slots">
+                {schedule.map((day) => (
+                  <div key={day.date} className={`availability-slot ${day.status === 'closed' ? 'closed' : ''}`}>
+                    <span className="day">{formatDate(day.date)}</span>
+                    <span className="time">{describeDay(day, day.timeZone)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {user.userType === 'practitioner' && (
+            <div className="info-section">
+              <h3>Other Calendars</h3>
+              <p className="no-availability">
+                Import a calendar (.ics) from another app and patients can't book the times it's busy. Only the
+                times are kept, never what the events are.
+              </p>
+              <form onSubmit={handleImportSubmit} className="availability-form">
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>From</label>
+                    <select
+                      value={importForm.sourceType}
+                      onChange={(e) => updateImportForm({ sourceType: e.target.value })}
+                    >
+                      <option value="upload">File upload</option>
+                      <option value="url">URL (kept in sync)</option>
+                      <option value="path">Server file (kept in sync)</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>{importForm.sourceType === 'upload' ? 'File' : importForm.sourceType === 'url' ? 'URL' : 'File path'}</label>
+                    {importForm.sourceType === 'upload' ? (
+                      <input type="file" accept=".ics,text/calendar" onChange={handleImportFile} required />
+                    ) : (
+                      <input
+                        type="text"
+                        value={importForm[importForm.sourceType]}
+                        placeholder={importForm.sourceType === 'url' ? 'webcal://...' : 'rota.ics'}
+                        onChange={(e) => updateImportForm({ [importForm.sourceType]: e.target.value })}
+                        required
+                      />
+                    )}
+                  </div>
+                  <div className="form-group">
+                    <label>Name</label>
+                    <input
+                      type="text"
+                      value={importForm.name}
+                      maxLength={100}
+                      onChange={(e) => setImportForm({ ...importForm, name: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    {importPreview ? (
+                      <button type="submit" className="submit-btn" disabled={loading}>
+                        {loading ? 'Importing...' : 'Import'}
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={handleImportPreview}
+                        className="submit-btn"
+                        disabled={loading || !importForm[importSourceKey(importForm.sourceType)]}
+                      >
+                        {loading ? 'Reading...' : 'Preview'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </form>
+
+              {importPreview && (
+                <div className="availability-list">
+                  <p>
+                    {importPreview.blockCount === 0
+                      ? 'No busy times in the coming year.'
+                      : `${importPreview.blockCount} busy times from ${formatDateTime(importPreview.firstStart)} to ${formatDateTime(importPreview.lastEnd)}.`}
+                    {importPreview.skippedCount > 0 && ` ${importPreview.skippedCount} events couldn't be read and will be left out.`}
+                  </p>
+                  {importPreview.conflicts.map(({ appointment, busy }) => (
+                    <div key={appointment.id} className="availability-item">
+                      <div className="availability-info">
+                        <strong>{formatDateTime(appointment.start)}</strong>
+                        <span>
+                          {appointment.service.name}
+                          {appointment.patient && ` · ${appointment.patient.firstName} ${appointment.patient.lastName}`}
+                          {` · busy ${formatTime(busy.start)} - ${formatTime(busy.end)}`}
+                        </span>
+                        <span className="appointment-status cancelled">Already booked</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {calendarImports.length > 0 ? (
+                <div className="availability-list">
+                  {calendarImports.map((calendar) => (
+                    <div key={calendar.id} className="availability-item">
+                      <div className="availability-info">
+                        <strong>{calendar.name}</strong>
+                        <span>
+                          {IMPORT_SOURCE_LABELS[calendar.sourceType]} · {calendar.blockCount} busy times
+                          {calendar.lastSyncedAt && ` · updated ${formatDateTime(calendar.lastSyncedAt)}`}
+                        </span>
+                        {calendar.lastError && <span className="appointment-status cancelled">{calendar.lastError}</span>}
+                      </div>
+                      <div className="appointment-actions">
+                        {calendar.sourceType === 'upload' ? (
+                          <label className="confirm-btn">
+                            Upload again
+                            <input
+                              type="file"
+                              accept=".ics,text/calendar"
+                              hidden
+                              onChange={(e) => e.target.files[0] && handleSyncImport(calendar.id, e.target.files[0])}
+                            />
+                          </label>
+                        ) : (
+                          <button onClick={() => handleSyncImport(calendar.id)} className="confirm-btn">
+                            Sync now
+                          </button>
+                        )}
+                        <button onClick={() => handleDeleteImport(calendar.id)} className="delete-btn">
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="no-availability">No calendars imported.</p>
+              )}
+
+              {importConflicts.length > 0 && (
+                <>
+                  <h3>Booked During Busy Times</h3>
+                  <div className="availability-list">
+                    {importConflicts.map(({ appointment, busy }) => (
+                      <div key={appointment.id} className="availability-item">
+                        <div className="availability-info">
+                          <strong>{formatDateTime(appointment.start)}</strong>
+                          <span>
+                            {appointment.service.name}
+                            {appointment.patient && ` · ${appointment.patient.firstName} ${appointment.patient.lastName}`}
+                            {` · ${calendarImports.find((calendar) => calendar.id === busy.importId)?.name || 'Other calendar'} busy ${formatTime(busy.start)} - ${formatTime(busy.end)}`}
+                          </span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {user.userType === 'practitioner' && (
+            <div className="info-section">
+              <h3>Appointments</h3>
+              {appointments.length > 0 ? (
+                <div className="availability-list">
+                  {appointments.map((appointment) => {
+                    const started = Date.parse(appointment.start) <= Date.now();
+                    return (
+                      <div key={appointment.id} className="availability-item">
+                        <div className="availability-info">
+                          <strong>{formatDateTime(appointment.start)}</strong>
+                          <span>
+                            {appointment.service.name} ({appointment.minutes} min)
+                            {appointment.patient && ` · ${appointment.patient.firstName} ${appointment.patient.lastName}`}
+                          </span>
+                          <span className={`appointment-status ${appointment.status}`}>
+                            {APPOINTMENT_STATUS_LABELS[appointment.status]}
+                          </span>
+                        </div>
+                        <div className="appointment-actions">
+                          {appointment.status === 'requested' && (
+                            <button onClick={() => handleAppointmentStatus(appointment.id, 'confirmed')} className="confirm-btn">
+                              Confirm
+                            </button>
+                          )}
+                          {appointment.status === 'confirmed' && started && (
+                            <>
+                              <button onClick={() => handleAppointmentStatus(appointment.id, 'completed')} className="confirm-btn">
+                                Completed
+                              </button>
+                              <button onClick={() => handleAppointmentStatus(appointment.id, 'no_show')} className="delete-btn">
+                                No-show
+                              </button>
+                            </>
+                          )}
+                          {!started && (
+                            <button onClick={() => handleAppointmentStatus(appointment.id, 'cancelled')} className="delete-btn">
+                              Cancel
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              ) : (
+                <p className="no-availability">No upcoming appointments.</p>
+              )}
+            </div>
+          )}
+
+          {user.userType === 'practitioner' && (
+            <div className="info-section">
+              <h3>Services I Offer</h3>
+              <form onSubmit={handleServicesSubmit} className="availability-form">
+                <div className="services-grid">
+                  {services.map((service) => (
+                    <label key={service.id} className="service-option">
+                      <input
+                        type="checkbox"
+                        checked={offeredServiceIds.includes(service.id)}
+                        onChange={() => toggleService(service.id)}
+                      />
+                      <span>
+                        {service.name}
+                        <small>{service.category} · {service.durations.map((duration) => duration.minutes).join('/')} min</small>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <div className="template-actions">
+                  <button type="submit" className="submit-btn" disabled={loading}>
+                    {loading ? 'Saving...' : 'Save Services'}
+                  </button>
+                </div>
+              </form>
             </div>
           )}
 
@@ -361,20 +1005,24 @@ const Dashboard = ({ user, onLogout }) => {
                         </div>
                         <span className="practitioner-email">{practitioner.email}</span>
                       </div>
-                      {practitioner.availability.length > 0 ? (
+                      <p className="practitioner-location">
+                        {practitioner.location && `${practitioner.location.name} · `}
+                        Works in {practitioner.timeZone}
+                      </p>
+                      {practitioner.schedule.some((day) => day.status === 'open') ? (
                         <div className="practitioner-availability">
-                          <strong>Availability:</strong>
+                          <strong>Next 7 days, in your time ({timeZoneName(getViewerTimeZone())}):</strong>
                           <div className="availability-slots">
-                            {practitioner.availability.map((slot, index) => (
-                              <div key={index} className="availability-slot">
-                                <span className="day">{slot.dayOfWeek}</span>
-                                <span className="time">{slot.startTime} - {slot.endTime}</span>
+                            {practitioner.schedule.map((day) => (
+                              <div key={day.date} className={`availability-slot ${day.status === 'closed' ? 'closed' : ''}`}>
+                                <span className="day">{formatDate(day.date)}</span>
+                                <span className="time">{describeDay(day, getViewerTimeZone())}</span>
                               </div>
                             ))}
                           </div>
                         </div>
                       ) : (
-                        <p className="no-availability-text">No availability set</p>
+                        <p className="no-availability-text">Not available in the next 7 days</p>
                       )}
                     </div>
                   ))}
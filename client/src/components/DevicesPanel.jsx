@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Monitor, Smartphone, LogOut } from "lucide-react";
+import { apiFetch } from "../utils/api";
+import { formatDateTime } from "../utils/timezone";
+
+const isMobile = (session) => /iOS|Android/.test(session.deviceName || "");
+
+const formatDate = (value) => (value ? formatDateTime(value) : "");
+
+// Devices the user is signed in on, with remote sign-out
+const DevicesPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const request = async (path, options = {}) => {
+    const response = await apiFetch(`/api/auth/sessions${path}`, options);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "An error occurred");
+    }
+    return data;
+  };
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const data = await request("");
+      setSessions(data.sessions || []);
+      setError("");
+    } catch (err) {
+      console.error("Error fetching sessions:", err);
+      setError("Unable to load your devices.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const signOut = async (session) => {
+    if (!window.confirm(`Sign out ${session.deviceName || "this device"}?`)) return;
+    try {
+      await request(`/${session.id}`, { method: "DELETE" });
+      fetchSessions();
+    } catch (err) {
+      console.error("Error signing out device:", err);
+      setError("Unable to sign out that device.");
+    }
+  };
+
+  const signOutOthers = async () => {
+    if (!window.confirm("Sign out of all other devices?")) return;
+    try {
+      await request("", { method: "DELETE" });
+      fetchSessions();
+    } catch (err) {
+      console.error("Error signing out devices:", err);
+      setError("Unable to sign out your other devices.");
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <div className="bg-white rounded-3xl p-6">
+      <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-6">
+        Devices
+      </h2>
+
+      {loading && <p className="text-sm text-gray-500">Loading devices...</p>}
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <div>
+        {sessions.map((session) => {
+          const IconComponent = isMobile(session) ? Smartphone : Monitor;
+          return (
+            <div
+              key={session.id}
+              className="flex items-center justify-between py-2"
+            >
+              <div className="flex items-center gap-4">
+                <div className="bg-[#e8e8e8] w-14 h-14 rounded-2xl flex items-center justify-center flex-shrink-0">
+                  <IconComponent size={24} className="text-[#2d2d2d]" />
+                </div>
+                <div className="flex flex-col">
+                  <span className="text-base text-[#2d2d2d] font-medium">
+                    {session.deviceName || "Unknown device"}
+                    {session.current && (
+                      <span className="ml-2 text-xs font-semibold text-[#5f7a3d]">
+                        This device
+                      </span>
+                    )}
+                  </span>
+                  <span className="text-sm text-gray-500">
+                    {session.ipAddress} · Signed in {formatDate(session.createdAt)}
+                  </span>
+                </div>
+              </div>
+              <div className="flex items-center gap-4">
+                <span className="text-sm text-gray-400">
+                  Last active {formatDate(session.lastSeenAt)}
+                </span>
+                {!session.current && (
+                  <button
+                    onClick={() => signOut(session)}
+                    className="flex items-center gap-1.5 px-4 py-2 rounded-full border border-gray-300 font-semibold text-gray-800 text-sm whitespace-nowrap"
+                  >
+                    <LogOut size={16} />
+                    SIGN OUT
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {hasOtherSessions && (
+        <div className="flex items-center justify-end mt-6">
+          <button
+            onClick={signOutOthers}
+            className="flex items-center gap-1.5 px-5 py-2.5 rounded-full border border-gray-300 font-semibold text-gray-800 text-sm whitespace-nowrap"
+          >
+            SIGN OUT ALL OTHER DEVICES
+            <LogOut size={18} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DevicesPanel;
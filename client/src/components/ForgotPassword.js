@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import './Auth.css';
+import config from '../utils/config';
+
+const ForgotPassword = ({ onSwitchToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email })
+      });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch {
+        data = {};
+      }
+
+      if (response.status === 429) {
+        setError(data.error || 'Too many requests. Please wait 15 minutes before trying again.');
+      } else if (response.ok) {
+        // Same message whether or not the account exists
+        setMessage(data.message);
+      } else {
+        setError(data.error || 'Unable to send reset link. Please try again.');
+      }
+    } catch (err) {
+      console.error('Forgot password error occurred:', err.message);
+      setError('Unable to connect to server. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Forgot Password</h2>
+        {message ? (
+          <div className="success-message">{message}</div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="auth-hint">
+              Enter the email address for your account and we'll send you a link to reset your password.
+            </p>
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                required
+                placeholder="Enter your email"
+              />
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="submit-btn" disabled={loading}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <p className="switch-auth">
+          Remembered it?{' '}
+          <span onClick={onSwitchToLogin} className="link">
+            Back to login
+          </span>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
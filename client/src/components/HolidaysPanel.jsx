@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { CalendarOff } from "lucide-react";
+import { apiFetch } from "../utils/api";
+
+const EMPTY_HOLIDAY = { date: "", name: "" };
+
+const inputClass =
+  "w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm text-[#2d2d2d] focus:outline-none focus:border-[#5f7a3d]";
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+// Holidays are calendar dates (YYYY-MM-DD), shown as local dates
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString([], { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+
+// Admins: the days the whole clinic is closed over the next few months
+const HolidaysPanel = () => {
+  const [holidays, setHolidays] = useState([]);
+  const [form, setForm] = useState(EMPTY_HOLIDAY);
+  const [status, setStatus] = useState({});
+
+  const request = async (path, options = {}) => {
+    const response = await apiFetch(`/api/admin/holidays${path}`, {
+      ...options,
+      headers: { "Content-Type": "application/json" },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "An error occurred");
+    }
+    return data;
+  };
+
+  const fetchHolidays = useCallback(async () => {
+    try {
+      setHolidays((await request("")).holidays);
+    } catch (err) {
+      console.error("Error fetching holidays:", err);
+      setStatus({ error: "Unable to load the holiday calendar." });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHolidays();
+  }, [fetchHolidays]);
+
+  const addHoliday = async (e) => {
+    e.preventDefault();
+    setStatus({ saving: true });
+    try {
+      const { holiday } = await request("", { method: "POST", body: JSON.stringify(form) });
+      setStatus({ message: `The clinic is closed on ${formatDate(holiday.date)}.` });
+      setForm(EMPTY_HOLIDAY);
+      fetchHolidays();
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const removeHoliday = async (id) => {
+    setStatus({});
+    try {
+      const data = await request(`/${id}`, { method: "DELETE" });
+      setStatus({ message: data.message });
+      fetchHolidays();
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6 space-y-6">
+      <div>
+        <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2 flex items-center gap-2">
+          <CalendarOff className="w-5 h-5" />
+          Clinic holidays
+        </h2>
+        <p className="text-sm text-gray-600">
+          No practitioner is bookable on a holiday, unless they have set their own custom hours for
+          that date.
+        </p>
+      </div>
+
+      {status.error && <p className="text-sm text-red-600">{status.error}</p>}
+      {status.message && <p className="text-sm text-[#5f7a3d]">{status.message}</p>}
+
+      {holidays.length > 0 ? (
+        <div>
+          {holidays.map((holiday) => (
+            <div key={holiday.id} className="flex items-center justify-between gap-4 py-3 border-b border-gray-100">
+              <p className="text-sm text-[#2d2d2d]">
+                <span className="font-semibold">{formatDate(holiday.date)}</span>
+                <span className="text-gray-500"> · {holiday.name}</span>
+              </p>
+              <button onClick={() => removeHoliday(holiday.id)} className={`${buttonClass} border border-gray-300 text-gray-700`}>
+                REMOVE
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No holidays in the next three months.</p>
+      )}
+
+      <form onSubmit={addHoliday} className="grid grid-cols-1 md:grid-cols-[auto_1fr_auto] gap-4">
+        <input
+          type="date"
+          name="date"
+          value={form.date}
+          onChange={(e) => setForm({ ...form, date: e.target.value })}
+          required
+          className={inputClass}
+        />
+        <input
+          type="text"
+          name="name"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Name, e.g. New Year's Day"
+          maxLength={100}
+          required
+          className={inputClass}
+        />
+        <button type="submit" disabled={status.saving} className={`${buttonClass} bg-[#5f7a3d] text-white`}>
+          {status.saving ? "ADDING..." : "ADD HOLIDAY"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default HolidaysPanel;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { apiFetch } from "../utils/api";
+import { markActivity, getLastActivity } from "../utils/idleTimer";
+
+// Show the warning this long before logging off
+const WARNING_SECONDS = 60;
+// Don't write to storage / call the server on every mouse move
+const LOCAL_WRITE_INTERVAL = 5 * 1000;
+const SERVER_SYNC_INTERVAL = 60 * 1000;
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "scroll", "touchstart"];
+
+const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+// Automatic logoff after the idle timeout of the user's role, with a countdown warning
+const IdleTimeoutDialog = ({ onTimeout, onLogout }) => {
+  const [idleTimeout, setIdleTimeout] = useState(null);
+  const [remaining, setRemaining] = useState(null);
+  const lastWrite = useRef(0);
+  const lastSync = useRef(0);
+  const warningShown = useRef(false);
+  const timedOut = useRef(false);
+
+  // Restart the server's idle timeout; it answers with the timeout for this user
+  const syncActivity = useCallback(async () => {
+    lastSync.current = Date.now();
+    try {
+      const response = await apiFetch("/api/auth/sessions/activity", { method: "POST", asSelf: true });
+      if (response.ok) {
+        const data = await response.json();
+        setIdleTimeout(data.idleTimeout);
+      }
+    } catch (err) {
+      console.error("Error reporting activity:", err);
+    }
+  }, []);
+
+  const extendSession = useCallback(() => {
+    lastWrite.current = Date.now();
+    markActivity();
+    syncActivity();
+  }, [syncActivity]);
+
+  // Signing in counts as activity
+  useEffect(() => {
+    extendSession();
+  }, [extendSession]);
+
+  useEffect(() => {
+    const handleActivity = () => {
+      // Once the warning is up, only "Stay signed in" extends the session
+      if (warningShown.current) return;
+      const now = Date.now();
+      if (now - lastWrite.current > LOCAL_WRITE_INTERVAL) {
+        lastWrite.current = now;
+        markActivity();
+      }
+      if (now - lastSync.current > SERVER_SYNC_INTERVAL) {
+        syncActivity();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, handleActivity, { passive: true })
+    );
+    return () =>
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+  }, [syncActivity]);
+
+  // Count down from the last activity in any tab
+  useEffect(() => {
+    if (!idleTimeout) return undefined;
+
+    const tick = () => {
+      const left = Math.ceil((getLastActivity() + idleTimeout * 1000 - Date.now()) / 1000);
+      if (left <= 0) {
+        if (!timedOut.current) {
+          timedOut.current = true;
+          onTimeout();
+        }
+        return;
+      }
+      warningShown.current = left <= WARNING_SECONDS;
+      setRemaining(left);
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [idleTimeout, onTimeout]);
+
+  if (remaining === null || remaining > WARNING_SECONDS) {
+    return null;
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4">
+      <div
+        role="alertdialog"
+        aria-labelledby="idle-timeout-title"
+        aria-describedby="idle-timeout-description"
+        className="bg-white rounded-3xl p-6 w-full max-w-md"
+      >
+        <h2
+          id="idle-timeout-title"
+          className="text-xl libre-font font-semibold text-[#5f7a3d] mb-4"
+        >
+          Are you still there?
+        </h2>
+        <p id="idle-timeout-description" className="text-base text-[#2d2d2d] mb-6">
+          For your security you will be signed out in{" "}
+          <span className="font-semibold">{formatCountdown(remaining)}</span> because
+          there has been no activity.
+        </p>
+        <div className="flex items-center justify-end gap-3">
+          <button
+            onClick={onLogout}
+            className="px-5 py-2.5 rounded-full border border-gray-300 font-semibold text-gray-800 text-sm whitespace-nowrap"
+          >
+            SIGN OUT
+          </button>
+          <button
+            onClick={extendSession}
+            className="px-5 py-2.5 rounded-full bg-[#5f7a3d] font-semibold text-white text-sm whitespace-nowrap"
+          >
+            STAY SIGNED IN
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IdleTimeoutDialog;
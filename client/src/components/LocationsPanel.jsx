@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { MapPin } from "lucide-react";
+import { apiFetch } from "../utils/api";
+import { listTimeZones, timeZoneName } from "../utils/timezone";
+
+const EMPTY_LOCATION = { name: "", address: "", timezone: "" };
+
+const inputClass =
+  "w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm text-[#2d2d2d] focus:outline-none focus:border-[#5f7a3d]";
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+const request = async (path, options = {}) => {
+  const response = await apiFetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "An error occurred");
+  }
+  return data;
+};
+
+const TimeZoneSelect = ({ id, value, onChange, placeholder }) => (
+  <select id={id} value={value} onChange={(e) => onChange(e.target.value)} required className={inputClass}>
+    {placeholder && <option value="">{placeholder}</option>}
+    {listTimeZones().map((timeZone) => (
+      <option key={timeZone} value={timeZone}>{timeZone}</option>
+    ))}
+  </select>
+);
+
+// Admins: clinic locations, the time zone practitioners there work in, and who works where
+const LocationsPanel = () => {
+  const [locations, setLocations] = useState([]);
+  const [practitioners, setPractitioners] = useState([]);
+  const [form, setForm] = useState(EMPTY_LOCATION);
+  const [status, setStatus] = useState({});
+
+  const fetchLocations = useCallback(async () => {
+    try {
+      const [locationData, practitionerData] = await Promise.all([
+        request("/api/admin/locations"),
+        request("/api/practitioner/all"),
+      ]);
+      setLocations(locationData.locations);
+      setPractitioners(practitionerData.practitioners);
+    } catch (err) {
+      console.error("Error fetching locations:", err);
+      setStatus({ error: "Unable to load locations." });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLocations();
+  }, [fetchLocations]);
+
+  const run = async (action) => {
+    setStatus({});
+    try {
+      const data = await action();
+      setStatus({ message: data.message });
+      fetchLocations();
+      return true;
+    } catch (err) {
+      setStatus({ error: err.message });
+      return false;
+    }
+  };
+
+  const addLocation = async (e) => {
+    e.preventDefault();
+    if (await run(() => request("/api/admin/locations", { method: "POST", body: JSON.stringify(form) }))) {
+      setForm(EMPTY_LOCATION);
+    }
+  };
+
+  const changeTimeZone = (location, timezone) =>
+    run(() =>
+      request(`/api/admin/locations/${location.id}`, {
+        method: "PUT",
+        body: JSON.stringify({ name: location.name, address: location.address, timezone }),
+      })
+    );
+
+  const removeLocation = (id) => run(() => request(`/api/admin/locations/${id}`, { method: "DELETE" }));
+
+  const assign = (practitionerId, locationId) =>
+    run(() =>
+      request(`/api/admin/users/${practitionerId}/location`, {
+        method: "PUT",
+        body: JSON.stringify({ locationId: locationId ? Number(locationId) : null }),
+      })
+    );
+
+  return (
+    <div className="bg-white rounded-3xl p-6 space-y-6">
+      <div>
+        <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2 flex items-center gap-2">
+          <MapPin className="w-5 h-5" />
+          Locations and time zones
+        </h2>
+        <p className="text-sm text-gray-600">
+          A practitioner's hours are in their own time zone if they set one in their settings,
+          otherwise in their location's.
+        </p>
+      </div>
+
+      {status.error && <p className="text-sm text-red-600">{status.error}</p>}
+      {status.message && <p className="text-sm text-[#5f7a3d]">{status.message}</p>}
+
+      {locations.map((location) => (
+        <div key={location.id} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] items-center gap-4 py-3 border-b border-gray-100">
+          <p className="text-sm text-[#2d2d2d]">
+            <span className="font-semibold">{location.name}</span>
+            <span className="text-gray-500">
+              {location.address && ` · ${location.address}`} · {location.practitionerCount} practitioner(s) · {timeZoneName(location.timezone)}
+            </span>
+          </p>
+          <TimeZoneSelect
+            id={`location-${location.id}-timezone`}
+            value={location.timezone}
+            onChange={(timezone) => changeTimeZone(location, timezone)}
+          />
+          <button onClick={() => removeLocation(location.id)} className={`${buttonClass} border border-gray-300 text-gray-700`}>
+            REMOVE
+          </button>
+        </div>
+      ))}
+
+      <form onSubmit={addLocation} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_1fr_auto] gap-4">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Name"
+          maxLength={100}
+          required
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={form.address}
+          onChange={(e) => setForm({ ...form, address: e.target.value })}
+          placeholder="Address (optional)"
+          maxLength={300}
+          className={inputClass}
+        />
+        <TimeZoneSelect
+          id="new-location-timezone"
+          value={form.timezone}
+          onChange={(timezone) => setForm({ ...form, timezone })}
+          placeholder="Time zone"
+        />
+        <button type="submit" className={`${buttonClass} bg-[#5f7a3d] text-white`}>
+          ADD LOCATION
+        </button>
+      </form>
+
+      {locations.length > 0 && practitioners.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-[#2d2d2d] mb-2">Who works where</h3>
+          {practitioners.map((practitioner) => (
+            <div key={practitioner.id} className="flex items-center justify-between gap-4 py-2">
+              <label htmlFor={`practitioner-${practitioner.id}-location`} className="text-sm text-[#2d2d2d]">
+                {practitioner.firstName} {practitioner.lastName}
+                <span className="text-gray-500"> · hours in {practitioner.timeZone}</span>
+              </label>
+              <select
+                id={`practitioner-${practitioner.id}-location`}
+                value={practitioner.location ? practitioner.location.id : ""}
+                onChange={(e) => assign(practitioner.id, e.target.value)}
+                className="rounded-full border border-gray-300 px-4 py-1.5 text-sm text-[#2d2d2d]"
+              >
+                <option value="">No location</option>
+                {locations.map((location) => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocationsPanel;
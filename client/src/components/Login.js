@@ -1,10 +1,14 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './Auth.css';
-import { setToken } from '../utils/secureStorage';
+import { setToken, startTokenRefresh } from '../utils/secureStorage';
 import { initSocket } from '../utils/socket';
-import config from '../utils/config';
+import { apiFetch } from '../utils/api';
+import { isPasskeySupported, getPasskey } from '../utils/webauthn';
 
-const Login = ({ onLogin, onSwitchToSignup }) => {
+// The state sent to the identity provider, checked when it redirects back
+const SSO_STATE_KEY = 'knko_sso_state';
+
+const Login = ({ onLogin, onSwitchToSignup, onForgotPassword, ssoCallback }) => {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
@@ -12,6 +16,17 @@ const Login = ({ onLogin, onSwitchToSignup }) => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Second login step for staff accounts: 'credentials' -> 'mfa' | 'enroll' -> 'recovery-codes'
+  const [step, setStep] = useState('credentials');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Second factors the account has: 'totp' and/or 'passkey'
+  const [mfaMethods, setMfaMethods] = useState(['totp']);
+  const [enrollment, setEnrollment] = useState(null);
+  const [pendingLogin, setPendingLogin] = useState(null);
+  const [ssoProviders, setSsoProviders] = useState([]);
+  const ssoCallbackHandled = useRef(false);
 
   const handleChange = (e) => {
     setFormData({
@@ -21,13 +36,229 @@ const Login = ({ onLogin, onSwitchToSignup }) => {
     setError('');
   };
 
+  // POST JSON and parse the response, handling rate limiting and non-JSON errors
+  const postJson = useCallback(async (path, payload) => {
+    const response = await apiFetch(path, {
+      auth: false,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      data = { error: response.status === 429
+        ? 'Too many attempts. Please wait 15 minutes before trying again.'
+        : 'Server error occurred. Please try again later.' };
+    }
+    return { response, data };
+  }, []);
+
+  const finishLogin = useCallback((data) => {
+    // Use secure storage instead of direct localStorage
+    setToken(data.token, { refreshToken: data.refreshToken, expiresIn: data.expiresIn, csrfToken: data.csrfToken });
+    // Refresh the short-lived access token silently before it expires
+    startTokenRefresh();
+    // Initialize socket connection after login
+    initSocket();
+    onLogin(data.user);
+  }, [onLogin]);
+
+  const restartLogin = useCallback((message = '') => {
+    setStep('credentials');
+    setChallengeToken('');
+    setMfaCode('');
+    setEnrollment(null);
+    setUseRecoveryCode(false);
+    setMfaMethods(['totp']);
+    setError(message);
+  }, []);
+
+  const handleNetworkError = useCallback((err) => {
+    if (err.name === 'TypeError' && err.message.includes('fetch')) {
+      console.error('Network error: Server may not be running');
+      setError('Unable to connect to server. Please ensure the server is running on port 5001.');
+    } else {
+      console.error('Login error occurred:', err.message);
+      setError('An unexpected error occurred. Please try again later.');
+    }
+  }, []);
+
+  // Start authenticator enrolment when the MFA policy requires it
+  const startEnrollment = useCallback(async (token) => {
+    const { response, data } = await postJson('/api/auth/mfa/enroll', { challengeToken: token });
+    if (response.ok) {
+      setEnrollment(data);
+      setStep('enroll');
+    } else if (response.status === 401) {
+      restartLogin(data.error);
+    } else {
+      setError(data.error || 'Unable to start authenticator setup.');
+    }
+  }, [postJson, restartLogin]);
+
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const path = step === 'enroll' ? '/api/auth/mfa/enroll/verify' : '/api/auth/mfa/verify';
+      const payload = { challengeToken };
+      if (step === 'mfa' && useRecoveryCode) {
+        payload.recoveryCode = mfaCode.trim();
+      } else {
+        payload.code = mfaCode.replace(/\s/g, '');
+      }
+
+      const { response, data } = await postJson(path, payload);
+
+      if (response.ok) {
+        if (data.recoveryCodes) {
+          // Show the recovery codes once before entering the app
+          setPendingLogin(data);
+          setStep('recovery-codes');
+        } else {
+          finishLogin(data);
+        }
+      } else if (response.status === 401 && data.error && data.error.includes('expired')) {
+        restartLogin(data.error);
+      } else {
+        setMfaCode('');
+        setError(data.error || 'Invalid verification code');
+      }
+    } catch (err) {
+      handleNetworkError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // First factor accepted (password or single sign-on): continue to MFA or finish
+  const handleLoginResponse = useCallback(async (response, data) => {
+    if (response.ok && data.mfaRequired) {
+      // Password accepted - ask for the authenticator code or passkey
+      setChallengeToken(data.challengeToken);
+      setMfaMethods(data.mfaMethods || ['totp']);
+      setStep('mfa');
+    } else if (response.ok && data.mfaEnrollmentRequired) {
+      // MFA is mandatory for this account type but not set up yet
+      setChallengeToken(data.challengeToken);
+      await startEnrollment(data.challengeToken);
+    } else if (response.ok) {
+      finishLogin(data);
+    } else {
+      // Generic error message - don't expose specific details
+      setError(data.error || 'Login failed. Please check your credentials.');
+    }
+  }, [startEnrollment, finishLogin]);
+
+  // Identity providers to offer next to the password form
+  useEffect(() => {
+    apiFetch('/api/auth/oidc/providers', { auth: false })
+      .then((response) => (response.ok ? response.json() : { providers: [] }))
+      .then((data) => setSsoProviders(data.providers))
+      .catch((err) => console.error('Error loading sign-in options:', err));
+  }, []);
+
+  // Back from the identity provider: exchange the code for a session
+  useEffect(() => {
+    if (!ssoCallback || ssoCallbackHandled.current) {
+      return;
+    }
+    // The code can only be used once
+    ssoCallbackHandled.current = true;
+
+    const expectedState = sessionStorage.getItem(SSO_STATE_KEY);
+    sessionStorage.removeItem(SSO_STATE_KEY);
+    if (ssoCallback.error || !ssoCallback.code) {
+      setError('Single sign-on was cancelled or failed. Please try again.');
+      return;
+    }
+    if (!expectedState || expectedState !== ssoCallback.state) {
+      setError('This sign-in attempt has expired. Please try again.');
+      return;
+    }
+
+    setLoading(true);
+    postJson('/api/auth/oidc/callback', { code: ssoCallback.code, state: ssoCallback.state })
+      .then(({ response, data }) => handleLoginResponse(response, data))
+      .catch(handleNetworkError)
+      .finally(() => setLoading(false));
+  }, [ssoCallback, postJson, handleLoginResponse, handleNetworkError]);
+
+  const startSso = async (providerId) => {
+    setError('');
+    setLoading(true);
+    try {
+      const { response, data } = await postJson(`/api/auth/oidc/${providerId}/start`, {});
+      if (!response.ok) {
+        setError(data.error || 'Single sign-on is unavailable right now.');
+        setLoading(false);
+        return;
+      }
+      sessionStorage.setItem(SSO_STATE_KEY, data.state);
+      window.location.assign(data.authorizationUrl);
+    } catch (err) {
+      handleNetworkError(err);
+      setLoading(false);
+    }
+  };
+
+  // Sign in with a passkey: on its own (patients), or as the second factor when a challenge token is given
+  const signInWithPasskey = async (mfaChallengeToken) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const challengePayload = mfaChallengeToken ? { challengeToken: mfaChallengeToken } : {};
+      const options = await postJson('/api/auth/passkeys/login/options', challengePayload);
+      if (!options.response.ok) {
+        if (options.response.status === 401) {
+          restartLogin(options.data.error);
+        } else {
+          setError(options.data.error || 'Passkey sign-in is unavailable right now.');
+        }
+        return;
+      }
+
+      let credential;
+      try {
+        credential = await getPasskey(options.data);
+      } catch (passkeyError) {
+        // The user closed the browser prompt or has no passkey for this site
+        console.error('Passkey prompt failed:', passkeyError.name);
+        setError('Passkey sign-in was cancelled.');
+        return;
+      }
+
+      const { response, data } = await postJson('/api/auth/passkeys/login', { credential, ...challengePayload });
+      if (mfaChallengeToken && response.status === 401 && data.error && data.error.includes('expired')) {
+        restartLogin(data.error);
+      } else if (mfaChallengeToken && response.ok) {
+        finishLogin(data);
+      } else {
+        await handleLoginResponse(response, data);
+      }
+    } catch (err) {
+      handleNetworkError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
     try {
-      const response = await fetch(`${config.API_BASE_URL}/api/auth/login`, {
+      const response = await apiFetch('/api/auth/login', {
+        auth: false,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -63,30 +294,129 @@ const Login = ({ onLogin, onSwitchToSignup }) => {
         throw parseError;
       }
 
-      if (response.ok) {
-        // Use secure storage instead of direct localStorage
-        setToken(data.token);
-        // Initialize socket connection after login
-        initSocket();
-        onLogin(data.user);
-      } else {
-        // Generic error message - don't expose specific details
-        setError(data.error || 'Login failed. Please check your credentials.');
-      }
+      await handleLoginResponse(response, data);
     } catch (err) {
       // More specific error handling
-      if (err.name === 'TypeError' && err.message.includes('fetch')) {
-        console.error('Network error: Server may not be running');
-        setError('Unable to connect to server. Please ensure the server is running on port 5001.');
-      } else {
-        console.error('Login error occurred:', err.message);
-        setError('An unexpected error occurred. Please try again later.');
-      }
+      handleNetworkError(err);
     } finally {
       setLoading(false);
     }
   };
 
+  if (step === 'recovery-codes' && pendingLogin) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Save Your Recovery Codes</h2>
+          <p className="auth-hint">
+            Each code can be used once to sign in if you lose access to your authenticator app.
+            Store them somewhere safe - they will not be shown again.
+          </p>
+          <ul className="recovery-codes">
+            {pendingLogin.recoveryCodes.map((code) => (
+              <li key={code}>{code}</li>
+            ))}
+          </ul>
+          <button type="button" className="submit-btn" onClick={() => finishLogin(pendingLogin)}>
+            I have saved these codes
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (step === 'mfa' || step === 'enroll') {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>{step === 'enroll' ? 'Set Up Authenticator' : 'Two-Step Verification'}</h2>
+
+          {step === 'enroll' && enrollment && (
+            <div className="mfa-enrollment">
+              <p className="auth-hint">
+                Multi-factor authentication is required for your account.
+                Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+              </p>
+              <img src={enrollment.qrCodeDataUrl} alt="Authenticator QR code" className="mfa-qr" />
+              <p className="auth-hint">
+                Can't scan? Enter this key manually: <code className="mfa-secret">{enrollment.secret}</code>
+              </p>
+            </div>
+          )}
+
+          {step === 'mfa' && mfaMethods.includes('totp') && (
+            <p className="auth-hint">
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when you set up your authenticator.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+          )}
+
+          {step === 'mfa' && mfaMethods.includes('passkey') && (
+            <>
+              {!mfaMethods.includes('totp') && (
+                <p className="auth-hint">Confirm it's you with your passkey.</p>
+              )}
+              <button
+                type="button"
+                className="submit-btn"
+                disabled={loading}
+                onClick={() => signInWithPasskey(challengeToken)}
+              >
+                Use your passkey
+              </button>
+              {!mfaMethods.includes('totp') && error && <div className="error-message">{error}</div>}
+              {mfaMethods.includes('totp') && <div className="sso-divider">or</div>}
+            </>
+          )}
+
+          {(step === 'enroll' || mfaMethods.includes('totp')) && (
+            <form onSubmit={handleMfaSubmit}>
+              <div className="form-group">
+                <label htmlFor="mfaCode">{useRecoveryCode ? 'Recovery Code' : 'Verification Code'}</label>
+                <input
+                  type="text"
+                  id="mfaCode"
+                  name="mfaCode"
+                  value={mfaCode}
+                  onChange={(e) => {
+                    setMfaCode(e.target.value);
+                    setError('');
+                  }}
+                  required
+                  autoFocus
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                />
+              </div>
+
+              {error && <div className="error-message">{error}</div>}
+
+              <button type="submit" className="submit-btn" disabled={loading}>
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+            </form>
+          )}
+
+          <p className="switch-auth">
+            {step === 'mfa' && mfaMethods.includes('totp') && (
+              <>
+                <span onClick={() => { setUseRecoveryCode(!useRecoveryCode); setMfaCode(''); setError(''); }} className="link">
+                  {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </span>
+                {' · '}
+              </>
+            )}
+            <span onClick={() => restartLogin()} className="link">
+              Back to login
+            </span>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -118,6 +448,12 @@ const Login = ({ onLogin, onSwitchToSignup }) => {
             />
           </div>
 
+          <p className="forgot-password">
+            <span onClick={onForgotPassword} className="link">
+              Forgot password?
+            </span>
+          </p>
+
           {error && <div className="error-message">{error}</div>}
 
           <button type="submit" className="submit-btn" disabled={loading}>
@@ -125,6 +461,33 @@ const Login = ({ onLogin, onSwitchToSignup }) => {
           </button>
         </form>
 
+        {(ssoProviders.length > 0 || isPasskeySupported()) && (
+          <>
+            <div className="sso-divider">or</div>
+            {isPasskeySupported() && (
+              <button
+                type="button"
+                className="sso-btn"
+                disabled={loading}
+                onClick={() => signInWithPasskey()}
+              >
+                Sign in with a passkey
+              </button>
+            )}
+            {ssoProviders.map((provider) => (
+              <button
+                key={provider.id}
+                type="button"
+                className="sso-btn"
+                disabled={loading}
+                onClick={() => startSso(provider.id)}
+              >
+                Continue with {provider.name}
+              </button>
+            ))}
+          </>
+        )}
+
         <p className="switch-auth">
           Don't have an account?{' '}
           <span onClick={onSwitchToSignup} className="link">
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { KeyRound, Trash2 } from "lucide-react";
+import { apiFetch } from "../utils/api";
+import { isPasskeySupported, createPasskey } from "../utils/webauthn";
+
+// SQLite timestamps are UTC without a zone marker
+const formatDate = (value) =>
+  value ? new Date(`${value.replace(" ", "T")}Z`).toLocaleDateString() : "";
+
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+// Passkeys: password-free sign-in for patients, a second factor for staff
+const PasskeysPanel = ({ userType }) => {
+  const [passkeys, setPasskeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState("");
+  const [status, setStatus] = useState({});
+
+  const request = async (path, options = {}) => {
+    const response = await apiFetch(`/api/auth/passkeys${path}`, {
+      ...options,
+      headers: { "Content-Type": "application/json" },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "An error occurred");
+    }
+    return data;
+  };
+
+  const fetchPasskeys = useCallback(async () => {
+    try {
+      const data = await request("");
+      setPasskeys(data.passkeys || []);
+    } catch (err) {
+      console.error("Error fetching passkeys:", err);
+      setStatus({ error: "Unable to load your passkeys." });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPasskeys();
+  }, [fetchPasskeys]);
+
+  const addPasskey = async (e) => {
+    e.preventDefault();
+    setAdding(true);
+    setStatus({});
+    try {
+      const options = await request("/register/options", { method: "POST", body: "{}" });
+      let credential;
+      try {
+        credential = await createPasskey(options);
+      } catch (passkeyError) {
+        console.error("Passkey prompt failed:", passkeyError.name);
+        throw new Error("No passkey was created.");
+      }
+      await request("/register", {
+        method: "POST",
+        body: JSON.stringify({ credential, name: name.trim() || undefined }),
+      });
+      setName("");
+      setStatus({ message: "Your passkey has been added." });
+      fetchPasskeys();
+    } catch (err) {
+      setStatus({ error: err.message });
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const removePasskey = async (passkey) => {
+    if (!window.confirm(`Remove the passkey "${passkey.name}"?`)) return;
+    setStatus({});
+    try {
+      await request(`/${passkey.id}`, { method: "DELETE" });
+      fetchPasskeys();
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6">
+      <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2">Passkeys</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        {userType === "patient"
+          ? "Sign in with your fingerprint, face or device PIN instead of your password."
+          : "Use your fingerprint, face or a security key as the verification step after your password."}
+      </p>
+      {status.error && <p className="text-sm text-red-600 mb-4">{status.error}</p>}
+      {status.message && <p className="text-sm text-[#5f7a3d] mb-4">{status.message}</p>}
+      {loading && <p className="text-sm text-gray-500">Loading passkeys...</p>}
+
+      {passkeys.map((passkey) => (
+        <div
+          key={passkey.id}
+          className="flex items-center justify-between gap-4 py-3 border-b border-gray-100"
+        >
+          <div className="flex items-center gap-3">
+            <KeyRound className="w-5 h-5 text-[#5f7a3d]" />
+            <div>
+              <p className="text-sm font-semibold text-[#2d2d2d]">{passkey.name}</p>
+              <p className="text-xs text-gray-500">
+                Added {formatDate(passkey.createdAt)}
+                {passkey.lastUsedAt && ` · Last used ${formatDate(passkey.lastUsedAt)}`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => removePasskey(passkey)}
+            className="p-2 text-gray-500 hover:text-red-600"
+            aria-label={`Remove ${passkey.name}`}
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      {isPasskeySupported() ? (
+        <form onSubmit={addPasskey} className="flex items-center gap-3 pt-4">
+          <input
+            name="name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={60}
+            placeholder="Name, e.g. My phone"
+            className="flex-1 rounded-xl border border-gray-300 px-4 py-2.5 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={adding}
+            className={`${buttonClass} bg-[#5f7a3d] text-white`}
+          >
+            {adding ? "WAITING..." : "ADD PASSKEY"}
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-500 pt-4">This browser doesn't support passkeys.</p>
+      )}
+    </div>
+  );
+};
+
+export default PasskeysPanel;
@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import './PractitionerDashboard.css';
-import { getToken, removeToken } from '../utils/secureStorage';
-import { initSocket, disconnectSocket } from '../utils/socket';
-import config from '../utils/config';
+import { initSocket } from '../utils/socket';
+import AccountSettings from './AccountSettings';
+import BreakGlassPanel from './BreakGlassPanel';
 
-const PractitionerDashboard = ({ user, onLogout }) => {
+const PractitionerDashboard = ({ user, onLogout, onProfileChange }) => {
   const [activeTab, setActiveTab] = useState('upcoming');
+  const [activeView, setActiveView] = useState('dashboard');
 
   // Socket.IO heartbeat to keep session active
   useEffect(() => {
@@ -111,12 +112,32 @@ const PractitionerDashboard = ({ user, onLogout }) => {
             <span className="logo-text">KNKO</span>
           </div>
           <nav className="main-nav">
-            <a href="#dashboard" className="nav-link active">Dashboard</a>
+            <a
+              href="#dashboard"
+              className={`nav-link ${activeView === 'dashboard' ? 'active' : ''}`}
+              onClick={() => setActiveView('dashboard')}
+            >
+              Dashboard
+            </a>
             <a href="#appointments" className="nav-link">Appointments</a>
             <a href="#wellness" className="nav-link">Wellness</a>
             <a href="#services" className="nav-link">Services</a>
             <a href="#haven" className="nav-link">Haven</a>
             <a href="#clinical-notes" className="nav-link">Clinical Notes</a>
+            <a
+              href="#emergency-access"
+              className={`nav-link ${activeView === 'emergency-access' ? 'active' : ''}`}
+              onClick={() => setActiveView('emergency-access')}
+            >
+              Emergency Access
+            </a>
+            <a
+              href="#settings"
+              className={`nav-link ${activeView === 'settings' ? 'active' : ''}`}
+              onClick={() => setActiveView('settings')}
+            >
+              Settings
+            </a>
           </nav>
         </div>
         <div className="header-right">
@@ -131,26 +152,9 @@ const PractitionerDashboard = ({ user, onLogout }) => {
               <div className="profile-status">Premium</div>
             </div>
           </div>
+          {/* Signs out (or, when viewing as this practitioner, returns to the admin's own account) */}
           <button 
-            onClick={async () => {
-              try {
-                const token = getToken();
-                if (token) {
-                  await fetch(`${config.API_BASE_URL}/api/auth/logout`, {
-                    method: 'POST',
-                    headers: {
-                      'Authorization': `Bearer ${token}`
-                    }
-                  });
-                }
-              } catch (error) {
-                console.error('Logout error:', error);
-              } finally {
-                disconnectSocket();
-                removeToken();
-                onLogout();
-              }
-            }} 
+            onClick={onLogout} 
             className="logout-btn-header"
           >
             Logout
@@ -158,8 +162,22 @@ const PractitionerDashboard = ({ user, onLogout }) => {
         </div>
       </header>
 
+      {activeView === 'settings' && (
+        <main className="dashboard-main">
+          <h1 className="greeting">Settings</h1>
+          <AccountSettings onProfileChange={onProfileChange} />
+        </main>
+      )}
+
+      {activeView === 'emergency-access' && (
+        <main className="dashboard-main">
+          <h1 className="greeting">Emergency Access</h1>
+          <BreakGlassPanel />
+        </main>
+      )}
+
       {/* Main Content */}
-      <main className="dashboard-main">
+      <main className="dashboard-main" hidden={activeView !== 'dashboard'}>
         <h1 className="greeting">Hello {firstName},</h1>
 
         {/* Top Section - Wellness Score and Metrics */}
@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { UsersRound } from "lucide-react";
+import { apiFetch } from "../utils/api";
+
+const SCOPES = [
+  { value: "book", label: "Book and manage appointments" },
+  { value: "view_documents", label: "View documents and records" },
+  { value: "message", label: "Message practitioners" },
+];
+
+const RELATIONSHIPS = ["parent", "guardian", "caregiver", "family", "other"];
+
+const EMPTY_INVITATION = { email: "", relationship: "parent", scopes: ["book", "view_documents"] };
+
+const inputClass =
+  "w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm text-[#2d2d2d] focus:outline-none focus:border-[#5f7a3d]";
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+// SQLite timestamps are UTC without a zone marker
+const formatDate = (value) => (value ? new Date(`${value.replace(" ", "T")}Z`).toLocaleDateString() : "");
+
+const toggle = (scopes, scope) =>
+  scopes.includes(scope) ? scopes.filter((entry) => entry !== scope) : [...scopes, scope];
+
+const ScopeCheckboxes = ({ idPrefix, scopes, onChange }) => (
+  <div className="flex flex-wrap gap-4">
+    {SCOPES.map((scope) => (
+      <label key={scope.value} htmlFor={`${idPrefix}-${scope.value}`} className="text-sm text-gray-700 flex items-center gap-2">
+        <input
+          id={`${idPrefix}-${scope.value}`}
+          type="checkbox"
+          checked={scopes.includes(scope.value)}
+          onChange={() => onChange(toggle(scopes, scope.value))}
+        />
+        {scope.label}
+      </label>
+    ))}
+  </div>
+);
+
+// Patients: let a parent, guardian or caregiver act for them, and see who they act for
+const ProxyAccessPanel = () => {
+  const [relationships, setRelationships] = useState({ dependents: [], proxies: [], invitations: [] });
+  const [form, setForm] = useState(EMPTY_INVITATION);
+  const [status, setStatus] = useState({});
+
+  const request = async (path, options = {}) => {
+    const response = await apiFetch(`/api/proxies${path}`, {
+      ...options,
+      headers: { "Content-Type": "application/json" },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "An error occurred");
+    }
+    return data;
+  };
+
+  const fetchRelationships = useCallback(async () => {
+    try {
+      setRelationships(await request(""));
+    } catch (err) {
+      console.error("Error fetching proxy access:", err);
+      setStatus({ error: "Unable to load proxy access." });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRelationships();
+  }, [fetchRelationships]);
+
+  const invite = async (e) => {
+    e.preventDefault();
+    setStatus({ saving: true });
+    try {
+      await request("/invitations", { method: "POST", body: JSON.stringify(form) });
+      setStatus({ message: `We've emailed an invitation to ${form.email}.` });
+      setForm(EMPTY_INVITATION);
+      fetchRelationships();
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const updateScopes = async (proxy, scopes) => {
+    setStatus({});
+    try {
+      await request(`/${proxy.id}`, { method: "PUT", body: JSON.stringify({ scopes }) });
+      setStatus({ message: `Updated what ${proxy.firstName} can do for you.` });
+      fetchRelationships();
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const revoke = async (id) => {
+    setStatus({});
+    try {
+      const data = await request(`/${id}`, { method: "DELETE" });
+      setStatus({ message: data.message });
+      fetchRelationships();
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6 space-y-6">
+      <div>
+        <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2 flex items-center gap-2">
+          <UsersRound className="w-5 h-5" />
+          Proxy access
+        </h2>
+        <p className="text-sm text-gray-600">
+          Let a parent, guardian or caregiver help manage your care from their own account. You
+          choose what they can do, and everything they do for you is recorded.
+        </p>
+      </div>
+
+      {status.error && <p className="text-sm text-red-600">{status.error}</p>}
+      {status.message && <p className="text-sm text-[#5f7a3d]">{status.message}</p>}
+
+      {relationships.proxies.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-[#2d2d2d] mb-2">People who can act for you</h3>
+          {relationships.proxies.map((proxy) => (
+            <div key={proxy.id} className="py-3 border-b border-gray-100 space-y-2">
+              <div className="flex items-center justify-between gap-4">
+                <p className="text-sm font-semibold text-[#2d2d2d]">
+                  {proxy.firstName} {proxy.lastName}
+                  <span className="font-normal text-gray-500">
+                    {" "}· {proxy.email} · {proxy.relationship} since {formatDate(proxy.acceptedAt)}
+                  </span>
+                </p>
+                <button onClick={() => revoke(proxy.id)} className={`${buttonClass} border border-gray-300 text-gray-700`}>
+                  REMOVE
+                </button>
+              </div>
+              <ScopeCheckboxes
+                idPrefix={`proxy-${proxy.id}`}
+                scopes={proxy.scopes}
+                onChange={(scopes) => scopes.length > 0 && updateScopes(proxy, scopes)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {relationships.invitations.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-[#2d2d2d] mb-2">Waiting to be accepted</h3>
+          {relationships.invitations.map((invitation) => (
+            <div key={invitation.id} className="flex items-center justify-between gap-4 py-3 border-b border-gray-100">
+              <p className="text-sm text-[#2d2d2d]">
+                {invitation.email}
+                <span className="text-gray-500"> · {invitation.relationship} · expires {formatDate(invitation.expiresAt)}</span>
+              </p>
+              <button onClick={() => revoke(invitation.id)} className={`${buttonClass} border border-gray-300 text-gray-700`}>
+                CANCEL
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={invite} className="space-y-3">
+        <h3 className="text-sm font-semibold text-[#2d2d2d]">Invite someone</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input
+            type="email"
+            name="email"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+            placeholder="Their email address"
+            required
+            className={inputClass}
+          />
+          <select
+            name="relationship"
+            value={form.relationship}
+            onChange={(e) => setForm({ ...form, relationship: e.target.value })}
+            className={inputClass}
+          >
+            {RELATIONSHIPS.map((relationship) => (
+              <option key={relationship} value={relationship}>
+                {relationship.charAt(0).toUpperCase() + relationship.slice(1)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <ScopeCheckboxes idPrefix="invite" scopes={form.scopes} onChange={(scopes) => setForm({ ...form, scopes })} />
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={status.saving || form.scopes.length === 0}
+            className={`${buttonClass} bg-[#5f7a3d] text-white`}
+          >
+            {status.saving ? "SENDING..." : "SEND INVITATION"}
+          </button>
+        </div>
+      </form>
+
+      {relationships.dependents.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-[#2d2d2d] mb-2">People you act for</h3>
+          <p className="text-xs text-gray-500 mb-2">Switch to them with the profile menu at the top of the page.</p>
+          {relationships.dependents.map((dependent) => (
+            <div key={dependent.id} className="flex items-center justify-between gap-4 py-3 border-b border-gray-100">
+              <p className="text-sm text-[#2d2d2d]">
+                {dependent.firstName} {dependent.lastName}
+                <span className="text-gray-500">
+                  {" "}· {dependent.relationship} · {dependent.scopes.map((scope) => SCOPES.find((entry) => entry.value === scope).label.toLowerCase()).join(", ")}
+                </span>
+              </p>
+              <button onClick={() => revoke(dependent.id)} className={`${buttonClass} border border-gray-300 text-gray-700`}>
+                STOP
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProxyAccessPanel;
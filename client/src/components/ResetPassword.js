@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import './Auth.css';
+import config from '../utils/config';
+
+const ResetPassword = ({ token, onSwitchToLogin, onRequestNewLink }) => {
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token, password: formData.password })
+      });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch {
+        data = {};
+      }
+
+      if (response.ok) {
+        setMessage(data.message);
+      } else {
+        setError(data.error || 'Unable to reset password. Please try again.');
+      }
+    } catch (err) {
+      console.error('Reset password error occurred:', err.message);
+      setError('Unable to connect to server. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Reset Password</h2>
+          <div className="error-message">This reset link is invalid or incomplete.</div>
+          <p className="switch-auth">
+            <span onClick={onRequestNewLink} className="link">
+              Request a new link
+            </span>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Reset Password</h2>
+        {message ? (
+          <>
+            <div className="success-message">{message}</div>
+            <button type="button" className="submit-btn" onClick={onSwitchToLogin}>
+              Go to Login
+            </button>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="password">New Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                placeholder="Enter a new password (min 8 characters)"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                placeholder="Confirm your new password"
+              />
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="submit-btn" disabled={loading}>
+              {loading ? 'Resetting...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        {!message && (
+          <p className="switch-auth">
+            <span onClick={onRequestNewLink} className="link">
+              Request a new link
+            </span>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
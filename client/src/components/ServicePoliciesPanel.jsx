@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { CalendarX } from "lucide-react";
+import { apiFetch } from "../utils/api";
+
+const POLICY_INPUTS = [
+  { field: "cancelNoticeHours", label: "Notice (hours)" },
+  { field: "lateCancelFeePercent", label: "Late fee (%)", max: 100 },
+  { field: "maxReschedules", label: "Moves allowed" },
+];
+
+const inputClass =
+  "w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm text-[#2d2d2d] focus:outline-none focus:border-[#5f7a3d]";
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+const request = async (path, options = {}) => {
+  const response = await apiFetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "An error occurred");
+  }
+  return data;
+};
+
+// A service's own values as form strings; blank follows the clinic default
+const toForm = (overrides) =>
+  POLICY_INPUTS.reduce(
+    (form, { field }) => ({ ...form, [field]: overrides[field] === null ? "" : String(overrides[field]) }),
+    {}
+  );
+
+const formsFor = (services) =>
+  services.reduce((forms, service) => ({ ...forms, [service.id]: toForm(service.overrides) }), {});
+
+// Admins: each service's cancellation notice, late-cancel fee and how often patients can move a booking
+const ServicePoliciesPanel = () => {
+  const [clinic, setClinic] = useState(null);
+  const [services, setServices] = useState([]);
+  const [forms, setForms] = useState({});
+  const [status, setStatus] = useState({});
+
+  const fetchPolicies = useCallback(async () => {
+    try {
+      const data = await request("/api/admin/services/policies");
+      setClinic(data.clinic);
+      setServices(data.services);
+      setForms(formsFor(data.services));
+    } catch (err) {
+      console.error("Error fetching service policies:", err);
+      setStatus({ error: "Unable to load service policies." });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const changeField = (serviceId, field, value) =>
+    setForms({ ...forms, [serviceId]: { ...forms[serviceId], [field]: value } });
+
+  const savePolicy = async (e, serviceId) => {
+    e.preventDefault();
+    setStatus({});
+    const body = POLICY_INPUTS.reduce(
+      (values, { field }) => ({ ...values, [field]: forms[serviceId][field] === "" ? null : Number(forms[serviceId][field]) }),
+      {}
+    );
+    try {
+      const data = await request(`/api/admin/services/${serviceId}/policy`, {
+        method: "PUT",
+        body: JSON.stringify(body),
+      });
+      setStatus({ message: data.message });
+      setServices(data.services);
+      setForms(formsFor(data.services));
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl p-6 space-y-6">
+      <div>
+        <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2 flex items-center gap-2">
+          <CalendarX className="w-5 h-5" />
+          Cancellation and rescheduling
+        </h2>
+        <p className="text-sm text-gray-600">
+          A patient who cancels a confirmed appointment inside the notice window pays the late fee, as a
+          share of its price. Leave a field blank to use the clinic default
+          {clinic &&
+            ` (${clinic.cancelNoticeHours} hours, ${clinic.lateCancelFeePercent}%, ${clinic.maxReschedules} moves)`}
+          .
+        </p>
+      </div>
+
+      {status.error && <p className="text-sm text-red-600">{status.error}</p>}
+      {status.message && <p className="text-sm text-[#5f7a3d]">{status.message}</p>}
+
+      {services.map((service) => (
+        <form
+          key={service.id}
+          onSubmit={(e) => savePolicy(e, service.id)}
+          className="grid grid-cols-1 md:grid-cols-[1fr_repeat(3,8rem)_auto] items-end gap-4 py-3 border-b border-gray-100"
+        >
+          <p className="text-sm text-[#2d2d2d] self-center">
+            <span className="font-semibold">{service.name}</span>
+            <span className="text-gray-500"> · {service.category}</span>
+          </p>
+          {POLICY_INPUTS.map(({ field, label, max }) => (
+            <label key={field} className="text-xs text-gray-500">
+              {label}
+              <input
+                type="number"
+                min={0}
+                max={max}
+                step={1}
+                value={forms[service.id] ? forms[service.id][field] : ""}
+                onChange={(e) => changeField(service.id, field, e.target.value)}
+                placeholder={clinic ? String(clinic[field]) : ""}
+                className={inputClass}
+              />
+            </label>
+          ))}
+          <button type="submit" className={`${buttonClass} bg-[#5f7a3d] text-white`}>
+            SAVE
+          </button>
+        </form>
+      ))}
+    </div>
+  );
+};
+
+export default ServicePoliciesPanel;
@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
 import './Auth.css';
-import { setToken } from '../utils/secureStorage';
+import { setToken, startTokenRefresh } from '../utils/secureStorage';
 import { initSocket } from '../utils/socket';
-import config from '../utils/config';
+import { apiFetch } from '../utils/api';
 
 const Signup = ({ onSignup, onSwitchToLogin }) => {
   const [formData, setFormData] = useState({
@@ -10,8 +10,7 @@ const Signup = ({ onSignup, onSwitchToLogin }) => {
     password: '',
     confirmPassword: '',
     firstName: '',
-    lastName: '',
-    userType: 'patient'
+    lastName: ''
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
@@ -42,7 +41,8 @@ const Signup = ({ onSignup, onSwitchToLogin }) => {
     setLoading(true);
 
     try {
-      const response = await fetch(`${config.API_BASE_URL}/api/auth/signup`, {
+      const response = await apiFetch('/api/auth/signup', {
+        auth: false,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -51,8 +51,7 @@ const Signup = ({ onSignup, onSwitchToLogin }) => {
           email: formData.email,
           password: formData.password,
           firstName: formData.firstName,
-          lastName: formData.lastName,
-          userType: formData.userType
+          lastName: formData.lastName
         })
       });
 
@@ -83,7 +82,9 @@ const Signup = ({ onSignup, onSwitchToLogin }) => {
 
       if (response.ok) {
         // Use secure storage instead of direct localStorage
-        setToken(data.token);
+        setToken(data.token, { refreshToken: data.refreshToken, expiresIn: data.expiresIn, csrfToken: data.csrfToken });
+        // Refresh the short-lived access token silently before it expires
+        startTokenRefresh();
         // Initialize socket connection after signup
         initSocket();
         onSignup(data.user);
@@ -113,22 +114,10 @@ const Signup = ({ onSignup, onSwitchToLogin }) => {
     <div className="auth-container">
       <div className="auth-card">
         <h2>Sign Up</h2>
+        <p className="auth-hint">
+          Create a patient account. Practitioners and administrators join by invitation.
+        </p>
         <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label htmlFor="userType">Account Type</label>
-            <select
-              id="userType"
-              name="userType"
-              value={formData.userType}
-              onChange={handleChange}
-              required
-            >
-              <option value="patient">Patient</option>
-              <option value="practitioner">Practitioner</option>
-              <option value="admin">Admin</option>
-            </select>
-          </div>
-
           <div className="form-group">
             <label htmlFor="firstName">First Name</label>
             <input
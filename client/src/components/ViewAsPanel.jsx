@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from "react";
+import { Eye } from "lucide-react";
+import { apiFetch } from "../utils/api";
+import { setImpersonation } from "../utils/impersonation";
+
+const MIN_REASON_LENGTH = 15;
+
+const buttonClass =
+  "px-5 py-2.5 rounded-full font-semibold text-sm whitespace-nowrap disabled:opacity-60";
+
+// Admins: see the app exactly as a patient or practitioner does (read-only, time-limited)
+const ViewAsPanel = () => {
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState({ userId: "", reason: "" });
+  const [starting, setStarting] = useState(false);
+  const [status, setStatus] = useState({});
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const response = await apiFetch("/api/admin/users?status=approved");
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || "An error occurred");
+        }
+        setUsers((data.users || []).filter((user) => !user.roles.includes("admin")));
+      } catch (err) {
+        console.error("Error fetching users:", err);
+        setStatus({ error: "Unable to load user accounts." });
+      }
+    };
+    fetchUsers();
+  }, []);
+
+  const startViewAs = async (e) => {
+    e.preventDefault();
+    setStarting(true);
+    setStatus({});
+    try {
+      const response = await apiFetch("/api/admin/impersonation", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ userId: parseInt(form.userId, 10), reason: form.reason.trim() }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "An error occurred");
+      }
+
+      // Reload into the user's dashboard; the banner shows from there on
+      setImpersonation(data);
+      window.location.assign(
+        data.impersonation.user.userType === "practitioner" ? "/practitioner-dashboard" : "/user-dashboard"
+      );
+    } catch (err) {
+      setStatus({ error: err.message });
+      setStarting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={startViewAs} className="bg-white rounded-3xl p-6">
+      <h2 className="text-xl libre-font font-semibold text-[#5f7a3d] mb-2 flex items-center gap-2">
+        <Eye className="w-5 h-5" />
+        View as a user
+      </h2>
+      <p className="text-sm text-gray-600 mb-6">
+        See exactly what a patient or practitioner sees, without being able to change anything.
+        It ends after a few minutes; the reason you give and every page you open are logged.
+      </p>
+      {status.error && <p className="text-sm text-red-600 mb-4">{status.error}</p>}
+      <div className="space-y-3">
+        <select
+          name="userId"
+          value={form.userId}
+          onChange={(e) => setForm({ ...form, userId: e.target.value })}
+          required
+          className="w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm"
+        >
+          <option value="">Choose an account</option>
+          {users.map((user) => (
+            <option key={user.id} value={user.id}>
+              {user.firstName} {user.lastName} · {user.email} ({user.userType})
+            </option>
+          ))}
+        </select>
+        <textarea
+          name="reason"
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          placeholder="Reason, e.g. the support ticket you're working on"
+          minLength={MIN_REASON_LENGTH}
+          maxLength={1000}
+          rows={2}
+          required
+          className="w-full rounded-xl border border-gray-300 px-4 py-2.5 text-sm"
+        />
+      </div>
+      <div className="flex justify-end mt-4">
+        <button
+          type="submit"
+          disabled={starting || !form.userId || form.reason.trim().length < MIN_REASON_LENGTH}
+          className={`${buttonClass} bg-[#5f7a3d] text-white`}
+        >
+          {starting ? "STARTING..." : "VIEW AS"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ViewAsPanel;
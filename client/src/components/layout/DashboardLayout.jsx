@@ -1,5 +1,6 @@
 import { Outlet } from 'react-router-dom'
 import Sidebar from './Sidebar'
+import Header from './Header'
 
 const DashboardLayout = () => {
   return (
@@ -9,7 +10,7 @@ const DashboardLayout = () => {
       
       {/* Main Content */}
       <div className="flex-1 flex flex-col">
-        {/* <Header /> */}
+        <Header />
         <main className="flex-1">
           <Outlet />
         </main>
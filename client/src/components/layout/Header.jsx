@@ -1,30 +1,77 @@
-import React from 'react'
-import { Link } from 'react-router-dom'
+import React, { useState, useEffect } from 'react'
+import { UsersRound } from 'lucide-react'
+import { apiFetch } from '../../utils/api'
+import { getActingAs, setActingAs, clearActingAs } from '../../utils/proxy'
 
+// Profile switcher for caregivers: act as yourself or as someone who gave you proxy access
 const Header = () => {
+  const [dependents, setDependents] = useState([])
+  const [actingAs] = useState(getActingAs)
+
+  useEffect(() => {
+    const fetchDependents = async () => {
+      try {
+        const response = await apiFetch('/api/proxies')
+        if (!response.ok) return
+        const data = await response.json()
+        setDependents(data.dependents || [])
+
+        // Access was removed since this tab switched profile
+        const current = getActingAs()
+        if (current && !(data.dependents || []).some((dependent) => dependent.userId === current.userId)) {
+          clearActingAs()
+          window.location.reload()
+        }
+      } catch (err) {
+        console.error('Error fetching proxy access:', err)
+      }
+    }
+    fetchDependents()
+  }, [])
+
+  if (dependents.length === 0) {
+    return null
+  }
+
+  // Reload so every page fetches its data for the chosen person
+  const switchProfile = (e) => {
+    const dependent = dependents.find((entry) => String(entry.userId) === e.target.value)
+    if (dependent) {
+      setActingAs(dependent)
+    } else {
+      clearActingAs()
+    }
+    window.location.reload()
+  }
+
   return (
-    <header className="w-full bg-slate-800 text-white shadow-md">
-      <div className="container mx-auto px-4 py-4">
-        <nav className="flex items-center justify-between">
-          <Link to="/dashboard" className="text-2xl font-bold">
-            KNKO Dashboard
-          </Link>
-          <div className="flex gap-6">
-            <Link to="/dashboard" className="hover:text-slate-300 transition-colors">
-              Dashboard
-            </Link>
-            <Link to="/dashboard/appointment" className="hover:text-slate-300 transition-colors">
-              Appointments
-            </Link>
-            <Link to="/dashboard/services" className="hover:text-slate-300 transition-colors">
-              Services
-            </Link>
-            <Link to="/dashboard/wellness" className="hover:text-slate-300 transition-colors">
-              Wellness
-            </Link>
-          </div>
-        </nav>
-      </div>
+    <header
+      className={`w-full px-6 py-3 flex flex-wrap items-center justify-end gap-3 ${
+        actingAs ? 'bg-[#5f7a3d] text-white' : 'bg-white text-[#2d2d2d]'
+      }`}
+    >
+      {actingAs && (
+        <span className="text-sm mr-auto">
+          You are acting for <strong>{actingAs.firstName} {actingAs.lastName}</strong>
+        </span>
+      )}
+      <label htmlFor="profileSwitcher" className="text-sm flex items-center gap-2">
+        <UsersRound className="w-4 h-4" />
+        Profile
+      </label>
+      <select
+        id="profileSwitcher"
+        value={actingAs ? String(actingAs.userId) : ''}
+        onChange={switchProfile}
+        className="rounded-full border border-gray-300 px-4 py-1.5 text-sm text-[#2d2d2d]"
+      >
+        <option value="">Me</option>
+        {dependents.map((dependent) => (
+          <option key={dependent.id} value={dependent.userId}>
+            {dependent.firstName} {dependent.lastName} ({dependent.relationship})
+          </option>
+        ))}
+      </select>
     </header>
   )
 }
@@ -6,6 +6,7 @@ import {
   FileInput,
   UserRoundPlus,
   TextSearch,
+  Settings,
 } from "lucide-react";
 import { NavLink } from "react-router-dom";
 
@@ -53,6 +54,12 @@ const Sidebar = () => {
       icon: FileInput,
       path: "/user-dashboard/resources",
     },
+    {
+      id: 8,
+      name: "Settings",
+      icon: Settings,
+      path: "/user-dashboard/settings",
+    },
   ];
 
   return (
@@ -1,135 +1,286 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { apiFetch } from "../../../utils/api";
+import { getSocket } from "../../../utils/socket";
+import { dateIn, formatDateTime, formatTime, getViewerTimeZone, timeZoneName } from "../../../utils/timezone";
+
+const SERVICE_IMAGES = [
+  "https://images.unsplash.com/photo-1544161515-4ab6ce6db874?w=100&h=100&fit=crop",
+  "https://images.unsplash.com/photo-1519823551278-64ac92734fb1?w=100&h=100&fit=crop",
+  "https://images.unsplash.com/photo-1600334129128-685c5582fd35?w=100&h=100&fit=crop",
+  "https://images.unsplash.com/photo-1515377905703-c4788e51af15?w=100&h=100&fit=crop",
+  "https://images.unsplash.com/photo-1507652313519-d4e9174996dd?w=100&h=100&fit=crop",
+];
+
+const STATUS_LABELS = {
+  requested: "Awaiting confirmation",
+  no_show: "Missed",
+};
+
+const CANCEL_REASONS = ["Schedule conflict", "Feeling unwell", "No longer needed", "Other"];
+
+const formatFee = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+// What a cancellation or move of a series appointment applies to
+const SCOPES = [
+  { id: "this", label: "This appointment only" },
+  { id: "following", label: "This and following" },
+];
+
+const formatRepeat = (series) =>
+  series.intervalWeeks === 1 ? "Every week" : `Every ${series.intervalWeeks} weeks`;
+
+// A series' appointments together, where its first one falls in the list
+const groupBySeries = (appointments) =>
+  appointments.reduce((groups, appointment) => {
+    const group =
+      appointment.series && groups.find((g) => g.series && g.series.id === appointment.series.id);
+    if (group) {
+      group.appointments.push(appointment);
+    } else {
+      groups.push({ series: appointment.series, appointments: [appointment] });
+    }
+    return groups;
+  }, []);
+
+const ScopeChoice = ({ value, onChange }) => (
+  <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+    {SCOPES.map((scope) => (
+      <label key={scope.id} className="flex items-center gap-2 cursor-pointer">
+        <input
+          type="radio"
+          checked={value === scope.id}
+          onChange={() => onChange(scope.id)}
+          className="accent-[#5f7a3d]"
+        />
+        {scope.label}
+      </label>
+    ))}
+  </div>
+);
+
+// Upcoming is everything still ahead; the other tabs go by status
+const inTab = (appointment, tab) => {
+  if (tab === "upcoming") {
+    return (
+      ["requested", "confirmed"].includes(appointment.status) &&
+      Date.parse(appointment.end) > Date.now()
+    );
+  }
+  if (tab === "completed") {
+    return ["completed", "no_show"].includes(appointment.status);
+  }
+  return appointment.status === tab;
+};
+
+const formatDay = (instant) =>
+  new Date(instant).toLocaleDateString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone: getViewerTimeZone(),
+  });
 
 const Appointment = () => {
   const [activeTab, setActiveTab] = useState("upcoming");
+  const [appointments, setAppointments] = useState([]);
+  const [status, setStatus] = useState({ loading: true });
+  // The cancellation or move being set up: { type, appointment, ... }
+  const [change, setChange] = useState(null);
+  const [waitlist, setWaitlist] = useState([]);
 
-  const appointments = [
-    // Upcoming appointments
-    {
-      id: 1,
-      title: "Deep Tissue Massage",
-      practitioner: "Dr. Michael Chen",
-      date: "Tue, Nov 18",
-      time: "10:00 PM",
-      duration: "90 Min",
-      image:
-        "https://images.unsplash.com/photo-1544161515-4ab6ce6db874?w=100&h=100&fit=crop",
-      status: "upcoming",
-    },
-    {
-      id: 2,
-      title: "Swedish Relaxation Massage",
-      practitioner: "Dr. Sarah Williams",
-      date: "Thu, Nov 21",
-      time: "2:00 PM",
-      duration: "60 Min",
-      image:
-        "https://images.unsplash.com/photo-1519823551278-64ac92734fb1?w=100&h=100&fit=crop",
-      status: "upcoming",
-    },
-    // Completed appointments
-    {
-      id: 3,
-      title: "Deep Tissue Massage - Upper Back Focus",
-      practitioner: "Dr. Michael Chen",
-      date: "Nov 29, 2024",
-      time: "4:30 PM",
-      duration: "60 Min",
-      image:
-        "https://images.unsplash.com/photo-1544161515-4ab6ce6db874?w=100&h=100&fit=crop",
-      status: "completed",
-    },
-    {
-      id: 4,
-      title: "Deep Tissue Massage - Upper Back Focus",
-      practitioner: "Dr. Sarah Williams",
-      date: "Nov 29, 2024",
-      time: "4:30 PM",
-      duration: "60 Min",
-      image:
-        "https://images.unsplash.com/photo-1519823551278-64ac92734fb1?w=100&h=100&fit=crop",
-      status: "completed",
-    },
-    {
-      id: 5,
-      title: "Hot Stone Therapy",
-      practitioner: "Dr. Emily Rodriguez",
-      date: "Nov 15, 2024",
-      time: "11:00 AM",
-      duration: "75 Min",
-      image:
-        "https://images.unsplash.com/photo-1600334129128-685c5582fd35?w=100&h=100&fit=crop",
-      status: "completed",
-    },
-    {
-      id: 6,
-      title: "Sports Massage - Full Body",
-      practitioner: "Dr. Michael Chen",
-      date: "Nov 10, 2024",
-      time: "3:00 PM",
-      duration: "90 Min",
-      image:
-        "https://images.unsplash.com/photo-1515377905703-c4788e51af15?w=100&h=100&fit=crop",
-      status: "completed",
-    },
-    // Confirmed appointments
-    {
-      id: 7,
-      title: "Aromatherapy Massage",
-      practitioner: "Dr. Lisa Thompson",
-      date: "Dec 5, 2024",
-      time: "10:30 AM",
-      duration: "60 Min",
-      image:
-        "https://images.unsplash.com/photo-1600334129128-685c5582fd35?w=100&h=100&fit=crop",
-      status: "confirmed",
-    },
-    {
-      id: 8,
-      title: "Prenatal Massage",
-      practitioner: "Dr. Sarah Williams",
-      date: "Dec 8, 2024",
-      time: "1:00 PM",
-      duration: "45 Min",
-      image:
-        "https://images.unsplash.com/photo-1515377905703-c4788e51af15?w=100&h=100&fit=crop",
-      status: "confirmed",
-    },
-    {
-      id: 9,
-      title: "Reflexology Session",
-      practitioner: "Dr. Emily Rodriguez",
-      date: "Dec 12, 2024",
-      time: "4:00 PM",
-      duration: "30 Min",
-      image:
-        "https://images.unsplash.com/photo-1507652313519-d4e9174996dd?w=100&h=100&fit=crop",
-      status: "confirmed",
-    },
-    // Cancelled appointments
-    {
-      id: 10,
-      title: "Couples Massage",
-      practitioner: "Dr. Michael Chen",
-      date: "Oct 20, 2024",
-      time: "5:00 PM",
-      duration: "90 Min",
-      image:
-        "https://images.unsplash.com/photo-1507652313519-d4e9174996dd?w=100&h=100&fit=crop",
-      status: "cancelled",
-    },
-    {
-      id: 11,
-      title: "Thai Massage",
-      practitioner: "Dr. Lisa Thompson",
-      date: "Oct 15, 2024",
-      time: "11:30 AM",
-      duration: "60 Min",
-      image:
-        "https://images.unsplash.com/photo-1544161515-4ab6ce6db874?w=100&h=100&fit=crop",
-      status: "cancelled",
-    },
-  ];
+  // The patient's appointments, or those of the patient this tab acts for
+  const loadAppointments = async () => {
+    try {
+      const response = await apiFetch("/api/appointments", { onBehalf: true });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not load your appointments");
+      }
+      setAppointments(data.appointments);
+      setStatus({});
+    } catch (error) {
+      setStatus({ error: error.message });
+    }
+  };
+
+  // Waitlist places, with any slot currently held for the patient
+  const loadWaitlist = async () => {
+    try {
+      const response = await apiFetch("/api/waitlist", { onBehalf: true });
+      const data = await response.json();
+      if (response.ok) {
+        setWaitlist(data.entries);
+      }
+    } catch (error) {
+      console.error("Error loading waitlist:", error);
+    }
+  };
+
+  useEffect(() => {
+    loadAppointments();
+    loadWaitlist();
+
+    // A practitioner confirmed or cancelled one, or a waitlisted time opened up
+    const socket = getSocket();
+    if (socket) {
+      socket.on("appointment:updated", loadAppointments);
+      socket.on("waitlist:offer", loadWaitlist);
+      return () => {
+        socket.off("appointment:updated", loadAppointments);
+        socket.off("waitlist:offer", loadWaitlist);
+      };
+    }
+    return undefined;
+  }, []);
+
+  // Later appointments of the same series that a "this and following" change would include
+  const hasFollowing = (appointment) =>
+    Boolean(appointment.series) &&
+    appointments.some(
+      (other) =>
+        other.series?.id === appointment.series.id &&
+        other.start > appointment.start &&
+        ["requested", "confirmed"].includes(other.status)
+    );
+
+  // Sends a cancellation or move; the server's error stays on screen if it refuses,
+  // with the series dates it couldn't change
+  const sendChange = async (path, method, body, fallback) => {
+    try {
+      const response = await apiFetch(path, {
+        method,
+        onBehalf: true,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setStatus({
+          error: data.error || fallback,
+          occurrences: (data.occurrences || []).filter((occurrence) => !occurrence.available),
+        });
+        return;
+      }
+      setChange(null);
+      await loadAppointments();
+      setStatus({ message: data.message });
+    } catch (error) {
+      setStatus({ error: error.message });
+    }
+  };
+
+  // Asks the server what cancelling now would cost before the patient confirms
+  const startCancel = async (appointment, scope = "this") => {
+    setStatus({});
+    try {
+      const response = await apiFetch(
+        `/api/appointments/${appointment.id}/cancellation${scope === "following" ? "?scope=following" : ""}`,
+        { onBehalf: true }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not check this appointment's cancellation terms");
+      }
+      // Switching between this and following keeps the reason already chosen
+      setChange((previous) => ({
+        reason: "",
+        details: "",
+        ...(previous?.type === "cancel" && previous.appointment.id === appointment.id && previous),
+        type: "cancel",
+        appointment,
+        scope,
+        terms: data.cancellation,
+      }));
+    } catch (error) {
+      setStatus({ error: error.message });
+    }
+  };
+
+  const cancelAppointment = () => {
+    const reason = change.reason === "Other" ? change.details.trim() : change.reason;
+    if (!reason) {
+      setStatus({ error: "Please say why you are cancelling" });
+      return;
+    }
+    sendChange(
+      `/api/appointments/${change.appointment.id}`,
+      "PATCH",
+      { status: "cancelled", reason, acceptFeeCents: change.terms.feeCents, scope: change.scope },
+      "Could not cancel this appointment"
+    );
+  };
+
+  // The same practitioner's free times for the same service and length
+  const startReschedule = async (appointment) => {
+    setStatus({});
+    if (!appointment.practitioner) {
+      setStatus({ error: "Please book a new appointment with another practitioner" });
+      return;
+    }
+    try {
+      const response = await apiFetch(
+        `/api/practitioners/${appointment.practitioner.id}/slots?serviceId=${appointment.service.id}&duration=${appointment.minutes}`
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not load available times");
+      }
+      setChange({
+        type: "reschedule",
+        appointment,
+        slots: data.slots,
+        date: data.slots.length > 0 ? dateIn(data.slots[0].start) : null,
+        start: null,
+        scope: "this",
+      });
+    } catch (error) {
+      setStatus({ error: error.message });
+    }
+  };
+
+  const rescheduleAppointment = () =>
+    sendChange(
+      `/api/appointments/${change.appointment.id}/reschedule`,
+      "POST",
+      { start: change.start, scope: change.scope },
+      "Could not move this appointment"
+    );
+
+  // The appointment as an .ics file to open in a calendar app
+  const downloadCalendarFile = async (appointment) => {
+    setStatus({});
+    try {
+      const response = await apiFetch(`/api/appointments/${appointment.id}/calendar.ics`, { onBehalf: true });
+      if (!response.ok) {
+        throw new Error("Could not download this appointment");
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `appointment-${appointment.id}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setStatus({ error: error.message });
+    }
+  };
+
+  // Take up or turn down a held slot, or leave a waitlist
+  const answerWaitlist = async (path, method, fallback) => {
+    setStatus({});
+    try {
+      const response = await apiFetch(path, { method, onBehalf: true });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || fallback);
+      }
+      await Promise.all([loadAppointments(), loadWaitlist()]);
+      setStatus({ message: data.message });
+    } catch (error) {
+      setStatus({ error: error.message });
+      loadWaitlist();
+    }
+  };
 
   const tabs = [
     { id: "completed", label: "Completed" },
@@ -138,8 +289,8 @@ const Appointment = () => {
     { id: "cancelled", label: "Cancelled" },
   ];
 
-  const filteredAppointments = appointments.filter(
-    (apt) => apt.status === activeTab
+  const filteredAppointments = appointments.filter((apt) =>
+    inTab(apt, activeTab)
   );
 
   return (
@@ -154,9 +305,13 @@ const Appointment = () => {
         {/* Main Content Card */}
         <div className="bg-white rounded-3xl p-6">
           {/* Section Title */}
-          <h2 className="libre-font text-lg font-bold text-[#5f7a3d] mb-4">
+          <h2 className="libre-font text-lg font-bold text-[#5f7a3d] mb-1">
             Your Appointments
           </h2>
+          <p className="text-xs text-gray-500 mb-4">
+            Times are shown in {getViewerTimeZone()} ({timeZoneName()}). You can
+            change this in Settings.
+          </p>
 
           {/* Tabs */}
           <div className="flex items-center gap-6 mb-6 border-b border-gray-100">
@@ -175,55 +330,299 @@ const Appointment = () => {
             ))}
           </div>
 
+          {status.error && (
+            <p className="text-sm text-red-600 mb-4">{status.error}</p>
+          )}
+          {status.occurrences?.length > 0 && (
+            <ul className="text-xs text-red-600 mb-4 space-y-1">
+              {status.occurrences.map((occurrence) => (
+                <li key={occurrence.start}>
+                  {formatDay(occurrence.start)} at {formatTime(occurrence.start)}: {occurrence.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          {status.message && (
+            <p className="text-sm text-[#5f7a3d] mb-4">{status.message}</p>
+          )}
+
           {/* Appointments List */}
           <div className="space-y-3">
-            {filteredAppointments.length === 0 ? (
+            {status.loading ? (
+              <p className="text-sm text-gray-400 py-4">Loading appointments...</p>
+            ) : filteredAppointments.length === 0 ? (
               <p className="text-sm text-gray-400 py-4">
                 No {activeTab} appointments
               </p>
             ) : (
-              filteredAppointments.map((appointment) => (
+              groupBySeries(filteredAppointments).map((group) => (
                 <div
-                  key={appointment.id}
-                  className="flex items-center justify-between p-4 bg-[#f8f8f6] hover:bg-[#eef3e8] rounded-2xl transition-colors cursor-pointer"
+                  key={group.series ? `series-${group.series.id}` : group.appointments[0].id}
+                  className="space-y-3"
                 >
-                  <div className="flex items-center gap-4">
-                    <img
-                      src={appointment.image}
-                      alt={appointment.title}
-                      className="w-14 h-14 rounded-xl object-cover"
-                    />
-                    <div>
-                      <h3 className="text-base font-semibold text-gray-900">
-                        {appointment.title}
-                      </h3>
-                      <p className="text-sm text-gray-500">
-                        {appointment.practitioner} | {appointment.date} at{" "}
-                        {appointment.time} ({appointment.duration})
-                      </p>
+                  {group.series && group.appointments.length > 1 && (
+                    <p className="px-1 text-xs font-semibold text-[#5f7a3d] uppercase tracking-wide">
+                      {formatRepeat(group.series)} · {group.series.length} sessions
+                    </p>
+                  )}
+                  {group.appointments.map((appointment) => (
+                    <div key={appointment.id}>
+                      <div
+                        className="flex items-center justify-between p-4 bg-[#f8f8f6] hover:bg-[#eef3e8] rounded-2xl transition-colors cursor-pointer"
+                      >
+                        <div className="flex items-center gap-4">
+                          <img
+                            src={SERVICE_IMAGES[appointment.service.id % SERVICE_IMAGES.length]}
+                            alt={appointment.service.name}
+                            className="w-14 h-14 rounded-xl object-cover"
+                          />
+                          <div>
+                            <h3 className="text-base font-semibold text-gray-900">
+                              {appointment.service.name}
+                              {appointment.series && (
+                                <span className="ml-2 text-xs font-medium text-gray-500">
+                                  {appointment.series.position} of {appointment.series.length}
+                                </span>
+                              )}
+                              {STATUS_LABELS[appointment.status] && (
+                                <span className="ml-2 text-xs font-medium text-[#c5893a]">
+                                  {STATUS_LABELS[appointment.status]}
+                                </span>
+                              )}
+                            </h3>
+                            <p className="text-sm text-gray-500">
+                              {appointment.practitioner
+                                ? `${appointment.practitioner.firstName} ${appointment.practitioner.lastName}`
+                                : "Former practitioner"}{" "}
+                              | {formatDay(appointment.start)} at{" "}
+                              {formatTime(appointment.start)} ({appointment.minutes} Min)
+                            </p>
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          {activeTab === "upcoming" ? (
+                            <>
+                              <button
+                                onClick={() => startReschedule(appointment)}
+                                className="px-5 py-2.5 bg-[#c5893a] text-white text-xs font-semibold rounded-full hover:bg-[#b07a32] transition-colors tracking-wide"
+                              >
+                                RESCHEDULE
+                              </button>
+                              <button
+                                onClick={() => downloadCalendarFile(appointment)}
+                                className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide"
+                              >
+                                ADD TO CALENDAR
+                              </button>
+                              <button
+                                onClick={() => startCancel(appointment)}
+                                className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide"
+                              >
+                                CANCEL
+                              </button>
+                            </>
+                          ) : (
+                            <button className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide">
+                              VIEW DETAILS
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      {change?.appointment.id === appointment.id && change.type === "cancel" && (
+                        <div className="mt-2 p-4 bg-[#f8f8f6] rounded-2xl space-y-3">
+                          {hasFollowing(appointment) && (
+                            <ScopeChoice value={change.scope} onChange={(scope) => startCancel(appointment, scope)} />
+                          )}
+                          <p className="text-sm text-gray-700">
+                            {change.scope === "following" && `This cancels ${change.terms.appointments} appointments. `}
+                            {change.terms.feeCents > 0
+                              ? `It is less than ${change.terms.policy.cancelNoticeHours} hours before your appointment, so cancelling now costs ${formatFee(change.terms.feeCents)} (${change.terms.policy.lateCancelFeePercent}% of the price).`
+                              : change.terms.late
+                                ? "You can cancel this appointment without a fee."
+                                : `You can cancel without a fee until ${formatDateTime(change.terms.deadline)}.`}
+                          </p>
+                          <div className="flex flex-wrap gap-3">
+                            <select
+                              value={change.reason}
+                              onChange={(e) => setChange({ ...change, reason: e.target.value })}
+                              className="rounded-full border border-gray-300 px-4 py-2 text-sm text-gray-800"
+                            >
+                              <option value="">Reason for cancelling</option>
+                              {CANCEL_REASONS.map((reason) => (
+                                <option key={reason} value={reason}>{reason}</option>
+                              ))}
+                            </select>
+                            {change.reason === "Other" && (
+                              <input
+                                type="text"
+                                value={change.details}
+                                onChange={(e) => setChange({ ...change, details: e.target.value })}
+                                placeholder="Tell us why"
+                                maxLength={500}
+                                className="flex-1 rounded-full border border-gray-300 px-4 py-2 text-sm text-gray-800"
+                              />
+                            )}
+                          </div>
+                          <div className="flex gap-3">
+                            <button
+                              onClick={cancelAppointment}
+                              className="px-5 py-2.5 bg-[#c5893a] text-white text-xs font-semibold rounded-full hover:bg-[#b07a32] transition-colors tracking-wide"
+                            >
+                              {change.terms.feeCents > 0
+                                ? `CANCEL AND PAY ${formatFee(change.terms.feeCents)}`
+                                : "CONFIRM CANCELLATION"}
+                            </button>
+                            <button
+                              onClick={() => setChange(null)}
+                              className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide"
+                            >
+                              KEEP APPOINTMENT
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                      {change?.appointment.id === appointment.id && change.type === "reschedule" && (
+                        <div className="mt-2 p-4 bg-[#f8f8f6] rounded-2xl space-y-3">
+                          {hasFollowing(appointment) && (
+                            <ScopeChoice value={change.scope} onChange={(scope) => setChange({ ...change, scope })} />
+                          )}
+                          {change.slots.length === 0 ? (
+                            <p className="text-sm text-gray-500">
+                              {appointment.practitioner.firstName} has no other times free for this session.
+                            </p>
+                          ) : (
+                            <>
+                              <div className="flex flex-wrap gap-2">
+                                {[...new Set(change.slots.map((slot) => dateIn(slot.start)))].map((date) => (
+                                  <button
+                                    key={date}
+                                    onClick={() => setChange({ ...change, date, start: null })}
+                                    className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors ${
+                                      change.date === date
+                                        ? "bg-[#c5893a] text-white"
+                                        : "bg-white text-gray-700 hover:bg-white/70"
+                                    }`}
+                                  >
+                                    {formatDay(change.slots.find((slot) => dateIn(slot.start) === date).start)}
+                                  </button>
+                                ))}
+                              </div>
+                              <div className="flex flex-wrap gap-2">
+                                {change.slots
+                                  .filter((slot) => dateIn(slot.start) === change.date)
+                                  .map((slot) => (
+                                    <button
+                                      key={slot.start}
+                                      onClick={() => setChange({ ...change, start: slot.start })}
+                                      className={`px-3 py-1.5 rounded-xl text-sm transition-colors ${
+                                        change.start === slot.start
+                                          ? "bg-white border-2 border-[#c5893a]"
+                                          : "bg-white/60 border border-transparent hover:bg-white"
+                                      }`}
+                                    >
+                                      {formatTime(slot.start)}
+                                    </button>
+                                  ))}
+                              </div>
+                            </>
+                          )}
+                          <p className="text-xs text-gray-500">
+                            {change.scope === "following"
+                              ? "The rest of the series moves by the same number of days, to the same time. "
+                              : ""}
+                            Your practitioner will confirm the new time.
+                          </p>
+                          <div className="flex gap-3">
+                            <button
+                              onClick={rescheduleAppointment}
+                              disabled={!change.start}
+                              className="px-5 py-2.5 bg-[#c5893a] text-white text-xs font-semibold rounded-full hover:bg-[#b07a32] transition-colors tracking-wide disabled:opacity-60"
+                            >
+                              MOVE APPOINTMENT
+                            </button>
+                            <button
+                              onClick={() => setChange(null)}
+                              className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide"
+                            >
+                              KEEP CURRENT TIME
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                      {appointment.status === "cancelled" && appointment.cancelReason && (
+                        <p className="mt-2 px-4 text-xs text-gray-500">
+                          Cancelled: {appointment.cancelReason}
+                          {appointment.cancellationFeeCents > 0 &&
+                            ` · Late cancellation fee ${formatFee(appointment.cancellationFeeCents)}`}
+                        </p>
+                      )}
                     </div>
+                  ))}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+        {waitlist.length > 0 && (
+          <div className="bg-white rounded-3xl p-6">
+            <h2 className="libre-font text-lg font-bold text-[#5f7a3d] mb-4">
+              Waitlist
+            </h2>
+            <div className="space-y-3">
+              {waitlist.map((entry) => (
+                <div
+                  key={entry.id}
+                  className="flex items-center justify-between p-4 bg-[#f8f8f6] rounded-2xl"
+                >
+                  <div>
+                    <h3 className="text-base font-semibold text-gray-900">
+                      {entry.service.name} ({entry.minutes} Min)
+                    </h3>
+                    <p className="text-sm text-gray-500">
+                      {entry.practitioner.firstName} {entry.practitioner.lastName} |{" "}
+                      {entry.ranges.map((range) => `${range.from} to ${range.to}`).join(", ")}
+                    </p>
+                    {entry.offer && (
+                      <p className="text-sm text-[#c5893a] font-medium mt-1">
+                        A time is free: {formatDay(entry.offer.start)} at {formatTime(entry.offer.start)}.
+                        Held for you until {formatTime(entry.offer.expiresAt)}.
+                      </p>
+                    )}
                   </div>
                   <div className="flex items-center gap-3">
-                    {activeTab === "upcoming" ? (
+                    {entry.offer ? (
                       <>
-                        <button className="px-5 py-2.5 bg-[#c5893a] text-white text-xs font-semibold rounded-full hover:bg-[#b07a32] transition-colors tracking-wide">
-                          RESCHEDULE
+                        <button
+                          onClick={() =>
+                            answerWaitlist(`/api/waitlist/offers/${entry.offer.id}/accept`, "POST", "Could not book this time")
+                          }
+                          className="px-5 py-2.5 bg-[#c5893a] text-white text-xs font-semibold rounded-full hover:bg-[#b07a32] transition-colors tracking-wide"
+                        >
+                          BOOK IT
                         </button>
-                        <button className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide">
-                          CANCEL
+                        <button
+                          onClick={() =>
+                            answerWaitlist(`/api/waitlist/offers/${entry.offer.id}/decline`, "POST", "Could not decline this time")
+                          }
+                          className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide"
+                        >
+                          NO THANKS
                         </button>
                       </>
                     ) : (
-                      <button className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide">
-                        VIEW DETAILS
+                      <button
+                        onClick={() => answerWaitlist(`/api/waitlist/${entry.id}`, "DELETE", "Could not leave the waitlist")}
+                        className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide"
+                      >
+                        LEAVE WAITLIST
                       </button>
                     )}
                   </div>
                 </div>
-              ))
-            )}
+              ))}
+            </div>
           </div>
-        </div>
+        )}
         <div className="grid grid-cols-2 gap-4">
           <div className="bg-white p-6 rounded-3xl">
             <h2 className="libre-font text-lg font-bold text-[#5f7a3d] mb-4">
@@ -21,6 +21,7 @@ import {
   Activity,
   Moon,
 } from "lucide-react";
+import DevicesPanel from "../../components/DevicesPanel";
 
 const Dashboard = () => {
   const practitioners = [
@@ -342,6 +343,10 @@ const Dashboard = () => {
           </div>
         </div>
       </div>
+
+      <div className="px-4 pb-4">
+        <DevicesPanel />
+      </div>
     </div>
   );
 };
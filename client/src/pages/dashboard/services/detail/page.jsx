@@ -1,32 +1,229 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { ChevronLeft, Clock } from "lucide-react";
+import { ChevronLeft, Clock, CalendarClock } from "lucide-react";
+import { apiFetch } from "../../../../utils/api";
+import { dateIn, formatTime, getViewerTimeZone, timeZoneName } from "../../../../utils/timezone";
 
+const SERVICE_IMAGE = "https://images.unsplash.com/photo-1544161515-4ab6ce6db874?w=400&h=400&fit=crop";
+
+// Shown for pages that aren't a bookable service in the catalogue
+const FALLBACK_SERVICE = {
+  title: "Therapeutic Massage",
+  subtitle: "Personalized Recovery",
+  description:
+    "A custom-blended session tailored to your needs using multiple techniques such as deep tissue, myofascial release, or trigger point work. Ideal for those requiring experiencing chronic tension, postural imbalance, injury or stress-related pain. Results deepen with each visit as your body unwinds more completely.",
+  basePrice: 420,
+  image: SERVICE_IMAGE,
+};
+
+const FALLBACK_DURATIONS = [
+  { id: 1, minutes: 60, price: 425 },
+  { id: 2, minutes: 90, price: 525 },
+  { id: 3, minutes: 120, price: 620 },
+];
+
+// YYYY-MM-DD as e.g. "Thu, Mar 12"
+const formatDay = (date) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+// Every practitioner's slots in one list, by the viewer's calendar date
+const groupSlotsByDate = (practitioners) =>
+  practitioners
+    .flatMap((practitioner) =>
+      practitioner.slots.map((slot) => ({
+        ...slot,
+        practitionerId: practitioner.id,
+        practitionerName: `${practitioner.firstName} ${practitioner.lastName}`,
+      }))
+    )
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .reduce((days, slot) => {
+      const date = dateIn(slot.start);
+      const day = days.find((d) => d.date === date);
+      if (day) {
+        day.slots.push(slot);
+      } else {
+        days.push({ date, slots: [slot] });
+      }
+      return days;
+    }, []);
+
+// Parts of the day a waitlist place can ask for, in the viewer's time
+const TIMES_OF_DAY = [
+  { id: "any", label: "Any time" },
+  { id: "morning", label: "Mornings (before 12:00)", before: "12:00" },
+  { id: "afternoon", label: "Afternoons (12:00-17:00)", after: "12:00", before: "17:00" },
+  { id: "evening", label: "Evenings (after 17:00)", after: "17:00" },
+];
+
+// How often a booking can repeat; 0 is a single appointment
+const REPEAT_OPTIONS = [
+  { weeks: 0, label: "Doesn't repeat" },
+  { weeks: 1, label: "Every week" },
+  { weeks: 2, label: "Every 2 weeks" },
+  { weeks: 3, label: "Every 3 weeks" },
+  { weeks: 4, label: "Every 4 weeks" },
+];
+const MAX_SERIES_COUNT = 26;
+
+const addDaysTo = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+// Queue for a practitioner's cancellations; the server offers a freed slot and holds it for a while
+const WaitlistForm = ({ serviceId, minutes, practitioners }) => {
+  const today = dateIn(Date.now());
+  const [form, setForm] = useState({ practitionerId: "", from: today, to: addDaysTo(today, 13), timeOfDay: "any" });
+  const [status, setStatus] = useState({});
+
+  const joinWaitlist = async (e) => {
+    e.preventDefault();
+    const { after, before } = TIMES_OF_DAY.find((time) => time.id === form.timeOfDay);
+    setStatus({ saving: true });
+    try {
+      const response = await apiFetch("/api/waitlist", {
+        method: "POST",
+        onBehalf: true,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          serviceId,
+          duration: minutes,
+          practitionerId: Number(form.practitionerId),
+          ranges: [{ from: form.from, to: form.to, after, before }],
+          timeZone: getViewerTimeZone(),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not join the waitlist");
+      }
+      setStatus({ message: "You're on the waitlist. We'll let you know as soon as a time opens up." });
+    } catch (error) {
+      setStatus({ error: error.message });
+    }
+  };
+
+  if (practitioners.length === 0) {
+    return null;
+  }
+
+  return (
+    <form onSubmit={joinWaitlist} className="mt-5 pt-4 border-t border-gray-200 space-y-3">
+      <p className="text-sm font-medium text-gray-800">Can't find a time? Join a waitlist</p>
+      <select
+        value={form.practitionerId}
+        onChange={(e) => setForm({ ...form, practitionerId: e.target.value })}
+        required
+        className="w-full rounded-full border border-gray-300 bg-white px-4 py-2 text-sm text-gray-800"
+      >
+        <option value="">Choose a practitioner</option>
+        {practitioners.map((practitioner) => (
+          <option key={practitioner.id} value={practitioner.id}>
+            {practitioner.firstName} {practitioner.lastName}
+          </option>
+        ))}
+      </select>
+      <div className="flex gap-2">
+        <input
+          type="date"
+          value={form.from}
+          min={today}
+          onChange={(e) => setForm({ ...form, from: e.target.value })}
+          required
+          className="flex-1 rounded-full border border-gray-300 bg-white px-4 py-2 text-sm text-gray-800"
+        />
+        <input
+          type="date"
+          value={form.to}
+          min={form.from}
+          onChange={(e) => setForm({ ...form, to: e.target.value })}
+          required
+          className="flex-1 rounded-full border border-gray-300 bg-white px-4 py-2 text-sm text-gray-800"
+        />
+      </div>
+      <select
+        value={form.timeOfDay}
+        onChange={(e) => setForm({ ...form, timeOfDay: e.target.value })}
+        className="w-full rounded-full border border-gray-300 bg-white px-4 py-2 text-sm text-gray-800"
+      >
+        {TIMES_OF_DAY.map((time) => (
+          <option key={time.id} value={time.id}>{time.label}</option>
+        ))}
+      </select>
+      {status.error && <p className="text-sm text-red-600">{status.error}</p>}
+      {status.message && <p className="text-sm text-[#5f7a3d]">{status.message}</p>}
+      <button
+        type="submit"
+        disabled={status.saving}
+        className="px-5 py-2.5 bg-white text-gray-800 text-xs font-semibold rounded-full border border-gray-300 hover:bg-gray-50 transition-colors tracking-wide disabled:opacity-60"
+      >
+        JOIN WAITLIST
+      </button>
+    </form>
+  );
+};
 
 const ServiceDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
 
-  // Service data (in real app, fetch based on id)
-  const service = {
-    title: "Therapeutic Massage",
-    subtitle: "Personalized Recovery",
-    description:
-      "A custom-blended session tailored to your needs using multiple techniques such as deep tissue, myofascial release, or trigger point work. Ideal for those requiring experiencing chronic tension, postural imbalance, injury or stress-related pain. Results deepen with each visit as your body unwinds more completely.",
-    basePrice: 420,
-    image: "https://images.unsplash.com/photo-1544161515-4ab6ce6db874?w=400&h=400&fit=crop",
-  };
+  // The catalogue entry for this page (by id or slug); null until loaded or if there is none
+  const [catalogueService, setCatalogueService] = useState(null);
+  const [practitioners, setPractitioners] = useState([]);
+  const [slotDays, setSlotDays] = useState([]);
+  const [slotStatus, setSlotStatus] = useState({});
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [booking, setBooking] = useState({});
+  const [repeat, setRepeat] = useState({ weeks: 0, count: 4 });
+  const [seriesPreview, setSeriesPreview] = useState({});
 
-  const durations = [
-    { id: 1, minutes: 60, price: 425 },
-    { id: 2, minutes: 90, price: 525 },
-    { id: 3, minutes: 120, price: 620 },
-  ];
+  useEffect(() => {
+    let cancelled = false;
+    setCatalogueService(null);
+    apiFetch(`/api/services/${encodeURIComponent(id)}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled) {
+          setCatalogueService(data ? data.service : null);
+          setPractitioners(data ? data.practitioners : []);
+        }
+      })
+      .catch((error) => console.error("Error loading service:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const service = catalogueService
+    ? {
+        title: catalogueService.name,
+        subtitle: catalogueService.category,
+        description: catalogueService.description,
+        basePrice: catalogueService.durations[0].priceCents / 100,
+        image: SERVICE_IMAGE,
+      }
+    : FALLBACK_SERVICE;
+
+  const durations = catalogueService
+    ? catalogueService.durations.map((duration, index) => ({
+        id: index + 1,
+        minutes: duration.minutes,
+        price: duration.priceCents / 100,
+      }))
+    : FALLBACK_DURATIONS;
 
   const addOns = [
-    { id: 1, name: "Hot Stone Therapy", price: 35 },
-    { id: 2, name: "Aromatherapy", price: 25 },
-    { id: 3, name: "CBD Oil Treatment", price: 45 },
+    { id: 1, slug: "hot-stone", name: "Hot Stone Therapy", price: 35 },
+    { id: 2, slug: "aromatherapy", name: "Aromatherapy", price: 25 },
+    { id: 3, slug: "cbd-oil", name: "CBD Oil Treatment", price: 45 },
   ];
 
   const [selectedDuration, setSelectedDuration] = useState(1);
@@ -42,12 +239,125 @@ const ServiceDetail = () => {
 
   // Calculate totals
   const selectedDurationData = durations.find((d) => d.id === selectedDuration);
+  const selectedMinutes = selectedDurationData?.minutes;
   const basePrice = selectedDurationData?.price || 0;
   const addOnsTotal = addOns
     .filter((a) => selectedAddOns.includes(a.id))
     .reduce((sum, a) => sum + a.price, 0);
   const total = basePrice + addOnsTotal;
 
+  // Times anyone offering the service can do it in the next week, for the chosen duration
+  useEffect(() => {
+    if (!catalogueService || !selectedMinutes) {
+      return undefined;
+    }
+    let cancelled = false;
+    setSelectedSlot(null);
+    setBooking({});
+    setSlotStatus({ loading: true });
+    apiFetch(`/api/practitioners/slots?serviceId=${catalogueService.id}&duration=${selectedMinutes}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || "Could not load available times");
+        }
+        return data;
+      })
+      .then((data) => {
+        if (cancelled) {
+          return;
+        }
+        const days = groupSlotsByDate(data.practitioners);
+        setSlotDays(days);
+        setSelectedDate(days.length > 0 ? days[0].date : null);
+        setSlotStatus({});
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setSlotDays([]);
+          setSlotStatus({ error: error.message });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [catalogueService, selectedMinutes]);
+
+  const selectedDay = slotDays.find((day) => day.date === selectedDate);
+
+  // A repeating booking: which of its dates the practitioner can do
+  useEffect(() => {
+    if (!catalogueService || !selectedSlot || repeat.weeks === 0) {
+      setSeriesPreview({});
+      return undefined;
+    }
+    let cancelled = false;
+    setSeriesPreview({ loading: true });
+    apiFetch("/api/appointments/series/preview", {
+      method: "POST",
+      onBehalf: true,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        serviceId: catalogueService.id,
+        duration: selectedMinutes,
+        practitionerId: selectedSlot.practitionerId,
+        start: selectedSlot.start,
+        intervalWeeks: repeat.weeks,
+        count: repeat.count,
+      }),
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || "Could not check these dates");
+        }
+        if (!cancelled) {
+          setSeriesPreview({ occurrences: data.occurrences });
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setSeriesPreview({ error: error.message });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [catalogueService, selectedMinutes, selectedSlot, repeat]);
+
+  const bookableDates = (seriesPreview.occurrences || []).filter((occurrence) => occurrence.available).length;
+
+  // Book the chosen time, or the dates of a series that are free - for the patient this tab acts for, if any
+  const bookAppointment = async () => {
+    setBooking({ saving: true });
+    const appointment = {
+      serviceId: catalogueService.id,
+      duration: selectedMinutes,
+      practitionerId: selectedSlot.practitionerId,
+      start: selectedSlot.start,
+      addOns: addOns.filter((a) => selectedAddOns.includes(a.id)).map((a) => a.slug),
+    };
+    try {
+      const response = await apiFetch(repeat.weeks ? "/api/appointments/series" : "/api/appointments", {
+        method: "POST",
+        onBehalf: true,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          repeat.weeks
+            ? { ...appointment, intervalWeeks: repeat.weeks, count: repeat.count, skipConflicts: true }
+            : appointment
+        ),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not book this appointment");
+      }
+      navigate("/user-dashboard/appointment");
+    } catch (error) {
+      setBooking({ error: error.message });
+    }
+  };
+
   return (
     <div className="flex-1 bg-[#f9f7f5] p-6 min-h-screen">
       {/* Header */}
@@ -215,6 +525,84 @@ const ServiceDetail = () => {
             </div>
           </div>
 
+          {/* Available Times Card */}
+          {catalogueService && (
+            <div className="bg-[#f7f5f0] rounded-3xl p-6">
+              <h3 className="text-lg font-semibold text-[#2d3e31] libre-font mb-1 flex items-center gap-2">
+                <CalendarClock size={20} />
+                Available Times
+              </h3>
+              <p className="text-xs text-gray-500 mb-4">
+                Next 7 days, in your time ({timeZoneName()})
+              </p>
+
+              {slotStatus.loading && (
+                <p className="text-sm text-gray-500">Finding available times...</p>
+              )}
+              {slotStatus.error && (
+                <p className="text-sm text-red-600">{slotStatus.error}</p>
+              )}
+              {!slotStatus.loading && !slotStatus.error && slotDays.length === 0 && (
+                <p className="text-sm text-gray-500">
+                  No one has time for a {selectedMinutes}-minute session this week.
+                </p>
+              )}
+
+              {slotDays.length > 0 && (
+                <>
+                  <div className="flex flex-wrap gap-2 mb-4">
+                    {slotDays.map((day) => (
+                      <button
+                        key={day.date}
+                        onClick={() => setSelectedDate(day.date)}
+                        className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors ${
+                          selectedDate === day.date
+                            ? "bg-[#c5893a] text-white"
+                            : "bg-white text-gray-700 hover:bg-white/70"
+                        }`}
+                      >
+                        {formatDay(day.date)}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="space-y-2 max-h-64 overflow-y-auto">
+                    {selectedDay?.slots.map((slot) => {
+                      const isSelected =
+                        selectedSlot?.start === slot.start &&
+                        selectedSlot?.practitionerId === slot.practitionerId;
+                      return (
+                        <div
+                          key={`${slot.practitionerId}-${slot.start}`}
+                          onClick={() => setSelectedSlot(slot)}
+                          className={`flex items-center justify-between p-3 rounded-xl cursor-pointer transition-all ${
+                            isSelected
+                              ? "bg-white border-2 border-[#c5893a]"
+                              : "bg-white/60 border border-transparent hover:bg-white"
+                          }`}
+                        >
+                          <span className="text-sm font-medium text-gray-800">
+                            {formatTime(slot.start)} - {formatTime(slot.end)}
+                          </span>
+                          <span className="text-xs text-gray-500">
+                            {slot.practitionerName}
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </>
+              )}
+
+              {!slotStatus.loading && (
+                <WaitlistForm
+                  serviceId={catalogueService.id}
+                  minutes={selectedMinutes}
+                  practitioners={practitioners}
+                />
+              )}
+            </div>
+          )}
+
           {/* Booking Summary Card */}
           <div className="bg-[#2b2b2b] rounded-3xl p-6">
             <h3 className="text-lg font-semibold text-white libre-font mb-5">
@@ -232,6 +620,90 @@ const ServiceDetail = () => {
               </div>
             </div>
 
+            {/* Date and Time */}
+            {selectedSlot && (
+              <div className="mb-4">
+                <span className="text-xs text-gray-400 uppercase tracking-wide">
+                  Date & Time
+                </span>
+                <div className="flex items-center justify-between mt-1">
+                  <span className="text-sm text-white">
+                    {formatDay(dateIn(selectedSlot.start))}, {formatTime(selectedSlot.start)}
+                  </span>
+                  <span className="text-sm text-white">{selectedSlot.practitionerName}</span>
+                </div>
+              </div>
+            )}
+
+            {/* Repeat */}
+            {catalogueService && (
+              <div className="mb-4">
+                <span className="text-xs text-gray-400 uppercase tracking-wide">
+                  Repeat
+                </span>
+                <div className="flex gap-2 mt-1">
+                  <select
+                    value={repeat.weeks}
+                    onChange={(e) => setRepeat({ ...repeat, weeks: Number(e.target.value) })}
+                    className="flex-1 rounded-full bg-[#3a3a3a] px-4 py-2 text-sm text-white"
+                  >
+                    {REPEAT_OPTIONS.map((option) => (
+                      <option key={option.weeks} value={option.weeks}>{option.label}</option>
+                    ))}
+                  </select>
+                  {repeat.weeks > 0 && (
+                    <label className="flex items-center gap-2 text-sm text-gray-400">
+                      <input
+                        type="number"
+                        min={2}
+                        max={MAX_SERIES_COUNT}
+                        value={repeat.count}
+                        onChange={(e) =>
+                          setRepeat({
+                            ...repeat,
+                            count: Math.min(MAX_SERIES_COUNT, Math.max(2, Number(e.target.value) || 2)),
+                          })
+                        }
+                        className="w-16 rounded-full bg-[#3a3a3a] px-3 py-2 text-sm text-white"
+                      />
+                      times
+                    </label>
+                  )}
+                </div>
+                {repeat.weeks > 0 && !selectedSlot && (
+                  <p className="text-xs text-gray-400 mt-2">Choose the first time to see every date.</p>
+                )}
+                {seriesPreview.loading && (
+                  <p className="text-xs text-gray-400 mt-2">Checking each date...</p>
+                )}
+                {seriesPreview.error && (
+                  <p className="text-xs text-red-400 mt-2">{seriesPreview.error}</p>
+                )}
+                {seriesPreview.occurrences && (
+                  <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                    {seriesPreview.occurrences.map((occurrence) => (
+                      <li
+                        key={occurrence.start}
+                        className={`flex items-center justify-between gap-3 text-xs ${
+                          occurrence.available ? "text-white" : "text-gray-500"
+                        }`}
+                      >
+                        <span className={occurrence.available ? "" : "line-through"}>
+                          {formatDay(dateIn(occurrence.start))}, {formatTime(occurrence.start)}
+                        </span>
+                        {!occurrence.available && <span className="text-right">{occurrence.message}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {seriesPreview.occurrences && bookableDates < seriesPreview.occurrences.length && (
+                  <p className="text-xs text-[#c5893a] mt-2">
+                    Dates that are crossed out can't be booked and will be left out.
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Dashed Separator */}
             <div className="border-t border-dashed border-gray-600 my-4"></div>
 
@@ -262,13 +734,31 @@ const ServiceDetail = () => {
 
             {/* Total */}
             <div className="flex items-center justify-between mb-6">
-              <span className="text-sm text-gray-400">Total:</span>
+              <span className="text-sm text-gray-400">
+                {repeat.weeks > 0 ? "Per session:" : "Total:"}
+              </span>
               <span className="text-3xl font-semibold text-white">${total}</span>
             </div>
 
+            {booking.error && (
+              <p className="text-sm text-red-400 mb-3">{booking.error}</p>
+            )}
+
             {/* CTA Button */}
-            <button className="w-full py-4 bg-[#c5893a] text-white text-sm font-semibold rounded-full hover:bg-[#b07a32] transition-colors tracking-wide">
-              CHECK PRACTITIONER AVAILABILITY
+            <button
+              onClick={bookAppointment}
+              disabled={!selectedSlot || booking.saving || (repeat.weeks > 0 && bookableDates === 0)}
+              className="w-full py-4 bg-[#c5893a] text-white text-sm font-semibold rounded-full hover:bg-[#b07a32] transition-colors tracking-wide disabled:opacity-60"
+            >
+              {!catalogueService
+                ? "NOT BOOKABLE ONLINE"
+                : booking.saving
+                ? "BOOKING..."
+                : selectedSlot && repeat.weeks > 0
+                ? `BOOK ${bookableDates} SESSIONS`
+                : selectedSlot
+                ? "BOOK APPOINTMENT"
+                : "CHOOSE A TIME"}
             </button>
           </div>
         </div>
@@ -0,0 +1,22 @@
+import AccountSettings from "../../../components/AccountSettings";
+
+const Settings = () => {
+  return (
+    <div className="flex bg-[#f9f7f5] p-2 min-h-screen">
+      <div className="flex-1 p-6">
+        <div className="max-w-4xl mx-auto">
+          <h1 className="libre-font text-3xl font-bold text-[#5f7a3d] mb-4">
+            Settings
+          </h1>
+          <p className="text-gray-600 mb-6">
+            Manage your profile, email address, password and your data.
+          </p>
+
+          <AccountSettings />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
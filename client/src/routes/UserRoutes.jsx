@@ -6,6 +6,7 @@ import Wellness from "../pages/dashboard/wellness/page";
 import Membership from "../pages/dashboard/membership/page";
 import SessionSummary from "../pages/dashboard/session-summary/page";
 import Resources from "../pages/dashboard/resources/page";
+import Settings from "../pages/dashboard/settings/page";
 import DashboardLayout from "../components/layout/DashboardLayout";
 import { Route, Routes } from "react-router-dom";
 
@@ -22,6 +23,7 @@ const UserRoutes = () => {
         <Route path="membership" element={<Membership />} />
         <Route path="session-summary" element={<SessionSummary />} />
         <Route path="resources" element={<Resources />} />
+        <Route path="settings" element={<Settings />} />
       </Route>
     </Routes>
   );
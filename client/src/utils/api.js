@@ -0,0 +1,66 @@
+import config from './config';
+import {
+  getToken,
+  getCsrfToken,
+  isAuthenticated,
+  canRefreshSession,
+  refreshAccessToken
+} from './secureStorage';
+import { getImpersonation } from './impersonation';
+import { getActingAs } from './proxy';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * fetch() against the API with the current credentials attached
+ * Bearer mode adds the Authorization header; cookie mode sends the auth
+ * cookies plus the CSRF header on state-changing requests. An expired access
+ * token is refreshed first. While an admin views as another user, the view-as
+ * token is sent as a bearer token (the server prefers it over the cookies).
+ * Requests marked onBehalf are made for the patient this tab is acting for.
+ * @param {string} path - API path, e.g. '/api/auth/sessions'
+ * @param {Object} [options] - fetch options
+ * @param {boolean} [options.auth=true] - false for login-type requests that carry no session
+ * @param {boolean} [options.asSelf=false] - true to use the admin's own session while viewing as someone else
+ * @param {boolean} [options.onBehalf=false] - true to act for the patient chosen in the profile switcher
+ * @returns {Promise<Response>}
+ */
+export const apiFetch = async (
+  path,
+  { auth = true, asSelf = false, onBehalf = false, headers = {}, ...options } = {}
+) => {
+  const method = (options.method || 'GET').toUpperCase();
+  const cookieMode = config.AUTH_MODE === 'cookie';
+  const impersonation = auth && !asSelf ? getImpersonation() : null;
+
+  if (auth && !impersonation && !isAuthenticated() && canRefreshSession()) {
+    await refreshAccessToken();
+  }
+
+  const requestHeaders = { ...headers };
+  if (impersonation) {
+    requestHeaders.Authorization = `Bearer ${impersonation.token}`;
+  } else if (cookieMode) {
+    requestHeaders['X-Auth-Mode'] = 'cookie';
+    const csrfToken = getCsrfToken();
+    if (auth && csrfToken && !SAFE_METHODS.includes(method)) {
+      requestHeaders['X-CSRF-Token'] = csrfToken;
+    }
+  } else if (auth && getToken()) {
+    requestHeaders.Authorization = `Bearer ${getToken()}`;
+  }
+
+  const actingAs = auth && onBehalf ? getActingAs() : null;
+  if (actingAs) {
+    requestHeaders['X-Acting-As'] = String(actingAs.userId);
+  }
+
+  return fetch(`${config.API_BASE_URL}${path}`, {
+    ...options,
+    method,
+    headers: requestHeaders,
+    credentials: cookieMode ? 'include' : 'same-origin'
+  });
+};
+
+export default apiFetch;
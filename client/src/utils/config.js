@@ -6,7 +6,12 @@ const API_BASE_URL = process.env.REACT_APP_API_URL ||
     ? 'https://knko-fr.onrender.com' 
     : 'https://knko-fr.onrender.com');
 
+// 'bearer' keeps tokens in web storage; 'cookie' lets the server keep them in
+// httpOnly cookies (the API must then allow this origin with credentials)
+const AUTH_MODE = process.env.REACT_APP_AUTH_MODE === 'cookie' ? 'cookie' : 'bearer';
+
 export default {
-  API_BASE_URL
+  API_BASE_URL,
+  AUTH_MODE
 };
 
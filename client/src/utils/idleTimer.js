@@ -0,0 +1,80 @@
+/**
+ * Idle logoff state shared by every open tab
+ * The time of the last user interaction is kept in localStorage so all tabs
+ * count down together, and logging out is broadcast so every tab logs off at once.
+ */
+
+const LAST_ACTIVITY_KEY = 'auth_last_activity';
+const LOGOUT_KEY = 'auth_logout';
+const CHANNEL_NAME = 'knko-auth';
+
+// BroadcastChannel where available; storage events otherwise
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/**
+ * Record that the user interacted with the app just now
+ */
+export const markActivity = () => {
+  try {
+    localStorage.setItem(LAST_ACTIVITY_KEY, Date.now().toString());
+  } catch (error) {
+    console.error('Error storing activity time:', error);
+  }
+};
+
+/**
+ * Time of the last user interaction in any tab
+ * @returns {number} - ms since epoch
+ */
+export const getLastActivity = () => {
+  try {
+    return parseInt(localStorage.getItem(LAST_ACTIVITY_KEY) || '0', 10) || Date.now();
+  } catch (error) {
+    return Date.now();
+  }
+};
+
+/**
+ * Tell the other tabs that the user has logged out
+ */
+export const broadcastLogout = () => {
+  if (channel) {
+    channel.postMessage({ type: 'logout' });
+    return;
+  }
+  try {
+    localStorage.setItem(LOGOUT_KEY, Date.now().toString());
+  } catch (error) {
+    console.error('Error broadcasting logout:', error);
+  }
+};
+
+/**
+ * Run a handler when another tab logs out
+ * @param {Function} handler
+ * @returns {Function} - Unsubscribe
+ */
+export const onLogoutBroadcast = (handler) => {
+  const handleMessage = (event) => {
+    if (event.data && event.data.type === 'logout') {
+      handler();
+    }
+  };
+  const handleStorage = (event) => {
+    if (event.key === LOGOUT_KEY) {
+      handler();
+    }
+  };
+
+  if (channel) {
+    channel.addEventListener('message', handleMessage);
+  }
+  window.addEventListener('storage', handleStorage);
+
+  return () => {
+    if (channel) {
+      channel.removeEventListener('message', handleMessage);
+    }
+    window.removeEventListener('storage', handleStorage);
+  };
+};
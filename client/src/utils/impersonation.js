@@ -0,0 +1,36 @@
+/**
+ * "View as" state for admins
+ * The view-as token lives in sessionStorage, so only the tab that started it
+ * sees the other user's account; the admin's own tokens stay where they are
+ * and other tabs carry on as the admin. apiFetch sends the view-as token
+ * instead of the admin's unless asked not to.
+ */
+
+const IMPERSONATION_KEY = 'auth_impersonation';
+
+/**
+ * The running impersonation in this tab, if it hasn't expired
+ * @returns {{ id: number, token: string, expiresAt: string, reason: string, user: Object }|null}
+ */
+export const getImpersonation = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(IMPERSONATION_KEY));
+    if (!stored || new Date(stored.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+    return stored;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {Object} response - From POST /api/admin/impersonation
+ */
+export const setImpersonation = ({ token, impersonation }) => {
+  sessionStorage.setItem(IMPERSONATION_KEY, JSON.stringify({ ...impersonation, token }));
+};
+
+export const clearImpersonation = () => {
+  sessionStorage.removeItem(IMPERSONATION_KEY);
+};
@@ -0,0 +1,31 @@
+/**
+ * Proxy ("acting for") state for caregivers
+ * The person a caregiver is acting for is kept in sessionStorage, so only this
+ * tab switches profile. apiFetch sends it as X-Acting-As on requests that opt
+ * in with onBehalf; the server decides whether the caregiver may.
+ */
+
+const ACTING_AS_KEY = 'auth_acting_as';
+
+/**
+ * The patient this tab is acting for, if any
+ * @returns {{ userId: number, firstName: string, lastName: string, scopes: Array<string> }|null}
+ */
+export const getActingAs = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(ACTING_AS_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {Object} dependent - Entry of dependents from GET /api/proxies
+ */
+export const setActingAs = ({ userId, firstName, lastName, scopes }) => {
+  sessionStorage.setItem(ACTING_AS_KEY, JSON.stringify({ userId, firstName, lastName, scopes }));
+};
+
+export const clearActingAs = () => {
+  sessionStorage.removeItem(ACTING_AS_KEY);
+};
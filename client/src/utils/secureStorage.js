@@ -1,28 +1,74 @@
 /**
  * HIPAA-compliant secure storage utilities
- * Provides secure token storage with automatic expiration
+ * Provides secure token storage with expiry taken from the token itself
+ * and silent refresh before the access token expires
+ *
+ * In cookie mode (config.AUTH_MODE === 'cookie') the tokens live in httpOnly
+ * cookies set by the server; only the access token's expiry and the CSRF
+ * token are kept here.
  */
+import config from './config';
 
 const TOKEN_KEY = 'auth_token';
 const TOKEN_EXPIRY_KEY = 'auth_token_expiry';
-const TOKEN_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
+const REFRESH_TOKEN_KEY = 'auth_refresh_token';
+const CSRF_TOKEN_KEY = 'auth_csrf_token';
+const REFRESH_LOCK_KEY = 'auth_refresh_lock';
+const REFRESH_MARGIN = 60 * 1000; // Refresh 1 minute before the access token expires
+const REFRESH_LOCK_DURATION = 10 * 1000; // Only one tab refreshes at a time
+
+let refreshTimer = null;
+let refreshPromise = null;
+
+const isCookieMode = () => config.AUTH_MODE === 'cookie';
+
+const readItem = (key) => localStorage.getItem(key) || sessionStorage.getItem(key);
+
+/**
+ * Read the expiry (ms since epoch) from a JWT's exp claim
+ * @param {string} token - JWT token
+ * @returns {number|null}
+ */
+const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return exp ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
 
 /**
- * Store authentication token securely
- * @param {string} token - JWT token to store
+ * Store authentication tokens securely
+ * @param {string} [token] - JWT access token to store (absent in cookie mode)
+ * @param {Object} [options]
+ * @param {string} [options.refreshToken] - Rotating refresh token issued with the access token
+ * @param {number} [options.expiresIn] - Access token lifetime in seconds
+ * @param {string} [options.csrfToken] - CSRF token for cookie mode
  */
-export const setToken = (token) => {
+export const setToken = (token, { refreshToken, expiresIn, csrfToken } = {}) => {
+  const expiryTime = (token && getTokenExpiry(token)) || Date.now() + (expiresIn || 0) * 1000;
+  const write = (storage) => {
+    if (token) {
+      storage.setItem(TOKEN_KEY, token);
+    }
+    storage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString());
+    if (refreshToken) {
+      storage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+    if (csrfToken) {
+      storage.setItem(CSRF_TOKEN_KEY, csrfToken);
+    }
+  };
+
   try {
-    const expiryTime = Date.now() + TOKEN_DURATION;
-    localStorage.setItem(TOKEN_KEY, token);
-    localStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString());
+    write(localStorage);
   } catch (error) {
     console.error('Error storing token:', error);
     // Fallback: try sessionStorage if localStorage fails
     try {
-      const expiryTime = Date.now() + TOKEN_DURATION;
-      sessionStorage.setItem(TOKEN_KEY, token);
-      sessionStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString());
+      write(sessionStorage);
     } catch (sessionError) {
       console.error('Error storing token in sessionStorage:', sessionError);
     }
@@ -35,17 +81,15 @@ export const setToken = (token) => {
  */
 export const getToken = () => {
   try {
-    const token = localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY);
-    const expiryTime = localStorage.getItem(TOKEN_EXPIRY_KEY) || sessionStorage.getItem(TOKEN_EXPIRY_KEY);
+    const token = readItem(TOKEN_KEY);
+    const expiryTime = readItem(TOKEN_EXPIRY_KEY);
 
     if (!token || !expiryTime) {
       return null;
     }
 
-    // Check if token has expired
+    // Check if token has expired (the refresh token may still be usable)
     if (Date.now() > parseInt(expiryTime, 10)) {
-      // Token expired, remove it
-      removeToken();
       return null;
     }
 
@@ -57,14 +101,43 @@ export const getToken = () => {
 };
 
 /**
- * Remove authentication token
+ * Get the CSRF token sent with state-changing requests in cookie mode
+ * @returns {string|null}
+ */
+export const getCsrfToken = () => {
+  try {
+    return readItem(CSRF_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error retrieving CSRF token:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the refresh token, if any
+ * @returns {string|null}
+ */
+export const getRefreshToken = () => {
+  try {
+    return readItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error retrieving refresh token:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove authentication tokens
  */
 export const removeToken = () => {
+  stopTokenRefresh();
   try {
-    localStorage.removeItem(TOKEN_KEY);
-    localStorage.removeItem(TOKEN_EXPIRY_KEY);
-    sessionStorage.removeItem(TOKEN_KEY);
-    sessionStorage.removeItem(TOKEN_EXPIRY_KEY);
+    [localStorage, sessionStorage].forEach((storage) => {
+      storage.removeItem(TOKEN_KEY);
+      storage.removeItem(TOKEN_EXPIRY_KEY);
+      storage.removeItem(REFRESH_TOKEN_KEY);
+      storage.removeItem(CSRF_TOKEN_KEY);
+    });
   } catch (error) {
     console.error('Error removing token:', error);
   }
@@ -75,6 +148,119 @@ export const removeToken = () => {
  * @returns {boolean} - True if valid token exists
  */
 export const isAuthenticated = () => {
+  if (isCookieMode()) {
+    const expiryTime = readItem(TOKEN_EXPIRY_KEY);
+    return Boolean(getCsrfToken() && expiryTime && Date.now() <= parseInt(expiryTime, 10));
+  }
   return getToken() !== null;
 };
 
+/**
+ * Check if the session can be renewed once the access token expires
+ * @returns {boolean}
+ */
+export const canRefreshSession = () => Boolean(isCookieMode() ? getCsrfToken() : getRefreshToken());
+
+/**
+ * Exchange the refresh token for a new token pair
+ * Concurrent callers share one request; when another tab holds the refresh
+ * lock we wait for it and pick up the token it stored.
+ * @returns {Promise<boolean>} - Whether the session is still valid
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  refreshPromise = (async () => {
+    const lockedUntil = parseInt(localStorage.getItem(REFRESH_LOCK_KEY) || '0', 10);
+    if (lockedUntil > Date.now()) {
+      await new Promise((resolve) => setTimeout(resolve, lockedUntil - Date.now()));
+      if (isAuthenticated() && parseInt(readItem(TOKEN_EXPIRY_KEY), 10) - Date.now() > REFRESH_MARGIN) {
+        return true;
+      }
+    }
+
+    if (!canRefreshSession()) {
+      return false;
+    }
+
+    localStorage.setItem(REFRESH_LOCK_KEY, (Date.now() + REFRESH_LOCK_DURATION).toString());
+    try {
+      // In cookie mode the browser sends the refresh cookie; the CSRF header proves it's us
+      const response = await fetch(`${config.API_BASE_URL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: isCookieMode()
+          ? { 'Content-Type': 'application/json', 'X-Auth-Mode': 'cookie', 'X-CSRF-Token': getCsrfToken() }
+          : { 'Content-Type': 'application/json' },
+        credentials: isCookieMode() ? 'include' : 'same-origin',
+        body: JSON.stringify(isCookieMode() ? {} : { refreshToken: getRefreshToken() })
+      });
+
+      if (response.status === 401) {
+        // Refresh token expired, revoked or reused - the session is over
+        removeToken();
+        window.dispatchEvent(new Event('auth:expired'));
+        return false;
+      }
+
+      if (!response.ok) {
+        return false;
+      }
+
+      const data = await response.json();
+      setToken(data.token, { refreshToken: data.refreshToken, expiresIn: data.expiresIn, csrfToken: data.csrfToken });
+      return true;
+    } catch (error) {
+      console.error('Error refreshing token:', error);
+      return false;
+    } finally {
+      localStorage.removeItem(REFRESH_LOCK_KEY);
+    }
+  })().finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+/**
+ * Schedule a silent refresh shortly before the access token expires
+ * Reschedules itself after every refresh until stopTokenRefresh is called.
+ */
+export const startTokenRefresh = () => {
+  stopTokenRefresh();
+
+  const expiryTime = parseInt(readItem(TOKEN_EXPIRY_KEY) || '0', 10);
+  if (!expiryTime || !canRefreshSession()) {
+    return;
+  }
+
+  const delay = Math.max(expiryTime - Date.now() - REFRESH_MARGIN, 0);
+  refreshTimer = setTimeout(async () => {
+    refreshTimer = null;
+    // Another tab may already have refreshed; only refresh if still close to expiry
+    const currentExpiry = parseInt(readItem(TOKEN_EXPIRY_KEY) || '0', 10);
+    if (currentExpiry - Date.now() <= REFRESH_MARGIN) {
+      const refreshed = await refreshAccessToken();
+      if (!refreshed) {
+        // Network hiccup: retry while the refresh token is still around
+        if (canRefreshSession()) {
+          refreshTimer = setTimeout(startTokenRefresh, 30 * 1000);
+        }
+        return;
+      }
+    }
+    startTokenRefresh();
+  }, delay);
+};
+
+/**
+ * Cancel any scheduled silent refresh
+ */
+export const stopTokenRefresh = () => {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+};
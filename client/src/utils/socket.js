@@ -1,5 +1,6 @@
 import { io } from 'socket.io-client';
 import config from './config';
+import { getToken, removeToken } from './secureStorage';
 
 let socket = null;
 
@@ -28,7 +29,15 @@ export const initSocket = () => {
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 5,
-      withCredentials: true // Important for CORS with credentials
+      withCredentials: true, // Important for CORS with credentials
+      // Read the token on every (re)connect - access tokens are refreshed in the background
+      auth: (cb) => cb({ token: getToken() })
+    });
+
+    // This device was signed out remotely (or everywhere, e.g. after a password reset)
+    socket.on('session:revoked', () => {
+      removeToken();
+      window.dispatchEvent(new Event('auth:expired'));
     });
 
     socket.on('connect', () => {
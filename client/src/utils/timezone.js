@@ -0,0 +1,77 @@
+/**
+ * Time zone display
+ * The API sends instants in UTC. They are shown in the viewer's time zone: the
+ * one saved in their profile, else the browser's. The saved zone is kept in
+ * localStorage so every page can use it without fetching the profile.
+ */
+
+const TIME_ZONE_KEY = 'profile_time_zone';
+
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * @returns {string} - IANA time zone, e.g. 'Europe/London'
+ */
+export const getViewerTimeZone = () => localStorage.getItem(TIME_ZONE_KEY) || browserTimeZone();
+
+/**
+ * @param {string|null} timeZone - The profile's time zone; null follows the browser
+ */
+export const setViewerTimeZone = (timeZone) => {
+  if (timeZone) {
+    localStorage.setItem(TIME_ZONE_KEY, timeZone);
+  } else {
+    localStorage.removeItem(TIME_ZONE_KEY);
+  }
+};
+
+export const clearViewerTimeZone = () => setViewerTimeZone(null);
+
+/**
+ * @returns {Array<string>} - Every time zone the browser knows
+ */
+export const listTimeZones = () =>
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [browserTimeZone()];
+
+/**
+ * Short name of a zone at an instant, e.g. 'GMT+1' or 'EST'
+ * @param {string} [timeZone]
+ * @param {string|number} [instant] - The name changes with DST
+ */
+export const timeZoneName = (timeZone = getViewerTimeZone(), instant = Date.now()) =>
+  new Intl.DateTimeFormat([], { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(instant))
+    .find((part) => part.type === 'timeZoneName').value;
+
+/**
+ * @param {string} instant - ISO 8601
+ * @param {string} [timeZone]
+ * @returns {string} - e.g. '14:30'
+ */
+export const formatTime = (instant, timeZone = getViewerTimeZone()) =>
+  new Date(instant).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone });
+
+/**
+ * @param {string} instant - ISO 8601
+ * @param {string} [timeZone]
+ * @returns {string} - Date and time with the zone, e.g. 'Mar 9, 2026, 14:30 GMT'
+ */
+export const formatDateTime = (instant, timeZone = getViewerTimeZone()) =>
+  new Date(instant).toLocaleString([], {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short'
+  });
+
+/**
+ * Calendar date of an instant in a zone
+ * @param {string} instant - ISO 8601
+ * @param {string} [timeZone]
+ * @returns {string} - YYYY-MM-DD
+ */
+export const dateIn = (instant, timeZone = getViewerTimeZone()) =>
+  new Date(instant).toLocaleDateString('en-CA', { timeZone });
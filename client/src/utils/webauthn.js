@@ -0,0 +1,79 @@
+/**
+ * Passkey (WebAuthn) ceremonies in the browser
+ * The server sends options with binary fields base64url-encoded and expects the
+ * credential back the same way, so this converts between JSON and ArrayBuffers.
+ */
+
+const toBuffer = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0)).buffer;
+};
+
+const toBase64url = (buffer) => {
+  const binary = String.fromCharCode(...new Uint8Array(buffer));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const toDescriptor = (descriptor) => ({ ...descriptor, id: toBuffer(descriptor.id) });
+
+/**
+ * Whether this browser can use passkeys at all
+ * @returns {boolean}
+ */
+export const isPasskeySupported = () =>
+  typeof window !== 'undefined' && Boolean(window.PublicKeyCredential && navigator.credentials);
+
+/**
+ * Create a passkey from the server's registration options
+ * @param {Object} options - From POST /api/auth/passkeys/register/options
+ * @returns {Promise<Object>} - Credential to send to POST /api/auth/passkeys/register
+ */
+export const createPasskey = async (options) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      user: { ...options.user, id: toBuffer(options.user.id) },
+      excludeCredentials: (options.excludeCredentials || []).map(toDescriptor)
+    }
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64url(credential.response.clientDataJSON),
+      attestationObject: toBase64url(credential.response.attestationObject),
+      transports: credential.response.getTransports ? credential.response.getTransports() : []
+    }
+  };
+};
+
+/**
+ * Sign a server challenge with a passkey
+ * @param {Object} options - From POST /api/auth/passkeys/login/options
+ * @returns {Promise<Object>} - Credential to send to POST /api/auth/passkeys/login
+ */
+export const getPasskey = async (options) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      allowCredentials: (options.allowCredentials || []).map(toDescriptor)
+    }
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64url(credential.response.clientDataJSON),
+      authenticatorData: toBase64url(credential.response.authenticatorData),
+      signature: toBase64url(credential.response.signature),
+      userHandle: credential.response.userHandle ? toBase64url(credential.response.userHandle) : null
+    }
+  };
+};
@@ -1,10 +1,75 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { PERMISSIONS, ROLES } = require('./roles');
+const { SERVICES } = require('./services');
 
-const DB_PATH = path.join(__dirname, '../database.sqlite');
+// DB_PATH=:memory: gives each process a throwaway database (the tests use it)
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '../database.sqlite');
 
 let db;
 
+// The transaction (see dbTransaction) the current async call chain is running in, if any
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let transactionsPending = 0;
+// Statements from outside any transaction that haven't finished; a transaction waits for those
+// issued before it was, and those issued after wait for it
+const statementsInFlight = new Set();
+
+// Everything shares one connection, so a statement run while another request's transaction is open
+// would become part of it (and be lost if it rolls back); until the queued transactions are done,
+// other statements wait for them. Statements of the open transaction itself go straight through
+const runInTurn = (statement) => {
+  const transaction = transactionContext.getStore();
+  if (transaction && transaction.open) {
+    statement(() => {});
+    return;
+  }
+  let finished;
+  const done = new Promise((resolve) => {
+    finished = resolve;
+  });
+  statementsInFlight.add(done);
+  done.then(() => statementsInFlight.delete(done));
+  if (transactionsPending === 0) {
+    statement(finished);
+  } else {
+    transactionQueue.then(() => statement(finished));
+  }
+};
+
+/**
+ * Wait for every statement issued so far outside a transaction, and those their callbacks
+ * issue in turn (initDatabase's migrations do), to finish
+ */
+const dbSettled = async () => {
+  while (statementsInFlight.size > 0) {
+    await Promise.all(statementsInFlight);
+  }
+};
+
+// Routes every run/get/all/exec on the connection through runInTurn, callbacks and all
+const queueStatements = (database) => {
+  ['run', 'get', 'all', 'exec'].forEach((method) => {
+    const direct = database[method];
+    database[method] = (...args) => {
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      runInTurn((finished) => {
+        direct.call(database, ...args, function(err, ...results) {
+          finished();
+          if (callback) {
+            callback.call(this, err, ...results);
+          } else if (err) {
+            console.error('Database error:', err.message);
+          }
+        });
+      });
+      return database;
+    };
+  });
+};
+
 const getDatabase = () => {
   if (!db) {
     db = new sqlite3.Database(DB_PATH, (err) => {
@@ -20,10 +85,148 @@ const getDatabase = () => {
         });
       }
     });
+    queueStatements(db);
   }
   return db;
 };
 
+// Promise wrappers for multi-step flows (token rotation, scheduling, etc.)
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+  getDatabase().run(sql, params, function(err) {
+    if (err) {
+      return reject(err);
+    }
+    resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
+const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+  getDatabase().get(sql, params, (err, row) => {
+    if (err) {
+      return reject(err);
+    }
+    resolve(row);
+  });
+});
+
+const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+  getDatabase().all(sql, params, (err, rows) => {
+    if (err) {
+      return reject(err);
+    }
+    resolve(rows || []);
+  });
+});
+
+/**
+ * Run several statements atomically
+ * Transactions run one after another, and other statements wait while one is open (see runInTurn)
+ * @param {Function} work - async function using dbRun/dbGet/dbAll; throwing rolls everything back
+ * @returns {Promise<*>} - What work resolved to
+ */
+const dbTransaction = (work) => {
+  transactionsPending += 1;
+  const earlierStatements = Promise.all(statementsInFlight);
+  const result = transactionQueue
+    .then(() => earlierStatements)
+    .then(() => {
+      const transaction = { open: true };
+      return transactionContext.run(transaction, async () => {
+        try {
+          await dbRun('BEGIN IMMEDIATE');
+          try {
+            const value = await work();
+            await dbRun('COMMIT');
+            return value;
+          } catch (error) {
+            await dbRun('ROLLBACK').catch(() => {});
+            throw error;
+          }
+        } finally {
+          // Anything the work left running no longer belongs to the transaction
+          transaction.open = false;
+          transactionsPending -= 1;
+        }
+      });
+    });
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
+const AVAILABILITY_TABLE = `(
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  practitionerId INTEGER NOT NULL,
+  dayOfWeek TEXT NOT NULL CHECK(dayOfWeek IN ('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday')),
+  startTime TEXT NOT NULL,
+  endTime TEXT NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE CASCADE
+)`;
+
+// Older databases allowed one availability window per day (UNIQUE(practitionerId, dayOfWeek));
+// SQLite can't drop a constraint, so copy the rows into a table without it
+const allowSeveralAvailabilityWindows = (database, onReady) => {
+  database.get(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'practitioner_availability'",
+    (err, table) => {
+      if (err) {
+        console.error('Error reading practitioner_availability schema:', err.message);
+        return;
+      }
+      if (!table || !/UNIQUE\s*\(\s*practitionerId\s*,\s*dayOfWeek\s*\)/i.test(table.sql)) {
+        onReady();
+        return;
+      }
+      database.exec(`
+        BEGIN;
+        CREATE TABLE practitioner_availability_new ${AVAILABILITY_TABLE};
+        INSERT INTO practitioner_availability_new (id, practitionerId, dayOfWeek, startTime, endTime, createdAt, updatedAt)
+          SELECT id, practitionerId, dayOfWeek, startTime, endTime, createdAt, updatedAt FROM practitioner_availability;
+        DROP TABLE practitioner_availability;
+        ALTER TABLE practitioner_availability_new RENAME TO practitioner_availability;
+        COMMIT;
+      `, (err) => {
+        if (err) {
+          console.error('Error migrating practitioner_availability table:', err.message);
+          database.run('ROLLBACK', () => {});
+          return;
+        }
+        console.log('Practitioner availability now allows several windows per day');
+        onReady();
+      });
+    }
+  );
+};
+
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't alter older databases)
+// onReady runs once the column exists (whether it was just added or not), e.g. to backfill it
+const addColumnIfMissing = (database, table, column, definition, onReady = () => {}) => {
+  database.all(`PRAGMA table_info(${table})`, (err, columns) => {
+    if (err) {
+      console.error(`Error reading ${table} columns:`, err.message);
+      return;
+    }
+    if (columns.some((c) => c.name === column)) {
+      onReady();
+      return;
+    }
+    database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+      // initDatabase can run more than once per process, so another call may have added it already
+      if (err && /duplicate column name/.test(err.message)) {
+        onReady();
+        return;
+      }
+      if (err) {
+        console.error(`Error adding ${table}.${column} column:`, err.message);
+      } else {
+        console.log(`Added ${column} column to ${table} table`);
+        onReady();
+      }
+    });
+  });
+};
+
 const initDatabase = () => {
   const database = getDatabase();
   
@@ -37,6 +240,11 @@ const initDatabase = () => {
         firstName TEXT NOT NULL,
         lastName TEXT NOT NULL,
         userType TEXT NOT NULL CHECK(userType IN ('patient', 'admin', 'practitioner')),
+        status TEXT NOT NULL DEFAULT 'approved' CHECK(status IN ('pending', 'approved', 'suspended')),
+        phone TEXT,
+        dateOfBirth TEXT,
+        pronouns TEXT,
+        preferredContactMethod TEXT NOT NULL DEFAULT 'email' CHECK(preferredContactMethod IN ('email', 'phone', 'sms')),
         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
         updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
       )
@@ -48,20 +256,32 @@ const initDatabase = () => {
       }
     });
 
-    // Create practitioner availability table
-    database.run(`
-      CREATE TABLE IF NOT EXISTS practitioner_availability (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        practitionerId INTEGER NOT NULL,
-        dayOfWeek TEXT NOT NULL CHECK(dayOfWeek IN ('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday')),
-        startTime TEXT NOT NULL,
-        endTime TEXT NOT NULL,
-        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE CASCADE,
-        UNIQUE(practitionerId, dayOfWeek)
-      )
-    `, (err) => {
+    // Account status (pending/approved/suspended) for databases created before it existed
+    addColumnIfMissing(
+      database,
+      'users',
+      'status',
+      "TEXT NOT NULL DEFAULT 'approved' CHECK(status IN ('pending', 'approved', 'suspended'))"
+    );
+
+    // Profile fields - phone and dateOfBirth are PHI and stored encrypted
+    addColumnIfMissing(database, 'users', 'phone', 'TEXT');
+    addColumnIfMissing(database, 'users', 'dateOfBirth', 'TEXT');
+    addColumnIfMissing(database, 'users', 'pronouns', 'TEXT');
+    addColumnIfMissing(
+      database,
+      'users',
+      'preferredContactMethod',
+      "TEXT NOT NULL DEFAULT 'email' CHECK(preferredContactMethod IN ('email', 'phone', 'sms'))"
+    );
+
+    // IANA time zone (e.g. 'Europe/London'): what a practitioner's hours are in, and what
+    // everyone's times are shown in; locationId is a practitioner's clinic location
+    addColumnIfMissing(database, 'users', 'timezone', 'TEXT');
+    addColumnIfMissing(database, 'users', 'locationId', 'INTEGER REFERENCES locations(id) ON DELETE SET NULL');
+
+    // Create practitioner availability table - any number of (non-overlapping) windows per day
+    database.run(`CREATE TABLE IF NOT EXISTS practitioner_availability ${AVAILABILITY_TABLE}`, (err) => {
       if (err) {
         console.error('Error creating practitioner_availability table:', err.message);
       } else {
@@ -69,6 +289,17 @@ const initDatabase = () => {
       }
     });
 
+    allowSeveralAvailabilityWindows(database, () => {
+      database.run(
+        'CREATE INDEX IF NOT EXISTS idx_practitioner_availability_day ON practitioner_availability(practitionerId, dayOfWeek)',
+        (err) => {
+          if (err) {
+            console.error('Error creating practitioner_availability index:', err.message);
+          }
+        }
+      );
+    });
+
     // Create audit logs table for HIPAA compliance
     database.run(`
       CREATE TABLE IF NOT EXISTS audit_logs (
@@ -109,40 +340,972 @@ const initDatabase = () => {
       }
     });
 
-    // Create active_sessions table to track practitioner login status
+    // Entries written in view-as mode or under break-glass access name the mode and the
+    // impersonation session or break-glass grant, so each one can be reported on afterwards
+    addColumnIfMissing(database, 'audit_logs', 'accessMode', "TEXT CHECK(accessMode IN ('impersonation', 'break_glass'))");
+    addColumnIfMissing(database, 'audit_logs', 'accessId', 'INTEGER', () => {
+      database.run(
+        'CREATE INDEX IF NOT EXISTS idx_audit_logs_access ON audit_logs(accessMode, accessId)',
+        (err) => {
+          if (err) {
+            console.error('Error creating audit_logs access index:', err.message);
+          }
+        }
+      );
+    });
+
+    // A caregiver acting for a patient: userId is the caregiver, onBehalfOfUserId the patient
+    addColumnIfMissing(database, 'audit_logs', 'onBehalfOfUserId', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+
+    // active_sessions (one row per practitioner) has been replaced by sessions
+    database.run('DROP TABLE IF EXISTS active_sessions', (err) => {
+      if (err) {
+        console.error('Error dropping active_sessions table:', err.message);
+      }
+    });
+
+    // Create sessions table - one row per login (device); id is the refresh token family id
+    database.run(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        userId INTEGER NOT NULL,
+        deviceName TEXT,
+        ipAddress TEXT,
+        userAgent TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        lastSeenAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        lastActivityAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revokedAt DATETIME,
+        revokedReason TEXT,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating sessions table:', err.message);
+      } else {
+        console.log('Sessions table created or already exists');
+      }
+    });
+
+    // Last user interaction (lastSeenAt also moves on heartbeats and token refreshes)
+    addColumnIfMissing(database, 'sessions', 'lastActivityAt', 'DATETIME');
+
+    database.run(`
+      CREATE INDEX IF NOT EXISTS idx_sessions_userId ON sessions(userId)
+    `, (err) => {
+      if (err) {
+        console.error('Error creating sessions index:', err.message);
+      }
+    });
+
+    // Create refresh_tokens table for rotating refresh tokens
+    // Only a SHA-256 hash of each token is stored; tokens issued from the same
+    // login share a familyId so a replayed token can revoke the whole chain
     database.run(`
-      CREATE TABLE IF NOT EXISTS active_sessions (
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         userId INTEGER NOT NULL,
-        lastActivity DATETIME DEFAULT CURRENT_TIMESTAMP,
+        familyId TEXT NOT NULL,
+        tokenHash TEXT UNIQUE NOT NULL,
+        accessJti TEXT,
+        expiresAt DATETIME NOT NULL,
+        rotatedAt DATETIME,
+        revokedAt DATETIME,
         ipAddress TEXT,
         userAgent TEXT,
         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
-        UNIQUE(userId)
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating refresh_tokens table:', err.message);
+      } else {
+        console.log('Refresh tokens table created or already exists');
+      }
+    });
+
+    database.run(`
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_familyId ON refresh_tokens(familyId)
+    `, (err) => {
+      if (err) {
+        console.error('Error creating refresh_tokens familyId index:', err.message);
+      }
+    });
+
+    database.run(`
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_userId ON refresh_tokens(userId)
+    `, (err) => {
+      if (err) {
+        console.error('Error creating refresh_tokens userId index:', err.message);
+      }
+    });
+
+    // Create revoked_tokens table (access token revocation list, keyed by JWT ID)
+    database.run(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        userId INTEGER,
+        reason TEXT,
+        expiresAt DATETIME NOT NULL,
+        revokedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating revoked_tokens table:', err.message);
+      } else {
+        console.log('Revoked tokens table created or already exists');
+      }
+    });
+
+    database.run(`
+      CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expiresAt ON revoked_tokens(expiresAt)
+    `, (err) => {
+      if (err) {
+        console.error('Error creating revoked_tokens expiresAt index:', err.message);
+      }
+    });
+
+    // Create user_mfa table (TOTP secrets are encrypted at rest)
+    database.run(`
+      CREATE TABLE IF NOT EXISTS user_mfa (
+        userId INTEGER PRIMARY KEY,
+        secret TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 0,
+        lastUsedStep INTEGER,
+        enrolledAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating user_mfa table:', err.message);
+      } else {
+        console.log('User MFA table created or already exists');
+      }
+    });
+
+    // Create mfa_recovery_codes table (only hashes are stored)
+    database.run(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        codeHash TEXT NOT NULL,
+        usedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
       )
     `, (err) => {
       if (err) {
-        console.error('Error creating active_sessions table:', err.message);
+        console.error('Error creating mfa_recovery_codes table:', err.message);
       } else {
-        console.log('Active sessions table created or already exists');
+        console.log('MFA recovery codes table created or already exists');
       }
     });
 
-    // Create index on active_sessions for better query performance
     database.run(`
-      CREATE INDEX IF NOT EXISTS idx_active_sessions_userId ON active_sessions(userId)
+      CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_userId ON mfa_recovery_codes(userId)
+    `, (err) => {
+      if (err) {
+        console.error('Error creating mfa_recovery_codes index:', err.message);
+      }
+    });
+
+    // Create mfa_policies table - admins can make MFA mandatory per userType
+    database.run(`
+      CREATE TABLE IF NOT EXISTS mfa_policies (
+        userType TEXT PRIMARY KEY CHECK(userType IN ('patient', 'admin', 'practitioner')),
+        required INTEGER NOT NULL DEFAULT 0,
+        updatedBy INTEGER,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (updatedBy) REFERENCES users(id) ON DELETE SET NULL
+      )
     `, (err) => {
       if (err) {
-        console.error('Error creating active_sessions index:', err.message);
+        console.error('Error creating mfa_policies table:', err.message);
+      } else {
+        console.log('MFA policies table created or already exists');
+      }
+    });
+
+    // Create password_reset_tokens table (single-use, hashed, expiring)
+    database.run(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        tokenHash TEXT UNIQUE NOT NULL,
+        expiresAt DATETIME NOT NULL,
+        usedAt DATETIME,
+        ipAddress TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating password_reset_tokens table:', err.message);
+      } else {
+        console.log('Password reset tokens table created or already exists');
+      }
+    });
+
+    // Create email_change_requests table - the new address must be confirmed before it replaces the old one
+    database.run(`
+      CREATE TABLE IF NOT EXISTS email_change_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        newEmail TEXT NOT NULL,
+        tokenHash TEXT UNIQUE NOT NULL,
+        expiresAt DATETIME NOT NULL,
+        usedAt DATETIME,
+        ipAddress TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating email_change_requests table:', err.message);
+      } else {
+        console.log('Email change requests table created or already exists');
+      }
+    });
+
+    // Create account_deletion_requests table - kept after the account is gone (userId becomes NULL)
+    database.run(`
+      CREATE TABLE IF NOT EXISTS account_deletion_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER,
+        userType TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'in_review', 'cancelled', 'rejected', 'completed')),
+        reason TEXT,
+        scheduledFor DATETIME NOT NULL,
+        retainedRecords TEXT,
+        reviewedBy INTEGER,
+        reviewedAt DATETIME,
+        reviewNote TEXT,
+        completedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (reviewedBy) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating account_deletion_requests table:', err.message);
+      } else {
+        console.log('Account deletion requests table created or already exists');
+      }
+    });
+
+    // Create email_outbox table - default mail transport for running without SMTP
+    database.run(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        toAddress TEXT NOT NULL,
+        fromAddress TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        textBody TEXT NOT NULL,
+        htmlBody TEXT,
+        template TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating email_outbox table:', err.message);
+      } else {
+        console.log('Email outbox table created or already exists');
       }
     });
 
+    // Create login_attempts table - failed logins per email for back-off and lockout
+    database.run(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        email TEXT PRIMARY KEY,
+        failedCount INTEGER NOT NULL DEFAULT 0,
+        lastFailedAt DATETIME,
+        lockedUntil DATETIME
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating login_attempts table:', err.message);
+      } else {
+        console.log('Login attempts table created or already exists');
+      }
+    });
+
+    // Create invitations table - staff accounts are created by invitation only
+    database.run(`
+      CREATE TABLE IF NOT EXISTS invitations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL,
+        userType TEXT NOT NULL CHECK(userType IN ('admin', 'practitioner')),
+        tokenHash TEXT UNIQUE NOT NULL,
+        invitedBy INTEGER,
+        expiresAt DATETIME NOT NULL,
+        acceptedAt DATETIME,
+        acceptedUserId INTEGER,
+        revokedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invitedBy) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (acceptedUserId) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating invitations table:', err.message);
+      } else {
+        console.log('Invitations table created or already exists');
+      }
+    });
+
+    database.run(`
+      CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email)
+    `, (err) => {
+      if (err) {
+        console.error('Error creating invitations index:', err.message);
+      }
+    });
+
+    // Create passkeys table - WebAuthn credentials (public keys only)
+    database.run(`
+      CREATE TABLE IF NOT EXISTS passkeys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        credentialId TEXT NOT NULL UNIQUE,
+        publicKey TEXT NOT NULL,
+        algorithm INTEGER NOT NULL,
+        signCount INTEGER NOT NULL DEFAULT 0,
+        transports TEXT,
+        aaguid TEXT,
+        backedUp INTEGER NOT NULL DEFAULT 0,
+        name TEXT NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        lastUsedAt DATETIME,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating passkeys table:', err.message);
+      } else {
+        console.log('Passkeys table created or already exists');
+      }
+    });
+
+    // Create webauthn_challenges table - single-use challenges for passkey registration and sign-in
+    database.run(`
+      CREATE TABLE IF NOT EXISTS webauthn_challenges (
+        challengeHash TEXT PRIMARY KEY,
+        purpose TEXT NOT NULL CHECK(purpose IN ('registration', 'authentication')),
+        userId INTEGER,
+        expiresAt DATETIME NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating webauthn_challenges table:', err.message);
+      } else {
+        console.log('WebAuthn challenges table created or already exists');
+      }
+    });
+
+    // Create user_identities table - accounts linked to an OpenID Connect provider
+    database.run(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        provider TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        email TEXT,
+        lastLoginAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(provider, subject),
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating user_identities table:', err.message);
+      } else {
+        console.log('User identities table created or already exists');
+      }
+    });
+
+    // Create oidc_login_requests table - PKCE verifier and nonce of a login in progress, keyed by state
+    database.run(`
+      CREATE TABLE IF NOT EXISTS oidc_login_requests (
+        stateHash TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        codeVerifier TEXT NOT NULL,
+        nonce TEXT NOT NULL,
+        expiresAt DATETIME NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating oidc_login_requests table:', err.message);
+      } else {
+        console.log('OIDC login requests table created or already exists');
+      }
+    });
+
+    // Create impersonation_sessions table - an admin viewing the app as another user ("view as")
+    database.run(`
+      CREATE TABLE IF NOT EXISTS impersonation_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        adminId INTEGER,
+        adminSessionId TEXT,
+        targetUserId INTEGER,
+        reason TEXT NOT NULL,
+        ipAddress TEXT,
+        userAgent TEXT,
+        startedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expiresAt DATETIME NOT NULL,
+        endedAt DATETIME,
+        endedReason TEXT,
+        FOREIGN KEY (adminId) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (targetUserId) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating impersonation_sessions table:', err.message);
+      } else {
+        console.log('Impersonation sessions table created or already exists');
+      }
+    });
+
+    // Create break_glass_grants table - emergency access to a patient record, with the stated reason
+    database.run(`
+      CREATE TABLE IF NOT EXISTS break_glass_grants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER,
+        patientId INTEGER,
+        reason TEXT NOT NULL,
+        ipAddress TEXT,
+        userAgent TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expiresAt DATETIME NOT NULL,
+        endedAt DATETIME,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (patientId) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating break_glass_grants table:', err.message);
+      } else {
+        console.log('Break-glass grants table created or already exists');
+      }
+    });
+
+    // Create proxy_relationships table - a caregiver or guardian (proxy) acting for a patient (dependent)
+    // Starts as an emailed invitation from the dependent; proxyUserId is set when it is accepted
+    database.run(`
+      CREATE TABLE IF NOT EXISTS proxy_relationships (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        dependentUserId INTEGER NOT NULL,
+        proxyUserId INTEGER,
+        relationship TEXT NOT NULL CHECK(relationship IN ('parent', 'guardian', 'caregiver', 'family', 'other')),
+        scopes TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'active', 'revoked')),
+        inviteEmail TEXT NOT NULL,
+        tokenHash TEXT UNIQUE,
+        expiresAt DATETIME NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        acceptedAt DATETIME,
+        revokedAt DATETIME,
+        revokedBy INTEGER,
+        FOREIGN KEY (dependentUserId) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (proxyUserId) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (revokedBy) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating proxy_relationships table:', err.message);
+      } else {
+        console.log('Proxy relationships table created or already exists');
+      }
+    });
+
+    // Create availability_overrides table - a practitioner's hours on one date, replacing the weekly
+    // template for that date: one 'closed' row (time off) or any number of 'custom' windows
+    database.run(`
+      CREATE TABLE IF NOT EXISTS availability_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        practitionerId INTEGER NOT NULL,
+        date TEXT NOT NULL,
+        kind TEXT NOT NULL CHECK(kind IN ('closed', 'custom')),
+        startTime TEXT,
+        endTime TEXT,
+        reason TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE CASCADE,
+        CHECK((kind = 'closed' AND startTime IS NULL AND endTime IS NULL) OR (kind = 'custom' AND startTime IS NOT NULL AND endTime IS NOT NULL))
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating availability_overrides table:', err.message);
+      } else {
+        console.log('Availability overrides table created or already exists');
+      }
+    });
+
+    database.run(
+      'CREATE INDEX IF NOT EXISTS idx_availability_overrides_date ON availability_overrides(practitionerId, date)',
+      (err) => {
+        if (err) {
+          console.error('Error creating availability_overrides index:', err.message);
+        }
+      }
+    );
+
+    // Create clinic_holidays table - dates the whole clinic is closed, managed by admins
+    database.run(`
+      CREATE TABLE IF NOT EXISTS clinic_holidays (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        createdBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating clinic_holidays table:', err.message);
+      } else {
+        console.log('Clinic holidays table created or already exists');
+      }
+    });
+
+    // Create locations table - clinic sites, each with the time zone its practitioners work in
+    // unless they set their own
+    database.run(`
+      CREATE TABLE IF NOT EXISTS locations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        address TEXT,
+        timezone TEXT NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating locations table:', err.message);
+      } else {
+        console.log('Locations table created or already exists');
+      }
+    });
+
+    // Create services tables - the bookable catalogue (see ./services), the durations each can
+    // be booked for, and which practitioners offer it
+    database.run(`
+      CREATE TABLE IF NOT EXISTS services (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        category TEXT NOT NULL,
+        description TEXT,
+        bufferMinutes INTEGER NOT NULL DEFAULT 0 CHECK(bufferMinutes >= 0),
+        minNoticeMinutes INTEGER CHECK(minNoticeMinutes >= 0),
+        maxAdvanceDays INTEGER CHECK(maxAdvanceDays > 0),
+        active INTEGER NOT NULL DEFAULT 1,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating services table:', err.message);
+      } else {
+        console.log('Services table created or already exists');
+      }
+    });
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS service_durations (
+        serviceId INTEGER NOT NULL,
+        minutes INTEGER NOT NULL CHECK(minutes > 0),
+        priceCents INTEGER NOT NULL CHECK(priceCents >= 0),
+        PRIMARY KEY (serviceId, minutes),
+        FOREIGN KEY (serviceId) REFERENCES services(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating service_durations table:', err.message);
+      } else {
+        console.log('Service durations table created or already exists');
+      }
+    });
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS practitioner_services (
+        practitionerId INTEGER NOT NULL,
+        serviceId INTEGER NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (practitionerId, serviceId),
+        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (serviceId) REFERENCES services(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating practitioner_services table:', err.message);
+      } else {
+        console.log('Practitioner services table created or already exists');
+      }
+    });
+
+    // Cancellation and rescheduling policy per service; NULL follows the clinic default
+    addColumnIfMissing(database, 'services', 'cancelNoticeHours', 'INTEGER CHECK(cancelNoticeHours >= 0)');
+    addColumnIfMissing(database, 'services', 'lateCancelFeePercent', 'INTEGER CHECK(lateCancelFeePercent BETWEEN 0 AND 100)');
+    addColumnIfMissing(database, 'services', 'maxReschedules', 'INTEGER CHECK(maxReschedules >= 0)');
+
+    // Seed the service catalogue (new services are added on upgrade)
+    SERVICES.forEach((service) => {
+      database.run(
+        `INSERT OR IGNORE INTO services (id, slug, name, category, description, bufferMinutes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [service.id, service.slug, service.name, service.category, service.description, service.bufferMinutes]
+      );
+      service.durations.forEach(({ minutes, priceCents }) => {
+        database.run(
+          'INSERT OR IGNORE INTO service_durations (serviceId, minutes, priceCents) VALUES (?, ?, ?)',
+          [service.id, minutes, priceCents]
+        );
+      });
+    });
+
+    // Create appointments table - start and end are UTC instants (ISO 8601); add-ons and the
+    // price are what was booked. Appointments outlive the accounts on them, anonymised
+    database.run(`
+      CREATE TABLE IF NOT EXISTS appointments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patientId INTEGER,
+        practitionerId INTEGER,
+        serviceId INTEGER NOT NULL,
+        minutes INTEGER NOT NULL,
+        addOns TEXT NOT NULL DEFAULT '[]',
+        priceCents INTEGER NOT NULL,
+        startAt TEXT NOT NULL,
+        endAt TEXT NOT NULL,
+        locationId INTEGER,
+        status TEXT NOT NULL DEFAULT 'requested' CHECK(status IN ('requested', 'confirmed', 'completed', 'cancelled', 'no_show')),
+        notes TEXT,
+        bookedBy INTEGER,
+        cancelledBy INTEGER,
+        cancelReason TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patientId) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (serviceId) REFERENCES services(id),
+        FOREIGN KEY (locationId) REFERENCES locations(id) ON DELETE SET NULL,
+        FOREIGN KEY (bookedBy) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (cancelledBy) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating appointments table:', err.message);
+      } else {
+        console.log('Appointments table created or already exists');
+      }
+    });
+
+    // How often the patient has moved it, and the fee charged for a late cancellation
+    addColumnIfMissing(database, 'appointments', 'rescheduleCount', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing(database, 'appointments', 'cancellationFeeCents', 'INTEGER');
+    addColumnIfMissing(database, 'appointments', 'cancelledAt', 'DATETIME');
+
+    // Create appointment_series table - weekly (or every few weeks) appointments booked together
+    database.run(`
+      CREATE TABLE IF NOT EXISTS appointment_series (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patientId INTEGER,
+        practitionerId INTEGER,
+        serviceId INTEGER NOT NULL,
+        intervalWeeks INTEGER NOT NULL CHECK(intervalWeeks BETWEEN 1 AND 12),
+        occurrences INTEGER NOT NULL,
+        startAt TEXT,
+        timeZone TEXT,
+        bookedBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patientId) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (serviceId) REFERENCES services(id),
+        FOREIGN KEY (bookedBy) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating appointment_series table:', err.message);
+      } else {
+        console.log('Appointment series table created or already exists');
+      }
+    });
+
+    // The first date and the zone a series repeats in, for calendar recurrence rules
+    addColumnIfMissing(database, 'appointment_series', 'startAt', 'TEXT');
+    addColumnIfMissing(database, 'appointment_series', 'timeZone', 'TEXT');
+
+    // The series an appointment was booked as part of, and which of its dates it was booked for
+    addColumnIfMissing(database, 'appointments', 'seriesIndex', 'INTEGER');
+    addColumnIfMissing(database, 'appointments', 'seriesId', 'INTEGER REFERENCES appointment_series(id) ON DELETE SET NULL', () => {
+      database.run(
+        'CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(seriesId, startAt)',
+        (err) => {
+          if (err) {
+            console.error('Error creating appointments series index:', err.message);
+          }
+        }
+      );
+    });
+
+    database.run(
+      'CREATE INDEX IF NOT EXISTS idx_appointments_practitioner ON appointments(practitionerId, startAt)',
+      (err) => {
+        if (err) {
+          console.error('Error creating appointments practitioner index:', err.message);
+        }
+      }
+    );
+
+    database.run(
+      'CREATE INDEX IF NOT EXISTS idx_appointments_patient ON appointments(patientId, startAt)',
+      (err) => {
+        if (err) {
+          console.error('Error creating appointments patient index:', err.message);
+        }
+      }
+    );
+
+    // Create waitlist tables - patients queueing for a practitioner's service in preferred
+    // date and time ranges, and the slots offered to them when time frees up
+    database.run(`
+      CREATE TABLE IF NOT EXISTS waitlist_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patientId INTEGER NOT NULL,
+        practitionerId INTEGER NOT NULL,
+        serviceId INTEGER NOT NULL,
+        minutes INTEGER NOT NULL,
+        ranges TEXT NOT NULL,
+        timeZone TEXT,
+        untilDate TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'waiting' CHECK(status IN ('waiting', 'offered', 'booked', 'left', 'expired')),
+        createdBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patientId) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (serviceId) REFERENCES services(id),
+        FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating waitlist_entries table:', err.message);
+      } else {
+        console.log('Waitlist entries table created or already exists');
+      }
+    });
+
+    database.run(
+      'CREATE INDEX IF NOT EXISTS idx_waitlist_entries_practitioner ON waitlist_entries(practitionerId, status, id)',
+      (err) => {
+        if (err) {
+          console.error('Error creating waitlist practitioner index:', err.message);
+        }
+      }
+    );
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS waitlist_offers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entryId INTEGER NOT NULL,
+        practitionerId INTEGER NOT NULL,
+        startAt TEXT NOT NULL,
+        endAt TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'declined', 'expired', 'withdrawn')),
+        expiresAt TEXT NOT NULL,
+        appointmentId INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        respondedAt DATETIME,
+        FOREIGN KEY (entryId) REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (appointmentId) REFERENCES appointments(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating waitlist_offers table:', err.message);
+      } else {
+        console.log('Waitlist offers table created or already exists');
+      }
+    });
+
+    database.run(
+      'CREATE INDEX IF NOT EXISTS idx_waitlist_offers_practitioner ON waitlist_offers(practitionerId, status, startAt)',
+      (err) => {
+        if (err) {
+          console.error('Error creating waitlist offers index:', err.message);
+        }
+      }
+    );
+
+    // Create calendar_feeds table - one secret iCalendar subscription URL per user, stored hashed
+    database.run(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        userId INTEGER PRIMARY KEY,
+        tokenHash TEXT UNIQUE NOT NULL,
+        showDetails INTEGER NOT NULL DEFAULT 0,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        lastFetchedAt DATETIME,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating calendar_feeds table:', err.message);
+      } else {
+        console.log('Calendar feeds table created or already exists');
+      }
+    });
+
+    // Create calendar_imports table - a practitioner's other calendars (an uploaded
+    // .ics file, or a URL or server file that is synced periodically)
+    database.run(`
+      CREATE TABLE IF NOT EXISTS calendar_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        practitionerId INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        sourceType TEXT NOT NULL CHECK(sourceType IN ('upload', 'url', 'path')),
+        source TEXT,
+        blockCount INTEGER NOT NULL DEFAULT 0,
+        skippedCount INTEGER NOT NULL DEFAULT 0,
+        lastSyncedAt DATETIME,
+        lastError TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating calendar_imports table:', err.message);
+      } else {
+        console.log('Calendar imports table created or already exists');
+      }
+    });
+
+    // Create busy_blocks table - the times of an import's events (never their titles),
+    // which are taken out of the practitioner's bookable slots
+    database.run(`
+      CREATE TABLE IF NOT EXISTS busy_blocks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        importId INTEGER NOT NULL,
+        practitionerId INTEGER NOT NULL,
+        startAt TEXT NOT NULL,
+        endAt TEXT NOT NULL,
+        FOREIGN KEY (importId) REFERENCES calendar_imports(id) ON DELETE CASCADE,
+        FOREIGN KEY (practitionerId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating busy_blocks table:', err.message);
+      } else {
+        console.log('Busy blocks table created or already exists');
+      }
+    });
+
+    database.run(`
+      CREATE INDEX IF NOT EXISTS idx_busy_blocks_practitioner ON busy_blocks(practitionerId, startAt)
+    `, (err) => {
+      if (err) {
+        console.error('Error creating busy_blocks index:', err.message);
+      }
+    });
+
+    // Create roles, permissions and their assignments (see ./roles for the built-in set)
+    database.run(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        idleTimeoutMinutes INTEGER
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating roles table:', err.message);
+      } else {
+        console.log('Roles table created or already exists');
+      }
+    });
+
+    // Idle timeout per role (added after roles existed); built-in roles start with their default
+    addColumnIfMissing(database, 'roles', 'idleTimeoutMinutes', 'INTEGER', () => {
+      Object.entries(ROLES).forEach(([name, role]) => {
+        database.run(
+          'UPDATE roles SET idleTimeoutMinutes = ? WHERE name = ? AND idleTimeoutMinutes IS NULL',
+          [role.idleTimeoutMinutes, name],
+          (err) => {
+            if (err) {
+              console.error('Error setting role idle timeout:', err.message);
+            }
+          }
+        );
+      });
+    });
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        name TEXT PRIMARY KEY,
+        description TEXT
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating permissions table:', err.message);
+      } else {
+        console.log('Permissions table created or already exists');
+      }
+    });
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role TEXT NOT NULL,
+        permission TEXT NOT NULL,
+        PRIMARY KEY (role, permission),
+        FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE,
+        FOREIGN KEY (permission) REFERENCES permissions(name) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating role_permissions table:', err.message);
+      } else {
+        console.log('Role permissions table created or already exists');
+      }
+    });
+
+    database.run(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        userId INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        grantedBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (userId, role),
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE,
+        FOREIGN KEY (grantedBy) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) {
+        console.error('Error creating user_roles table:', err.message);
+      } else {
+        console.log('User roles table created or already exists');
+      }
+    });
+
+    // Seed the built-in roles and permissions (new ones are added on upgrade)
+    Object.entries(PERMISSIONS).forEach(([name, description]) => {
+      database.run('INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    });
+    Object.entries(ROLES).forEach(([name, role]) => {
+      database.run('INSERT OR IGNORE INTO roles (name, description) VALUES (?, ?)', [name, role.description]);
+      role.permissions.forEach((permission) => {
+        database.run('INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)', [name, permission]);
+      });
+    });
+
+    // Accounts without any role (created before roles existed) get the one matching their userType
     database.run(`
-      CREATE INDEX IF NOT EXISTS idx_active_sessions_lastActivity ON active_sessions(lastActivity)
+      INSERT OR IGNORE INTO user_roles (userId, role)
+      SELECT u.id, u.userType FROM users u
+      WHERE NOT EXISTS (SELECT 1 FROM user_roles ur WHERE ur.userId = u.id)
     `, (err) => {
       if (err) {
-        console.error('Error creating active_sessions lastActivity index:', err.message);
+        console.error('Error assigning default roles:', err.message);
       }
     });
   });
@@ -163,6 +1326,11 @@ const closeDatabase = () => {
 module.exports = {
   getDatabase,
   initDatabase,
-  closeDatabase
+  closeDatabase,
+  dbRun,
+  dbGet,
+  dbAll,
+  dbTransaction,
+  dbSettled
 };
 
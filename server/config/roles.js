@@ -0,0 +1,70 @@
+/**
+ * Built-in roles and permissions
+ * Seeded into the roles/permissions tables by initDatabase. Every account gets
+ * the role matching its userType; admins can grant further roles (e.g. front_desk).
+ * idleTimeoutMinutes is only the initial value - admins can change it per role.
+ */
+
+const PERMISSIONS = {
+  'availability:read': 'View own availability',
+  'availability:write': 'Set and delete own availability',
+  'presence:write': 'Report being active (practitioner heartbeat)',
+  'practitioners:read': 'List practitioners with their availability and status',
+  'practitioners:contact': 'See practitioners\' email addresses',
+  'users:read': 'List user accounts',
+  'users:manage': 'Change account status, unlock accounts and assign roles',
+  'invitations:manage': 'Invite staff and revoke invitations',
+  'mfa:manage': 'Set the MFA policy',
+  'deletions:review': 'Review account deletion requests',
+  'users:impersonate': 'View the app as another user (read-only, time-limited)',
+  'records:break_glass': 'Open a patient record in an emergency, stating a reason',
+  'audit:read': 'Review impersonation and break-glass access',
+  'holidays:manage': 'Set the clinic holiday calendar',
+  'locations:manage': 'Manage clinic locations and their time zones',
+  'appointments:book': 'Book appointments',
+  'appointments:manage': 'See, book and change any patient\'s appointments',
+  'services:manage': 'Set services\' cancellation and rescheduling policies'
+};
+
+const ROLES = {
+  patient: {
+    description: 'Patient',
+    idleTimeoutMinutes: 30,
+    permissions: ['practitioners:read', 'appointments:book']
+  },
+  practitioner: {
+    description: 'Practitioner',
+    idleTimeoutMinutes: 15,
+    permissions: ['availability:read', 'availability:write', 'presence:write', 'records:break_glass']
+  },
+  front_desk: {
+    description: 'Front desk staff',
+    idleTimeoutMinutes: 15,
+    permissions: ['practitioners:read', 'practitioners:contact', 'users:read', 'appointments:book', 'appointments:manage']
+  },
+  admin: {
+    description: 'Administrator',
+    idleTimeoutMinutes: 15,
+    permissions: [
+      'practitioners:read',
+      'practitioners:contact',
+      'users:read',
+      'users:manage',
+      'invitations:manage',
+      'mfa:manage',
+      'deletions:review',
+      'users:impersonate',
+      'audit:read',
+      'holidays:manage',
+      'locations:manage',
+      'appointments:book',
+      'appointments:manage',
+      'services:manage'
+    ]
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES
+};
@@ -0,0 +1,159 @@
+/**
+ * The clinic's service catalogue
+ * Seeded into the services tables by initDatabase (new services are added on
+ * upgrade; existing ones are left as they are). Ids match the service pages of
+ * the client. Prices are in cents, per duration.
+ * bufferMinutes is kept free after a session (and before the next one) for
+ * turnover; minNoticeMinutes and maxAdvanceDays override the clinic defaults
+ * when set.
+ */
+
+const SERVICES = [
+  {
+    id: 1,
+    slug: 'therapeutic-massage',
+    name: 'Therapeutic Massage',
+    category: 'Massage',
+    description: 'A custom-blended session tailored to your needs using multiple techniques such as deep tissue, myofascial release, or trigger point work. Perfect for chronic tension, postural imbalance, or stress-related discomfort.',
+    bufferMinutes: 15,
+    durations: [{ minutes: 60, priceCents: 42500 }, { minutes: 90, priceCents: 52500 }, { minutes: 120, priceCents: 62000 }]
+  },
+  {
+    id: 2,
+    slug: 'deep-tissue-bodywork',
+    name: 'Deep Tissue Bodywork',
+    category: 'Massage',
+    description: 'Focused pressure targeting deeper muscle layers to release persistent knots. Ideal for athletes or individuals seeking lasting relief from stubborn muscular pain.',
+    bufferMinutes: 15,
+    durations: [{ minutes: 60, priceCents: 42500 }, { minutes: 90, priceCents: 52500 }, { minutes: 120, priceCents: 62000 }]
+  },
+  {
+    id: 3,
+    slug: 'swedish-relaxation',
+    name: 'Swedish Relaxation',
+    category: 'Massage',
+    description: 'Gentle full-body treatment using long strokes and kneading methods. Excellent for stress reduction, improved circulation, and complete mental unwinding.',
+    bufferMinutes: 15,
+    durations: [{ minutes: 60, priceCents: 42500 }, { minutes: 90, priceCents: 52500 }, { minutes: 120, priceCents: 62000 }]
+  },
+  {
+    id: 4,
+    slug: 'movement-restoration',
+    name: 'Movement Restoration',
+    category: 'Physiotherapy',
+    description: 'Comprehensive assessment and targeted exercises designed to rebuild functional mobility. Our specialists create personalized programs addressing your specific physical limitations.',
+    bufferMinutes: 10,
+    durations: [{ minutes: 45, priceCents: 15000 }, { minutes: 60, priceCents: 19000 }]
+  },
+  {
+    id: 5,
+    slug: 'post-surgery-rehabilitation',
+    name: 'Post-Surgery Rehabilitation',
+    category: 'Physiotherapy',
+    description: 'Structured recovery protocols helping you regain strength after surgical procedures. Evidence-based approaches ensure safe progression toward full functionality.',
+    bufferMinutes: 10,
+    durations: [{ minutes: 45, priceCents: 15000 }, { minutes: 60, priceCents: 19000 }]
+  },
+  {
+    id: 6,
+    slug: 'chronic-pain-management',
+    name: 'Chronic Pain Management',
+    category: 'Physiotherapy',
+    description: 'Long-term strategies combining manual therapy with corrective exercises. Address root causes rather than symptoms for sustainable improvement.',
+    bufferMinutes: 10,
+    durations: [{ minutes: 45, priceCents: 15000 }, { minutes: 60, priceCents: 19000 }]
+  },
+  {
+    id: 7,
+    slug: 'subconscious-repatterning',
+    name: 'Subconscious Repatterning',
+    category: 'Hypnotherapy',
+    description: 'Transform limiting beliefs through guided trance states. Access deeper awareness to reshape habits, overcome fears, and cultivate positive behavioral changes.',
+    bufferMinutes: 15,
+    durations: [{ minutes: 60, priceCents: 18000 }, { minutes: 90, priceCents: 24000 }]
+  },
+  {
+    id: 8,
+    slug: 'sleep-enhancement-protocol',
+    name: 'Sleep Enhancement Protocol',
+    category: 'Hypnotherapy',
+    description: 'Specialized sessions targeting insomnia and restless nights. Reprogram your mind for deeper, more restorative slumber without pharmaceutical dependency.',
+    bufferMinutes: 15,
+    durations: [{ minutes: 60, priceCents: 18000 }, { minutes: 90, priceCents: 24000 }]
+  },
+  {
+    id: 9,
+    slug: 'confidence-building-journey',
+    name: 'Confidence Building Journey',
+    category: 'Hypnotherapy',
+    description: 'Unlock hidden self-assurance buried beneath doubt. Emerge with renewed belief in your capabilities and readiness to embrace life challenges.',
+    bufferMinutes: 15,
+    durations: [{ minutes: 60, priceCents: 18000 }, { minutes: 90, priceCents: 24000 }]
+  },
+  {
+    id: 10,
+    slug: 'meridian-balancing',
+    name: 'Meridian Balancing',
+    category: 'Acupuncture',
+    description: 'Traditional Chinese medicine approach restoring energy flow throughout your body. Precise needle placement activates natural healing responses and harmonizes vital systems.',
+    bufferMinutes: 10,
+    durations: [{ minutes: 45, priceCents: 14000 }, { minutes: 60, priceCents: 17500 }]
+  },
+  {
+    id: 11,
+    slug: 'fertility-support-treatment',
+    name: 'Fertility Support Treatment',
+    category: 'Acupuncture',
+    description: 'Holistic protocols enhancing reproductive wellness for conception journeys. Combines acupuncture with lifestyle guidance supporting hormonal equilibrium.',
+    bufferMinutes: 10,
+    durations: [{ minutes: 45, priceCents: 14000 }, { minutes: 60, priceCents: 17500 }]
+  },
+  {
+    id: 12,
+    slug: 'migraine-relief-program',
+    name: 'Migraine Relief Program',
+    category: 'Acupuncture',
+    description: 'Targeted interventions reducing frequency and intensity of headaches. Many clients report significant improvements after just several sessions.',
+    bufferMinutes: 10,
+    durations: [{ minutes: 45, priceCents: 14000 }, { minutes: 60, priceCents: 17500 }]
+  },
+  {
+    id: 13,
+    slug: 'metabolic-reset-consultation',
+    name: 'Metabolic Reset Consultation',
+    category: 'Nutrition',
+    description: 'Comprehensive evaluation identifying nutritional gaps hindering your vitality. Receive actionable recommendations transforming how you nourish yourself daily.',
+    bufferMinutes: 5,
+    durations: [{ minutes: 30, priceCents: 9000 }, { minutes: 60, priceCents: 16000 }]
+  },
+  {
+    id: 14,
+    slug: 'anti-inflammatory-diet-design',
+    name: 'Anti-Inflammatory Diet Design',
+    category: 'Nutrition',
+    description: 'Strategic meal planning reducing systemic inflammation naturally. Learn which foods heal versus harm, creating sustainable eating patterns.',
+    bufferMinutes: 5,
+    durations: [{ minutes: 30, priceCents: 9000 }, { minutes: 60, priceCents: 16000 }]
+  },
+  {
+    id: 15,
+    slug: 'weight-management-coaching',
+    name: 'Weight Management Coaching',
+    category: 'Nutrition',
+    description: 'Balanced approach achieving healthy body composition without extreme dieting. Focus on nourishment over restriction for lasting transformation.',
+    bufferMinutes: 5,
+    durations: [{ minutes: 30, priceCents: 9000 }, { minutes: 60, priceCents: 16000 }]
+  }
+];
+
+// Extras that can be added to any session, priced in cents
+const ADD_ONS = [
+  { slug: 'hot-stone', name: 'Hot Stone Therapy', priceCents: 3500 },
+  { slug: 'aromatherapy', name: 'Aromatherapy', priceCents: 2500 },
+  { slug: 'cbd-oil', name: 'CBD Oil Treatment', priceCents: 4500 }
+];
+
+module.exports = {
+  SERVICES,
+  ADD_ONS
+};
@@ -2,12 +2,36 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
+const passkeyRoutes = require('./routes/passkeys');
+const invitationRoutes = require('./routes/invitations');
+const sessionRoutes = require('./routes/sessions');
 const practitionerRoutes = require('./routes/practitioner');
+const practitionersRoutes = require('./routes/practitioners');
+const serviceRoutes = require('./routes/services');
+const appointmentRoutes = require('./routes/appointments');
+const adminRoutes = require('./routes/admin');
+const userRoutes = require('./routes/users');
+const breakGlassRoutes = require('./routes/breakGlass');
+const proxyRoutes = require('./routes/proxies');
+const waitlistRoutes = require('./routes/waitlist');
+const calendarRoutes = require('./routes/calendar');
 const { initDatabase } = require('./config/database');
 const { securityHeaders, apiLimiter, secureErrorHandler, validateEnvironment } = require('./middleware/security');
 const AuditLogger = require('./middleware/auditLogger');
+const { purgeExpiredTokens, verifyAccessToken } = require('./utils/tokens');
+const { touchSession } = require('./utils/sessions');
+const { hasPermission } = require('./utils/roles');
+const { purgeStaleLoginAttempts } = require('./middleware/accountLockout');
+const { ACCESS_COOKIE } = require('./utils/authCookies');
+const { processDueDeletions } = require('./utils/accountDeletion');
+const { purgeExpiredLoginRequests } = require('./utils/oidc');
+const { purgeExpiredChallenges } = require('./utils/passkeys');
+const { expireWaitlist } = require('./utils/waitlist');
+const { CALENDAR_IMPORT_POLL_MINUTES, syncRemoteImports } = require('./utils/calendarImports');
 
 dotenv.config();
 
@@ -89,9 +113,9 @@ const corsOptions = {
     }
   },
   credentials: true,  // Allow cookies and auth headers
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-Auth-Mode', 'X-Acting-As'],
+  exposedHeaders: ['Content-Type', 'Content-Disposition'],
   optionsSuccessStatus: 200,  // Return 200 for OPTIONS requests
   preflightContinue: false     // Let CORS middleware handle preflight
 };
@@ -108,8 +132,8 @@ app.options('*', (req, res) => {
   // If origin is present and allowed, send CORS headers
   if (origin && allowedOriginsList.includes(origin)) {
     res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-CSRF-Token, X-Auth-Mode, X-Acting-As');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
     return res.status(200).end();
@@ -132,6 +156,8 @@ app.use(securityHeaders);
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Auth cookies for browser clients using cookie mode
+app.use(cookieParser());
 
 // Rate limiting - skip OPTIONS requests (preflight)
 // IMPORTANT: Rate limiting must come AFTER CORS middleware
@@ -150,8 +176,21 @@ app.use(AuditLogger.middleware());
 initDatabase();
 
 // Routes
+app.use('/api/auth/mfa', mfaRoutes);
+app.use('/api/auth/passkeys', passkeyRoutes);
+app.use('/api/auth/invitations', invitationRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/practitioner', practitionerRoutes);
+app.use('/api/practitioners', practitionersRoutes);
+app.use('/api/services', serviceRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/break-glass', breakGlassRoutes);
+app.use('/api/proxies', proxyRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -184,8 +223,8 @@ app.use((err, req, res, next) => {
     if (origin && allowedOriginsList.includes(origin)) {
       res.setHeader('Access-Control-Allow-Origin', origin);
       res.setHeader('Access-Control-Allow-Credentials', 'true');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-CSRF-Token, X-Auth-Mode, X-Acting-As');
     }
     // Return CORS error immediately without continuing to secureErrorHandler
     return res.status(403).json({
@@ -199,39 +238,62 @@ app.use((err, req, res, next) => {
 // Secure error handler (must be last)
 app.use(secureErrorHandler);
 
+// Socket.IO authentication - clients send their access token in the handshake,
+// or (cookie mode) the browser sends the access cookie
+// Each socket joins a room for its user and its session so a sign-out can reach it
+io.engine.use(cookieParser());
+io.use(async (socket, next) => {
+  let token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    // WebSocket handshakes aren't subject to CORS, so only trust the cookie from our own clients
+    const origin = socket.handshake.headers.origin;
+    const cookies = socket.request.cookies || {};
+    if (cookies[ACCESS_COOKIE] && origin && allowedOriginsForSocket.includes(origin)) {
+      token = cookies[ACCESS_COOKIE];
+    }
+  }
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    const decoded = await verifyAccessToken(token);
+    // View-as tokens can't report presence or receive another user's live events
+    if (decoded.imp) {
+      return next(new Error('Invalid token'));
+    }
+    socket.data.user = decoded;
+    socket.join(`user:${decoded.userId}`);
+    if (decoded.sid) {
+      socket.join(`session:${decoded.sid}`);
+    }
+    next();
+  } catch (error) {
+    next(new Error('Invalid token'));
+  }
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
 
   // Handle practitioner heartbeat via socket
-  socket.on('practitioner:heartbeat', async (data) => {
+  socket.on('practitioner:heartbeat', async () => {
     try {
-      const { userId } = data;
-      if (userId) {
-        // Update active session in database
-        const { getDatabase } = require('./config/database');
-        const db = getDatabase();
-        const ipAddress = socket.handshake.address;
-        const userAgent = socket.handshake.headers['user-agent'] || 'Unknown';
-
-        db.run(
-          `INSERT OR REPLACE INTO active_sessions (userId, lastActivity, ipAddress, userAgent)
-           VALUES (?, CURRENT_TIMESTAMP, ?, ?)`,
-          [userId, ipAddress, userAgent],
-          (err) => {
-            if (err) {
-              console.error('Error updating heartbeat:', err);
-            } else {
-              // Emit to all admins that this practitioner is active
-              io.emit('practitioner:status', {
-                userId,
-                isActive: true,
-                lastActivity: new Date().toISOString()
-              });
-            }
-          }
-        );
+      const { userId, sid } = socket.data.user;
+      if (!sid || !(await hasPermission(userId, 'presence:write'))) {
+        return;
       }
+
+      // Keep this device's session marked as recently active
+      await touchSession(sid, { force: true });
+
+      // Emit to all admins that this practitioner is active
+      io.emit('practitioner:status', {
+        userId,
+        isActive: true,
+        lastActivity: new Date().toISOString()
+      });
     } catch (error) {
       console.error('Heartbeat error:', error);
     }
@@ -243,25 +305,64 @@ io.on('connection', (socket) => {
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`\n🚀 Server is running on port ${PORT}`);
-  console.log(`📡 Socket.IO server initialized`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  
-  // Display CORS configuration on startup
-  const origins = getAllowedOrigins();
-  console.log(`✅ CORS configured for ${origins.length} origin(s): ${origins.join(', ')}`);
-  console.log('');
-}).on('error', (err) => {
-  if (err.code === 'EADDRINUSE') {
-    console.error(`\n❌ Error: Port ${PORT} is already in use.`);
-    console.error(`Please either:`);
-    console.error(`  1. Stop the process using port ${PORT}`);
-    console.error(`  2. Or change the PORT in .env file\n`);
-    process.exit(1);
-  } else {
-    console.error('Server error:', err);
-    process.exit(1);
-  }
-});
+// Run directly (npm start) the server listens and runs its background jobs;
+// the tests require the app without either
+if (require.main === module) {
+  // Periodically purge expired revocation entries, refresh tokens and stale login attempts,
+  // and delete accounts whose deletion grace period is over
+  setInterval(() => {
+    purgeExpiredTokens().catch((err) => {
+      console.error('Error purging expired tokens:', err);
+    });
+    purgeStaleLoginAttempts().catch((err) => {
+      console.error('Error purging login attempts:', err);
+    });
+    processDueDeletions(io).catch((err) => {
+      console.error('Error processing account deletions:', err);
+    });
+    purgeExpiredLoginRequests().catch((err) => {
+      console.error('Error purging SSO login requests:', err);
+    });
+    purgeExpiredChallenges().catch((err) => {
+      console.error('Error purging passkey challenges:', err);
+    });
+  }, 60 * 60 * 1000);
+
+  // Waitlist holds last minutes, so pass on the ones nobody took every minute
+  setInterval(() => {
+    expireWaitlist(io).catch((err) => {
+      console.error('Error expiring waitlist offers:', err);
+    });
+  }, 60 * 1000);
+
+  // Imported calendars from URLs and server files are read again every CALENDAR_IMPORT_POLL_MINUTES
+  setInterval(() => {
+    syncRemoteImports().catch((err) => {
+      console.error('Error syncing calendar imports:', err);
+    });
+  }, CALENDAR_IMPORT_POLL_MINUTES * 60 * 1000);
+
+  server.listen(PORT, () => {
+    console.log(`\n🚀 Server is running on port ${PORT}`);
+    console.log(`📡 Socket.IO server initialized`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    
+    // Display CORS configuration on startup
+    const origins = getAllowedOrigins();
+    console.log(`✅ CORS configured for ${origins.length} origin(s): ${origins.join(', ')}`);
+    console.log('');
+  }).on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      console.error(`\n❌ Error: Port ${PORT} is already in use.`);
+      console.error(`Please either:`);
+      console.error(`  1. Stop the process using port ${PORT}`);
+      console.error(`  2. Or change the PORT in .env file\n`);
+      process.exit(1);
+    } else {
+      console.error('Server error:', err);
+      process.exit(1);
+    }
+  });
+}
 
+module.exports = { app, server };
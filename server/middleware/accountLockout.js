@@ -0,0 +1,179 @@
+const { dbRun, dbGet } = require('../config/database');
+const AuditLogger = require('./auditLogger');
+
+/**
+ * Per-account login throttling
+ * authLimiter only limits per IP, so failed attempts are also counted per email
+ * address. After LOGIN_BACKOFF_AFTER failures each further attempt has to wait
+ * exponentially longer; after LOGIN_LOCKOUT_THRESHOLD failures the account is
+ * locked for LOGIN_LOCKOUT_MINUTES. Attempts are tracked for unknown emails too,
+ * so responses never reveal whether an account exists.
+ */
+
+// 0 is a real setting here (back off from the first failure), so only a missing value falls back
+const envInteger = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const LOCKOUT_THRESHOLD = envInteger('LOGIN_LOCKOUT_THRESHOLD', 10);
+const LOCKOUT_MINUTES = envInteger('LOGIN_LOCKOUT_MINUTES', 15);
+const BACKOFF_AFTER = envInteger('LOGIN_BACKOFF_AFTER', 3);
+const BACKOFF_MAX_SECONDS = envInteger('LOGIN_BACKOFF_MAX_SECONDS', 60);
+
+const LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later.';
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const toTime = (sqliteDate) => (sqliteDate ? new Date(`${sqliteDate.replace(' ', 'T')}Z`).getTime() : 0);
+
+/**
+ * Delay required after the given number of consecutive failures
+ * @param {number} failedCount
+ * @returns {number} - Seconds
+ */
+const backoffSeconds = (failedCount) => {
+  if (failedCount < BACKOFF_AFTER) {
+    return 0;
+  }
+  return Math.min(2 ** (failedCount - BACKOFF_AFTER), BACKOFF_MAX_SECONDS);
+};
+
+/**
+ * How long an email has to wait before it may try to log in again
+ * @param {string} email
+ * @returns {Promise<number>} - Seconds, 0 when a login attempt is allowed now
+ */
+const getRetryAfter = async (email) => {
+  const row = await dbGet('SELECT * FROM login_attempts WHERE email = ?', [normalizeEmail(email)]);
+  if (!row) {
+    return 0;
+  }
+
+  const now = Date.now();
+  const lockedUntil = toTime(row.lockedUntil);
+  if (lockedUntil > now) {
+    return Math.ceil((lockedUntil - now) / 1000);
+  }
+
+  const nextAttemptAt = toTime(row.lastFailedAt) + backoffSeconds(row.failedCount) * 1000;
+  return nextAttemptAt > now ? Math.ceil((nextAttemptAt - now) / 1000) : 0;
+};
+
+/**
+ * Reject a login with 429 while the account is locked or backing off
+ * Runs before credentials are checked, so the response is the same for every email
+ */
+const checkAccountLockout = async (req, res, next) => {
+  if (!req.body || !req.body.email) {
+    return next();
+  }
+
+  try {
+    const retryAfter = await getRetryAfter(req.body.email);
+    if (retryAfter > 0) {
+      AuditLogger.log({
+        userId: null,
+        userType: 'anonymous',
+        action: 'LOGIN',
+        resource: req.originalUrl,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent') || 'Unknown',
+        status: 'FAILURE',
+        details: 'Account locked or backing off'
+      });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: LOCKED_MESSAGE, retryAfter });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking account lockout:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+};
+
+/**
+ * Count a failed login; locks the account once the threshold is reached
+ * @param {Object} req - Express request (for the audit log)
+ * @param {string} email
+ * @param {Object} [user] - User row when the email belongs to an account
+ */
+const recordFailedLogin = async (req, email, user = null) => {
+  const key = normalizeEmail(email);
+
+  await dbRun(
+    `INSERT INTO login_attempts (email, failedCount, lastFailedAt) VALUES (?, 1, CURRENT_TIMESTAMP)
+     ON CONFLICT(email) DO UPDATE SET
+       failedCount = CASE WHEN lockedUntil IS NOT NULL THEN 1 ELSE failedCount + 1 END,
+       lockedUntil = NULL,
+       lastFailedAt = CURRENT_TIMESTAMP`,
+    [key]
+  );
+
+  const row = await dbGet('SELECT failedCount FROM login_attempts WHERE email = ?', [key]);
+  if (row.failedCount < LOCKOUT_THRESHOLD) {
+    return;
+  }
+
+  await dbRun(
+    "UPDATE login_attempts SET lockedUntil = datetime('now', ?) WHERE email = ?",
+    [`+${LOCKOUT_MINUTES} minutes`, key]
+  );
+
+  AuditLogger.log({
+    userId: user ? user.id : null,
+    userType: user ? user.userType : 'anonymous',
+    action: 'ACCOUNT_LOCKED',
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status: 'SUCCESS',
+    details: `Locked for ${LOCKOUT_MINUTES} minutes after ${row.failedCount} failed attempts`
+  });
+};
+
+/**
+ * Forget failed attempts (successful login, password reset or admin unlock)
+ * @param {string} email
+ * @returns {Promise<boolean>} - true if there was anything to clear
+ */
+const clearFailedLogins = async (email) => {
+  const { changes } = await dbRun('DELETE FROM login_attempts WHERE email = ?', [normalizeEmail(email)]);
+  return changes > 0;
+};
+
+/**
+ * Lockout state for an email, for admin views
+ * @param {string} email
+ * @returns {Promise<{ failedCount: number, lockedUntil: string|null }>}
+ */
+const getLockoutStatus = async (email) => {
+  const row = await dbGet(
+    'SELECT failedCount, lockedUntil FROM login_attempts WHERE email = ?',
+    [normalizeEmail(email)]
+  );
+  const locked = row && toTime(row.lockedUntil) > Date.now();
+  return {
+    failedCount: row ? row.failedCount : 0,
+    lockedUntil: locked ? row.lockedUntil : null
+  };
+};
+
+/**
+ * Drop counters for emails that haven't failed in a day and aren't locked
+ */
+const purgeStaleLoginAttempts = () => dbRun(
+  `DELETE FROM login_attempts
+   WHERE lastFailedAt <= datetime('now', '-1 day')
+     AND (lockedUntil IS NULL OR lockedUntil <= datetime('now'))`
+);
+
+module.exports = {
+  LOCKED_MESSAGE,
+  getRetryAfter,
+  checkAccountLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+  getLockoutStatus,
+  purgeStaleLoginAttempts
+};
@@ -1,5 +1,8 @@
 const { getDatabase } = require('../config/database');
 
+// Calendar feed URLs carry their secret token, which stays out of the log
+const redactPath = (path) => path.replace(/\/feeds\/[^/]+\.ics$/, '/feeds/[token].ics');
+
 /**
  * HIPAA-compliant audit logging middleware
  * Logs all access to Protected Health Information (PHI)
@@ -16,6 +19,9 @@ class AuditLogger {
    * @param {string} event.userAgent - User agent string
    * @param {string} event.status - Status of the action ('SUCCESS', 'FAILURE')
    * @param {string} event.details - Additional details (without PHI)
+   * @param {string} [event.accessMode] - 'impersonation' or 'break_glass' for privileged access
+   * @param {number} [event.accessId] - Impersonation session or break-glass grant the event belongs to
+   * @param {number} [event.onBehalfOfUserId] - Patient a caregiver (userId) acted for
    */
   static log(event) {
     const db = getDatabase();
@@ -27,7 +33,10 @@ class AuditLogger {
       ipAddress,
       userAgent,
       status = 'SUCCESS',
-      details = null
+      details = null,
+      accessMode = null,
+      accessId = null,
+      onBehalfOfUserId = null
     } = event;
 
     // Sanitize details to ensure no PHI is logged
@@ -35,9 +44,13 @@ class AuditLogger {
 
     db.run(
       `INSERT INTO audit_logs (
-        userId, userType, action, resource, ipAddress, userAgent, status, details, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-      [userId, userType, action, resource, ipAddress, userAgent, status, sanitizedDetails],
+        userId, userType, action, resource, ipAddress, userAgent, status, details,
+        accessMode, accessId, onBehalfOfUserId, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        userId, userType, action, resource, ipAddress, userAgent, status, sanitizedDetails,
+        accessMode, accessId, onBehalfOfUserId
+      ],
       (err) => {
         if (err) {
           console.error('Error writing audit log:', err);
@@ -93,7 +106,7 @@ class AuditLogger {
           userId,
           userType,
           action,
-          resource: req.path,
+          resource: redactPath(req.path),
           ipAddress: req.ip || req.connection.remoteAddress,
           userAgent: req.get('user-agent') || 'Unknown',
           status,
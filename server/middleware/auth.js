@@ -0,0 +1,193 @@
+const AuditLogger = require('./auditLogger');
+const { verifyAccessToken } = require('../utils/tokens');
+const { getRequestToken } = require('../utils/authCookies');
+const { getUserPermissions } = require('../utils/roles');
+const { rejectInvalidCsrf } = require('./csrf');
+const { findActiveRelationship } = require('../utils/proxies');
+
+// View-as mode can look but not change anything
+const IMPERSONATION_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Record every request made with a view-as token against the admin behind it,
+ * and refuse the ones that would change something
+ * @returns {boolean} - true if the request was rejected
+ */
+const guardImpersonatedRequest = (req, res) => {
+  const { imp, userId } = req.user;
+  const allowed = IMPERSONATION_SAFE_METHODS.includes(req.method);
+
+  AuditLogger.log({
+    userId: imp.by,
+    userType: 'admin',
+    action: allowed ? 'IMPERSONATED_REQUEST' : 'IMPERSONATED_WRITE_BLOCKED',
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status: allowed ? 'SUCCESS' : 'FAILURE',
+    details: `${req.method} viewing as user ${userId}`,
+    accessMode: 'impersonation',
+    accessId: imp.id
+  });
+
+  if (!allowed) {
+    res.status(403).json({ error: 'View-as mode is read-only', code: 'IMPERSONATION_READ_ONLY' });
+  }
+  return !allowed;
+};
+
+// A caregiver sends the patient's user ID here to act for them
+const ACTING_AS_HEADER = 'X-Acting-As';
+
+/**
+ * Switch a request made with X-Acting-As to the patient the proxy acts for
+ * Only endpoints that name a proxy scope (requireAuthOnBehalf) accept it; req.user
+ * becomes the patient and req.proxy the caregiver, and the request is audited
+ * with both identities.
+ * @returns {Promise<boolean>} - true if the request was rejected
+ */
+const actOnBehalf = async (req, res) => {
+  const proxy = req.user;
+  const scope = req.proxyScope;
+  const dependentId = parseInt(req.get(ACTING_AS_HEADER), 10);
+  const logProxyEvent = (action, status, details, onBehalfOfUserId = null) => {
+    AuditLogger.log({
+      userId: proxy.userId,
+      userType: proxy.userType,
+      action,
+      resource: req.originalUrl,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent') || 'Unknown',
+      status,
+      details,
+      onBehalfOfUserId
+    });
+  };
+
+  if (!scope) {
+    logProxyEvent('PROXY_ACCESS_DENIED', 'FAILURE', `${req.method} not available to proxies`);
+    res.status(403).json({ error: 'This can\'t be done on someone else\'s behalf', code: 'PROXY_NOT_ALLOWED' });
+    return true;
+  }
+
+  const relationship = Number.isInteger(dependentId)
+    ? await findActiveRelationship(proxy.userId, dependentId)
+    : null;
+  if (!relationship || !relationship.scopes.includes(scope)) {
+    logProxyEvent(
+      'PROXY_ACCESS_DENIED',
+      'FAILURE',
+      `Missing proxy scope ${scope} for user ${dependentId}`,
+      relationship ? dependentId : null
+    );
+    res.status(403).json({ error: 'You do not have permission to do this for them', code: 'PROXY_SCOPE_MISSING' });
+    return true;
+  }
+
+  req.proxy = {
+    userId: proxy.userId,
+    userType: proxy.userType,
+    relationshipId: relationship.id,
+    scopes: relationship.scopes
+  };
+  req.user = { ...proxy, userId: dependentId, email: relationship.dependentEmail, userType: 'patient' };
+  logProxyEvent('PROXY_REQUEST', 'SUCCESS', `${req.method} for user ${dependentId} (${scope})`, dependentId);
+  return false;
+};
+
+/**
+ * Authentication middleware
+ * Verifies the access token (bearer header or auth cookie) and rejects revoked tokens.
+ * Cookie-authenticated requests must also pass the CSRF check. With a view-as token
+ * req.user is the impersonated user and req.user.imp names the impersonation.
+ * Requests on someone else's behalf (X-Acting-As) are refused unless the route
+ * uses requireAuthOnBehalf.
+ */
+const requireAuth = (req, res, next) => {
+  const { token, fromCookie } = getRequestToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  if (fromCookie && rejectInvalidCsrf(req, res)) {
+    return;
+  }
+
+  verifyAccessToken(token)
+    .catch(() => null)
+    .then(async (user) => {
+      if (!user) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+      }
+
+      req.user = user;
+      if (user.imp && guardImpersonatedRequest(req, res)) {
+        return;
+      }
+      if (req.get(ACTING_AS_HEADER) && (await actOnBehalf(req, res))) {
+        return;
+      }
+      next();
+    })
+    .catch((error) => {
+      console.error('Error authenticating request:', error);
+      res.status(500).json({ error: 'An error occurred' });
+    });
+};
+
+/**
+ * requireAuth for endpoints a caregiver may use on a patient's behalf
+ * @param {string} scope - Proxy scope the caregiver needs, e.g. 'book'
+ */
+const requireAuthOnBehalf = (scope) => (req, res, next) => {
+  req.proxyScope = scope;
+  requireAuth(req, res, next);
+};
+
+/**
+ * Permissions of the authenticated user, loaded once per request
+ * @param {Object} req - Express request (after requireAuth)
+ * @returns {Promise<Array<string>>}
+ */
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getUserPermissions(req.user.userId);
+  }
+  return req.permissions;
+};
+
+/**
+ * Authorization middleware - use after requireAuth
+ * @param {string} permission - e.g. 'availability:write'
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const permissions = await loadPermissions(req);
+    if (permissions.includes(permission)) {
+      return next();
+    }
+
+    AuditLogger.log({
+      userId: req.user.userId,
+      userType: req.user.userType,
+      action: 'ACCESS_DENIED',
+      resource: req.originalUrl,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent') || 'Unknown',
+      status: 'FAILURE',
+      details: `Missing permission ${permission}`
+    });
+    res.status(403).json({ error: 'You do not have permission to do this' });
+  } catch (error) {
+    console.error('Error checking permissions:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+};
+
+module.exports = {
+  requireAuth,
+  requireAuthOnBehalf,
+  requirePermission,
+  loadPermissions
+};
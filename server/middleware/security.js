@@ -103,6 +103,11 @@ const validateEnvironment = () => {
     console.warn('⚠️  WARNING: Using default JWT_SECRET. Please change this in production!');
   }
 
+  // MFA secrets are encrypted at rest with ENCRYPTION_KEY
+  if (!process.env.ENCRYPTION_KEY) {
+    console.warn('⚠️  WARNING: ENCRYPTION_KEY is not set. Multi-factor authentication enrolment will fail.');
+  }
+
   // Warn if not using HTTPS in production
   if (process.env.NODE_ENV === 'production' && !process.env.FORCE_HTTPS) {
     console.warn('⚠️  WARNING: Ensure HTTPS is enabled in production for HIPAA compliance');
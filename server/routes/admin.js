@@ -0,0 +1,807 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const AuditLogger = require('../middleware/auditLogger');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { MFA_USER_TYPES, getMfaPolicies, setMfaPolicy } = require('../utils/mfa');
+const { revokeAllUserTokens, signImpersonationToken } = require('../utils/tokens');
+const { clearFailedLogins } = require('../middleware/accountLockout');
+const { announceSignOut } = require('../utils/loginSession');
+const { listRoles, setRoleIdleTimeout, setUserRoles, getUserRoles } = require('../utils/roles');
+const {
+  IMPERSONATION_MINUTES,
+  startImpersonation,
+  endImpersonation,
+  listImpersonations
+} = require('../utils/impersonation');
+const { listGrants } = require('../utils/breakGlass');
+const {
+  MAX_SCHEDULE_DAYS,
+  ScheduleError,
+  isValidDate,
+  parseDateRange,
+  listHolidays,
+  addHoliday,
+  deleteHoliday
+} = require('../utils/schedule');
+const {
+  LocationError,
+  listLocations,
+  addLocation,
+  updateLocation,
+  deleteLocation,
+  assignLocation
+} = require('../utils/locations');
+const { isValidTimeZone } = require('../utils/timezone');
+const { CLINIC_POLICY, POLICY_FIELDS, listServicePolicies, setServicePolicy } = require('../utils/policies');
+const {
+  DELETION_STATUSES,
+  listDeletionRequests,
+  getRequestInReview,
+  approveDeletion,
+  rejectDeletion
+} = require('../utils/accountDeletion');
+const {
+  INVITABLE_USER_TYPES,
+  createInvitation,
+  revokeInvitation,
+  listInvitations,
+  sendInvitationEmail
+} = require('../utils/invitations');
+
+const router = express.Router();
+
+// Every route needs a session; each one checks its own permission
+router.use(requireAuth);
+
+const validateMfaPolicy = [
+  param('userType').isIn(MFA_USER_TYPES).withMessage('Invalid user type'),
+  body('required').isBoolean().withMessage('required must be true or false')
+];
+
+const ACCOUNT_STATUSES = ['pending', 'approved', 'suspended'];
+
+const validateInvitation = [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('userType').isIn(INVITABLE_USER_TYPES).withMessage('Invalid user type')
+];
+
+const validateAccountStatus = [
+  param('id').isInt().withMessage('Invalid user ID'),
+  body('status').isIn(ACCOUNT_STATUSES).withMessage('Invalid status')
+];
+
+const validateRoleSettings = [
+  param('name').isString().notEmpty(),
+  body('idleTimeoutMinutes').isInt({ min: 1, max: 480 }).withMessage('Idle timeout must be between 1 and 480 minutes')
+];
+
+const validateUserRoles = [
+  param('id').isInt().withMessage('Invalid user ID'),
+  body('roles').isArray({ min: 1 }).withMessage('At least one role is required'),
+  body('roles.*').isString().withMessage('Invalid role')
+];
+
+const validateDeletionRejection = [
+  param('id').isInt().withMessage('Invalid request ID'),
+  body('note').isString().trim().notEmpty().withMessage('Please explain which records must be retained')
+    .isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+];
+
+const validateHoliday = [
+  body('date').custom(isValidDate).withMessage('Invalid date. Use YYYY-MM-DD'),
+  body('name').isString().trim().notEmpty().withMessage('Holiday name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters')
+];
+
+const validateLocation = [
+  body('name').isString().trim().notEmpty().withMessage('Location name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('address').optional({ values: 'null' }).isString().trim().isLength({ max: 300 })
+    .withMessage('Address must be at most 300 characters'),
+  body('timezone').custom(isValidTimeZone).withMessage('Unknown time zone')
+];
+
+const validateLocationUpdate = [param('id').isInt().withMessage('Invalid location ID'), ...validateLocation];
+
+const validatePractitionerLocation = [
+  param('id').isInt().withMessage('Invalid user ID'),
+  body('locationId').custom((value) => value === null || Number.isInteger(value))
+    .withMessage('locationId must be a location ID or null')
+];
+
+// Each policy value is a whole number, or null to follow the clinic default
+const validateServicePolicy = [
+  param('id').isInt().withMessage('Invalid service ID'),
+  ...POLICY_FIELDS.map((field) => body(field)
+    .custom((value) => value === null || (Number.isInteger(value) && value >= 0))
+    .withMessage(`${field} must be a whole number or null`)),
+  body('lateCancelFeePercent').custom((value) => value === null || value <= 100)
+    .withMessage('lateCancelFeePercent must be at most 100')
+];
+
+const MIN_REASON_LENGTH = 15;
+
+const validateImpersonation = [
+  body('userId').isInt().withMessage('Invalid user ID'),
+  body('reason').isString().trim().isLength({ min: MIN_REASON_LENGTH })
+    .withMessage(`Please explain why you need to view as this user (at least ${MIN_REASON_LENGTH} characters)`)
+    .isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+];
+
+const validateAccessReport = [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+];
+
+const ACCESS_MODES = ['impersonation', 'break_glass'];
+
+// Log an admin action without PHI
+// impersonationId tags the entry for the access report
+const logAdminEvent = (req, action, status, details, impersonationId = null) => {
+  AuditLogger.log({
+    userId: req.user.userId,
+    userType: req.user.userType,
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details,
+    accessMode: impersonationId ? 'impersonation' : null,
+    accessId: impersonationId
+  });
+};
+
+// Get MFA policy for each staff user type
+router.get('/mfa-policy', requirePermission('mfa:manage'), async (req, res) => {
+  try {
+    const policies = await getMfaPolicies();
+    res.json({ policies });
+  } catch (error) {
+    console.error('Error fetching MFA policies:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Make MFA mandatory (or optional) for a user type
+router.put('/mfa-policy/:userType', requirePermission('mfa:manage'), validateMfaPolicy, async (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent') || 'Unknown';
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { userType } = req.params;
+  const required = req.body.required === true || req.body.required === 'true';
+
+  try {
+    await setMfaPolicy(userType, required, req.user.userId);
+
+    AuditLogger.log({
+      userId: req.user.userId,
+      userType: req.user.userType,
+      action: 'MFA_POLICY_UPDATED',
+      resource: `/api/admin/mfa-policy/${userType}`,
+      ipAddress,
+      userAgent,
+      status: 'SUCCESS',
+      details: `MFA ${required ? 'required' : 'optional'} for ${userType}`
+    });
+
+    res.json({ message: 'MFA policy updated', policy: { userType, required } });
+  } catch (error) {
+    console.error('Error updating MFA policy:', error);
+    AuditLogger.log({
+      userId: req.user.userId,
+      userType: req.user.userType,
+      action: 'MFA_POLICY_UPDATED',
+      resource: `/api/admin/mfa-policy/${userType}`,
+      ipAddress,
+      userAgent,
+      status: 'FAILURE',
+      details: 'Database error'
+    });
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Invite a practitioner or admin (staff accounts can't sign up themselves)
+router.post('/invitations', requirePermission('invitations:manage'), validateInvitation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { email, userType } = req.body;
+
+  try {
+    const existingUser = await dbGet('SELECT id FROM users WHERE email = ?', [email]);
+    if (existingUser) {
+      logAdminEvent(req, 'INVITATION_CREATED', 'FAILURE', 'Email already exists');
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+
+    const { token, ...invitation } = await createInvitation({ email, userType, invitedBy: req.user.userId });
+    logAdminEvent(req, 'INVITATION_CREATED', 'SUCCESS', `Invitation ${invitation.id} created for ${userType}`);
+
+    res.status(201).json({ message: 'Invitation sent', invitation });
+
+    const inviter = await dbGet('SELECT firstName, lastName FROM users WHERE id = ?', [req.user.userId]);
+    sendInvitationEmail(invitation, token, inviter).catch((mailError) => {
+      console.error('Error sending invitation email:', mailError);
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    logAdminEvent(req, 'INVITATION_CREATED', 'FAILURE', 'Database error');
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'An error occurred' });
+    }
+  }
+});
+
+// List invitations
+router.get('/invitations', requirePermission('invitations:manage'), async (req, res) => {
+  try {
+    const invitations = await listInvitations();
+    res.json({ invitations });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Revoke an invitation that hasn't been accepted yet
+router.delete('/invitations/:id', requirePermission('invitations:manage'), param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid invitation ID' });
+  }
+
+  try {
+    const revoked = await revokeInvitation(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invitation not found or no longer pending' });
+    }
+
+    logAdminEvent(req, 'INVITATION_REVOKED', 'SUCCESS', `Invitation ${req.params.id} revoked`);
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// List user accounts, optionally filtered by status
+router.get('/users', requirePermission('users:read'), query('status').optional().isIn(ACCOUNT_STATUSES), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    const { status } = req.query;
+    const users = await dbAll(
+      `SELECT u.id, u.email, u.firstName, u.lastName, u.userType, u.status, u.createdAt,
+              COALESCE(la.failedCount, 0) AS failedLoginCount,
+              CASE WHEN la.lockedUntil > datetime('now') THEN la.lockedUntil END AS lockedUntil,
+              (SELECT GROUP_CONCAT(ur.role) FROM user_roles ur WHERE ur.userId = u.id) AS roles
+       FROM users u
+       LEFT JOIN login_attempts la ON la.email = lower(u.email)
+       ${status ? 'WHERE u.status = ?' : ''}
+       ORDER BY u.createdAt DESC, u.id DESC`,
+      status ? [status] : []
+    );
+    res.json({
+      users: users.map((user) => ({ ...user, roles: user.roles ? user.roles.split(',') : [] }))
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Approve, hold or suspend an account
+router.put('/users/:id/status', requirePermission('users:manage'), validateAccountStatus, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const userId = parseInt(req.params.id, 10);
+  const { status } = req.body;
+
+  if (userId === req.user.userId) {
+    return res.status(400).json({ error: 'You cannot change the status of your own account' });
+  }
+
+  try {
+    const user = await dbGet('SELECT id, userType FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await dbRun(
+      'UPDATE users SET status = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, userId]
+    );
+
+    // An account that can no longer sign in shouldn't keep its existing sessions
+    if (status !== 'approved') {
+      await revokeAllUserTokens(userId, `Account ${status}`);
+      await announceSignOut(req.app.get('io'), user);
+    }
+
+    logAdminEvent(req, 'ACCOUNT_STATUS_UPDATED', 'SUCCESS', `User ${userId} set to ${status}`);
+    res.json({ message: 'Account status updated', user: { id: userId, status } });
+  } catch (error) {
+    console.error('Error updating account status:', error);
+    logAdminEvent(req, 'ACCOUNT_STATUS_UPDATED', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Lift a login lockout and reset the failed attempt counter
+router.post('/users/:id/unlock', requirePermission('users:manage'), param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await dbGet('SELECT id, email FROM users WHERE id = ?', [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const cleared = await clearFailedLogins(user.email);
+    logAdminEvent(req, 'ACCOUNT_UNLOCKED', 'SUCCESS', `User ${user.id} unlocked`);
+
+    res.json({ message: cleared ? 'Account unlocked' : 'Account was not locked' });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    logAdminEvent(req, 'ACCOUNT_UNLOCKED', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// List roles and the permissions they grant
+router.get('/roles', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const roles = await listRoles();
+    res.json({ roles });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Change a role's idle timeout (automatic logoff)
+router.put('/roles/:name', requirePermission('users:manage'), validateRoleSettings, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const idleTimeoutMinutes = parseInt(req.body.idleTimeoutMinutes, 10);
+
+  try {
+    const updated = await setRoleIdleTimeout(req.params.name, idleTimeoutMinutes);
+    if (!updated) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    logAdminEvent(req, 'ROLE_UPDATED', 'SUCCESS', `Idle timeout for ${req.params.name} set to ${idleTimeoutMinutes} minutes`);
+    res.json({ message: 'Role updated', role: { name: req.params.name, idleTimeoutMinutes } });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    logAdminEvent(req, 'ROLE_UPDATED', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Replace a user's roles (e.g. grant front_desk to a staff member)
+router.put('/users/:id/roles', requirePermission('users:manage'), validateUserRoles, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const userId = parseInt(req.params.id, 10);
+  const roles = [...new Set(req.body.roles)];
+
+  // Don't let an admin lock themselves out of role management
+  if (userId === req.user.userId) {
+    return res.status(400).json({ error: 'You cannot change your own roles' });
+  }
+
+  try {
+    const user = await dbGet('SELECT id FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const known = (await listRoles()).map((role) => role.name);
+    const unknown = roles.filter((role) => !known.includes(role));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown role: ${unknown.join(', ')}` });
+    }
+
+    await setUserRoles(userId, roles, req.user.userId);
+
+    logAdminEvent(req, 'USER_ROLES_UPDATED', 'SUCCESS', `User ${userId} roles set to ${roles.join(', ')}`);
+    res.json({ message: 'Roles updated', user: { id: userId, roles } });
+  } catch (error) {
+    console.error('Error updating roles:', error);
+    logAdminEvent(req, 'USER_ROLES_UPDATED', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Account deletion requests, optionally filtered by status
+router.get('/deletion-requests', requirePermission('deletions:review'), query('status').optional().isIn(DELETION_STATUSES), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    const requests = await listDeletionRequests(req.query.status);
+    res.json({ requests });
+  } catch (error) {
+    console.error('Error fetching deletion requests:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Delete an account held for review - its retained records are kept, anonymised
+router.post('/deletion-requests/:id/approve', requirePermission('deletions:review'), param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid request ID' });
+  }
+
+  try {
+    const request = await getRequestInReview(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Deletion request not found or not awaiting review' });
+    }
+    if (request.userId === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot approve deletion of your own account' });
+    }
+
+    await approveDeletion(request, req.user.userId, req.app.get('io'));
+
+    logAdminEvent(req, 'ACCOUNT_DELETION_APPROVED', 'SUCCESS', `Deletion request ${request.id} approved`);
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    console.error('Error approving deletion request:', error);
+    logAdminEvent(req, 'ACCOUNT_DELETION_APPROVED', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Keep an account held for review; the note is emailed to the user
+router.post('/deletion-requests/:id/reject', requirePermission('deletions:review'), validateDeletionRejection, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const request = await getRequestInReview(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Deletion request not found or not awaiting review' });
+    }
+
+    await rejectDeletion(request, req.user.userId, req.body.note);
+
+    logAdminEvent(req, 'ACCOUNT_DELETION_REJECTED', 'SUCCESS', `Deletion request ${request.id} rejected`);
+    res.json({ message: 'Deletion request rejected' });
+  } catch (error) {
+    console.error('Error rejecting deletion request:', error);
+    logAdminEvent(req, 'ACCOUNT_DELETION_REJECTED', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// "View as": a read-only token for another user's account, valid for IMPERSONATION_MINUTES
+router.post('/impersonation', requirePermission('users:impersonate'), validateImpersonation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logAdminEvent(req, 'IMPERSONATION_STARTED', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const userId = parseInt(req.body.userId, 10);
+  if (userId === req.user.userId) {
+    return res.status(400).json({ error: 'You cannot view as yourself' });
+  }
+
+  try {
+    const target = await dbGet(
+      'SELECT id, email, firstName, lastName, userType FROM users WHERE id = ?',
+      [userId]
+    );
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Viewing as another admin would hand over their permissions
+    if ((await getUserRoles(target.id)).includes('admin')) {
+      logAdminEvent(req, 'IMPERSONATION_STARTED', 'FAILURE', `User ${target.id} is an administrator`);
+      return res.status(403).json({ error: 'Administrator accounts cannot be viewed as' });
+    }
+
+    const impersonation = await startImpersonation({
+      admin: req.user,
+      target,
+      reason: req.body.reason.trim(),
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent') || 'Unknown'
+    });
+    const { token, expiresIn } = signImpersonationToken(target, impersonation);
+
+    logAdminEvent(
+      req,
+      'IMPERSONATION_STARTED',
+      'SUCCESS',
+      `Viewing as user ${target.id} (${target.userType}) for ${IMPERSONATION_MINUTES} minutes`,
+      impersonation.id
+    );
+    res.status(201).json({
+      message: 'Impersonation started',
+      token,
+      expiresIn,
+      impersonation: {
+        id: impersonation.id,
+        reason: impersonation.reason,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+        user: target
+      }
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    logAdminEvent(req, 'IMPERSONATION_STARTED', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Stop viewing as another user (called with the admin's own session)
+router.post('/impersonation/:id/end', requirePermission('users:impersonate'), param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid impersonation ID' });
+  }
+
+  try {
+    const impersonationId = parseInt(req.params.id, 10);
+    const ended = await endImpersonation(impersonationId, 'Exited', req.user.userId);
+    if (!ended) {
+      return res.status(404).json({ error: 'Impersonation not found or already ended' });
+    }
+
+    logAdminEvent(req, 'IMPERSONATION_ENDED', 'SUCCESS', `Impersonation ${impersonationId} ended`, impersonationId);
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Impersonations and break-glass grants, with their reasons and how much was accessed
+router.get('/access-report', requirePermission('audit:read'), validateAccessReport, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const range = { from: req.query.from || null, to: req.query.to || null };
+    const [impersonations, breakGlass] = await Promise.all([listImpersonations(range), listGrants(range)]);
+
+    logAdminEvent(req, 'ACCESS_REPORT_VIEWED', 'SUCCESS', `${impersonations.length} impersonations, ${breakGlass.length} break-glass grants`);
+    res.json({ impersonations, breakGlass });
+  } catch (error) {
+    console.error('Error fetching access report:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Every audit entry written during one impersonation or under one break-glass grant
+router.get('/access-report/:mode/:id', requirePermission('audit:read'), param('mode').isIn(ACCESS_MODES), param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid access report entry' });
+  }
+
+  try {
+    const entries = await dbAll(
+      `SELECT id, userId, userType, action, resource, status, details, ipAddress, timestamp
+       FROM audit_logs WHERE accessMode = ? AND accessId = ?
+       ORDER BY timestamp, id`,
+      [req.params.mode, req.params.id]
+    );
+    res.json({ entries });
+  } catch (error) {
+    console.error('Error fetching access report entries:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Clinic holidays in a date range (?from=&to=, default the next MAX_SCHEDULE_DAYS days)
+router.get('/holidays', requirePermission('holidays:manage'), async (req, res) => {
+  try {
+    const { from, to } = parseDateRange(req.query, MAX_SCHEDULE_DAYS);
+    res.json({ from, to, holidays: await listHolidays(from, to) });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Close the whole clinic on a date - practitioners' own custom hours that day still apply
+router.post('/holidays', requirePermission('holidays:manage'), validateHoliday, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const holiday = await addHoliday({ date: req.body.date, name: req.body.name, createdBy: req.user.userId });
+    logAdminEvent(req, 'HOLIDAY_ADDED', 'SUCCESS', `Clinic closed on ${holiday.date}`);
+    res.status(201).json({ message: 'Holiday added', holiday });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error adding holiday:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+router.delete('/holidays/:id', requirePermission('holidays:manage'), param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid holiday ID' });
+  }
+
+  try {
+    const deleted = await deleteHoliday(parseInt(req.params.id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    logAdminEvent(req, 'HOLIDAY_DELETED', 'SUCCESS', `Holiday ${req.params.id} deleted`);
+    res.json({ message: 'Holiday removed' });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Clinic locations, each with the time zone its practitioners work in
+router.get('/locations', requirePermission('locations:manage'), async (req, res) => {
+  try {
+    res.json({ locations: await listLocations() });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+const pickLocation = ({ name, address, timezone }) => ({ name, address, timezone });
+
+router.post('/locations', requirePermission('locations:manage'), validateLocation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const location = await addLocation(pickLocation(req.body));
+    logAdminEvent(req, 'LOCATION_ADDED', 'SUCCESS', `Location ${location.id} (${location.timezone})`);
+    res.status(201).json({ message: 'Location added', location });
+  } catch (error) {
+    if (error instanceof LocationError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error adding location:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Changing the time zone moves the hours of practitioners there who haven't set their own
+router.put('/locations/:id', requirePermission('locations:manage'), validateLocationUpdate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const location = await updateLocation(parseInt(req.params.id, 10), pickLocation(req.body));
+    logAdminEvent(req, 'LOCATION_UPDATED', 'SUCCESS', `Location ${location.id} (${location.timezone})`);
+    res.json({ message: 'Location updated', location });
+  } catch (error) {
+    if (error instanceof LocationError) {
+      return res.status(error.code === 'NOT_FOUND' ? 404 : 409).json({ error: error.message });
+    }
+    console.error('Error updating location:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+router.delete('/locations/:id', requirePermission('locations:manage'), param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid location ID' });
+  }
+
+  try {
+    const deleted = await deleteLocation(parseInt(req.params.id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+    logAdminEvent(req, 'LOCATION_DELETED', 'SUCCESS', `Location ${req.params.id} deleted`);
+    res.json({ message: 'Location removed' });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Put a practitioner at a location ({ locationId: null } removes them from it)
+router.put('/users/:id/location', requirePermission('locations:manage'), validatePractitionerLocation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    await assignLocation(parseInt(req.params.id, 10), req.body.locationId);
+    logAdminEvent(req, 'PRACTITIONER_LOCATION_CHANGED', 'SUCCESS', `User ${req.params.id} to location ${req.body.locationId}`);
+    res.json({ message: 'Location saved' });
+  } catch (error) {
+    if (error instanceof LocationError) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error assigning location:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Cancellation and rescheduling policy of each service, and the clinic defaults they fall back to
+router.get('/services/policies', requirePermission('services:manage'), async (req, res) => {
+  try {
+    res.json({ clinic: CLINIC_POLICY, services: await listServicePolicies() });
+  } catch (error) {
+    console.error('Error fetching service policies:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Applies to cancellations and moves from now on, including of appointments already booked
+router.put('/services/:id/policy', requirePermission('services:manage'), validateServicePolicy, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const overrides = POLICY_FIELDS.reduce((values, field) => ({ ...values, [field]: req.body[field] }), {});
+    if (!(await setServicePolicy(parseInt(req.params.id, 10), overrides))) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+    logAdminEvent(req, 'SERVICE_POLICY_UPDATED', 'SUCCESS', `Service ${req.params.id}`);
+    res.json({ message: 'Policy saved', services: await listServicePolicies() });
+  } catch (error) {
+    console.error('Error saving service policy:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
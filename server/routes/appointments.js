@@ -0,0 +1,402 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const AuditLogger = require('../middleware/auditLogger');
+const { requireAuthOnBehalf, requirePermission, loadPermissions } = require('../middleware/auth');
+const { ADD_ONS } = require('../config/services');
+const {
+  APPOINTMENT_STATUSES,
+  AppointmentError,
+  listAppointments,
+  getAppointment,
+  bookAppointment,
+  getCancellationTerms,
+  updateAppointmentStatus,
+  rescheduleAppointment,
+  announceAppointment
+} = require('../utils/appointments');
+const { offerFreedTime } = require('../utils/waitlist');
+const {
+  MAX_SERIES_OCCURRENCES,
+  MAX_INTERVAL_WEEKS,
+  previewSeries,
+  bookSeries,
+  appointmentsInScope,
+  getSeriesCancellationTerms,
+  cancelFollowing,
+  rescheduleFollowing
+} = require('../utils/series');
+const { renderAppointment } = require('../utils/calendarFeeds');
+
+const router = express.Router();
+
+// Caregivers with the 'book' scope can see and manage the patient's appointments
+router.use(requireAuthOnBehalf('book'));
+
+const APPOINTMENT_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID: 400,
+  CONFLICT: 409,
+  FORBIDDEN: 403,
+  POLICY: 409,
+  FEE_NOT_ACCEPTED: 409,
+  SERIES_CONFLICTS: 409
+};
+
+// 'this' appointment only, or it and the rest of its series
+const SCOPES = ['this', 'following'];
+
+const validateListQuery = [
+  query('status').optional()
+    .custom((value) => value.split(',').every((status) => APPOINTMENT_STATUSES.includes(status)))
+    .withMessage('Invalid status'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date or time'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date or time')
+];
+
+const validateBooking = [
+  body('serviceId').isInt().withMessage('Choose a service').toInt(),
+  body('duration').isInt({ min: 1 }).withMessage('Choose a duration').toInt(),
+  body('practitionerId').isInt().withMessage('Choose a practitioner').toInt(),
+  body('start').isISO8601({ strict: true }).withMessage('Choose a time'),
+  body('addOns').optional().isArray().withMessage('addOns must be a list')
+    .custom((addOns) => addOns.every((slug) => ADD_ONS.some((addOn) => addOn.slug === slug)))
+    .withMessage('Unknown add-on'),
+  body('notes').optional({ nullable: true }).isString().trim()
+    .isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters'),
+  body('patientId').optional().isInt().withMessage('Invalid patient').toInt()
+];
+
+const validateSeries = [
+  ...validateBooking,
+  body('intervalWeeks').isInt({ min: 1, max: MAX_INTERVAL_WEEKS })
+    .withMessage(`Repeat every 1 to ${MAX_INTERVAL_WEEKS} weeks`).toInt(),
+  body('count').optional({ nullable: true }).isInt({ min: 2, max: MAX_SERIES_OCCURRENCES })
+    .withMessage(`A series has 2 to ${MAX_SERIES_OCCURRENCES} appointments`).toInt(),
+  body('until').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('until must be a date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('until must be a date (YYYY-MM-DD)'),
+  body().custom((value) => Boolean(value.count) !== Boolean(value.until))
+    .withMessage('Give either a number of appointments or an end date'),
+  body('skipConflicts').optional().isBoolean().withMessage('skipConflicts must be true or false').toBoolean()
+];
+
+const validateStatusUpdate = [
+  param('id').isInt().withMessage('Invalid appointment'),
+  body('status').isIn(APPOINTMENT_STATUSES).withMessage('Invalid status'),
+  body('reason').if(body('status').equals('cancelled'))
+    .isString().withMessage('Please say why the appointment is cancelled')
+    .trim().notEmpty().withMessage('Please say why the appointment is cancelled')
+    .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('acceptFeeCents').optional().isInt({ min: 0 }).withMessage('Invalid fee').toInt(),
+  body('scope').optional().isIn(SCOPES).withMessage('scope must be this or following')
+    .custom((scope, { req }) => scope === 'this' || req.body.status === 'cancelled')
+    .withMessage('Only cancelling applies to the following appointments')
+];
+
+const validateReschedule = [
+  param('id').isInt().withMessage('Invalid appointment'),
+  body('start').isISO8601({ strict: true }).withMessage('Choose a time'),
+  body('practitionerId').optional().isInt().withMessage('Invalid practitioner').toInt(),
+  body('scope').optional().isIn(SCOPES).withMessage('scope must be this or following')
+];
+
+// Log an appointment event without PHI; a caregiver's requests name the patient they acted for
+const logAppointmentEvent = (req, action, status, details) => {
+  AuditLogger.log({
+    userId: req.proxy ? req.proxy.userId : req.user.userId,
+    userType: req.proxy ? req.proxy.userType : req.user.userType,
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details,
+    onBehalfOfUserId: req.proxy ? req.user.userId : null
+  });
+};
+
+// Who is asking, for role-scoped visibility
+const viewerOf = async (req) => ({
+  userId: req.user.userId,
+  userType: req.user.userType,
+  canManage: (await loadPermissions(req)).includes('appointments:manage')
+});
+
+// Offer the time an appointment no longer takes to the practitioner's waitlist
+const releaseTime = (req, { practitioner, start, end }) => {
+  if (!practitioner) {
+    return;
+  }
+  offerFreedTime(req.app.get('io'), { practitionerId: practitioner.id, start, end }).catch((error) => {
+    console.error('Error offering freed time to the waitlist:', error);
+  });
+};
+
+const sendAppointmentError = (res, error, fallback) => {
+  if (error instanceof AppointmentError) {
+    return res.status(APPOINTMENT_ERROR_STATUS[error.code]).json({
+      error: error.message,
+      code: error.code,
+      ...(error.cancellation && { cancellation: error.cancellation }),
+      ...(error.occurrences && { occurrences: error.occurrences })
+    });
+  }
+  console.error(fallback, error);
+  res.status(500).json({ error: 'An error occurred' });
+};
+
+// The viewer's appointments: a patient's own, a practitioner's sessions, or everyone's
+// with appointments:manage. ?status=requested,confirmed&from=&to=
+router.get('/', validateListQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const appointments = await listAppointments(await viewerOf(req), {
+      statuses: req.query.status ? req.query.status.split(',') : null,
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ appointments });
+  } catch (error) {
+    sendAppointmentError(res, error, 'Error fetching appointments:');
+  }
+});
+
+// A series booking from the request body, for the patient it's for
+const seriesBookingOf = (req, viewer) => ({
+  patientId: req.body.patientId || req.user.userId,
+  practitionerId: req.body.practitionerId,
+  serviceId: req.body.serviceId,
+  minutes: req.body.duration,
+  start: req.body.start,
+  repeat: { intervalWeeks: req.body.intervalWeeks, count: req.body.count, until: req.body.until },
+  addOns: req.body.addOns,
+  notes: req.body.notes,
+  bookedBy: req.proxy ? req.proxy.userId : req.user.userId,
+  confirmed: viewer.canManage
+});
+
+// Each date a series would have and whether it can be booked - same body as POST /series
+router.post('/series/preview', requirePermission('appointments:book'), validateSeries, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const viewer = await viewerOf(req);
+    const booking = seriesBookingOf(req, viewer);
+    if (booking.patientId !== req.user.userId && !viewer.canManage) {
+      return res.status(403).json({ error: 'You can only book appointments for yourself' });
+    }
+    res.json({ occurrences: await previewSeries(booking) });
+  } catch (error) {
+    sendAppointmentError(res, error, 'Error previewing series:');
+  }
+});
+
+// Book a recurring series: a booking plus { intervalWeeks, count | until, skipConflicts }
+// If any date can't be booked the response is 409 SERIES_CONFLICTS with every date's
+// availability, unless skipConflicts books the rest
+router.post('/series', requirePermission('appointments:book'), validateSeries, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logAppointmentEvent(req, 'BOOK_SERIES', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const viewer = await viewerOf(req);
+    const booking = seriesBookingOf(req, viewer);
+    if (booking.patientId !== req.user.userId && !viewer.canManage) {
+      logAppointmentEvent(req, 'BOOK_SERIES', 'FAILURE', `Not allowed to book for user ${booking.patientId}`);
+      return res.status(403).json({ error: 'You can only book appointments for yourself' });
+    }
+
+    const { series, appointments, skipped } = await bookSeries({ ...booking, skipConflicts: req.body.skipConflicts });
+    logAppointmentEvent(
+      req,
+      'BOOK_SERIES',
+      'SUCCESS',
+      `Series ${series.id}: ${appointments.length} appointments with practitioner ${req.body.practitionerId}`
+        + (skipped.length > 0 ? `, ${skipped.length} dates skipped` : '')
+    );
+    appointments.forEach((appointment) => announceAppointment(req.app.get('io'), appointment));
+    res.status(201).json({ message: `${appointments.length} appointments booked`, series, appointments, skipped });
+  } catch (error) {
+    if (error instanceof AppointmentError) {
+      logAppointmentEvent(req, 'BOOK_SERIES', 'FAILURE', error.code);
+    }
+    sendAppointmentError(res, error, 'Error booking series:');
+  }
+});
+
+router.get('/:id', param('id').isInt(), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(404).json({ error: 'Appointment not found' });
+  }
+
+  try {
+    res.json({ appointment: await getAppointment(await viewerOf(req), parseInt(req.params.id, 10)) });
+  } catch (error) {
+    sendAppointmentError(res, error, 'Error fetching appointment:');
+  }
+});
+
+// Book one of a practitioner's slots - for yourself, or with appointments:manage for any patient
+router.post('/', requirePermission('appointments:book'), validateBooking, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logAppointmentEvent(req, 'BOOK_APPOINTMENT', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const viewer = await viewerOf(req);
+    const patientId = req.body.patientId || req.user.userId;
+    if (patientId !== req.user.userId && !viewer.canManage) {
+      logAppointmentEvent(req, 'BOOK_APPOINTMENT', 'FAILURE', `Not allowed to book for user ${patientId}`);
+      return res.status(403).json({ error: 'You can only book appointments for yourself' });
+    }
+
+    const appointment = await bookAppointment({
+      patientId,
+      practitionerId: req.body.practitionerId,
+      serviceId: req.body.serviceId,
+      minutes: req.body.duration,
+      start: req.body.start,
+      addOns: req.body.addOns,
+      notes: req.body.notes,
+      bookedBy: req.proxy ? req.proxy.userId : req.user.userId,
+      confirmed: viewer.canManage
+    });
+
+    logAppointmentEvent(
+      req,
+      'BOOK_APPOINTMENT',
+      'SUCCESS',
+      `Appointment ${appointment.id} (${appointment.status}) with practitioner ${req.body.practitionerId}`
+    );
+    announceAppointment(req.app.get('io'), appointment);
+    res.status(201).json({ message: 'Appointment booked', appointment });
+  } catch (error) {
+    if (error instanceof AppointmentError) {
+      logAppointmentEvent(req, 'BOOK_APPOINTMENT', 'FAILURE', error.code);
+    }
+    sendAppointmentError(res, error, 'Error booking appointment:');
+  }
+});
+
+// The appointment as an .ics file for the viewer's calendar app, with its details
+router.get('/:id/calendar.ics', param('id').isInt(), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(404).json({ error: 'Appointment not found' });
+  }
+
+  try {
+    const calendar = await renderAppointment(await viewerOf(req), parseInt(req.params.id, 10));
+    res.attachment(`appointment-${req.params.id}.ics`);
+    res.type('text/calendar; charset=utf-8').send(calendar);
+  } catch (error) {
+    sendAppointmentError(res, error, 'Error exporting appointment:');
+  }
+});
+
+// What cancelling now would cost - shown to the patient before they confirm
+// ?scope=following totals the fee for the rest of the series
+router.get('/:id/cancellation', param('id').isInt(), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(404).json({ error: 'Appointment not found' });
+  }
+
+  try {
+    const viewer = await viewerOf(req);
+    const id = parseInt(req.params.id, 10);
+    res.json({
+      cancellation: req.query.scope === 'following'
+        ? await getSeriesCancellationTerms(viewer, id, 'following')
+        : await getCancellationTerms(viewer, id)
+    });
+  } catch (error) {
+    sendAppointmentError(res, error, 'Error fetching cancellation terms:');
+  }
+});
+
+// Confirm, cancel, or mark an appointment completed or a no-show
+// A late cancellation by the patient needs { acceptFeeCents } equal to the fee; without it
+// the response is 409 FEE_NOT_ACCEPTED with the terms. { scope: 'following' } cancels the
+// rest of the series too, and the fee to accept is the total
+router.patch('/:id', validateStatusUpdate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const id = parseInt(req.params.id, 10);
+  try {
+    const viewer = await viewerOf(req);
+    const options = { reason: req.body.reason, acceptFeeCents: req.body.acceptFeeCents };
+    const appointments = req.body.scope === 'following'
+      ? await cancelFollowing(viewer, id, options)
+      : [await updateAppointmentStatus(viewer, id, req.body.status, options)];
+    const [appointment] = appointments;
+    const feeCents = appointments.reduce((sum, { cancellationFeeCents }) => sum + (cancellationFeeCents || 0), 0);
+    logAppointmentEvent(
+      req,
+      'UPDATE_APPOINTMENT',
+      'SUCCESS',
+      `Appointment ${id}${appointments.length > 1 ? ` and ${appointments.length - 1} following` : ''}`
+        + ` marked ${appointment.status}${feeCents ? ' with a late-cancel fee' : ''}`
+    );
+    appointments.forEach((updated) => announceAppointment(req.app.get('io'), updated));
+    res.json({ message: 'Appointment updated', appointment, appointments });
+    if (appointment.status === 'cancelled') {
+      appointments.forEach((updated) => releaseTime(req, updated));
+    }
+  } catch (error) {
+    if (error instanceof AppointmentError) {
+      logAppointmentEvent(req, 'UPDATE_APPOINTMENT', 'FAILURE', `Appointment ${id}: ${error.code}`);
+    }
+    sendAppointmentError(res, error, 'Error updating appointment:');
+  }
+});
+
+// Move an appointment to another slot: { start, practitionerId }
+// { scope: 'following' } moves the rest of the series by the same step; if any of them
+// can't move the response is 409 SERIES_CONFLICTS with each one, and none are moved
+router.post('/:id/reschedule', validateReschedule, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const id = parseInt(req.params.id, 10);
+  try {
+    const viewer = await viewerOf(req);
+    const move = { start: req.body.start, practitionerId: req.body.practitionerId };
+    const before = await appointmentsInScope(viewer, id, req.body.scope);
+    const appointments = req.body.scope === 'following'
+      ? await rescheduleFollowing(viewer, id, move)
+      : [await rescheduleAppointment(viewer, id, move)];
+    const [appointment] = appointments;
+    logAppointmentEvent(
+      req,
+      'RESCHEDULE_APPOINTMENT',
+      'SUCCESS',
+      `Appointment ${id}${appointments.length > 1 ? ` and ${appointments.length - 1} following` : ''}`
+        + ` moved (${appointment.status})`
+    );
+    appointments.forEach((moved) => announceAppointment(req.app.get('io'), moved));
+    res.json({ message: 'Appointment moved', appointment, appointments });
+    before.forEach((previous) => releaseTime(req, previous));
+  } catch (error) {
+    if (error instanceof AppointmentError) {
+      logAppointmentEvent(req, 'RESCHEDULE_APPOINTMENT', 'FAILURE', `Appointment ${id}: ${error.code}`);
+    }
+    sendAppointmentError(res, error, 'Error moving appointment:');
+  }
+});
+
+module.exports = router;
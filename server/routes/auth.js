@@ -1,16 +1,43 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { getDatabase } = require('../config/database');
+const { getDatabase, dbRun, dbGet } = require('../config/database');
 const AuditLogger = require('../middleware/auditLogger');
 const { authLimiter } = require('../middleware/security');
+const { checkAccountLockout, recordFailedLogin, clearFailedLogins } = require('../middleware/accountLockout');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeTokenFamily,
+  verifyAccessToken,
+  revokeAllUserTokens
+} = require('../utils/tokens');
+const { hash } = require('../middleware/encryption');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const { beginLogin, announceSignOut } = require('../utils/loginSession');
+const { assignDefaultRole } = require('../utils/roles');
+const { endImpersonation } = require('../utils/impersonation');
+const {
+  wantsCookieAuth,
+  clearAuthCookies,
+  tokenResponse,
+  getRequestToken,
+  getRequestRefreshToken
+} = require('../utils/authCookies');
+const { rejectInvalidCsrf } = require('../middleware/csrf');
+const {
+  listProviders,
+  createAuthorizationRequest,
+  exchangeCode,
+  findOrProvisionUser,
+  hasLocalPassword
+} = require('../utils/oidc');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
-// HIPAA-compliant token expiration: 1 hour (shorter than before for better security)
-const TOKEN_EXPIRATION = process.env.TOKEN_EXPIRATION || '1h';
+const PASSWORD_RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 30;
 
 // Validation middleware
 const validateSignup = [
@@ -18,7 +45,8 @@ const validateSignup = [
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   body('firstName').notEmpty().withMessage('First name is required'),
   body('lastName').notEmpty().withMessage('Last name is required'),
-  body('userType').isIn(['patient', 'admin', 'practitioner']).withMessage('Invalid user type')
+  // Public signup is for patients only - staff accounts are created by invitation
+  body('userType').optional().equals('patient').withMessage('Invalid user type')
 ];
 
 const validateLogin = [
@@ -26,6 +54,35 @@ const validateLogin = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const validateForgotPassword = [
+  body('email').isEmail().withMessage('Please provide a valid email')
+];
+
+const validateResetPassword = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+const validateOidcCallback = [
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required')
+];
+
+// HTTP status for each OidcError code
+const OIDC_ERROR_STATUS = {
+  UNKNOWN_PROVIDER: 404,
+  INVALID_STATE: 400,
+  INVALID_TOKEN: 401,
+  MISSING_CLAIMS: 403,
+  NOT_ALLOWED: 403,
+  PROVIDER_ERROR: 502
+};
+
+// Cookie clients send the refresh token as a cookie instead
+const validateRefresh = [
+  body('refreshToken').optional().isString().notEmpty().withMessage('Refresh token is required')
+];
+
 // Signup endpoint with rate limiting
 router.post('/signup', authLimiter, validateSignup, async (req, res) => {
   try {
@@ -45,7 +102,8 @@ router.post('/signup', authLimiter, validateSignup, async (req, res) => {
       return res.status(400).json({ error: 'Validation failed' });
     }
 
-    const { email, password, firstName, lastName, userType } = req.body;
+    const { email, password, firstName, lastName } = req.body;
+    const userType = 'patient';
     const db = getDatabase();
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('user-agent') || 'Unknown';
@@ -102,7 +160,7 @@ router.post('/signup', authLimiter, validateSignup, async (req, res) => {
       db.run(
         'INSERT INTO users (email, password, firstName, lastName, userType) VALUES (?, ?, ?, ?, ?)',
         [email, hashedPassword, firstName, lastName, userType],
-        function(err) {
+        async function(err) {
           if (err) {
             AuditLogger.log({
               userId: null,
@@ -117,36 +175,41 @@ router.post('/signup', authLimiter, validateSignup, async (req, res) => {
             return res.status(500).json({ error: 'An error occurred' });
           }
 
-          // Generate JWT token with shorter expiration
-          const token = jwt.sign(
-            { userId: this.lastID, email, userType },
-            JWT_SECRET,
-            { expiresIn: TOKEN_EXPIRATION }
-          );
-
-          // Log successful signup
-          AuditLogger.log({
-            userId: this.lastID,
-            userType,
-            action: 'SIGNUP',
-            resource: '/api/auth/signup',
-            ipAddress,
-            userAgent,
-            status: 'SUCCESS',
-            details: 'User created'
-          });
-
-          res.status(201).json({
-            message: 'User created successfully',
-            token,
-            user: {
-              id: this.lastID,
-              email,
-              firstName,
-              lastName,
-              userType
-            }
-          });
+          const userId = this.lastID;
+
+          try {
+            await assignDefaultRole(userId, userType);
+
+            // Issue a short-lived access token and a rotating refresh token
+            const tokens = await issueTokens({ id: userId, email, userType }, { ipAddress, userAgent });
+
+            // Log successful signup
+            AuditLogger.log({
+              userId,
+              userType,
+              action: 'SIGNUP',
+              resource: '/api/auth/signup',
+              ipAddress,
+              userAgent,
+              status: 'SUCCESS',
+              details: 'User created'
+            });
+
+            res.status(201).json({
+              message: 'User created successfully',
+              ...tokenResponse(req, res, tokens),
+              user: {
+                id: userId,
+                email,
+                firstName,
+                lastName,
+                userType
+              }
+            });
+          } catch (tokenError) {
+            console.error('Error issuing tokens:', tokenError);
+            res.status(500).json({ error: 'An error occurred' });
+          }
         }
       );
     });
@@ -166,7 +229,7 @@ router.post('/signup', authLimiter, validateSignup, async (req, res) => {
 });
 
 // Login endpoint with rate limiting
-router.post('/login', authLimiter, validateLogin, async (req, res) => {
+router.post('/login', authLimiter, validateLogin, checkAccountLockout, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -216,6 +279,10 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
           status: 'FAILURE',
           details: 'Invalid credentials'
         });
+        // Unknown emails are counted too, so lockout doesn't reveal which accounts exist
+        await recordFailedLogin(req, email).catch((lockoutError) => {
+          console.error('Error recording failed login:', lockoutError);
+        });
         return res.status(401).json({ error: 'Invalid email or password' });
       }
 
@@ -233,80 +300,214 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
           status: 'FAILURE',
           details: 'Invalid password'
         });
+        await recordFailedLogin(req, email, user).catch((lockoutError) => {
+          console.error('Error recording failed login:', lockoutError);
+        });
         return res.status(401).json({ error: 'Invalid email or password' });
       }
 
-      // Generate JWT token with shorter expiration
-      const token = jwt.sign(
-        { userId: user.id, email: user.email, userType: user.userType },
-        JWT_SECRET,
-        { expiresIn: TOKEN_EXPIRATION }
-      );
+      beginLogin(req, res, user);
+    });
+  } catch (error) {
+    AuditLogger.log({
+      userId: null,
+      userType: 'anonymous',
+      action: 'LOGIN',
+      resource: '/api/auth/login',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent') || 'Unknown',
+      status: 'FAILURE',
+      details: 'Server error'
+    });
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
 
-      // If user is a practitioner, mark them as active
-      if (user.userType === 'practitioner') {
-        db.run(
-          `INSERT OR REPLACE INTO active_sessions (userId, lastActivity, ipAddress, userAgent)
-           VALUES (?, CURRENT_TIMESTAMP, ?, ?)`,
-          [user.id, ipAddress, userAgent],
-          function(err) {
-            if (err) {
-              console.error('Error updating active session:', err);
-              // Don't fail login if session tracking fails
-            } else {
-              console.log(`Practitioner ${user.id} marked as active`);
-              // Emit socket event for real-time update
-              const io = req.app.get('io');
-              if (io) {
-                io.emit('practitioner:status', {
-                  userId: user.id,
-                  isActive: true,
-                  lastActivity: new Date().toISOString(),
-                  practitioner: {
-                    id: user.id,
-                    firstName: user.firstName,
-                    lastName: user.lastName,
-                    email: user.email
-                  }
-                });
-              }
-            }
-          }
-        );
-      }
+// Create a reset token and email the link (runs after the response is sent)
+const sendPasswordResetEmail = async (user, ipAddress) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  // Only the newest link works
+  await dbRun(
+    'UPDATE password_reset_tokens SET usedAt = CURRENT_TIMESTAMP WHERE userId = ? AND usedAt IS NULL',
+    [user.id]
+  );
+  await dbRun(
+    `INSERT INTO password_reset_tokens (userId, tokenHash, expiresAt, ipAddress)
+     VALUES (?, ?, datetime('now', ?), ?)`,
+    [user.id, hash(token), `+${PASSWORD_RESET_TOKEN_MINUTES} minutes`, ipAddress]
+  );
+
+  const link = clientUrl('/reset-password', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your KNKO password',
+    template: 'password-reset',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset the password for your KNKO account.',
+      `Use the link below within ${PASSWORD_RESET_TOKEN_MINUTES} minutes to choose a new password:`,
+      '',
+      link,
+      '',
+      "If you didn't request this, you can ignore this email - your password will not change."
+    ].join('\n')
+  });
+};
+
+// Forgot password endpoint - always responds the same way so it never reveals whether an email exists
+router.post('/forgot-password', authLimiter, validateForgotPassword, (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent') || 'Unknown';
+  const genericResponse = {
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  };
 
-      // Log successful login
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Please provide a valid email' });
+  }
+
+  const db = getDatabase();
+  db.get('SELECT id, email, password, firstName, userType FROM users WHERE email = ?', [req.body.email], (err, user) => {
+    if (err) {
+      console.error('Error looking up user for password reset:', err);
+      return res.json(genericResponse);
+    }
+
+    // Single sign-on accounts have no password to reset
+    if (user && !hasLocalPassword(user)) {
       AuditLogger.log({
         userId: user.id,
         userType: user.userType,
-        action: 'LOGIN',
-        resource: '/api/auth/login',
+        action: 'PASSWORD_RESET_REQUEST',
+        resource: '/api/auth/forgot-password',
         ipAddress,
         userAgent,
-        status: 'SUCCESS',
-        details: 'Login successful'
+        status: 'FAILURE',
+        details: 'Account uses single sign-on'
       });
+      return res.json(genericResponse);
+    }
 
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          userType: user.userType
-        }
+    AuditLogger.log({
+      userId: user ? user.id : null,
+      userType: user ? user.userType : 'anonymous',
+      action: 'PASSWORD_RESET_REQUEST',
+      resource: '/api/auth/forgot-password',
+      ipAddress,
+      userAgent,
+      status: user ? 'SUCCESS' : 'FAILURE',
+      details: user ? 'Reset link sent' : 'Unknown email'
+    });
+
+    // Respond before doing the work so timing doesn't reveal whether the account exists
+    res.json(genericResponse);
+
+    if (user) {
+      sendPasswordResetEmail(user, ipAddress).catch((mailError) => {
+        console.error('Error sending password reset email:', mailError);
       });
+    }
+  });
+});
+
+// Reset password endpoint - consumes a reset token and revokes every existing session
+router.post('/reset-password', authLimiter, validateResetPassword, async (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent') || 'Unknown';
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    AuditLogger.log({
+      userId: null,
+      userType: 'anonymous',
+      action: 'PASSWORD_RESET',
+      resource: '/api/auth/reset-password',
+      ipAddress,
+      userAgent,
+      status: 'FAILURE',
+      details: 'Validation failed'
+    });
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const resetToken = await dbGet(
+      `SELECT * FROM password_reset_tokens
+       WHERE tokenHash = ? AND usedAt IS NULL AND datetime(expiresAt) > datetime('now')`,
+      [hash(req.body.token)]
+    );
+
+    // Mark the token used first so a concurrent request can't use it twice
+    const consumed = resetToken && (await dbRun(
+      'UPDATE password_reset_tokens SET usedAt = CURRENT_TIMESTAMP WHERE id = ? AND usedAt IS NULL',
+      [resetToken.id]
+    )).changes === 1;
+
+    if (!consumed) {
+      AuditLogger.log({
+        userId: null,
+        userType: 'anonymous',
+        action: 'PASSWORD_RESET',
+        resource: '/api/auth/reset-password',
+        ipAddress,
+        userAgent,
+        status: 'FAILURE',
+        details: 'Invalid or expired reset token'
+      });
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+    }
+
+    const user = await dbGet('SELECT id, email, firstName, userType FROM users WHERE id = ?', [resetToken.userId]);
+    const hashedPassword = await bcrypt.hash(req.body.password, 12);
+    await dbRun(
+      'UPDATE users SET password = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [hashedPassword, user.id]
+    );
+
+    // Sign out everywhere: revoke all refresh token families and their access tokens
+    await revokeAllUserTokens(user.id, 'Password reset');
+    // Proving control of the mailbox lifts any lockout
+    await clearFailedLogins(user.email);
+    await announceSignOut(req.app.get('io'), user);
+
+    AuditLogger.log({
+      userId: user.id,
+      userType: user.userType,
+      action: 'PASSWORD_RESET',
+      resource: '/api/auth/reset-password',
+      ipAddress,
+      userAgent,
+      status: 'SUCCESS',
+      details: 'Password reset, sessions revoked'
     });
+
+    sendMail({
+      to: user.email,
+      subject: 'Your KNKO password was changed',
+      template: 'password-changed',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'The password for your KNKO account was just reset and all devices were signed out.',
+        "If this wasn't you, contact the clinic immediately."
+      ].join('\n')
+    }).catch((mailError) => {
+      console.error('Error sending password changed email:', mailError);
+    });
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
   } catch (error) {
+    console.error('Error resetting password:', error);
     AuditLogger.log({
       userId: null,
       userType: 'anonymous',
-      action: 'LOGIN',
-      resource: '/api/auth/login',
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('user-agent') || 'Unknown',
+      action: 'PASSWORD_RESET',
+      resource: '/api/auth/reset-password',
+      ipAddress,
+      userAgent,
       status: 'FAILURE',
       details: 'Server error'
     });
@@ -314,56 +515,194 @@ router.post('/login', authLimiter, validateLogin, async (req, res) => {
   }
 });
 
-// Logout endpoint - mark practitioner as inactive
-router.post('/logout', (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
+// Identity providers offered on the login page
+router.get('/oidc/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// Start a single sign-on login - the client sends the browser to authorizationUrl
+router.post('/oidc/:provider/start', authLimiter, async (req, res) => {
+  try {
+    res.json(await createAuthorizationRequest(req.params.provider));
+  } catch (error) {
+    if (error.name !== 'OidcError') {
+      console.error('Error starting SSO login:', error);
+    }
+    res.status(OIDC_ERROR_STATUS[error.code] || 500).json({
+      error: error.code === 'UNKNOWN_PROVIDER' ? error.message : 'Single sign-on is unavailable right now'
+    });
+  }
+});
+
+// Single sign-on callback - the client posts the code and state the IdP redirected back with
+router.post('/oidc/callback', authLimiter, validateOidcCallback, async (req, res) => {
   const ipAddress = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('user-agent') || 'Unknown';
 
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const db = getDatabase();
+    const { provider, claims } = await exchangeCode(req.body.state, req.body.code);
+    const { user, provisioned, previousUserType } = await findOrProvisionUser(provider, claims);
 
-    // If user is a practitioner, mark them as inactive
-    if (decoded.userType === 'practitioner') {
-      db.run(
-        'DELETE FROM active_sessions WHERE userId = ?',
-        [decoded.userId],
-        (err) => {
-          if (err) {
-            console.error('Error removing active session:', err);
-            // Don't fail logout if session removal fails
-          } else {
-            // Emit socket event for real-time update
-            const io = req.app.get('io');
-            if (io) {
-              io.emit('practitioner:status', {
-                userId: decoded.userId,
-                isActive: false,
-                lastActivity: null
-              });
-            }
-          }
-        }
-      );
+    if (provisioned) {
+      AuditLogger.log({
+        userId: user.id,
+        userType: user.userType,
+        action: 'USER_PROVISIONED',
+        resource: '/api/auth/oidc/callback',
+        ipAddress,
+        userAgent,
+        status: 'SUCCESS',
+        details: `Account created on first SSO login via ${provider.id}`
+      });
+    }
+    if (previousUserType) {
+      AuditLogger.log({
+        userId: user.id,
+        userType: user.userType,
+        action: 'USER_TYPE_CHANGED',
+        resource: '/api/auth/oidc/callback',
+        ipAddress,
+        userAgent,
+        status: 'SUCCESS',
+        details: `Changed from ${previousUserType} by IdP groups via ${provider.id}`
+      });
     }
 
+    beginLogin(req, res, user, { details: `SSO login via ${provider.id}` });
+  } catch (error) {
+    if (error.name !== 'OidcError') {
+      console.error('Error completing SSO login:', error);
+    }
     AuditLogger.log({
-      userId: decoded.userId,
-      userType: decoded.userType || 'unknown',
-      action: 'LOGOUT',
-      resource: '/api/auth/logout',
+      userId: null,
+      userType: 'anonymous',
+      action: 'LOGIN',
+      resource: '/api/auth/oidc/callback',
+      ipAddress,
+      userAgent,
+      status: 'FAILURE',
+      details: error.name === 'OidcError' ? `SSO login failed: ${error.code}` : 'Server error'
+    });
+    const status = OIDC_ERROR_STATUS[error.code] || 500;
+    res.status(status).json({
+      error: status === 403 || error.code === 'INVALID_STATE' ? error.message : 'Single sign-on failed. Please try again.'
+    });
+  }
+});
+
+// Refresh endpoint - exchange a refresh token for a new token pair (rotation)
+router.post('/refresh', authLimiter, validateRefresh, async (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent') || 'Unknown';
+  const { token: refreshToken, fromCookie } = getRequestRefreshToken(req);
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty() || !refreshToken) {
+    AuditLogger.log({
+      userId: null,
+      userType: 'anonymous',
+      action: 'REFRESH_TOKEN',
+      resource: '/api/auth/refresh',
+      ipAddress,
+      userAgent,
+      status: 'FAILURE',
+      details: 'Validation failed'
+    });
+    return res.status(400).json({ error: 'Validation failed' });
+  }
+
+  if (fromCookie && rejectInvalidCsrf(req, res)) {
+    return;
+  }
+
+  try {
+    const { user, tokens } = await rotateRefreshToken(refreshToken, { ipAddress, userAgent });
+
+    AuditLogger.log({
+      userId: user.id,
+      userType: user.userType,
+      action: 'REFRESH_TOKEN',
+      resource: '/api/auth/refresh',
       ipAddress,
       userAgent,
       status: 'SUCCESS',
-      details: 'Logout successful'
+      details: 'Token refreshed'
+    });
+
+    // A cookie session stays a cookie session, with the same CSRF token for its other tabs
+    res.json({
+      ...tokenResponse(req, res, tokens, { cookies: fromCookie || wantsCookieAuth(req), keepCsrfToken: fromCookie }),
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        userType: user.userType
+      }
     });
+  } catch (error) {
+    if (fromCookie && (error.code === 'REUSED' || error.code === 'INVALID')) {
+      clearAuthCookies(res);
+    }
+
+    if (error.code === 'REUSED') {
+      // A rotated token was presented again - the whole family has been revoked
+      AuditLogger.log({
+        userId: error.userId || null,
+        userType: 'unknown',
+        action: 'TOKEN_REUSE_DETECTED',
+        resource: '/api/auth/refresh',
+        ipAddress,
+        userAgent,
+        status: 'FAILURE',
+        details: 'Refresh token reuse detected, token family revoked'
+      });
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (error.code === 'INVALID') {
+      AuditLogger.log({
+        userId: null,
+        userType: 'anonymous',
+        action: 'REFRESH_TOKEN',
+        resource: '/api/auth/refresh',
+        ipAddress,
+        userAgent,
+        status: 'FAILURE',
+        details: 'Invalid or expired refresh token'
+      });
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
 
-    res.json({ message: 'Logout successful' });
+// Logout endpoint - revoke tokens and mark practitioner as inactive
+router.post('/logout', async (req, res) => {
+  const { token, fromCookie } = getRequestToken(req);
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent') || 'Unknown';
+  // The client logs itself off when idle and says so
+  const reason = req.body && req.body.reason === 'idle' ? 'Idle timeout' : 'Logout';
+
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  if (fromCookie && rejectInvalidCsrf(req, res)) {
+    return;
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
   } catch (error) {
     AuditLogger.log({
       userId: null,
@@ -375,13 +714,69 @@ router.post('/logout', (req, res) => {
       status: 'FAILURE',
       details: 'Invalid or expired token'
     });
-    res.status(401).json({ error: 'Invalid token' });
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  // Signing out of view-as mode only ends the impersonation; the admin stays signed in
+  if (decoded.imp) {
+    try {
+      await endImpersonation(decoded.imp.id, 'Exited');
+      await revokeAccessToken(decoded.jti, decoded.userId, 'Impersonation ended', decoded.exp);
+    } catch (error) {
+      console.error('Error ending impersonation:', error);
+      return res.status(500).json({ error: 'An error occurred' });
+    }
+
+    AuditLogger.log({
+      userId: decoded.imp.by,
+      userType: 'admin',
+      action: 'IMPERSONATION_ENDED',
+      resource: '/api/auth/logout',
+      ipAddress,
+      userAgent,
+      status: 'SUCCESS',
+      details: `Stopped viewing as user ${decoded.userId}`,
+      accessMode: 'impersonation',
+      accessId: decoded.imp.id
+    });
+    return res.json({ message: 'Impersonation ended' });
+  }
+
+  try {
+    // Revoke the access token and every refresh token issued for this login
+    await revokeAccessToken(decoded.jti, decoded.userId, reason, decoded.exp);
+    if (decoded.sid) {
+      await revokeTokenFamily(decoded.sid, reason);
+    }
+  } catch (error) {
+    console.error('Error revoking tokens:', error);
+    return res.status(500).json({ error: 'An error occurred' });
   }
+
+  // Other tabs of this session sign out too; practitioners show offline once no device is left
+  announceSignOut(req.app.get('io'), { id: decoded.userId, userType: decoded.userType }, decoded.sid)
+    .catch((err) => {
+      console.error('Error announcing sign-out:', err);
+    });
+
+  AuditLogger.log({
+    userId: decoded.userId,
+    userType: decoded.userType || 'unknown',
+    action: 'LOGOUT',
+    resource: '/api/auth/logout',
+    ipAddress,
+    userAgent,
+    status: 'SUCCESS',
+    details: reason === 'Idle timeout' ? 'Automatic logoff after idle timeout' : 'Logout successful'
+  });
+
+  clearAuthCookies(res);
+  res.json({ message: 'Logout successful' });
 });
 
 // Verify token endpoint
-router.get('/verify', (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
+router.get('/verify', async (req, res) => {
+  const { token } = getRequestToken(req);
   const ipAddress = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('user-agent') || 'Unknown';
 
@@ -399,76 +794,85 @@ router.get('/verify', (req, res) => {
     return res.status(401).json({ error: 'No token provided' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const db = getDatabase();
-
-    // Fetch full user information from database
-    db.get('SELECT id, email, firstName, lastName, userType FROM users WHERE id = ?', [decoded.userId], (err, user) => {
-      if (err) {
-        AuditLogger.log({
-          userId: decoded.userId,
-          userType: decoded.userType || 'unknown',
-          action: 'VERIFY_TOKEN',
-          resource: '/api/auth/verify',
-          ipAddress,
-          userAgent,
-          status: 'FAILURE',
-          details: 'Database error'
-        });
-        return res.status(500).json({ error: 'An error occurred' });
-      }
+    // Checks signature, expiry and the revocation list
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    AuditLogger.log({
+      userId: null,
+      userType: 'anonymous',
+      action: 'VERIFY_TOKEN',
+      resource: '/api/auth/verify',
+      ipAddress,
+      userAgent,
+      status: 'FAILURE',
+      details: error.code === 'REVOKED' ? 'Revoked token' : 'Invalid or expired token'
+    });
+    return res.status(401).json({ error: 'Invalid token' });
+  }
 
-      if (!user) {
-        AuditLogger.log({
-          userId: decoded.userId,
-          userType: decoded.userType || 'unknown',
-          action: 'VERIFY_TOKEN',
-          resource: '/api/auth/verify',
-          ipAddress,
-          userAgent,
-          status: 'FAILURE',
-          details: 'User not found'
-        });
-        return res.status(401).json({ error: 'Invalid token' });
-      }
+  const db = getDatabase();
 
+  // Fetch full user information from database
+  db.get('SELECT id, email, firstName, lastName, userType FROM users WHERE id = ?', [decoded.userId], (err, user) => {
+    if (err) {
       AuditLogger.log({
-        userId: user.id,
-        userType: user.userType,
+        userId: decoded.userId,
+        userType: decoded.userType || 'unknown',
         action: 'VERIFY_TOKEN',
         resource: '/api/auth/verify',
         ipAddress,
         userAgent,
-        status: 'SUCCESS',
-        details: 'Token verified'
+        status: 'FAILURE',
+        details: 'Database error'
       });
+      return res.status(500).json({ error: 'An error occurred' });
+    }
 
-      res.json({
-        valid: true,
-        user: {
-          id: user.id,
-          userId: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          userType: user.userType
-        }
+    if (!user) {
+      AuditLogger.log({
+        userId: decoded.userId,
+        userType: decoded.userType || 'unknown',
+        action: 'VERIFY_TOKEN',
+        resource: '/api/auth/verify',
+        ipAddress,
+        userAgent,
+        status: 'FAILURE',
+        details: 'User not found'
       });
-    });
-  } catch (error) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
     AuditLogger.log({
-      userId: null,
-      userType: 'anonymous',
-      action: 'VERIFY_TOKEN',
+      userId: decoded.imp ? decoded.imp.by : user.id,
+      userType: decoded.imp ? 'admin' : user.userType,
+      action: decoded.imp ? 'IMPERSONATED_REQUEST' : 'VERIFY_TOKEN',
       resource: '/api/auth/verify',
       ipAddress,
       userAgent,
-      status: 'FAILURE',
-      details: 'Invalid or expired token'
+      status: 'SUCCESS',
+      details: decoded.imp ? `GET viewing as user ${user.id}` : 'Token verified',
+      accessMode: decoded.imp ? 'impersonation' : null,
+      accessId: decoded.imp ? decoded.imp.id : null
     });
-    res.status(401).json({ error: 'Invalid token' });
-  }
+
+    res.json({
+      valid: true,
+      user: {
+        id: user.id,
+        userId: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        userType: user.userType
+      },
+      // Lets the client keep showing the view-as banner after a reload
+      ...(decoded.imp && {
+        impersonation: { id: decoded.imp.id, adminId: decoded.imp.by, expiresAt: new Date(decoded.exp * 1000).toISOString() }
+      })
+    });
+  });
 });
 
 module.exports = router;
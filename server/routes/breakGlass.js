@@ -0,0 +1,157 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { dbGet } = require('../config/database');
+const AuditLogger = require('../middleware/auditLogger');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { loadProfile } = require('../utils/profile');
+const {
+  BREAK_GLASS_MINUTES,
+  grantBreakGlass,
+  getActiveGrant,
+  listActiveGrants,
+  endGrant
+} = require('../utils/breakGlass');
+
+const router = express.Router();
+
+// Every route is for clinicians allowed to break the glass
+router.use(requireAuth, requirePermission('records:break_glass'));
+
+const MIN_REASON_LENGTH = 15;
+
+const validateBreakGlass = [
+  body('patientEmail').isEmail().withMessage('Please provide the patient\'s email address'),
+  body('reason').isString().trim().isLength({ min: MIN_REASON_LENGTH })
+    .withMessage(`Please describe the emergency (at least ${MIN_REASON_LENGTH} characters)`)
+    .isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+];
+
+// Log a break-glass event without PHI, tagged with its grant for the access report
+const logBreakGlassEvent = (req, action, status, details, grantId = null) => {
+  AuditLogger.log({
+    userId: req.user.userId,
+    userType: req.user.userType,
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details,
+    accessMode: grantId ? 'break_glass' : null,
+    accessId: grantId
+  });
+};
+
+// The parts of a patient's record a clinician sees in an emergency
+const toRecord = (profile) => ({
+  id: profile.id,
+  firstName: profile.firstName,
+  lastName: profile.lastName,
+  email: profile.email,
+  phone: profile.phone,
+  dateOfBirth: profile.dateOfBirth,
+  pronouns: profile.pronouns,
+  preferredContactMethod: profile.preferredContactMethod
+});
+
+// The clinician's running break-glass grants (shown in the banner)
+router.get('/', async (req, res) => {
+  try {
+    res.json({ grants: await listActiveGrants(req.user.userId) });
+  } catch (error) {
+    console.error('Error fetching break-glass grants:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Break the glass: open a patient's record for BREAK_GLASS_MINUTES, with a stated reason
+router.post('/', validateBreakGlass, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logBreakGlassEvent(req, 'BREAK_GLASS_INVOKED', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const patient = await dbGet(
+      'SELECT id FROM users WHERE email = ? AND userType = ?',
+      [req.body.patientEmail, 'patient']
+    );
+    if (!patient) {
+      logBreakGlassEvent(req, 'BREAK_GLASS_INVOKED', 'FAILURE', 'Patient not found');
+      return res.status(404).json({ error: 'No patient with that email address' });
+    }
+
+    const grant = await grantBreakGlass({
+      userId: req.user.userId,
+      patientId: patient.id,
+      reason: req.body.reason.trim(),
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent') || 'Unknown'
+    });
+
+    logBreakGlassEvent(
+      req,
+      'BREAK_GLASS_INVOKED',
+      'SUCCESS',
+      `Emergency access to patient ${patient.id} for ${BREAK_GLASS_MINUTES} minutes`,
+      grant.id
+    );
+    res.status(201).json({ message: 'Emergency access granted', grant });
+  } catch (error) {
+    console.error('Error granting break-glass access:', error);
+    logBreakGlassEvent(req, 'BREAK_GLASS_INVOKED', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Read the patient's record under a running grant - every view is audited
+router.get('/:id/record', param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid grant ID' });
+  }
+
+  try {
+    const grant = await getActiveGrant(req.user.userId, parseInt(req.params.id, 10));
+    if (!grant) {
+      logBreakGlassEvent(req, 'BREAK_GLASS_RECORD_VIEWED', 'FAILURE', `Grant ${req.params.id} not active`);
+      return res.status(403).json({ error: 'Your emergency access has ended' });
+    }
+
+    const profile = grant.patientId ? await loadProfile(grant.patientId) : null;
+    if (!profile) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    logBreakGlassEvent(req, 'BREAK_GLASS_RECORD_VIEWED', 'SUCCESS', `Viewed record of patient ${grant.patientId}`, grant.id);
+    res.json({ grant, record: toRecord(profile) });
+  } catch (error) {
+    console.error('Error fetching break-glass record:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Close a grant before it expires
+router.post('/:id/end', param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid grant ID' });
+  }
+
+  try {
+    const grantId = parseInt(req.params.id, 10);
+    const ended = await endGrant(req.user.userId, grantId);
+    if (!ended) {
+      return res.status(404).json({ error: 'Emergency access not found or already ended' });
+    }
+
+    logBreakGlassEvent(req, 'BREAK_GLASS_ENDED', 'SUCCESS', `Grant ${grantId} closed early`, grantId);
+    res.json({ message: 'Emergency access ended' });
+  } catch (error) {
+    console.error('Error ending break-glass access:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
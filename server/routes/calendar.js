@@ -0,0 +1,118 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const AuditLogger = require('../middleware/auditLogger');
+const { requireAuth } = require('../middleware/auth');
+const { getFeed, issueFeedToken, updateFeed, deleteFeed, renderFeed } = require('../utils/calendarFeeds');
+
+const router = express.Router();
+
+// Log a calendar feed event; the URL's token is never logged
+const logFeedEvent = (req, action, status, details) => {
+  AuditLogger.log({
+    userId: req.user.userId,
+    userType: req.user.userType,
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details
+  });
+};
+
+// The subscription URL for a token, on the host the request came in on
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/feeds/${token}.ics`;
+
+const validateShowDetails = body('showDetails').optional().isBoolean()
+  .withMessage('showDetails must be true or false').toBoolean();
+
+// The calendar itself, for calendar apps: the secret token is the only credential
+router.get('/feeds/:token.ics', param('token').matches(/^[A-Za-z0-9_-]{43}$/), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(404).json({ error: 'Calendar not found' });
+  }
+
+  try {
+    const calendar = await renderFeed(req.params.token);
+    if (calendar === null) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.type('text/calendar; charset=utf-8').send(calendar);
+  } catch (error) {
+    console.error('Error rendering calendar feed:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+router.use(requireAuth);
+
+// The signed-in user's feed: { enabled, showDetails, createdAt, lastFetchedAt }; the URL isn't kept
+router.get('/feed', async (req, res) => {
+  try {
+    res.json({ feed: await getFeed(req.user.userId) });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Turn the feed on, or regenerate its URL so the old one stops working: { showDetails }
+// The response has the only copy of the URL
+router.post('/feed', validateShowDetails, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const previous = await getFeed(req.user.userId);
+    const { token, feed } = await issueFeedToken(req.user.userId, { showDetails: req.body.showDetails });
+    logFeedEvent(req, previous.enabled ? 'REGENERATE_CALENDAR_FEED' : 'CREATE_CALENDAR_FEED', 'SUCCESS',
+      `Details ${feed.showDetails ? 'shown' : 'hidden'}`);
+    res.status(previous.enabled ? 200 : 201).json({
+      message: previous.enabled ? 'New calendar URL created. The old one no longer works.' : 'Calendar feed turned on',
+      url: feedUrl(req, token),
+      feed
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// { showDetails } - service and names in event titles, or neutral titles only
+router.patch('/feed', validateShowDetails, body('showDetails').exists().withMessage('showDetails is required'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const feed = await updateFeed(req.user.userId, { showDetails: req.body.showDetails });
+      if (!feed) {
+        return res.status(404).json({ error: 'Calendar feed is not turned on' });
+      }
+      logFeedEvent(req, 'UPDATE_CALENDAR_FEED', 'SUCCESS', `Details ${feed.showDetails ? 'shown' : 'hidden'}`);
+      res.json({ message: 'Calendar feed updated', feed });
+    } catch (error) {
+      console.error('Error updating calendar feed:', error);
+      res.status(500).json({ error: 'An error occurred' });
+    }
+  });
+
+router.delete('/feed', async (req, res) => {
+  try {
+    if (!(await deleteFeed(req.user.userId))) {
+      return res.status(404).json({ error: 'Calendar feed is not turned on' });
+    }
+    logFeedEvent(req, 'DELETE_CALENDAR_FEED', 'SUCCESS', 'Feed URL revoked');
+    res.json({ message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error('Error deleting calendar feed:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, param, validationResult } = require('express-validator');
+const { dbRun, dbGet } = require('../config/database');
+const AuditLogger = require('../middleware/auditLogger');
+const { authLimiter } = require('../middleware/security');
+const { beginLogin } = require('../utils/loginSession');
+const { assignDefaultRole } = require('../utils/roles');
+const {
+  findOpenInvitation,
+  claimInvitation,
+  releaseInvitation,
+  completeInvitation
+} = require('../utils/invitations');
+
+const router = express.Router();
+
+const INVALID_INVITATION = 'This invitation is invalid or has expired';
+
+const validateAccept = [
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('firstName').notEmpty().withMessage('First name is required'),
+  body('lastName').notEmpty().withMessage('Last name is required')
+];
+
+// Log an invitation event without PHI
+const logInvitationEvent = (req, userId, userType, status, details) => {
+  AuditLogger.log({
+    userId,
+    userType,
+    action: 'INVITATION_ACCEPTED',
+    resource: '/api/auth/invitations/accept',
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details
+  });
+};
+
+// Preview an invitation so the client can show who it is for
+router.get('/:token', authLimiter, param('token').isString().notEmpty(), async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: INVALID_INVITATION });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        userType: invitation.userType,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invitation:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Accept an invitation: create the account with the invited role and sign in
+router.post('/accept', authLimiter, validateAccept, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logInvitationEvent(req, null, 'anonymous', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { token, password, firstName, lastName } = req.body;
+
+  let invitation;
+  try {
+    invitation = await findOpenInvitation(token);
+    if (!invitation) {
+      logInvitationEvent(req, null, 'anonymous', 'FAILURE', 'Invalid or expired invitation');
+      return res.status(400).json({ error: INVALID_INVITATION });
+    }
+
+    const existingUser = await dbGet('SELECT id FROM users WHERE email = ?', [invitation.email]);
+    if (existingUser) {
+      logInvitationEvent(req, null, 'anonymous', 'FAILURE', 'Email already exists');
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    // Claim first so two concurrent requests can't both create an account
+    const claimed = await claimInvitation(invitation.id);
+    if (!claimed) {
+      logInvitationEvent(req, null, 'anonymous', 'FAILURE', 'Invitation already used');
+      return res.status(400).json({ error: INVALID_INVITATION });
+    }
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    logInvitationEvent(req, null, 'anonymous', 'FAILURE', 'Server error');
+    return res.status(500).json({ error: 'An error occurred' });
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(password, 12);
+    const { lastID: userId } = await dbRun(
+      `INSERT INTO users (email, password, firstName, lastName, userType, status)
+       VALUES (?, ?, ?, ?, ?, 'approved')`,
+      [invitation.email, hashedPassword, firstName, lastName, invitation.userType]
+    );
+    await assignDefaultRole(userId, invitation.userType);
+    await completeInvitation(invitation.id, userId);
+
+    logInvitationEvent(req, userId, invitation.userType, 'SUCCESS', `Account created (invitation ${invitation.id})`);
+
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [userId]);
+    beginLogin(req, res, user, { details: 'Login after accepting invitation' });
+  } catch (error) {
+    console.error('Error creating invited user:', error);
+    await releaseInvitation(invitation.id).catch(() => {});
+    logInvitationEvent(req, null, 'anonymous', 'FAILURE', 'Error creating user');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const { dbGet } = require('../config/database');
+const AuditLogger = require('../middleware/auditLogger');
+const { authLimiter } = require('../middleware/security');
+const { LOCKED_MESSAGE, getRetryAfter, recordFailedLogin } = require('../middleware/accountLockout');
+const { requireAuth } = require('../middleware/auth');
+const { verifyChallengeToken, revokeAccessToken } = require('../utils/tokens');
+const { completeLogin } = require('../utils/loginSession');
+const {
+  isMfaEligible,
+  getMfaStatus,
+  beginEnrollment,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  enableMfa,
+  disableMfa
+} = require('../utils/mfa');
+
+const router = express.Router();
+
+// Log an MFA event without PHI
+const logMfaEvent = (req, user, action, status, details) => {
+  AuditLogger.log({
+    userId: user?.userId || null,
+    userType: user?.userType || 'anonymous',
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details
+  });
+};
+
+// Enrolment can be started from a logged-in session or from the login flow
+// when the MFA policy requires it (enrolment challenge token instead of a session)
+const authenticateEnrollment = (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+  if (!challengeToken) {
+    return requireAuth(req, res, next);
+  }
+
+  verifyChallengeToken(challengeToken, 'mfa_enrollment')
+    .then((decoded) => {
+      req.user = decoded;
+      req.enrollmentChallenge = decoded;
+      next();
+    })
+    .catch(() => {
+      res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+    });
+};
+
+const validateCode = [
+  body('code').matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your authenticator app')
+];
+
+const validateVerify = [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Invalid code'),
+  body('recoveryCode').optional().isString().isLength({ min: 10, max: 20 }).withMessage('Invalid recovery code')
+];
+
+// Get MFA status for the current user
+router.get('/status', requireAuth, async (req, res) => {
+  try {
+    const status = await getMfaStatus({ id: req.user.userId, userType: req.user.userType });
+    const recoveryCodesRemaining = status.enabled ? await countRecoveryCodes(req.user.userId) : 0;
+    res.json({ ...status, recoveryCodesRemaining });
+  } catch (error) {
+    console.error('Error fetching MFA status:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Start enrolment: returns the secret, provisioning URI and a QR code of it
+router.post('/enroll', authenticateEnrollment, async (req, res) => {
+  const user = req.user;
+
+  if (!isMfaEligible(user.userType)) {
+    logMfaEvent(req, user, 'MFA_ENROLL_START', 'FAILURE', 'Account type not eligible');
+    return res.status(403).json({ error: 'Multi-factor authentication is only available for staff accounts' });
+  }
+
+  try {
+    const status = await getMfaStatus({ id: user.userId, userType: user.userType });
+    if (status.methods.totp) {
+      logMfaEvent(req, user, 'MFA_ENROLL_START', 'FAILURE', 'MFA already enabled');
+      return res.status(409).json({ error: 'Multi-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUrl } = await beginEnrollment({ id: user.userId, email: user.email });
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+
+    logMfaEvent(req, user, 'MFA_ENROLL_START', 'SUCCESS', 'Enrolment started');
+
+    res.json({ secret, otpauthUrl, qrCodeDataUrl });
+  } catch (error) {
+    console.error('Error starting MFA enrolment:', error);
+    logMfaEvent(req, user, 'MFA_ENROLL_START', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Confirm enrolment with a first code; returns recovery codes (shown once)
+router.post('/enroll/verify', authLimiter, authenticateEnrollment, validateCode, async (req, res) => {
+  const user = req.user;
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logMfaEvent(req, user, 'MFA_ENROLL_VERIFY', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const valid = await verifyTotpCode(user.userId, req.body.code, { pending: true });
+    if (!valid) {
+      logMfaEvent(req, user, 'MFA_ENROLL_VERIFY', 'FAILURE', 'Invalid code');
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await enableMfa(user.userId);
+    const recoveryCodes = await generateRecoveryCodes(user.userId);
+
+    logMfaEvent(req, user, 'MFA_ENROLLED', 'SUCCESS', 'Authenticator app enrolled');
+
+    if (req.enrollmentChallenge) {
+      // Enrolment was part of a login - the challenge is spent, finish signing in
+      const { jti, exp } = req.enrollmentChallenge;
+      await revokeAccessToken(jti, user.userId, 'MFA challenge used', exp);
+      const fullUser = await dbGet('SELECT * FROM users WHERE id = ?', [user.userId]);
+      return completeLogin(req, res, fullUser, {
+        details: 'Login successful (MFA enrolled)',
+        extra: { recoveryCodes }
+      });
+    }
+
+    res.json({ message: 'Multi-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('Error verifying MFA enrolment:', error);
+    logMfaEvent(req, user, 'MFA_ENROLL_VERIFY', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Second login step: exchange the challenge token and a TOTP or recovery code for tokens
+router.post('/verify', authLimiter, validateVerify, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty() || (!req.body.code && !req.body.recoveryCode)) {
+    logMfaEvent(req, null, 'MFA_VERIFY', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: 'Validation failed' });
+  }
+
+  let challenge;
+  try {
+    challenge = await verifyChallengeToken(req.body.challengeToken, 'mfa_challenge');
+  } catch (error) {
+    logMfaEvent(req, null, 'MFA_VERIFY', 'FAILURE', 'Invalid or expired challenge');
+    return res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+  }
+
+  try {
+    // Second-factor guesses count towards the same per-account lockout as passwords
+    const retryAfter = await getRetryAfter(challenge.email);
+    if (retryAfter > 0) {
+      logMfaEvent(req, challenge, 'MFA_VERIFY', 'FAILURE', 'Account locked or backing off');
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: LOCKED_MESSAGE, retryAfter });
+    }
+
+    const { code, recoveryCode } = req.body;
+    let valid;
+    if (code) {
+      valid = await verifyTotpCode(challenge.userId, code);
+    } else {
+      valid = await consumeRecoveryCode(challenge.userId, recoveryCode);
+      if (valid) {
+        logMfaEvent(req, challenge, 'MFA_RECOVERY_CODE_USED', 'SUCCESS', 'Recovery code used');
+      }
+    }
+
+    if (!valid) {
+      logMfaEvent(req, challenge, 'MFA_VERIFY', 'FAILURE', code ? 'Invalid code' : 'Invalid recovery code');
+      await recordFailedLogin(req, challenge.email, { id: challenge.userId, userType: challenge.userType });
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    // Challenge tokens are single-use
+    await revokeAccessToken(challenge.jti, challenge.userId, 'MFA challenge used', challenge.exp);
+
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [challenge.userId]);
+    if (!user) {
+      logMfaEvent(req, challenge, 'MFA_VERIFY', 'FAILURE', 'User not found');
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    logMfaEvent(req, challenge, 'MFA_VERIFY', 'SUCCESS', code ? 'TOTP code verified' : 'Recovery code verified');
+
+    completeLogin(req, res, user, { details: 'Login successful (MFA)' });
+  } catch (error) {
+    console.error('Error verifying MFA code:', error);
+    logMfaEvent(req, challenge, 'MFA_VERIFY', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/recovery-codes', authLimiter, requireAuth, validateCode, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const valid = await verifyTotpCode(req.user.userId, req.body.code);
+    if (!valid) {
+      logMfaEvent(req, req.user, 'MFA_RECOVERY_CODES_REGENERATED', 'FAILURE', 'Invalid code');
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.userId);
+    logMfaEvent(req, req.user, 'MFA_RECOVERY_CODES_REGENERATED', 'SUCCESS', 'Recovery codes regenerated');
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Disable MFA (requires a current TOTP code; not allowed when policy makes it mandatory)
+router.delete('/', authLimiter, requireAuth, validateCode, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const status = await getMfaStatus({ id: req.user.userId, userType: req.user.userType });
+    // A passkey still satisfies the policy without the authenticator app
+    if (status.required && !status.methods.passkey) {
+      logMfaEvent(req, req.user, 'MFA_DISABLED', 'FAILURE', 'MFA required by policy');
+      return res.status(403).json({ error: 'Multi-factor authentication is required for your account type' });
+    }
+
+    const valid = await verifyTotpCode(req.user.userId, req.body.code);
+    if (!valid) {
+      logMfaEvent(req, req.user, 'MFA_DISABLED', 'FAILURE', 'Invalid code');
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await disableMfa(req.user.userId);
+    logMfaEvent(req, req.user, 'MFA_DISABLED', 'SUCCESS', 'MFA disabled');
+
+    res.json({ message: 'Multi-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling MFA:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
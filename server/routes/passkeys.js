@@ -0,0 +1,235 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { dbGet } = require('../config/database');
+const AuditLogger = require('../middleware/auditLogger');
+const { authLimiter } = require('../middleware/security');
+const { LOCKED_MESSAGE, getRetryAfter, recordFailedLogin } = require('../middleware/accountLockout');
+const { requireAuth } = require('../middleware/auth');
+const { verifyChallengeToken, revokeAccessToken } = require('../utils/tokens');
+const { beginLogin, completeLogin } = require('../utils/loginSession');
+const { getMfaStatus } = require('../utils/mfa');
+const {
+  listPasskeys,
+  getRegistrationOptions,
+  registerPasskey,
+  getAuthenticationOptions,
+  authenticatePasskey,
+  removePasskey
+} = require('../utils/passkeys');
+
+const router = express.Router();
+
+// Passwordless sign-in is for patients; staff accounts keep their password and use a passkey as the second factor
+const PASSWORDLESS_USER_TYPES = ['patient'];
+
+// Log a passkey event without PHI
+const logPasskeyEvent = (req, user, action, status, details) => {
+  AuditLogger.log({
+    userId: user?.userId || null,
+    userType: user?.userType || 'anonymous',
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details
+  });
+};
+
+const validateCredential = [
+  body('credential').isObject().withMessage('Passkey response is required')
+];
+
+const validateRegistration = [
+  ...validateCredential,
+  body('name').optional().isString().trim().isLength({ max: 60 }).withMessage('Name must be at most 60 characters')
+];
+
+const validateLogin = [
+  ...validateCredential,
+  body('challengeToken').optional().isString().notEmpty().withMessage('Invalid challenge token')
+];
+
+// Passkey sign-in, step 1: a challenge for any of the user's passkeys (second factor,
+// with the MFA challenge token) or for a discoverable passkey (passwordless)
+router.post('/login/options', authLimiter, async (req, res) => {
+  const challengeToken = req.body && req.body.challengeToken;
+  let challenge = null;
+  if (challengeToken) {
+    try {
+      challenge = await verifyChallengeToken(challengeToken, 'mfa_challenge');
+    } catch (error) {
+      return res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+  }
+
+  try {
+    res.json(await getAuthenticationOptions(challenge ? challenge.userId : null));
+  } catch (error) {
+    console.error('Error creating passkey challenge:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Passkey sign-in, step 2: verify the assertion and sign in (or finish the MFA step)
+router.post('/login', authLimiter, validateLogin, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logPasskeyEvent(req, null, 'PASSKEY_LOGIN', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { credential, challengeToken } = req.body;
+
+  // Second factor after the password
+  if (challengeToken) {
+    let challenge;
+    try {
+      challenge = await verifyChallengeToken(challengeToken, 'mfa_challenge');
+    } catch (error) {
+      logPasskeyEvent(req, null, 'MFA_VERIFY', 'FAILURE', 'Invalid or expired challenge');
+      return res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+
+    try {
+      const retryAfter = await getRetryAfter(challenge.email);
+      if (retryAfter > 0) {
+        logPasskeyEvent(req, challenge, 'MFA_VERIFY', 'FAILURE', 'Account locked or backing off');
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: LOCKED_MESSAGE, retryAfter });
+      }
+
+      try {
+        await authenticatePasskey(credential, challenge.userId);
+      } catch (error) {
+        if (error.name !== 'WebAuthnError') {
+          throw error;
+        }
+        logPasskeyEvent(req, challenge, 'MFA_VERIFY', 'FAILURE', `Passkey rejected: ${error.message}`);
+        await recordFailedLogin(req, challenge.email, { id: challenge.userId, userType: challenge.userType });
+        return res.status(401).json({ error: 'Your passkey could not be verified' });
+      }
+
+      // Challenge tokens are single-use
+      await revokeAccessToken(challenge.jti, challenge.userId, 'MFA challenge used', challenge.exp);
+
+      const user = await dbGet('SELECT * FROM users WHERE id = ?', [challenge.userId]);
+      if (!user) {
+        logPasskeyEvent(req, challenge, 'MFA_VERIFY', 'FAILURE', 'User not found');
+        return res.status(401).json({ error: 'Your passkey could not be verified' });
+      }
+
+      logPasskeyEvent(req, challenge, 'MFA_VERIFY', 'SUCCESS', 'Passkey verified');
+      return completeLogin(req, res, user, { details: 'Login successful (MFA, passkey)' });
+    } catch (error) {
+      console.error('Error verifying passkey:', error);
+      logPasskeyEvent(req, challenge, 'MFA_VERIFY', 'FAILURE', 'Server error');
+      return res.status(500).json({ error: 'An error occurred' });
+    }
+  }
+
+  // Passwordless sign-in
+  try {
+    let passkey;
+    try {
+      passkey = await authenticatePasskey(credential);
+    } catch (error) {
+      if (error.name !== 'WebAuthnError') {
+        throw error;
+      }
+      logPasskeyEvent(req, null, 'PASSKEY_LOGIN', 'FAILURE', `Passkey rejected: ${error.message}`);
+      return res.status(401).json({ error: 'Your passkey could not be verified' });
+    }
+
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [passkey.userId]);
+    if (!PASSWORDLESS_USER_TYPES.includes(user.userType)) {
+      logPasskeyEvent(req, { userId: user.id, userType: user.userType }, 'PASSKEY_LOGIN', 'FAILURE', 'Passwordless sign-in not allowed for account type');
+      return res.status(403).json({
+        error: 'Staff accounts sign in with their password. Use your passkey for the verification step.'
+      });
+    }
+
+    beginLogin(req, res, user, { details: 'Passkey login' });
+  } catch (error) {
+    console.error('Error signing in with passkey:', error);
+    logPasskeyEvent(req, null, 'PASSKEY_LOGIN', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// List the current user's passkeys
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    res.json({ passkeys: await listPasskeys(req.user.userId) });
+  } catch (error) {
+    console.error('Error fetching passkeys:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Start registering a passkey: options for navigator.credentials.create()
+router.post('/register/options', authLimiter, requireAuth, async (req, res) => {
+  try {
+    const user = await dbGet('SELECT id, email, firstName, lastName FROM users WHERE id = ?', [req.user.userId]);
+    res.json(await getRegistrationOptions(user));
+  } catch (error) {
+    console.error('Error creating passkey registration options:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Finish registering a passkey
+router.post('/register', authLimiter, requireAuth, validateRegistration, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const passkey = await registerPasskey({ id: req.user.userId }, req.body.credential, req.body.name);
+    logPasskeyEvent(req, req.user, 'PASSKEY_REGISTERED', 'SUCCESS', `Passkey ${passkey.id} registered`);
+    res.status(201).json({ message: 'Passkey added', passkey });
+  } catch (error) {
+    if (error.name === 'WebAuthnError') {
+      logPasskeyEvent(req, req.user, 'PASSKEY_REGISTERED', 'FAILURE', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'This passkey is already registered' });
+    }
+    console.error('Error registering passkey:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Remove a passkey (not the last second factor of a staff account that requires MFA)
+router.delete('/:id', authLimiter, requireAuth, param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid passkey ID' });
+  }
+
+  try {
+    const status = await getMfaStatus({ id: req.user.userId, userType: req.user.userType });
+    const passkeys = await listPasskeys(req.user.userId);
+    if (status.required && !status.methods.totp && passkeys.length === 1) {
+      logPasskeyEvent(req, req.user, 'PASSKEY_REMOVED', 'FAILURE', 'Last second factor, MFA required by policy');
+      return res.status(403).json({
+        error: 'Set up an authenticator app before removing your only passkey - multi-factor authentication is required for your account type'
+      });
+    }
+
+    const removed = await removePasskey(req.user.userId, parseInt(req.params.id, 10));
+    if (!removed) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+
+    logPasskeyEvent(req, req.user, 'PASSKEY_REMOVED', 'SUCCESS', `Passkey ${req.params.id} removed`);
+    res.json({ message: 'Passkey removed' });
+  } catch (error) {
+    console.error('Error removing passkey:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
@@ -1,233 +1,191 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const { getDatabase, initDatabase } = require('../config/database');
+const { body, param, validationResult } = require('express-validator');
+const { getDatabase } = require('../config/database');
 const AuditLogger = require('../middleware/auditLogger');
-
-// Ensure database is initialized
-initDatabase();
+const { requireAuth, requirePermission, loadPermissions } = require('../middleware/auth');
+const { PRESENCE_WINDOW_MINUTES, touchSession } = require('../utils/sessions');
+const {
+  DAYS_OF_WEEK,
+  TIME_FORMAT,
+  AVAILABILITY_ORDER,
+  AvailabilityError,
+  toMinutes,
+  addAvailabilityWindow,
+  replaceWeeklyTemplate
+} = require('../utils/availability');
+const {
+  MAX_SCHEDULE_DAYS,
+  ScheduleError,
+  isValidDate,
+  parseDateRange,
+  listOverrides,
+  addOverride,
+  deleteOverride,
+  resolveSchedules,
+  publicSchedule
+} = require('../utils/schedule');
+const { loadPractitionerZones } = require('../utils/locations');
+const { listPractitionerServiceIds, setPractitionerServices } = require('../utils/services');
+const {
+  MAX_CALENDAR_BYTES,
+  CalendarImportError,
+  listImports,
+  previewImport,
+  createImport,
+  syncImport,
+  deleteImport
+} = require('../utils/calendarImports');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-};
-
-// Middleware to check if user is a practitioner
-const isPractitioner = (req, res, next) => {
-  if (req.user.userType !== 'practitioner') {
-    return res.status(403).json({ error: 'Access denied. Practitioner only.' });
-  }
-  next();
+// Start and end time of a window (prefix '' for one window, 'availability.*.' for a template);
+// onlyIf makes them conditional, e.g. on the kind of override
+const timeRangeRules = (prefix = '', onlyIf = null) => {
+  const field = (name) => (onlyIf ? body(`${prefix}${name}`).if(onlyIf) : body(`${prefix}${name}`));
+  return [
+    field('startTime').notEmpty().withMessage('Start time is required')
+      .matches(TIME_FORMAT)
+      .withMessage('Invalid start time format. Use HH:MM (24-hour format)'),
+    field('endTime').notEmpty().withMessage('End time is required')
+    .matches(TIME_FORMAT)
+      .withMessage('Invalid end time format. Use HH:MM (24-hour format)')
+      .custom((endTime, { req, path }) => {
+        // The window this end time belongs to
+        const index = /^availability\[(\d+)\]/.exec(path);
+        const window = index ? req.body.availability[index[1]] : req.body;
+        if (TIME_FORMAT.test(window.startTime) && toMinutes(endTime) <= toMinutes(window.startTime)) {
+          throw new Error('End time must be after start time');
+        }
+        return true;
+      })
+  ];
 };
 
 // Validation middleware for availability
-const validateAvailability = [
-  body('dayOfWeek').isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+const availabilityWindowRules = (prefix = '') => [
+  body(`${prefix}dayOfWeek`).isIn(DAYS_OF_WEEK)
     .withMessage('Invalid day of week'),
-  body('startTime').notEmpty().withMessage('Start time is required')
-    .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Invalid start time format. Use HH:MM (24-hour format)'),
-  body('endTime').notEmpty().withMessage('End time is required')
-    .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Invalid end time format. Use HH:MM (24-hour format)')
+  ...timeRangeRules(prefix)
 ];
 
-// Set/Update availability for practitioner
-router.post('/availability', authenticateToken, isPractitioner, validateAvailability, (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      AuditLogger.log({
-        userId: req.user.userId,
-        userType: req.user.userType,
-        action: 'UPDATE_AVAILABILITY',
-        resource: '/api/practitioner/availability',
-        ipAddress: req.ip || req.connection.remoteAddress,
-        userAgent: req.get('user-agent') || 'Unknown',
-        status: 'FAILURE',
-        details: 'Validation failed'
-      });
-      return res.status(400).json({ 
-        error: 'Validation failed'
-      });
-    }
+const validateAvailability = availabilityWindowRules();
 
-    const { dayOfWeek, startTime, endTime } = req.body;
-    const practitionerId = req.user.userId;
-    const db = getDatabase();
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('user-agent') || 'Unknown';
+const validateOverride = [
+  body('date').custom(isValidDate).withMessage('Invalid date. Use YYYY-MM-DD'),
+  body('kind').isIn(['closed', 'custom']).withMessage('kind must be closed or custom'),
+  body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 200 })
+    .withMessage('Reason must be at most 200 characters'),
+  ...timeRangeRules('', body('kind').equals('custom'))
+];
 
-    if (!practitionerId) {
-      return res.status(400).json({ error: 'Invalid practitioner ID' });
-    }
+const validateServices = [
+  body('serviceIds').isArray({ max: 100 }).withMessage('serviceIds must be a list of service IDs'),
+  body('serviceIds.*').isInt().withMessage('serviceIds must be a list of service IDs').toInt()
+];
 
-    // Validate that endTime is after startTime
-    const [startHour, startMin] = startTime.split(':').map(Number);
-    const [endHour, endMin] = endTime.split(':').map(Number);
-    const startMinutes = startHour * 60 + startMin;
-    const endMinutes = endHour * 60 + endMin;
+const validateWeeklyTemplate = [
+  body('availability').isArray({ max: 100 }).withMessage('availability must be a list of windows'),
+  ...availabilityWindowRules('availability.*.')
+];
 
-    if (endMinutes <= startMinutes) {
-      return res.status(400).json({ error: 'End time must be after start time' });
-    }
+// The calendar to import: an uploaded file's text, or a URL or server file to sync from
+const validateCalendarSource = [
+  body('ics').optional().isString().isLength({ max: MAX_CALENDAR_BYTES })
+    .withMessage('The calendar is too large to import'),
+  body('url').optional().isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Invalid calendar URL'),
+  body('path').optional().isString().trim().isLength({ min: 1, max: 500 }).withMessage('Invalid file path'),
+  body().custom((value) => ['ics', 'url', 'path'].filter((key) => value[key] !== undefined).length === 1)
+    .withMessage('Upload an .ics file, or give a URL or file path')
+];
 
-    // Check if availability already exists for this day
-    db.get(
-      'SELECT id FROM practitioner_availability WHERE practitionerId = ? AND dayOfWeek = ?',
-      [practitionerId, dayOfWeek],
-      (err, existing) => {
-        if (err) {
-          console.error('Database error checking availability:', err);
-          return res.status(500).json({ 
-            error: 'Error checking availability',
-            details: err.message 
-          });
-        }
+const validateCalendarImport = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  ...validateCalendarSource
+];
 
-        if (existing) {
-          // Update existing availability
-          db.run(
-            `UPDATE practitioner_availability 
-             SET startTime = ?, endTime = ?, updatedAt = CURRENT_TIMESTAMP 
-             WHERE id = ?`,
-            [startTime, endTime, existing.id],
-            function(updateErr) {
-              if (updateErr) {
-                AuditLogger.log({
-                  userId: practitionerId,
-                  userType: req.user.userType,
-                  action: 'UPDATE_AVAILABILITY',
-                  resource: '/api/practitioner/availability',
-                  ipAddress,
-                  userAgent,
-                  status: 'FAILURE',
-                  details: 'Database error'
-                });
-                return res.status(500).json({ 
-                  error: 'An error occurred'
-                });
-              }
+const CALENDAR_IMPORT_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID: 400,
+  NOT_ALLOWED: 403,
+  FETCH_FAILED: 502
+};
 
-              AuditLogger.log({
-                userId: practitionerId,
-                userType: req.user.userType,
-                action: 'UPDATE_AVAILABILITY',
-                resource: '/api/practitioner/availability',
-                ipAddress,
-                userAgent,
-                status: 'SUCCESS',
-                details: `Updated availability for ${dayOfWeek}`
-              });
+const pickCalendarSource = ({ ics, url, path }) => ({ ics, url, path });
+
+// Log an availability change
+const logAvailabilityEvent = (req, action, status, details) => {
+  AuditLogger.log({
+    userId: req.user.userId,
+    userType: req.user.userType,
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details
+  });
+};
 
-              res.json({
-                message: 'Availability updated successfully',
-                availability: {
-                  id: existing.id,
-                  dayOfWeek,
-                  startTime,
-                  endTime
-                }
-              });
-            }
-          );
-        } else {
-          // Insert new availability
-          db.run(
-            `INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime, updatedAt)
-             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-            [practitionerId, dayOfWeek, startTime, endTime],
-            function(insertErr) {
-              if (insertErr) {
-                AuditLogger.log({
-                  userId: practitionerId,
-                  userType: req.user.userType,
-                  action: 'UPDATE_AVAILABILITY',
-                  resource: '/api/practitioner/availability',
-                  ipAddress,
-                  userAgent,
-                  status: 'FAILURE',
-                  details: 'Database error'
-                });
-                // Check if it's a constraint violation
-                if (insertErr.message && insertErr.message.includes('UNIQUE constraint')) {
-                  return res.status(400).json({ 
-                    error: 'Availability already exists for this day. Please update instead.'
-                  });
-                }
-                return res.status(500).json({ 
-                  error: 'An error occurred'
-                });
-              }
+const pickWindow = ({ dayOfWeek, startTime, endTime }) => ({ dayOfWeek, startTime, endTime });
 
-              AuditLogger.log({
-                userId: practitionerId,
-                userType: req.user.userType,
-                action: 'UPDATE_AVAILABILITY',
-                resource: '/api/practitioner/availability',
-                ipAddress,
-                userAgent,
-                status: 'SUCCESS',
-                details: `Created availability for ${dayOfWeek}`
-              });
+// Add an availability window for the practitioner (a day can have several, but they can't overlap)
+router.post('/availability', requireAuth, requirePermission('availability:write'), validateAvailability, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
 
-              res.json({
-                message: 'Availability saved successfully',
-                availability: {
-                  id: this.lastID,
-                  dayOfWeek,
-                  startTime,
-                  endTime
-                }
-              });
-            }
-          );
-        }
-      }
-    );
+  try {
+    const availability = await addAvailabilityWindow(req.user.userId, pickWindow(req.body));
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY', 'SUCCESS', `Added availability for ${availability.dayOfWeek}`);
+    res.status(201).json({ message: 'Availability saved successfully', availability });
   } catch (error) {
-    AuditLogger.log({
-      userId: req.user?.userId,
-      userType: req.user?.userType,
-      action: 'UPDATE_AVAILABILITY',
-      resource: '/api/practitioner/availability',
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('user-agent') || 'Unknown',
-      status: 'FAILURE',
-      details: 'Server error'
-    });
-    res.status(500).json({ 
-      error: 'An error occurred'
-    });
+    if (error instanceof AvailabilityError) {
+      logAvailabilityEvent(req, 'UPDATE_AVAILABILITY', 'FAILURE', 'Overlapping window');
+      return res.status(409).json({ error: error.message, code: error.code, conflict: error.conflict });
+    }
+    console.error('Error saving availability:', error);
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Replace the practitioner's whole weekly template in one go
+router.put('/availability', requireAuth, requirePermission('availability:write'), validateWeeklyTemplate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const availability = await replaceWeeklyTemplate(req.user.userId, req.body.availability.map(pickWindow));
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY', 'SUCCESS', `Replaced weekly template (${availability.length} windows)`);
+    res.json({ message: 'Availability updated successfully', availability });
+  } catch (error) {
+    if (error instanceof AvailabilityError) {
+      logAvailabilityEvent(req, 'UPDATE_AVAILABILITY', 'FAILURE', 'Overlapping windows');
+      return res.status(409).json({ error: error.message, code: error.code, conflict: error.conflict });
+    }
+    console.error('Error replacing availability:', error);
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
   }
 });
 
-// Get own availability (for practitioner)
-router.get('/availability', authenticateToken, isPractitioner, (req, res) => {
+// Get own availability (for practitioner), with the time zone its times are in
+router.get('/availability', requireAuth, requirePermission('availability:read'), async (req, res) => {
   try {
     const practitionerId = req.user.userId;
     const db = getDatabase();
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('user-agent') || 'Unknown';
+    const { timeZone, location } = (await loadPractitionerZones([practitionerId]))[practitionerId];
 
     db.all(
-      'SELECT * FROM practitioner_availability WHERE practitionerId = ? ORDER BY CASE dayOfWeek WHEN "Monday" THEN 1 WHEN "Tuesday" THEN 2 WHEN "Wednesday" THEN 3 WHEN "Thursday" THEN 4 WHEN "Friday" THEN 5 WHEN "Saturday" THEN 6 WHEN "Sunday" THEN 7 END',
+      `SELECT * FROM practitioner_availability WHERE practitionerId = ? ORDER BY ${AVAILABILITY_ORDER}`,
       [practitionerId],
       (err, rows) => {
         if (err) {
@@ -255,7 +213,7 @@ router.get('/availability', authenticateToken, isPractitioner, (req, res) => {
           details: 'Viewed own availability'
         });
 
-        res.json({ availability: rows || [] });
+        res.json({ timeZone, location, availability: rows || [] });
       }
     );
   } catch (error) {
@@ -274,7 +232,7 @@ router.get('/availability', authenticateToken, isPractitioner, (req, res) => {
 });
 
 // Delete availability slot
-router.delete('/availability/:id', authenticateToken, isPractitioner, (req, res) => {
+router.delete('/availability/:id', requireAuth, requirePermission('availability:write'), (req, res) => {
   try {
     const availabilityId = req.params.id;
     const practitionerId = req.user.userId;
@@ -343,38 +301,232 @@ router.delete('/availability/:id', authenticateToken, isPractitioner, (req, res)
   }
 });
 
+// Own effective schedule for concrete dates (?from=&to=, default the next 7 days)
+router.get('/schedule', requireAuth, requirePermission('availability:read'), async (req, res) => {
+  try {
+    const { from, to } = parseDateRange(req.query);
+    const [schedules, zones] = await Promise.all([
+      resolveSchedules([req.user.userId], from, to),
+      loadPractitionerZones([req.user.userId])
+    ]);
+    res.json({ from, to, timeZone: zones[req.user.userId].timeZone, schedule: schedules[req.user.userId] });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error resolving schedule:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Own time off and custom hours (?from=&to=, default the next MAX_SCHEDULE_DAYS days)
+router.get('/overrides', requireAuth, requirePermission('availability:read'), async (req, res) => {
+  try {
+    const { from, to } = parseDateRange(req.query, MAX_SCHEDULE_DAYS);
+    res.json({ from, to, overrides: await listOverrides(req.user.userId, from, to) });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching availability overrides:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Take a date off ({ kind: 'closed' }) or work custom hours on it ({ kind: 'custom', startTime, endTime })
+router.post('/overrides', requireAuth, requirePermission('availability:write'), validateOverride, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY_OVERRIDE', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const override = await addOverride(req.user.userId, {
+      date: req.body.date,
+      kind: req.body.kind,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      reason: req.body.reason
+    });
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY_OVERRIDE', 'SUCCESS', `Set ${override.kind} override for ${override.date}`);
+    res.status(201).json({ message: 'Schedule change saved', override });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      logAvailabilityEvent(req, 'UPDATE_AVAILABILITY_OVERRIDE', 'FAILURE', 'Overlapping hours');
+      return res.status(409).json({ error: error.message, code: 'AVAILABILITY_OVERLAP' });
+    }
+    console.error('Error saving availability override:', error);
+    logAvailabilityEvent(req, 'UPDATE_AVAILABILITY_OVERRIDE', 'FAILURE', 'Database error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Remove a dated override - the date goes back to the weekly template (or clinic holiday)
+router.delete('/overrides/:id', requireAuth, requirePermission('availability:write'), param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid override ID' });
+  }
+
+  try {
+    const deleted = await deleteOverride(req.user.userId, parseInt(req.params.id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule change not found' });
+    }
+    logAvailabilityEvent(req, 'DELETE_AVAILABILITY_OVERRIDE', 'SUCCESS', `Override ${req.params.id} deleted`);
+    res.json({ message: 'Schedule change removed' });
+  } catch (error) {
+    console.error('Error deleting availability override:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// The services the practitioner offers - patients can book them for those
+router.get('/services', requireAuth, requirePermission('availability:read'), async (req, res) => {
+  try {
+    res.json({ serviceIds: await listPractitionerServiceIds(req.user.userId) });
+  } catch (error) {
+    console.error('Error fetching practitioner services:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+router.put('/services', requireAuth, requirePermission('availability:write'), validateServices, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const serviceIds = await setPractitionerServices(req.user.userId, req.body.serviceIds);
+    logAvailabilityEvent(req, 'UPDATE_SERVICES', 'SUCCESS', `Offers services ${serviceIds.join(', ') || 'none'}`);
+    res.json({ message: 'Services saved', serviceIds });
+  } catch (error) {
+    console.error('Error saving practitioner services:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Imported calendars, and the upcoming appointments their busy times overlap
+router.get('/calendar-imports', requireAuth, requirePermission('availability:read'), async (req, res) => {
+  try {
+    res.json(await listImports(req.user.userId));
+  } catch (error) {
+    console.error('Error fetching calendar imports:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// What importing a calendar would block out and clash with, without saving it: { ics | url | path }
+router.post('/calendar-imports/preview', requireAuth, requirePermission('availability:write'), validateCalendarSource,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      res.json({ preview: await previewImport(req.user.userId, pickCalendarSource(req.body)) });
+    } catch (error) {
+      if (error instanceof CalendarImportError) {
+        return res.status(CALENDAR_IMPORT_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+      }
+      console.error('Error previewing calendar import:', error);
+      res.status(500).json({ error: 'An error occurred' });
+    }
+  });
+
+// Import a calendar: { name, ics | url | path }; its busy times are no longer bookable
+router.post('/calendar-imports', requireAuth, requirePermission('availability:write'), validateCalendarImport,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logAvailabilityEvent(req, 'IMPORT_CALENDAR', 'FAILURE', 'Validation failed');
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const result = await createImport(req.user.userId, { name: req.body.name, ...pickCalendarSource(req.body) });
+      logAvailabilityEvent(req, 'IMPORT_CALENDAR', 'SUCCESS',
+        `Imported calendar ${result.import.id} (${result.import.sourceType}, ${result.import.blockCount} busy times)`);
+      res.status(201).json({ message: 'Calendar imported', ...result });
+    } catch (error) {
+      if (error instanceof CalendarImportError) {
+        logAvailabilityEvent(req, 'IMPORT_CALENDAR', 'FAILURE', error.message);
+        return res.status(CALENDAR_IMPORT_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+      }
+      console.error('Error importing calendar:', error);
+      logAvailabilityEvent(req, 'IMPORT_CALENDAR', 'FAILURE', 'Database error');
+      res.status(500).json({ error: 'An error occurred' });
+    }
+  });
+
+// Read an imported calendar again now; an uploaded one needs the file again: { ics }
+router.post('/calendar-imports/:id/sync', requireAuth, requirePermission('availability:write'), param('id').isInt(),
+  body('ics').optional().isString().isLength({ max: MAX_CALENDAR_BYTES }).withMessage('The calendar is too large to import'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const result = await syncImport(req.user.userId, parseInt(req.params.id, 10), req.body.ics);
+      logAvailabilityEvent(req, 'SYNC_CALENDAR_IMPORT', 'SUCCESS',
+        `Calendar ${result.import.id} has ${result.import.blockCount} busy times`);
+      res.json({ message: 'Calendar updated', ...result });
+    } catch (error) {
+      if (error instanceof CalendarImportError) {
+        logAvailabilityEvent(req, 'SYNC_CALENDAR_IMPORT', 'FAILURE', error.message);
+        return res.status(CALENDAR_IMPORT_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+      }
+      console.error('Error syncing calendar import:', error);
+      res.status(500).json({ error: 'An error occurred' });
+    }
+  });
+
+// Remove an imported calendar - its busy times become bookable again
+router.delete('/calendar-imports/:id', requireAuth, requirePermission('availability:write'), param('id').isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid calendar ID' });
+    }
+
+    try {
+      if (!(await deleteImport(req.user.userId, parseInt(req.params.id, 10)))) {
+        return res.status(404).json({ error: 'Calendar not found' });
+      }
+      logAvailabilityEvent(req, 'DELETE_CALENDAR_IMPORT', 'SUCCESS', `Calendar ${req.params.id} removed`);
+      res.json({ message: 'Calendar removed' });
+    } catch (error) {
+      console.error('Error deleting calendar import:', error);
+      res.status(500).json({ error: 'An error occurred' });
+    }
+  });
+
 // Heartbeat endpoint for practitioners to update their active status (kept for HTTP fallback)
-router.post('/heartbeat', authenticateToken, isPractitioner, (req, res) => {
+router.post('/heartbeat', requireAuth, requirePermission('presence:write'), async (req, res) => {
   try {
     const practitionerId = req.user.userId;
-    const db = getDatabase();
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('user-agent') || 'Unknown';
 
-    // Update last activity timestamp, or insert if doesn't exist
-    db.run(
-      `INSERT OR REPLACE INTO active_sessions (userId, lastActivity, ipAddress, userAgent)
-       VALUES (?, CURRENT_TIMESTAMP, ?, ?)`,
-      [practitionerId, ipAddress, userAgent],
-      function(err) {
-        if (err) {
-          console.error('Error updating heartbeat:', err);
-          return res.status(500).json({ error: 'An error occurred' });
-        }
-        
-        // Emit socket event for real-time update
-        const io = req.app.get('io');
-        if (io) {
-          io.emit('practitioner:status', {
-            userId: practitionerId,
-            isActive: true,
-            lastActivity: new Date().toISOString()
-          });
-        }
-        
-        res.json({ message: 'Heartbeat updated' });
-      }
-    );
+    // Keep this device's session marked as recently active
+    if (req.user.sid) {
+      await touchSession(req.user.sid, { force: true });
+    }
+
+    // Emit socket event for real-time update
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('practitioner:status', {
+        userId: practitionerId,
+        isActive: true,
+        lastActivity: new Date().toISOString()
+      });
+    }
+
+    res.json({ message: 'Heartbeat updated' });
   } catch (error) {
     console.error('Heartbeat error:', error);
     res.status(500).json({ error: 'An error occurred' });
@@ -382,13 +534,18 @@ router.post('/heartbeat', authenticateToken, isPractitioner, (req, res) => {
 });
 
 // Get all practitioners with their availability and active status (for admin and users)
-router.get('/all', authenticateToken, (req, res) => {
+// schedule is each one's effective hours on the dates ?from=&to= (default the next 7 days),
+// after time off, custom hours and clinic holidays, in their timeZone with UTC instants
+// Email addresses are only included for roles with practitioners:contact
+router.get('/all', requireAuth, requirePermission('practitioners:read'), async (req, res) => {
   try {
     const db = getDatabase();
     const userId = req.user.userId;
     const userType = req.user.userType;
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('user-agent') || 'Unknown';
+    const canContact = (await loadPermissions(req)).includes('practitioners:contact');
+    const range = parseDateRange(req.query);
 
     // Get all practitioners
     db.all(
@@ -424,7 +581,7 @@ router.get('/all', authenticateToken, (req, res) => {
             status: 'SUCCESS',
             details: 'No practitioners found'
           });
-          return res.json({ practitioners: [] });
+          return res.json({ ...range, practitioners: [] });
         }
 
         const placeholders = practitionerIds.map(() => '?').join(',');
@@ -433,7 +590,7 @@ router.get('/all', authenticateToken, (req, res) => {
         db.all(
           `SELECT * FROM practitioner_availability 
            WHERE practitionerId IN (${placeholders})
-           ORDER BY practitionerId, CASE dayOfWeek WHEN "Monday" THEN 1 WHEN "Tuesday" THEN 2 WHEN "Wednesday" THEN 3 WHEN "Thursday" THEN 4 WHEN "Friday" THEN 5 WHEN "Saturday" THEN 6 WHEN "Sunday" THEN 7 END`,
+           ORDER BY practitionerId, ${AVAILABILITY_ORDER}`,
           practitionerIds,
           (err, availabilityRows) => {
             if (err) {
@@ -450,14 +607,16 @@ router.get('/all', authenticateToken, (req, res) => {
               return res.status(500).json({ error: 'An error occurred' });
             }
 
-            // Get active sessions - check for sessions active in last 5 minutes
+            // Get active sessions - any signed-in device seen in the last 5 minutes
             db.all(
-              `SELECT userId, lastActivity, createdAt 
-               FROM active_sessions 
+              `SELECT userId, MAX(lastSeenAt) AS lastActivity
+               FROM sessions
                WHERE userId IN (${placeholders})
-               AND datetime(lastActivity) > datetime('now', '-5 minutes')`,
+               AND revokedAt IS NULL
+               AND datetime(lastSeenAt) > datetime('now', '-${PRESENCE_WINDOW_MINUTES} minutes')
+               GROUP BY userId`,
               practitionerIds,
-              (err, activeSessions) => {
+              async (err, activeSessions) => {
                 if (err) {
                   console.error('Error fetching active sessions:', err);
                   // Continue without active status if there's an error
@@ -491,13 +650,28 @@ router.get('/all', authenticateToken, (req, res) => {
                   });
                 });
 
+                let schedules;
+                let zones;
+                try {
+                  [schedules, zones] = await Promise.all([
+                    resolveSchedules(practitionerIds, range.from, range.to),
+                    loadPractitionerZones(practitionerIds)
+                  ]);
+                } catch (scheduleErr) {
+                  console.error('Error resolving schedules:', scheduleErr);
+                  return res.status(500).json({ error: 'An error occurred' });
+                }
+
                 // Combine practitioners with their availability and active status
                 const practitionersWithAvailability = practitioners.map(practitioner => ({
                   id: practitioner.id,
                   firstName: practitioner.firstName,
                   lastName: practitioner.lastName,
-                  email: practitioner.email,
+                  ...(canContact && { email: practitioner.email }),
                   availability: availabilityMap[practitioner.id] || [],
+                  timeZone: zones[practitioner.id].timeZone,
+                  location: zones[practitioner.id].location,
+                  schedule: publicSchedule(schedules[practitioner.id]),
                   isActive: activeMap[practitioner.id]?.isActive || false,
                   lastActivity: activeMap[practitioner.id]?.lastActivity || null
                 }));
@@ -513,7 +687,7 @@ router.get('/all', authenticateToken, (req, res) => {
                   details: `Viewed ${practitionersWithAvailability.length} practitioners`
                 });
 
-                res.json({ practitioners: practitionersWithAvailability });
+                res.json({ ...range, practitioners: practitionersWithAvailability });
               }
             );
           }
@@ -521,6 +695,9 @@ router.get('/all', authenticateToken, (req, res) => {
       }
     );
   } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(400).json({ error: error.message });
+    }
     AuditLogger.log({
       userId: req.user?.userId,
       userType: req.user?.userType,
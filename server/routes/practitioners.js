@@ -0,0 +1,114 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { TIME_FORMAT } = require('../utils/availability');
+const { ScheduleError, parseDateRange } = require('../utils/schedule');
+const { isValidTimeZone } = require('../utils/timezone');
+const { getService, listPractitionersOffering } = require('../utils/services');
+const { findSlots } = require('../utils/slots');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('practitioners:read'));
+
+// ?serviceId=&duration=&from=&to=&after=&before=&timeZone=
+// duration defaults to the service's shortest; after/before (HH:MM) narrow the time of day,
+// in timeZone (default each practitioner's own)
+const validateSlotQuery = [
+  query('serviceId').isInt().withMessage('serviceId is required'),
+  query('duration').optional().isInt({ min: 1 }).withMessage('duration must be a number of minutes'),
+  query('after').optional().matches(TIME_FORMAT).withMessage('Invalid after time. Use HH:MM (24-hour format)'),
+  query('before').optional().matches(TIME_FORMAT).withMessage('Invalid before time. Use HH:MM (24-hour format)'),
+  query('timeZone').optional().custom(isValidTimeZone).withMessage('Unknown time zone')
+];
+
+/**
+ * The service, duration and dates a slot query asks for
+ * @returns {Promise<Object|null>} - null if there is no such service
+ * @throws {ScheduleError} - for an invalid date range or a duration the service isn't offered for
+ */
+const parseSlotQuery = async (req) => {
+  const { from, to } = parseDateRange(req.query);
+  const service = await getService(req.query.serviceId);
+  if (!service) {
+    return null;
+  }
+
+  const minutes = req.query.duration ? parseInt(req.query.duration, 10) : service.durations[0].minutes;
+  if (!service.durations.some((duration) => duration.minutes === minutes)) {
+    const offered = service.durations.map((duration) => duration.minutes).join(', ');
+    throw new ScheduleError('INVALID', `${service.name} can be booked for ${offered} minutes`);
+  }
+  return { service, minutes, from, to, after: req.query.after, before: req.query.before, timeZone: req.query.timeZone };
+};
+
+const describeQuery = ({ service, minutes, from, to }) => ({
+  service: { id: service.id, name: service.name, bufferMinutes: service.bufferMinutes },
+  minutes,
+  from,
+  to
+});
+
+// Who can do a service, and when - e.g. a 90-minute deep tissue on Thursday afternoon:
+// ?serviceId=2&duration=90&from=<thursday>&to=<thursday>&after=12:00&before=17:00
+router.get('/slots', validateSlotQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const slotQuery = await parseSlotQuery(req);
+    if (!slotQuery) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const practitioners = await listPractitionersOffering(slotQuery.service.id);
+    const slots = await findSlots({ ...slotQuery, practitionerIds: practitioners.map((practitioner) => practitioner.id) });
+    res.json({
+      ...describeQuery(slotQuery),
+      practitioners: practitioners
+        .map((practitioner) => ({ ...practitioner, ...slots[practitioner.id] }))
+        .filter((practitioner) => practitioner.slots.length > 0)
+    });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error finding slots:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// One practitioner's bookable start times for a service
+router.get('/:id/slots', param('id').isInt().withMessage('Invalid practitioner ID'), validateSlotQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const slotQuery = await parseSlotQuery(req);
+    if (!slotQuery) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const practitionerId = parseInt(req.params.id, 10);
+    const practitioner = (await listPractitionersOffering(slotQuery.service.id))
+      .find((offering) => offering.id === practitionerId);
+    if (!practitioner) {
+      return res.status(404).json({ error: 'This practitioner does not offer that service' });
+    }
+
+    const slots = await findSlots({ ...slotQuery, practitionerIds: [practitionerId] });
+    res.json({ ...describeQuery(slotQuery), practitioner, ...slots[practitionerId] });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error finding slots:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { dbGet } = require('../config/database');
+const AuditLogger = require('../middleware/auditLogger');
+const { authLimiter } = require('../middleware/security');
+const { requireAuth } = require('../middleware/auth');
+const {
+  PROXY_SCOPES,
+  PROXY_RELATIONSHIPS,
+  ProxyError,
+  createProxyInvitation,
+  findOpenProxyInvitation,
+  acceptProxyInvitation,
+  listRelationships,
+  updateScopes,
+  revokeRelationship,
+  sendProxyInvitationEmail
+} = require('../utils/proxies');
+
+const router = express.Router();
+
+// Proxy relationships are managed from the user's own account, never on someone's behalf
+router.use(requireAuth);
+
+const INVALID_INVITATION = 'This invitation is invalid or has expired';
+
+const PROXY_ERROR_STATUS = { NOT_FOUND: 404, INVALID: 400, LIMIT: 409 };
+
+const validateScopes = body('scopes')
+  .isArray({ min: 1 }).withMessage('Choose at least one thing they may do')
+  .custom((scopes) => scopes.every((scope) => PROXY_SCOPES.includes(scope)))
+  .withMessage('Invalid permission');
+
+const validateInvitation = [
+  body('email').isEmail().withMessage('Please provide a valid email').trim(),
+  body('relationship').isIn(PROXY_RELATIONSHIPS).withMessage('Invalid relationship'),
+  validateScopes
+];
+
+// Log a proxy event without PHI
+const logProxyEvent = (req, action, status, details, onBehalfOfUserId = null) => {
+  AuditLogger.log({
+    userId: req.user.userId,
+    userType: req.user.userType,
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details,
+    onBehalfOfUserId
+  });
+};
+
+// Proxies act for patients, and only patient accounts can be proxies
+const requirePatient = (req, res, next) => {
+  if (req.user.userType !== 'patient') {
+    return res.status(403).json({ error: 'Only patient accounts can use proxy access' });
+  }
+  next();
+};
+
+const uniqueScopes = (scopes) => PROXY_SCOPES.filter((scope) => scopes.includes(scope));
+
+// Who the user acts for, who acts for them, and their open invitations
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listRelationships(req.user.userId));
+  } catch (error) {
+    console.error('Error fetching proxy relationships:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Invite a parent, guardian or caregiver to act for the current patient
+router.post('/invitations', authLimiter, requirePatient, validateInvitation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logProxyEvent(req, 'PROXY_INVITED', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const dependent = await dbGet(
+      'SELECT id, email, firstName, lastName FROM users WHERE id = ?',
+      [req.user.userId]
+    );
+    const { invitation, token } = await createProxyInvitation({
+      dependent,
+      email: req.body.email,
+      relationship: req.body.relationship,
+      scopes: uniqueScopes(req.body.scopes)
+    });
+    await sendProxyInvitationEmail(invitation, token, dependent);
+
+    logProxyEvent(
+      req,
+      'PROXY_INVITED',
+      'SUCCESS',
+      `Invitation ${invitation.id} (${invitation.relationship}: ${invitation.scopes.join(', ')})`
+    );
+    res.status(201).json({ message: 'Invitation sent', invitation });
+  } catch (error) {
+    if (error instanceof ProxyError) {
+      logProxyEvent(req, 'PROXY_INVITED', 'FAILURE', error.message);
+      return res.status(PROXY_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    console.error('Error inviting proxy:', error);
+    logProxyEvent(req, 'PROXY_INVITED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Preview an invitation so the signed-in user can see who is asking and for what
+router.get('/invitations/:token', authLimiter, param('token').isString().notEmpty(), async (req, res) => {
+  try {
+    const invitation = await findOpenProxyInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: INVALID_INVITATION });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.inviteEmail,
+        relationship: invitation.relationship,
+        scopes: invitation.scopes,
+        expiresAt: invitation.expiresAt,
+        dependent: {
+          firstName: invitation.dependentFirstName,
+          lastName: invitation.dependentLastName
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching proxy invitation:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Accept an invitation as the signed-in user, who must own the invited email
+router.post(
+  '/invitations/accept',
+  authLimiter,
+  requirePatient,
+  body('token').isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invitation token is required' });
+    }
+
+    try {
+      const invitation = await findOpenProxyInvitation(req.body.token);
+      if (!invitation) {
+        logProxyEvent(req, 'PROXY_ACCEPTED', 'FAILURE', 'Invalid or expired invitation');
+        return res.status(400).json({ error: INVALID_INVITATION });
+      }
+
+      const proxy = await dbGet('SELECT id, email FROM users WHERE id = ?', [req.user.userId]);
+      const relationship = await acceptProxyInvitation(invitation, proxy);
+
+      logProxyEvent(
+        req,
+        'PROXY_ACCEPTED',
+        'SUCCESS',
+        `Relationship ${relationship.id} (${relationship.scopes.join(', ')})`,
+        relationship.dependentUserId
+      );
+      res.json({ message: 'Invitation accepted', relationship });
+    } catch (error) {
+      if (error instanceof ProxyError) {
+        logProxyEvent(req, 'PROXY_ACCEPTED', 'FAILURE', error.message);
+        return res.status(PROXY_ERROR_STATUS[error.code]).json({ error: error.message });
+      }
+      console.error('Error accepting proxy invitation:', error);
+      logProxyEvent(req, 'PROXY_ACCEPTED', 'FAILURE', 'Server error');
+      res.status(500).json({ error: 'An error occurred' });
+    }
+  }
+);
+
+// Change what a proxy may do - only the patient they act for can
+router.put('/:id', param('id').isInt(), validateScopes, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const id = parseInt(req.params.id, 10);
+    const scopes = uniqueScopes(req.body.scopes);
+    const updated = await updateScopes(req.user.userId, id, scopes);
+    if (!updated) {
+      return res.status(404).json({ error: 'Proxy not found' });
+    }
+
+    logProxyEvent(req, 'PROXY_SCOPES_UPDATED', 'SUCCESS', `Relationship ${id} (${scopes.join(', ')})`);
+    res.json({ message: 'Permissions updated', scopes });
+  } catch (error) {
+    console.error('Error updating proxy permissions:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Remove a proxy, stop acting for someone, or cancel an open invitation
+router.delete('/:id', param('id').isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Invalid proxy ID' });
+  }
+
+  try {
+    const id = parseInt(req.params.id, 10);
+    const relationship = await revokeRelationship(req.user.userId, id);
+    if (!relationship) {
+      return res.status(404).json({ error: 'Proxy not found' });
+    }
+
+    logProxyEvent(
+      req,
+      'PROXY_REVOKED',
+      'SUCCESS',
+      `Relationship ${id} ended by ${relationship.dependentUserId === req.user.userId ? 'patient' : 'proxy'}`,
+      relationship.dependentUserId === req.user.userId ? null : relationship.dependentUserId
+    );
+    res.json({ message: relationship.proxyUserId ? 'Proxy access ended' : 'Invitation cancelled' });
+  } catch (error) {
+    console.error('Error revoking proxy access:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
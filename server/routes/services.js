@@ -0,0 +1,34 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { ADD_ONS } = require('../config/services');
+const { listServices, getService, listPractitionersOffering } = require('../utils/services');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// The bookable services with their durations and prices, and the add-ons any session can have
+router.get('/', async (req, res) => {
+  try {
+    res.json({ services: await listServices(), addOns: ADD_ONS });
+  } catch (error) {
+    console.error('Error fetching services:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// One service (by id or slug) and the practitioners who offer it
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const service = await getService(req.params.idOrSlug);
+    if (!service) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+    res.json({ service, practitioners: await listPractitionersOffering(service.id) });
+  } catch (error) {
+    console.error('Error fetching service:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
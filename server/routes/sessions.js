@@ -0,0 +1,111 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const AuditLogger = require('../middleware/auditLogger');
+const { requireAuth } = require('../middleware/auth');
+const { revokeTokenFamily } = require('../utils/tokens');
+const { listSessions, getSession, getIdleTimeoutMinutes, recordActivity } = require('../utils/sessions');
+const { toIsoTimestamp } = require('../utils/timezone');
+const { announceSignOut } = require('../utils/loginSession');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Log a session event without PHI
+const logSessionEvent = (req, action, status, details) => {
+  AuditLogger.log({
+    userId: req.user.userId,
+    userType: req.user.userType,
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details
+  });
+};
+
+// List the devices the current user is signed in on (times as UTC ISO instants)
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        createdAt: toIsoTimestamp(session.createdAt),
+        lastSeenAt: toIsoTimestamp(session.lastSeenAt),
+        current: session.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// The user is active on this device - restart its idle timeout
+// Returns the idle timeout (seconds) so the client can warn before logging off
+router.post('/activity', async (req, res) => {
+  if (!req.user.sid) {
+    return res.status(400).json({ error: 'No session' });
+  }
+
+  try {
+    await recordActivity(req.user.sid);
+    const session = await getSession(req.user.sid);
+    res.json({ idleTimeout: getIdleTimeoutMinutes(session) * 60 });
+  } catch (error) {
+    console.error('Error recording activity:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Sign out every other device
+router.delete('/', async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    const others = sessions.filter((session) => session.id !== req.user.sid);
+    const io = req.app.get('io');
+
+    for (const session of others) {
+      await revokeTokenFamily(session.id, 'Signed out remotely');
+      await announceSignOut(io, { id: req.user.userId, userType: req.user.userType }, session.id);
+    }
+
+    logSessionEvent(req, 'SESSIONS_REVOKED', 'SUCCESS', `${others.length} other session(s) signed out`);
+    res.json({ message: 'Signed out of all other devices', revoked: others.length });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    logSessionEvent(req, 'SESSIONS_REVOKED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Sign out one device
+router.delete('/:id', param('id').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  try {
+    const session = await getSession(req.params.id);
+    // Don't reveal other users' session ids
+    if (!session || session.userId !== req.user.userId || session.revokedAt) {
+      logSessionEvent(req, 'SESSION_REVOKED', 'FAILURE', 'Session not found');
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeTokenFamily(session.id, 'Signed out remotely');
+    await announceSignOut(req.app.get('io'), { id: req.user.userId, userType: req.user.userType }, session.id);
+
+    logSessionEvent(req, 'SESSION_REVOKED', 'SUCCESS', session.id === req.user.sid ? 'Current session ended' : 'Session signed out remotely');
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    logSessionEvent(req, 'SESSION_REVOKED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,444 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { dbRun, dbGet } = require('../config/database');
+const AuditLogger = require('../middleware/auditLogger');
+const { authLimiter } = require('../middleware/security');
+const { requireAuth, requireAuthOnBehalf } = require('../middleware/auth');
+const { encrypt, hash } = require('../middleware/encryption');
+const { revokeTokenFamily } = require('../utils/tokens');
+const { listSessions } = require('../utils/sessions');
+const { announceSignOut } = require('../utils/loginSession');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const { loadProfile } = require('../utils/profile');
+const { isValidTimeZone } = require('../utils/timezone');
+const { buildUserExport } = require('../utils/dataExport');
+const { hasLocalPassword } = require('../utils/oidc');
+const {
+  getOpenDeletionRequest,
+  requestDeletion,
+  cancelDeletion
+} = require('../utils/accountDeletion');
+
+const router = express.Router();
+
+const EMAIL_CHANGE_TOKEN_HOURS = parseInt(process.env.EMAIL_CHANGE_TOKEN_HOURS, 10) || 24;
+
+const CONTACT_METHODS = ['email', 'phone', 'sms'];
+
+const SSO_ACCOUNT_ERROR = 'Your sign-in details are managed by your organisation\'s single sign-on';
+
+// Profile fields the user may change, and whether they are stored encrypted
+const PROFILE_FIELDS = {
+  firstName: false,
+  lastName: false,
+  phone: true,
+  dateOfBirth: true,
+  pronouns: false,
+  preferredContactMethod: false,
+  timezone: false
+};
+
+// Log a profile event - field names only, never the values
+const logProfileEvent = (req, action, status, details, userId = req.user && req.user.userId) => {
+  AuditLogger.log({
+    userId: userId || null,
+    userType: req.user ? req.user.userType : 'anonymous',
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details
+  });
+};
+
+const validateProfile = [
+  body('firstName').optional().isString().trim().notEmpty().withMessage('First name is required')
+    .isLength({ max: 100 }).withMessage('First name must be at most 100 characters'),
+  body('lastName').optional().isString().trim().notEmpty().withMessage('Last name is required')
+    .isLength({ max: 100 }).withMessage('Last name must be at most 100 characters'),
+  // Empty string clears the field
+  body('phone').optional({ values: 'null' }).isString().trim()
+    .matches(/^$|^\+?[0-9 ()-]{7,20}$/).withMessage('Please provide a valid phone number'),
+  body('dateOfBirth').optional({ values: 'null' }).isString().trim()
+    .custom((value) => {
+      if (value === '') return true;
+      const date = new Date(`${value}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || date > new Date()) {
+        throw new Error('Please provide a valid date of birth');
+      }
+      return true;
+    }),
+  body('pronouns').optional({ values: 'null' }).isString().trim().isLength({ max: 40 })
+    .withMessage('Pronouns must be at most 40 characters'),
+  body('preferredContactMethod').optional().isIn(CONTACT_METHODS)
+    .withMessage('Invalid contact method'),
+  body('timezone').optional({ values: 'null' })
+    .custom((value) => value === '' || isValidTimeZone(value)).withMessage('Unknown time zone')
+];
+
+const validatePasswordChange = [
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+  body('newPassword').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+const validateEmailChange = [
+  body('newEmail').isEmail().withMessage('Please provide a valid email').trim(),
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required')
+];
+
+// Single sign-on accounts have no password to confirm with
+const validateDeletionRequest = [
+  body('currentPassword').optional().isString(),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+];
+
+// Confirm a new email address from the emailed link (the link may be opened signed out)
+router.post('/email/confirm', authLimiter, body('token').isString().notEmpty(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Confirmation token is required' });
+  }
+
+  try {
+    const request = await dbGet(
+      `SELECT * FROM email_change_requests
+       WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > datetime('now')`,
+      [hash(req.body.token)]
+    );
+    // Single use, even if two requests race
+    const consumed = request && (await dbRun(
+      'UPDATE email_change_requests SET usedAt = CURRENT_TIMESTAMP WHERE id = ? AND usedAt IS NULL',
+      [request.id]
+    )).changes === 1;
+
+    if (!consumed) {
+      logProfileEvent(req, 'EMAIL_CHANGED', 'FAILURE', 'Invalid or expired confirmation token');
+      return res.status(400).json({ error: 'This confirmation link is invalid or has expired.' });
+    }
+
+    const taken = await dbGet('SELECT id FROM users WHERE email = ? AND id != ?', [request.newEmail, request.userId]);
+    if (taken) {
+      logProfileEvent(req, 'EMAIL_CHANGED', 'FAILURE', 'Email already in use', request.userId);
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = await dbGet('SELECT id, email, firstName FROM users WHERE id = ?', [request.userId]);
+    await dbRun(
+      'UPDATE users SET email = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [request.newEmail, user.id]
+    );
+    // Any other pending change is now stale
+    await dbRun(
+      'UPDATE email_change_requests SET usedAt = CURRENT_TIMESTAMP WHERE userId = ? AND usedAt IS NULL',
+      [user.id]
+    );
+
+    logProfileEvent(req, 'EMAIL_CHANGED', 'SUCCESS', 'Email address changed', user.id);
+
+    sendMail({
+      to: user.email,
+      subject: 'Your KNKO email address was changed',
+      template: 'email-changed',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'The email address for your KNKO account was just changed. You will now sign in with the new address.',
+        "If this wasn't you, contact the clinic immediately."
+      ].join('\n')
+    }).catch((mailError) => {
+      console.error('Error sending email changed notice:', mailError);
+    });
+
+    res.json({ message: 'Your email address has been changed.', email: request.newEmail });
+  } catch (error) {
+    console.error('Error confirming email change:', error);
+    logProfileEvent(req, 'EMAIL_CHANGED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Current user's profile - a proxy allowed to view documents sees the patient's
+router.get('/me', requireAuthOnBehalf('view_documents'), async (req, res) => {
+  try {
+    const profile = await loadProfile(req.user.userId);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ user: profile });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+router.use(requireAuth);
+
+// Update the current user's profile (only the fields sent are changed)
+router.put('/me', validateProfile, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const changed = Object.keys(PROFILE_FIELDS).filter((field) => req.body[field] !== undefined);
+  if (changed.length === 0) {
+    return res.status(400).json({ error: 'No changes to save' });
+  }
+
+  try {
+    const values = changed.map((field) => {
+      const value = req.body[field] === null || req.body[field] === '' ? null : req.body[field];
+      return PROFILE_FIELDS[field] ? encrypt(value) : value;
+    });
+    await dbRun(
+      `UPDATE users SET ${changed.map((field) => `${field} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...values, req.user.userId]
+    );
+
+    logProfileEvent(req, 'PROFILE_UPDATED', 'SUCCESS', `Changed: ${changed.join(', ')}`);
+    res.json({ message: 'Profile updated', user: await loadProfile(req.user.userId) });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    logProfileEvent(req, 'PROFILE_UPDATED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Change password - requires the current one and signs out every other device
+router.post('/me/password', authLimiter, validatePasswordChange, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await dbGet('SELECT id, email, firstName, userType, password FROM users WHERE id = ?', [req.user.userId]);
+    if (user && !hasLocalPassword(user)) {
+      logProfileEvent(req, 'PASSWORD_CHANGED', 'FAILURE', 'Account uses single sign-on');
+      return res.status(400).json({ error: SSO_ACCOUNT_ERROR });
+    }
+    if (!user || !(await bcrypt.compare(req.body.currentPassword, user.password))) {
+      logProfileEvent(req, 'PASSWORD_CHANGED', 'FAILURE', 'Incorrect current password');
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.newPassword, 12);
+    await dbRun(
+      'UPDATE users SET password = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [hashedPassword, user.id]
+    );
+
+    const sessions = await listSessions(user.id);
+    const others = sessions.filter((session) => session.id !== req.user.sid);
+    const io = req.app.get('io');
+    for (const session of others) {
+      await revokeTokenFamily(session.id, 'Password changed');
+      await announceSignOut(io, user, session.id);
+    }
+
+    logProfileEvent(req, 'PASSWORD_CHANGED', 'SUCCESS', `Password changed, ${others.length} other session(s) signed out`);
+
+    sendMail({
+      to: user.email,
+      subject: 'Your KNKO password was changed',
+      template: 'password-changed',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'The password for your KNKO account was just changed and your other devices were signed out.',
+        "If this wasn't you, reset your password and contact the clinic immediately."
+      ].join('\n')
+    }).catch((mailError) => {
+      console.error('Error sending password changed email:', mailError);
+    });
+
+    res.json({ message: 'Password changed', revoked: others.length });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    logProfileEvent(req, 'PASSWORD_CHANGED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Start an email change - the new address gets a confirmation link, the old one a notice
+router.post('/me/email', authLimiter, validateEmailChange, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { newEmail, currentPassword } = req.body;
+
+  try {
+    const user = await dbGet('SELECT id, email, firstName, password FROM users WHERE id = ?', [req.user.userId]);
+    if (user && !hasLocalPassword(user)) {
+      logProfileEvent(req, 'EMAIL_CHANGE_REQUESTED', 'FAILURE', 'Account uses single sign-on');
+      return res.status(400).json({ error: SSO_ACCOUNT_ERROR });
+    }
+    if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
+      logProfileEvent(req, 'EMAIL_CHANGE_REQUESTED', 'FAILURE', 'Incorrect current password');
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+
+    const taken = await dbGet('SELECT id FROM users WHERE email = ?', [newEmail]);
+    if (taken) {
+      logProfileEvent(req, 'EMAIL_CHANGE_REQUESTED', 'FAILURE', 'Email already in use');
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    // Only the newest link works
+    await dbRun(
+      'UPDATE email_change_requests SET usedAt = CURRENT_TIMESTAMP WHERE userId = ? AND usedAt IS NULL',
+      [user.id]
+    );
+    await dbRun(
+      `INSERT INTO email_change_requests (userId, newEmail, tokenHash, expiresAt, ipAddress)
+       VALUES (?, ?, ?, datetime('now', ?), ?)`,
+      [user.id, newEmail, hash(token), `+${EMAIL_CHANGE_TOKEN_HOURS} hours`, req.ip || req.connection.remoteAddress]
+    );
+
+    logProfileEvent(req, 'EMAIL_CHANGE_REQUESTED', 'SUCCESS', 'Confirmation sent to new address');
+    res.json({ message: `We sent a confirmation link to ${newEmail}.`, pendingEmail: newEmail });
+
+    const link = clientUrl('/confirm-email', { token });
+    Promise.all([
+      sendMail({
+        to: newEmail,
+        subject: 'Confirm your new KNKO email address',
+        template: 'email-change-confirm',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'Please confirm this is the new email address for your KNKO account.',
+          `Use the link below within ${EMAIL_CHANGE_TOKEN_HOURS} hours:`,
+          '',
+          link,
+          '',
+          "If you didn't request this, you can ignore this email."
+        ].join('\n')
+      }),
+      sendMail({
+        to: user.email,
+        subject: 'Email change requested for your KNKO account',
+        template: 'email-change-requested',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'Someone asked to change the email address of your KNKO account.',
+          'Your address stays the same until the change is confirmed from the new address.',
+          "If this wasn't you, change your password and contact the clinic immediately."
+        ].join('\n')
+      })
+    ]).catch((mailError) => {
+      console.error('Error sending email change messages:', mailError);
+    });
+  } catch (error) {
+    console.error('Error requesting email change:', error);
+    logProfileEvent(req, 'EMAIL_CHANGE_REQUESTED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Download everything held about the current user (zip of JSON and CSV files)
+router.post('/me/export', async (req, res) => {
+  try {
+    const archive = await buildUserExport(req.user.userId);
+    logProfileEvent(req, 'DATA_EXPORTED', 'SUCCESS', 'Account data exported');
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="knko-export-${date}.zip"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+    logProfileEvent(req, 'DATA_EXPORTED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// The current user's open deletion request, if any
+router.get('/me/deletion', async (req, res) => {
+  try {
+    const request = await getOpenDeletionRequest(req.user.userId);
+    res.json({ request: request || null });
+  } catch (error) {
+    console.error('Error fetching deletion request:', error);
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Ask for the account to be deleted after the grace period
+router.post('/me/deletion', authLimiter, validateDeletionRequest, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await dbGet('SELECT id, email, firstName, userType, password FROM users WHERE id = ?', [req.user.userId]);
+    const passwordConfirmed = user && (!hasLocalPassword(user)
+      || await bcrypt.compare(req.body.currentPassword || '', user.password));
+    if (!passwordConfirmed) {
+      logProfileEvent(req, 'ACCOUNT_DELETION_REQUESTED', 'FAILURE', 'Incorrect current password');
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    if (await getOpenDeletionRequest(user.id)) {
+      return res.status(409).json({ error: 'Your account is already scheduled for deletion' });
+    }
+
+    const request = await requestDeletion(user, req.body.reason || null);
+    logProfileEvent(req, 'ACCOUNT_DELETION_REQUESTED', 'SUCCESS', `Deletion request ${request.id} scheduled`);
+
+    sendMail({
+      to: user.email,
+      subject: 'Your KNKO account is scheduled for deletion',
+      template: 'account-deletion-requested',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        `Your KNKO account will be deleted after ${request.scheduledFor} (UTC).`,
+        'Until then you can sign in and cancel the request from Settings.',
+        "If this wasn't you, sign in, cancel the request and change your password."
+      ].join('\n')
+    }).catch((mailError) => {
+      console.error('Error sending deletion requested email:', mailError);
+    });
+
+    res.status(201).json({ message: 'Your account is scheduled for deletion', request });
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    logProfileEvent(req, 'ACCOUNT_DELETION_REQUESTED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+// Withdraw the deletion request
+router.delete('/me/deletion', async (req, res) => {
+  try {
+    const cancelled = await cancelDeletion(req.user.userId);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No deletion request to cancel' });
+    }
+
+    logProfileEvent(req, 'ACCOUNT_DELETION_CANCELLED', 'SUCCESS', 'Deletion request cancelled');
+    res.json({ message: 'Your account will not be deleted' });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    logProfileEvent(req, 'ACCOUNT_DELETION_CANCELLED', 'FAILURE', 'Server error');
+    res.status(500).json({ error: 'An error occurred' });
+  }
+});
+
+module.exports = router;
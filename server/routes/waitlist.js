@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const AuditLogger = require('../middleware/auditLogger');
+const { requireAuthOnBehalf, requirePermission, loadPermissions } = require('../middleware/auth');
+const { ADD_ONS } = require('../config/services');
+const { isValidTimeZone } = require('../utils/timezone');
+const { AppointmentError, announceAppointment } = require('../utils/appointments');
+const {
+  MAX_WAITLIST_RANGES,
+  WaitlistError,
+  listWaitlist,
+  joinWaitlist,
+  leaveWaitlist,
+  acceptOffer,
+  declineOffer
+} = require('../utils/waitlist');
+
+const router = express.Router();
+
+// Caregivers with the 'book' scope can manage the patient's waitlist places too
+router.use(requireAuthOnBehalf('book'));
+
+const WAITLIST_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID: 400,
+  CONFLICT: 409,
+  AVAILABLE: 409
+};
+
+const APPOINTMENT_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID: 400,
+  CONFLICT: 409
+};
+
+const validateJoin = [
+  body('serviceId').isInt().withMessage('Choose a service').toInt(),
+  body('duration').isInt({ min: 1 }).withMessage('Choose a duration').toInt(),
+  body('practitionerId').isInt().withMessage('Choose a practitioner').toInt(),
+  body('ranges').isArray({ min: 1, max: MAX_WAITLIST_RANGES })
+    .withMessage(`Choose between 1 and ${MAX_WAITLIST_RANGES} date ranges`),
+  body('ranges.*').isObject().withMessage('Invalid date range'),
+  body('timeZone').optional({ nullable: true }).custom(isValidTimeZone).withMessage('Unknown time zone'),
+  body('patientId').optional().isInt().withMessage('Invalid patient').toInt()
+];
+
+const validateAccept = [
+  param('id').isInt().withMessage('Invalid offer'),
+  body('addOns').optional().isArray().withMessage('addOns must be a list')
+    .custom((addOns) => addOns.every((slug) => ADD_ONS.some((addOn) => addOn.slug === slug)))
+    .withMessage('Unknown add-on'),
+  body('notes').optional({ nullable: true }).isString().trim()
+    .isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+// Log a waitlist event without PHI; a caregiver's requests name the patient they acted for
+const logWaitlistEvent = (req, action, status, details) => {
+  AuditLogger.log({
+    userId: req.proxy ? req.proxy.userId : req.user.userId,
+    userType: req.proxy ? req.proxy.userType : req.user.userType,
+    action,
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status,
+    details,
+    onBehalfOfUserId: req.proxy ? req.user.userId : null
+  });
+};
+
+const viewerOf = async (req) => ({
+  userId: req.user.userId,
+  userType: req.user.userType,
+  canManage: (await loadPermissions(req)).includes('appointments:manage')
+});
+
+const sendWaitlistError = (res, error, fallback) => {
+  if (error instanceof WaitlistError) {
+    return res.status(WAITLIST_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+  }
+  // Taking up an offer books an appointment, which can still be refused
+  if (error instanceof AppointmentError && APPOINTMENT_ERROR_STATUS[error.code]) {
+    return res.status(APPOINTMENT_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+  }
+  console.error(fallback, error);
+  res.status(500).json({ error: 'An error occurred' });
+};
+
+// Open waitlist places (waiting, or with a slot on offer): the patient's own, a
+// practitioner's queue, or everyone's with appointments:manage
+router.get('/', async (req, res) => {
+  try {
+    res.json({ entries: await listWaitlist(await viewerOf(req)) });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Error fetching waitlist:');
+  }
+});
+
+// Queue for a practitioner's service: { practitionerId, serviceId, duration, ranges, timeZone }
+router.post('/', requirePermission('appointments:book'), validateJoin, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logWaitlistEvent(req, 'JOIN_WAITLIST', 'FAILURE', 'Validation failed');
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const viewer = await viewerOf(req);
+    const patientId = req.body.patientId || req.user.userId;
+    if (patientId !== req.user.userId && !viewer.canManage) {
+      logWaitlistEvent(req, 'JOIN_WAITLIST', 'FAILURE', `Not allowed to add user ${patientId}`);
+      return res.status(403).json({ error: 'You can only join waitlists yourself' });
+    }
+
+    const entry = await joinWaitlist({
+      patientId,
+      practitionerId: req.body.practitionerId,
+      serviceId: req.body.serviceId,
+      minutes: req.body.duration,
+      ranges: req.body.ranges,
+      timeZone: req.body.timeZone,
+      createdBy: req.proxy ? req.proxy.userId : req.user.userId
+    });
+    logWaitlistEvent(req, 'JOIN_WAITLIST', 'SUCCESS', `Entry ${entry.id} for practitioner ${entry.practitioner.id}`);
+    res.status(201).json({ message: 'You are on the waitlist', entry });
+  } catch (error) {
+    if (error instanceof WaitlistError) {
+      logWaitlistEvent(req, 'JOIN_WAITLIST', 'FAILURE', error.code);
+    }
+    sendWaitlistError(res, error, 'Error joining waitlist:');
+  }
+});
+
+router.delete('/:id', param('id').isInt(), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(404).json({ error: 'Waitlist entry not found' });
+  }
+
+  try {
+    await leaveWaitlist(req.app.get('io'), await viewerOf(req), parseInt(req.params.id, 10));
+    logWaitlistEvent(req, 'LEAVE_WAITLIST', 'SUCCESS', `Entry ${req.params.id}`);
+    res.json({ message: 'Removed from the waitlist' });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Error leaving waitlist:');
+  }
+});
+
+// Book the slot an offer holds: { addOns, notes }
+router.post('/offers/:id/accept', validateAccept, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  try {
+    const appointment = await acceptOffer(await viewerOf(req), parseInt(req.params.id, 10), {
+      addOns: req.body.addOns,
+      notes: req.body.notes,
+      bookedBy: req.proxy ? req.proxy.userId : req.user.userId
+    });
+    logWaitlistEvent(req, 'ACCEPT_WAITLIST_OFFER', 'SUCCESS', `Offer ${req.params.id}: appointment ${appointment.id}`);
+    announceAppointment(req.app.get('io'), appointment);
+    res.status(201).json({ message: 'Appointment booked', appointment });
+  } catch (error) {
+    if (error instanceof WaitlistError || error instanceof AppointmentError) {
+      logWaitlistEvent(req, 'ACCEPT_WAITLIST_OFFER', 'FAILURE', `Offer ${req.params.id}: ${error.code}`);
+    }
+    sendWaitlistError(res, error, 'Error accepting waitlist offer:');
+  }
+});
+
+// Turn an offer down; it goes to the next person and the patient keeps their place
+router.post('/offers/:id/decline', param('id').isInt(), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(404).json({ error: 'Offer not found' });
+  }
+
+  try {
+    await declineOffer(req.app.get('io'), await viewerOf(req), parseInt(req.params.id, 10));
+    logWaitlistEvent(req, 'DECLINE_WAITLIST_OFFER', 'SUCCESS', `Offer ${req.params.id}`);
+    res.json({ message: 'Offer declined' });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Error declining waitlist offer:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Create an admin account from the command line
+ * Public signup only creates patients and staff accounts need an invitation from
+ * an existing admin, so the first admin of a new deployment is created here.
+ *
+ * Usage: npm run create-admin -- <email> <firstName> <lastName>
+ * The password is read from ADMIN_PASSWORD, or prompted for when not set.
+ */
+const readline = require('readline');
+const bcrypt = require('bcryptjs');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { getDatabase, initDatabase, closeDatabase, dbRun, dbGet } = require('../config/database');
+const { assignDefaultRole } = require('../utils/roles');
+
+const prompt = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(question, (answer) => {
+    rl.close();
+    resolve(answer);
+  });
+});
+
+const main = async () => {
+  const [email, firstName, lastName] = process.argv.slice(2);
+  if (!email || !firstName || !lastName) {
+    console.error('Usage: npm run create-admin -- <email> <firstName> <lastName>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const password = process.env.ADMIN_PASSWORD || await prompt('Password (min 8 characters): ');
+  if (!password || password.length < 8) {
+    console.error('Password must be at least 8 characters');
+    process.exitCode = 1;
+    return;
+  }
+
+  // Run the schema setup before our own queries
+  getDatabase().serialize();
+  initDatabase();
+
+  const existingUser = await dbGet('SELECT id FROM users WHERE email = ?', [email]);
+  if (existingUser) {
+    console.error(`A user with email ${email} already exists`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 12);
+  const { lastID } = await dbRun(
+    'INSERT INTO users (email, password, firstName, lastName, userType) VALUES (?, ?, ?, ?, ?)',
+    [email, hashedPassword, firstName, lastName, 'admin']
+  );
+  await assignDefaultRole(lastID, 'admin');
+
+  console.log(`✅ Admin account ${email} created (id ${lastID})`);
+};
+
+main()
+  .catch((error) => {
+    console.error('Error creating admin:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDatabase);
@@ -0,0 +1,155 @@
+/**
+ * A local OpenID Connect provider for trying out and testing single sign-on
+ * It serves discovery, a login form where you type any email/name/groups,
+ * the token endpoint (checking PKCE), JWKS and userinfo. Keys live in memory.
+ * Never use it in production.
+ *
+ * Usage: npm run mock-idp
+ * Then start the server with:
+ *   OIDC_ISSUER=http://localhost:5080 OIDC_CLIENT_ID=knko OIDC_USER_TYPE_MAP=clinicians=practitioner
+ * The tests mount createMockProvider on a server of their own.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * @param {string} issuer - The URL it is served at
+ * @returns {Function} - Express app
+ */
+const createMockProvider = (issuer) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keyId = crypto.randomBytes(8).toString('hex');
+
+  // code -> pending token request; access token -> claims
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'email', 'profile'],
+      claims_supported: ['sub', 'email', 'email_verified', 'name', 'given_name', 'family_name', 'groups']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Login form - the authorization request is carried through as hidden fields
+  app.get('/authorize', (req, res) => {
+    const { response_type: responseType, code_challenge_method: challengeMethod } = req.query;
+    if (responseType !== 'code' || challengeMethod !== 'S256' || !req.query.code_challenge) {
+      return res.status(400).send('Only the authorization code flow with PKCE (S256) is supported');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+      .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('');
+    res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<h1>Mock identity provider</h1>
+<form method="post" action="/authorize">
+  ${hidden}
+  <p><label>Email <input name="email" type="email" required></label></p>
+  <p><label>Name <input name="name"></label></p>
+  <p><label>Groups (comma separated) <input name="groups"></label></p>
+  <p><label><input name="email_verified" type="checkbox" value="true" checked> Email verified</label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { email, name = '', groups = '', client_id: clientId, redirect_uri: redirectUri } = req.body;
+    const code = crypto.randomBytes(24).toString('base64url');
+    const [givenName, ...familyName] = name.trim().split(/\s+/);
+
+    codes.set(code, {
+      clientId,
+      redirectUri,
+      nonce: req.body.nonce,
+      codeChallenge: req.body.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        // Stable per email, like a real IdP's subject identifier
+        sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+        email,
+        email_verified: req.body.email_verified === 'true',
+        name: name.trim() || undefined,
+        given_name: givenName || undefined,
+        family_name: familyName.join(' ') || undefined,
+        groups: groups.split(',').map((group) => group.trim()).filter(Boolean)
+      }
+    });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    target.searchParams.set('state', req.body.state);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, code_verifier: codeVerifier } = req.body;
+    const pending = codes.get(code);
+    codes.delete(code);
+
+    if (grantType !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (req.body.client_id !== pending.clientId || req.body.redirect_uri !== pending.redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'client_id or redirect_uri mismatch' });
+    }
+    const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: keyId,
+      issuer,
+      audience: pending.clientId,
+      expiresIn: '5m'
+    });
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, pending.claims);
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+    if (!claims) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(claims);
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 5080;
+  const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+  createMockProvider(issuer).listen(port, () => {
+    console.log(`Mock OIDC provider running at ${issuer}`);
+  });
+}
+
+module.exports = { createMockProvider };
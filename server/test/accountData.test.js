@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbRun, dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { buildUserExport } = require('../utils/dataExport');
+const { processDueDeletions } = require('../utils/accountDeletion');
+
+let server;
+let admin;
+
+const signedIn = async (email, userType) => {
+  const user = await createUser({ email, userType });
+  return { ...user, token: (await issueTokens(user)).token };
+};
+
+const requestDeletion = (user, currentPassword = PASSWORD) => server.request('POST', '/api/users/me/deletion', {
+  token: user.token,
+  body: { currentPassword, reason: 'Moving away' }
+});
+
+// Skip the grace period
+const makeDue = (request) => dbRun(
+  "UPDATE account_deletion_requests SET scheduledFor = datetime('now', '-1 minute') WHERE id = ?",
+  [request.id]
+);
+
+before(async () => {
+  server = await startServer();
+  admin = await signedIn('deletion-admin@example.com', 'admin');
+});
+
+after(() => server.close());
+
+test('the export holds the account\'s data but none of its secrets', async () => {
+  const user = await signedIn('export@example.com');
+  await dbRun("UPDATE users SET pronouns = 'she/her' WHERE id = ?", [user.id]);
+
+  const response = await server.request('POST', '/api/users/me/export', { token: user.token });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/zip');
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="knko-export-\d{4}-\d{2}-\d{2}\.zip"$/);
+
+  const zip = await JSZip.loadAsync(await buildUserExport(user.id));
+  assert.ok(zip.file('roles.csv'));
+  const data = JSON.parse(await zip.file('export.json').async('string'));
+  assert.equal(data.profile.email, 'export@example.com');
+  assert.equal(data.profile.pronouns, 'she/her');
+  assert.deepEqual(data.roles, [{ role: 'patient' }]);
+
+  const { password } = await dbGet('SELECT password FROM users WHERE id = ?', [user.id]);
+  assert.ok(!JSON.stringify(data).includes(password));
+});
+
+test('a deletion request needs the password and can be withdrawn', async () => {
+  const user = await signedIn('deletion-cancel@example.com');
+  assert.equal((await requestDeletion(user, 'wrong-password')).status, 400);
+
+  const requested = await requestDeletion(user);
+  assert.equal(requested.status, 201);
+  assert.equal(requested.body.request.status, 'pending');
+  assert.equal((await requestDeletion(user)).status, 409);
+
+  assert.equal((await server.request('DELETE', '/api/users/me/deletion', { token: user.token })).status, 200);
+  assert.equal((await server.request('GET', '/api/users/me/deletion', { token: user.token })).body.request, null);
+
+  await makeDue(requested.body.request);
+  await processDueDeletions();
+  assert.ok(await dbGet('SELECT id FROM users WHERE id = ?', [user.id]));
+});
+
+test('after the grace period the account is deleted and its audit trail anonymised', async () => {
+  const user = await signedIn('deletion-due@example.com');
+  const { body } = await requestDeletion(user);
+
+  // Not yet due
+  assert.deepEqual(await processDueDeletions(), { deleted: 0, inReview: 0 });
+
+  await makeDue(body.request);
+  assert.deepEqual(await processDueDeletions(), { deleted: 1, inReview: 0 });
+  assert.equal(await dbGet('SELECT id FROM users WHERE id = ?', [user.id]), undefined);
+  assert.equal(await dbGet('SELECT id FROM audit_logs WHERE userId = ?', [user.id]), undefined);
+  assert.ok(await dbGet("SELECT id FROM audit_logs WHERE action = 'ACCOUNT_DELETION_REQUESTED' AND userId IS NULL"));
+  assert.equal((await server.request('GET', '/api/auth/verify', { token: user.token })).status, 401);
+});
+
+test('an account with upcoming appointments waits for an admin', async () => {
+  const user = await signedIn('deletion-review@example.com');
+  const start = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  await dbRun(
+    `INSERT INTO appointments (patientId, serviceId, minutes, priceCents, startAt, endAt, status)
+     VALUES (?, 1, 60, 0, ?, ?, 'confirmed')`,
+    [user.id, start.toISOString(), new Date(start.getTime() + 60 * 60 * 1000).toISOString()]
+  );
+  const { body } = await requestDeletion(user);
+  await makeDue(body.request);
+
+  assert.deepEqual(await processDueDeletions(), { deleted: 0, inReview: 1 });
+  const { request } = (await server.request('GET', '/api/users/me/deletion', { token: user.token })).body;
+  assert.equal(request.status, 'in_review');
+  assert.deepEqual(request.retainedRecords, ['1 upcoming appointment']);
+
+  const approved = await server.request('POST', `/api/admin/deletion-requests/${request.id}/approve`, { token: admin.token });
+  assert.equal(approved.status, 200);
+  assert.equal(await dbGet('SELECT id FROM users WHERE id = ?', [user.id]), undefined);
+  // The appointment is kept, without the patient
+  assert.ok(await dbGet('SELECT id FROM appointments WHERE patientId IS NULL AND startAt = ?', [start.toISOString()]));
+});
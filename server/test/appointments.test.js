@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { dbRun } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { addDays, today } = require('../utils/schedule');
+const { bookAppointment } = require('../utils/appointments');
+
+let server;
+let practitioner;
+let patients;
+
+// Three days out, on the practitioner's (UTC) clock
+const at = (time) => `${addDays(today(), 3)}T${time}:00.000Z`;
+
+const book = async (patient, start) => server.request('POST', '/api/appointments', {
+  token: patient.token,
+  body: { practitionerId: practitioner.id, serviceId: 1, duration: 60, start }
+});
+
+before(async () => {
+  server = await startServer();
+  practitioner = await createUser({ email: 'appt-pr@example.com', userType: 'practitioner', timezone: 'UTC' });
+  for (const dayOfWeek of ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']) {
+    await dbRun(
+      "INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime) VALUES (?, ?, '09:00', '17:00')",
+      [practitioner.id, dayOfWeek]
+    );
+  }
+  await dbRun('INSERT INTO practitioner_services (practitionerId, serviceId) VALUES (?, 1)', [practitioner.id]);
+
+  patients = [];
+  for (const email of ['appt-a@example.com', 'appt-b@example.com', 'appt-c@example.com']) {
+    const patient = await createUser({ email });
+    patients.push({ ...patient, token: (await issueTokens(patient)).token });
+  }
+});
+
+after(() => server.close());
+
+test('a slot can only be booked once', async () => {
+  const [first, second] = patients;
+
+  const booked = await book(first, at('10:00'));
+  assert.equal(booked.status, 201);
+  assert.equal(booked.body.appointment.status, 'requested');
+  assert.equal(booked.body.appointment.end, at('11:00'));
+
+  const taken = await book(second, at('10:00'));
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.code, 'CONFLICT');
+});
+
+test('bookings that overlap another, or its buffer, are refused', async () => {
+  const second = patients[1];
+
+  // 10:00-11:00 is taken, and Therapeutic Massage keeps 15 minutes clear either side
+  for (const time of ['09:30', '10:45', '09:00', '11:00']) {
+    const response = await book(second, at(time));
+    assert.equal(response.status, 409, time);
+  }
+  assert.equal((await book(second, at('11:15'))).status, 201);
+});
+
+test('a cancelled booking frees its slot', async () => {
+  const [first, , third] = patients;
+  const { body } = await book(first, at('14:00'));
+  const cancelled = await server.request('PATCH', `/api/appointments/${body.appointment.id}`, {
+    token: first.token,
+    body: { status: 'cancelled', reason: 'Something came up' }
+  });
+  assert.equal(cancelled.status, 200);
+
+  assert.equal((await book(third, at('14:00'))).status, 201);
+});
+
+test('of two bookings for the same slot at once, only one goes through', async () => {
+  const [first, second] = patients;
+  const booking = (patient) => bookAppointment({
+    patientId: patient.id,
+    practitionerId: practitioner.id,
+    serviceId: 1,
+    minutes: 60,
+    start: at('16:00'),
+    bookedBy: patient.id
+  });
+
+  const results = await Promise.allSettled([booking(first), booking(second)]);
+  assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  const refused = results.find((result) => result.status === 'rejected').reason;
+  assert.equal(refused.name, 'AppointmentError');
+  assert.equal(refused.code, 'CONFLICT');
+});
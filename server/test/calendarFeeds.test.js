@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { dbRun, dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { addDays, today } = require('../utils/schedule');
+
+let server;
+let practitioner;
+
+const signedIn = async (email, userType) => {
+  const user = await createUser({ email, userType, timezone: 'UTC' });
+  return { ...user, token: (await issueTokens(user)).token };
+};
+
+// Turn the feed on, or regenerate it; the path of its secret URL
+const subscribe = async (user) => {
+  const { status, body: created } = await server.request('POST', '/api/calendar/feed', { token: user.token });
+  // 201 when turned on, 200 when regenerated
+  assert.ok([200, 201].includes(status));
+  return new URL(created.url).pathname;
+};
+
+// A calendar app fetching the URL, with no other credential
+const fetchFeed = (path) => server.request('GET', path);
+
+before(async () => {
+  server = await startServer();
+  practitioner = await signedIn('feed-practitioner@example.com', 'practitioner');
+  for (const dayOfWeek of ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']) {
+    await dbRun(
+      "INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime) VALUES (?, ?, '09:00', '17:00')",
+      [practitioner.id, dayOfWeek]
+    );
+  }
+  await dbRun('INSERT INTO practitioner_services (practitionerId, serviceId) VALUES (?, 1)', [practitioner.id]);
+});
+
+after(() => server.close());
+
+test('the secret URL serves the confirmed appointments, titled without details unless asked', async () => {
+  const patient = await signedIn('feed-patient@example.com');
+  const booked = await server.request('POST', '/api/appointments', {
+    token: patient.token,
+    body: { practitionerId: practitioner.id, serviceId: 1, duration: 60, start: `${addDays(today(), 3)}T10:00:00.000Z` }
+  });
+  assert.equal(booked.status, 201);
+  const path = await subscribe(patient);
+
+  // Requests wait for the practitioner
+  assert.ok(!(await fetchFeed(path)).body.includes(`appointment-${booked.body.appointment.id}`));
+  const confirmed = await server.request('PATCH', `/api/appointments/${booked.body.appointment.id}`, {
+    token: practitioner.token,
+    body: { status: 'confirmed' }
+  });
+  assert.equal(confirmed.status, 200);
+
+  const feed = await fetchFeed(path);
+  assert.equal(feed.status, 200);
+  assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+  assert.equal(feed.headers.get('cache-control'), 'private, no-store');
+  assert.match(feed.body, /SUMMARY:KNKO appointment/);
+  assert.ok(!feed.body.includes('Therapeutic Massage'));
+  assert.ok((await dbGet('SELECT lastFetchedAt FROM calendar_feeds WHERE userId = ?', [patient.id])).lastFetchedAt);
+
+  assert.equal((await server.request('PATCH', '/api/calendar/feed', { token: patient.token, body: { showDetails: true } })).status, 200);
+  assert.match((await fetchFeed(path)).body, /SUMMARY:Therapeutic Massage - Test User/);
+});
+
+test('regenerating the URL or turning the feed off stops the old one', async () => {
+  const patient = await signedIn('feed-rotate@example.com');
+  const first = await subscribe(patient);
+  const second = await subscribe(patient);
+  assert.notEqual(second, first);
+  assert.equal((await fetchFeed(first)).status, 404);
+  assert.equal((await fetchFeed(second)).status, 200);
+
+  // The token is stored hashed, never as given
+  const token = second.split('/').pop().replace('.ics', '');
+  assert.notEqual((await dbGet('SELECT tokenHash FROM calendar_feeds WHERE userId = ?', [patient.id])).tokenHash, token);
+
+  assert.equal((await server.request('DELETE', '/api/calendar/feed', { token: patient.token })).status, 200);
+  assert.equal((await fetchFeed(second)).status, 404);
+  assert.equal((await server.request('DELETE', '/api/calendar/feed', { token: patient.token })).status, 404);
+});
+
+test('unknown and malformed tokens, and suspended accounts, get no calendar', async () => {
+  assert.equal((await fetchFeed(`/api/calendar/feeds/${'A'.repeat(43)}.ics`)).status, 404);
+  assert.equal((await fetchFeed('/api/calendar/feeds/short.ics')).status, 404);
+
+  const patient = await signedIn('feed-suspended@example.com');
+  const path = await subscribe(patient);
+  await dbRun("UPDATE users SET status = 'suspended' WHERE id = ?", [patient.id]);
+  assert.equal((await fetchFeed(path)).status, 404);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbGet } = require('../config/database');
+
+let server;
+let user;
+
+// Sign in as a browser client would, keeping the cookies it was given
+const cookieLogin = async () => {
+  const { status, body, headers } = await server.request('POST', '/api/auth/login', {
+    body: { email: user.email, password: PASSWORD },
+    headers: { 'X-Auth-Mode': 'cookie' }
+  });
+  assert.equal(status, 200);
+  const cookies = Object.fromEntries(headers.getSetCookie().map((cookie) => cookie.split(';')[0].split('=')));
+  return { body, cookies };
+};
+
+const cookieHeader = (cookies) => Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+
+const activity = (cookies, csrfToken) => server.request('POST', '/api/auth/sessions/activity', {
+  body: {},
+  headers: { Cookie: cookieHeader(cookies), ...(csrfToken && { 'X-CSRF-Token': csrfToken }) }
+});
+
+before(async () => {
+  server = await startServer();
+  user = await createUser({ email: 'csrf-patient@example.com' });
+});
+
+after(() => server.close());
+
+test('a cookie sign-in keeps the tokens out of the response body', async () => {
+  const { body, cookies } = await cookieLogin();
+  assert.equal(body.token, undefined);
+  assert.equal(body.refreshToken, undefined);
+  assert.ok(cookies.knko_access);
+  assert.ok(cookies.knko_refresh);
+  assert.equal(cookies.knko_csrf, body.csrfToken);
+});
+
+test('a cookie-authenticated change needs the CSRF token echoed in its header', async () => {
+  const { body, cookies } = await cookieLogin();
+
+  assert.equal((await activity(cookies)).status, 403);
+  assert.equal((await activity(cookies, 'not-the-token')).status, 403);
+  assert.equal((await activity(cookies, `${body.csrfToken.slice(1)}x`)).status, 403);
+  assert.ok(await dbGet("SELECT id FROM audit_logs WHERE action = 'CSRF_REJECTED' AND resource = '/api/auth/sessions/activity'"));
+
+  assert.equal((await activity(cookies, body.csrfToken)).status, 200);
+});
+
+test('reads and bearer-token requests need no CSRF token', async () => {
+  const { cookies } = await cookieLogin();
+  const read = await server.request('GET', '/api/auth/verify', { headers: { Cookie: cookieHeader(cookies) } });
+  assert.equal(read.status, 200);
+
+  const bearer = await server.request('POST', '/api/auth/sessions/activity', { token: cookies.knko_access, body: {} });
+  assert.equal(bearer.status, 200);
+});
+
+test('refreshing and signing out by cookie are CSRF-checked too', async () => {
+  const { body, cookies } = await cookieLogin();
+  const headers = { Cookie: cookieHeader(cookies) };
+
+  assert.equal((await server.request('POST', '/api/auth/refresh', { body: {}, headers })).status, 403);
+  assert.equal((await server.request('POST', '/api/auth/logout', { body: {}, headers })).status, 403);
+
+  const refreshed = await server.request('POST', '/api/auth/refresh', {
+    body: {},
+    headers: { ...headers, 'X-CSRF-Token': body.csrfToken }
+  });
+  assert.equal(refreshed.status, 200);
+  // Other tabs of the same session keep working with the token they already have
+  assert.equal(refreshed.body.csrfToken, body.csrfToken);
+});
@@ -0,0 +1,76 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase } = require('./helpers');
+const { getDatabase, dbRun, dbGet, dbAll, dbTransaction } = require('../config/database');
+
+const outbox = (subject) => dbRun(
+  "INSERT INTO email_outbox (toAddress, fromAddress, subject, textBody) VALUES ('to@example.com', 'from@example.com', ?, '')",
+  [subject]
+);
+
+const subjects = async () => (await dbAll('SELECT subject FROM email_outbox ORDER BY id')).map((row) => row.subject);
+
+before(async () => {
+  await setupDatabase();
+});
+
+test('a transaction commits what its work wrote', async () => {
+  const value = await dbTransaction(async () => {
+    await outbox('committed');
+    return 'done';
+  });
+  assert.equal(value, 'done');
+  assert.ok((await subjects()).includes('committed'));
+});
+
+test('a transaction that throws rolls back everything it wrote', async () => {
+  await assert.rejects(dbTransaction(async () => {
+    await outbox('rolled back');
+    throw new Error('conflict');
+  }), /conflict/);
+  assert.ok(!(await subjects()).includes('rolled back'));
+});
+
+test("other requests' writes made while a transaction is open survive its rollback", async () => {
+  let release;
+  const waiting = new Promise((resolve) => {
+    release = resolve;
+  });
+  const failing = dbTransaction(async () => {
+    await outbox('inside');
+    await waiting;
+    throw new Error('conflict');
+  });
+  // Let the transaction open before the other writes arrive
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  const plain = outbox('alongside');
+  const callback = new Promise((resolve, reject) => {
+    getDatabase().run(
+      "INSERT INTO audit_logs (action, resource, status) VALUES ('TEST', 'alongside', 'SUCCESS')",
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+  release();
+
+  await assert.rejects(failing, /conflict/);
+  await Promise.all([plain, callback]);
+  const written = await subjects();
+  assert.ok(written.includes('alongside'));
+  assert.ok(!written.includes('inside'));
+  assert.ok(await dbGet("SELECT id FROM audit_logs WHERE resource = 'alongside'"));
+});
+
+test('transactions run one after another', async () => {
+  const order = [];
+  const slow = dbTransaction(async () => {
+    order.push('first begins');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    order.push('first ends');
+  });
+  const fast = dbTransaction(async () => {
+    order.push('second begins');
+  });
+  await Promise.all([slow, fast]);
+  assert.deepEqual(order, ['first begins', 'first ends', 'second begins']);
+});
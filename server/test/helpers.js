@@ -0,0 +1,92 @@
+const { once } = require('events');
+const { mock } = require('node:test');
+
+// node --test runs each file in its own process: give it a throwaway database and
+// the settings the server won't start without, before any module reads them
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const bcrypt = require('bcryptjs');
+const { initDatabase, dbRun, dbSettled } = require('../config/database');
+const { assignDefaultRole } = require('../utils/roles');
+
+// Startup chatter ("Users table created or already exists", ...) drowns the test report
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const PASSWORD = 'Correct-horse-42';
+
+// initDatabase doesn't say when it's done, and its migrations queue more statements as they go
+const databaseReady = dbSettled;
+
+/**
+ * Create the schema, for tests of the utils that don't need the app
+ */
+const setupDatabase = async () => {
+  initDatabase();
+  await databaseReady();
+};
+
+/**
+ * Add an approved account with its default role
+ * @param {Object} fields
+ * @param {string} fields.email
+ * @param {string} [fields.userType] - Default 'patient'
+ * @param {string} [fields.password] - Default PASSWORD; '!' for an account without a local password
+ * @param {string} [fields.timezone]
+ * @returns {Promise<Object>} - { id, email, userType, firstName, lastName }
+ */
+const createUser = async ({ email, userType = 'patient', password = PASSWORD, timezone = null }) => {
+  const hashed = password === '!' ? password : await bcrypt.hash(password, 4);
+  const { lastID } = await dbRun(
+    `INSERT INTO users (email, password, firstName, lastName, userType, status, timezone)
+     VALUES (?, ?, 'Test', 'User', ?, 'approved', ?)`,
+    [email, hashed, userType, timezone]
+  );
+  await assignDefaultRole(lastID, userType);
+  return { id: lastID, email, userType, firstName: 'Test', lastName: 'User' };
+};
+
+/**
+ * Start the app on a free port
+ * @returns {Promise<Object>} - { url, request(method, path, { body, token, headers }), close() }
+ *   request resolves to { status, body, headers }, with body parsed when it's JSON
+ */
+const startServer = async () => {
+  const { app } = require('../index');
+  await databaseReady();
+  const listener = app.listen(0, '127.0.0.1');
+  await once(listener, 'listening');
+  const url = `http://127.0.0.1:${listener.address().port}`;
+
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, body: isJson ? JSON.parse(text) : text, headers: response.headers };
+  };
+
+  const close = () => {
+    listener.closeAllConnections();
+    return new Promise((resolve) => listener.close(resolve));
+  };
+
+  return { url, request, close };
+};
+
+module.exports = {
+  PASSWORD,
+  databaseReady,
+  setupDatabase,
+  createUser,
+  startServer
+};
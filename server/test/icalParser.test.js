@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { IcalError, readBusyTimes } = require('../utils/icalParser');
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//EN',
+  ...events.flatMap((event) => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const busy = (text, from = '2027-01-01T00:00:00Z', to = '2028-01-01T00:00:00Z') =>
+  readBusyTimes(text, { timeZone: 'Europe/London', from: Date.parse(from), to: Date.parse(to) });
+
+const starts = (result) => result.blocks.map((block) => block.start);
+
+test('weekly repeats stay on the local clock across a clock change', () => {
+  const result = busy(calendar([
+    'UID:physio',
+    'DTSTART;TZID=Europe/London:20270322T090000',
+    'DTEND;TZID=Europe/London:20270322T100000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4'
+  ]));
+
+  assert.deepEqual(result.blocks, [
+    { start: '2027-03-22T09:00:00.000Z', end: '2027-03-22T10:00:00.000Z' },
+    { start: '2027-03-24T09:00:00.000Z', end: '2027-03-24T10:00:00.000Z' },
+    { start: '2027-03-29T08:00:00.000Z', end: '2027-03-29T09:00:00.000Z' },
+    { start: '2027-03-31T08:00:00.000Z', end: '2027-03-31T09:00:00.000Z' }
+  ]);
+  assert.equal(result.skipped, 0);
+});
+
+test('excluded, moved and cancelled occurrences replace the repeats', () => {
+  const result = busy(calendar(
+    [
+      'UID:standup',
+      'DTSTART:20270104T090000Z',
+      'DURATION:PT30M',
+      'RRULE:FREQ=DAILY;UNTIL=20270108T090000Z',
+      'EXDATE:20270105T090000Z'
+    ],
+    ['UID:standup', 'RECURRENCE-ID:20270106T090000Z', 'DTSTART:20270106T140000Z', 'DTEND:20270106T143000Z'],
+    ['UID:standup', 'RECURRENCE-ID:20270107T090000Z', 'DTSTART:20270107T090000Z', 'DURATION:PT30M', 'STATUS:CANCELLED']
+  ));
+
+  assert.deepEqual(starts(result), [
+    '2027-01-04T09:00:00.000Z',
+    '2027-01-06T14:00:00.000Z',
+    '2027-01-08T09:00:00.000Z'
+  ]);
+});
+
+test('monthly repeats by weekday and by day of the month', () => {
+  const lastFriday = busy(calendar([
+    'UID:review',
+    'DTSTART:20270129T160000Z',
+    'DURATION:PT1H',
+    'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'
+  ]));
+  assert.deepEqual(starts(lastFriday), [
+    '2027-01-29T16:00:00.000Z',
+    '2027-02-26T16:00:00.000Z',
+    '2027-03-26T16:00:00.000Z'
+  ]);
+
+  // Months without a 31st are skipped
+  const thirtyFirst = busy(calendar([
+    'UID:payroll',
+    'DTSTART:20270131T120000Z',
+    'DURATION:PT1H',
+    'RRULE:FREQ=MONTHLY;COUNT=3'
+  ]));
+  assert.deepEqual(starts(thirtyFirst), [
+    '2027-01-31T12:00:00.000Z',
+    '2027-03-31T12:00:00.000Z',
+    '2027-05-31T12:00:00.000Z'
+  ]);
+});
+
+test('only repeats inside the imported period are read', () => {
+  const result = busy(
+    calendar(['UID:forever', 'DTSTART:20200106T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY']),
+    '2027-02-01T00:00:00Z',
+    '2027-02-15T00:00:00Z'
+  );
+  assert.deepEqual(starts(result), ['2027-02-01T09:00:00.000Z', '2027-02-08T09:00:00.000Z']);
+});
+
+test('a repeat that began long ago is read from the imported period, not from its start', () => {
+  const forever = (uid) => [
+    `UID:${uid}`,
+    'DTSTART;TZID=Europe/London:19000101T090000',
+    'DTEND;TZID=Europe/London:19000101T100000',
+    'RRULE:FREQ=DAILY'
+  ];
+  const started = Date.now();
+  const result = busy(calendar(...['a', 'b', 'c', 'd', 'e'].map(forever)), '2027-03-01T00:00:00Z', '2027-03-03T00:00:00Z');
+  // Expanding every day since 1900 took seconds
+  assert.ok(Date.now() - started < 3000);
+  assert.equal(result.blocks.length, 10);
+  assert.deepEqual(result.blocks[0], { start: '2027-03-01T09:00:00.000Z', end: '2027-03-01T10:00:00.000Z' });
+});
+
+test('occurrences before the imported period still count towards COUNT', () => {
+  const result = busy(calendar(['UID:course', 'DTSTART:20261225T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY;COUNT=10']));
+  assert.deepEqual(starts(result), ['2027-01-01T09:00:00.000Z', '2027-01-02T09:00:00.000Z', '2027-01-03T09:00:00.000Z']);
+
+  // Counting a century of days one by one is too much work; the event is skipped
+  const endless = busy(calendar(['UID:old', 'DTSTART:19000101T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY;COUNT=100000']));
+  assert.deepEqual(endless.blocks, []);
+  assert.equal(endless.skipped, 1);
+});
+
+test('a calendar with too many busy times is refused while it is read', () => {
+  const daily = Array.from({ length: 14 }, (_, index) =>
+    [`UID:daily-${index}`, 'DTSTART:20270101T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY']);
+  assert.throws(() => busy(calendar(...daily)), /more than 5000 events/);
+});
+
+test('all-day events run from local midnight to local midnight, even across a clock change', () => {
+  const result = busy(calendar([
+    'UID:holiday',
+    'DTSTART;VALUE=DATE:20270327',
+    'DTEND;VALUE=DATE:20270329'
+  ]));
+  assert.deepEqual(result.blocks, [{ start: '2027-03-27T00:00:00.000Z', end: '2027-03-28T23:00:00.000Z' }]);
+});
+
+test('free time is ignored and unreadable repeats are skipped, not guessed', () => {
+  const result = busy(calendar(
+    ['UID:free', 'DTSTART:20270301T090000Z', 'DURATION:PT1H', 'TRANSP:TRANSPARENT'],
+    ['UID:odd', 'DTSTART:20270301T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;BYDAY=MO;BYSETPOS=1'],
+    ['UID:fine', 'DTSTART:20270302T090000Z', 'DURATION:PT1H']
+  ));
+  assert.deepEqual(starts(result), ['2027-03-02T09:00:00.000Z']);
+  assert.equal(result.skipped, 1);
+});
+
+test('a file that is not a calendar is refused', () => {
+  assert.throws(() => busy('<html>Not found</html>'), IcalError);
+});
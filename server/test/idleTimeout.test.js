@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbRun, dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+
+let server;
+let admin;
+
+const signIn = async (email, userType) => {
+  const user = await createUser({ email, userType });
+  const { status, body } = await server.request('POST', '/api/auth/login', {
+    body: { email, password: PASSWORD },
+    headers: { 'X-Forwarded-For': '10.2.0.1' }
+  });
+  assert.equal(status, 200);
+  return { ...user, ...body };
+};
+
+const sid = (device) => JSON.parse(Buffer.from(device.token.split('.')[1], 'base64url').toString()).sid;
+
+// Pretend the user last did something this many minutes ago
+const idleFor = (device, minutes) => dbRun(
+  "UPDATE sessions SET lastActivityAt = datetime('now', ?) WHERE id = ?",
+  [`-${minutes} minutes`, sid(device)]
+);
+
+const signedIn = async (device) => (await server.request('GET', '/api/auth/sessions', { token: device.token })).status === 200;
+
+before(async () => {
+  server = await startServer();
+  admin = await createUser({ email: 'idle-admin@example.com', userType: 'admin' });
+  admin.token = (await issueTokens(admin)).token;
+});
+
+after(() => server.close());
+
+test('a session left idle for longer than its role allows is signed out', async () => {
+  const patient = await signIn('idle-patient@example.com');
+
+  // Patients get 30 minutes
+  await idleFor(patient, 25);
+  assert.equal(await signedIn(patient), true);
+
+  await idleFor(patient, 32);
+  assert.equal(await signedIn(patient), false);
+  const refreshed = await server.request('POST', '/api/auth/refresh', { body: { refreshToken: patient.refreshToken } });
+  assert.equal(refreshed.status, 401);
+  assert.equal((await dbGet('SELECT revokedReason FROM sessions WHERE id = ?', [sid(patient)])).revokedReason, 'Idle timeout');
+});
+
+test('reported activity restarts the timeout, but background requests do not', async () => {
+  const patient = await signIn('idle-active@example.com');
+
+  await idleFor(patient, 25);
+  const activity = await server.request('POST', '/api/auth/sessions/activity', { token: patient.token, body: {} });
+  assert.equal(activity.status, 200);
+  assert.equal(activity.body.idleTimeout, 30 * 60);
+  const { recent } = await dbGet(
+    "SELECT lastActivityAt > datetime('now', '-1 minute') AS recent FROM sessions WHERE id = ?",
+    [sid(patient)]
+  );
+  assert.equal(recent, 1);
+
+  // Polling keeps the session seen, not active
+  await idleFor(patient, 25);
+  assert.equal(await signedIn(patient), true);
+  const { stale } = await dbGet(
+    "SELECT lastActivityAt <= datetime('now', '-24 minutes') AS stale FROM sessions WHERE id = ?",
+    [sid(patient)]
+  );
+  assert.equal(stale, 1);
+});
+
+test('the shortest timeout of the user\'s roles applies, and admins can change it', async () => {
+  const staff = await signIn('idle-staff@example.com', 'practitioner');
+  await dbRun("INSERT INTO user_roles (userId, role) VALUES (?, 'patient')", [staff.id]);
+
+  // Practitioner (15) is shorter than patient (30)
+  await idleFor(staff, 20);
+  assert.equal(await signedIn(staff), false);
+
+  const updated = await server.request('PUT', '/api/admin/roles/practitioner', {
+    token: admin.token,
+    body: { idleTimeoutMinutes: 60 }
+  });
+  assert.equal(updated.status, 200);
+
+  const again = await signIn('idle-staff-again@example.com', 'practitioner');
+  await idleFor(again, 20);
+  assert.equal(await signedIn(again), true);
+});
@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbRun, dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+
+let server;
+let admin;
+
+const invite = async (email, userType = 'practitioner') => {
+  const { status, body } = await server.request('POST', '/api/admin/invitations', {
+    token: admin.token,
+    body: { email, userType }
+  });
+  assert.equal(status, 201);
+  return body.invitation;
+};
+
+// The link is emailed after the response, so wait for it to reach the outbox
+const invitationToken = async (email, count = 1) => {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const { sent } = await dbGet(
+      "SELECT COUNT(*) AS sent FROM email_outbox WHERE toAddress = ? AND template = 'invitation'",
+      [email]
+    );
+    if (sent >= count) {
+      const { textBody } = await dbGet(
+        "SELECT textBody FROM email_outbox WHERE toAddress = ? AND template = 'invitation' ORDER BY id DESC LIMIT 1",
+        [email]
+      );
+      return new URL(textBody.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`No invitation email for ${email}`);
+};
+
+const accept = (token) => server.request('POST', '/api/auth/invitations/accept', {
+  body: { token, password: PASSWORD, firstName: 'Invited', lastName: 'Staff' }
+});
+
+before(async () => {
+  server = await startServer();
+  admin = await createUser({ email: 'invitations-admin@example.com', userType: 'admin' });
+  admin.token = (await issueTokens(admin)).token;
+});
+
+after(() => server.close());
+
+test('public signup only creates patients', async () => {
+  const signup = (email, userType) => server.request('POST', '/api/auth/signup', {
+    body: { email, password: PASSWORD, firstName: 'New', lastName: 'Person', ...(userType && { userType }) }
+  });
+
+  assert.equal((await signup('signup-admin@example.com', 'admin')).status, 400);
+  assert.equal((await signup('signup-practitioner@example.com', 'practitioner')).status, 400);
+  assert.equal(await dbGet("SELECT id FROM users WHERE email LIKE 'signup-%'"), undefined);
+
+  assert.equal((await signup('signup-patient@example.com')).status, 201);
+  assert.equal((await dbGet("SELECT userType FROM users WHERE email = 'signup-patient@example.com'")).userType, 'patient');
+});
+
+test('only admins can invite', async () => {
+  const practitioner = await createUser({ email: 'invitations-practitioner@example.com', userType: 'practitioner' });
+  const { token } = await issueTokens(practitioner);
+  const { status } = await server.request('POST', '/api/admin/invitations', {
+    token,
+    body: { email: 'invited-by-practitioner@example.com', userType: 'admin' }
+  });
+  assert.equal(status, 403);
+});
+
+test('an invitation creates the invited kind of account, once', async () => {
+  const invitation = await invite('invited-once@example.com');
+  const token = await invitationToken(invitation.email);
+
+  const preview = await server.request('GET', `/api/auth/invitations/${token}`);
+  assert.equal(preview.status, 200);
+  assert.deepEqual(
+    { email: preview.body.invitation.email, userType: preview.body.invitation.userType },
+    { email: 'invited-once@example.com', userType: 'practitioner' }
+  );
+
+  assert.equal((await accept(token)).status, 200);
+  const user = await dbGet('SELECT id, userType, status FROM users WHERE email = ?', [invitation.email]);
+  assert.deepEqual({ userType: user.userType, status: user.status }, { userType: 'practitioner', status: 'approved' });
+  assert.equal((await dbGet('SELECT acceptedUserId FROM invitations WHERE id = ?', [invitation.id])).acceptedUserId, user.id);
+
+  assert.equal((await accept(token)).status, 400);
+  assert.equal((await server.request('GET', `/api/auth/invitations/${token}`)).status, 404);
+});
+
+test('an expired invitation cannot be accepted', async () => {
+  const invitation = await invite('invited-expired@example.com');
+  const token = await invitationToken(invitation.email);
+  await dbRun("UPDATE invitations SET expiresAt = datetime('now', '-1 minute') WHERE id = ?", [invitation.id]);
+
+  assert.equal((await server.request('GET', `/api/auth/invitations/${token}`)).status, 404);
+  assert.equal((await accept(token)).status, 400);
+  assert.equal(await dbGet('SELECT id FROM users WHERE email = ?', [invitation.email]), undefined);
+
+  const { body } = await server.request('GET', '/api/admin/invitations', { token: admin.token });
+  assert.equal(body.invitations.find((row) => row.id === invitation.id).status, 'expired');
+});
+
+test('a revoked or replaced invitation cannot be accepted', async () => {
+  const revoked = await invite('invited-revoked@example.com');
+  const revokedToken = await invitationToken(revoked.email);
+  const removal = await server.request('DELETE', `/api/admin/invitations/${revoked.id}`, { token: admin.token });
+  assert.equal(removal.status, 200);
+  assert.equal((await accept(revokedToken)).status, 400);
+
+  const first = await invite('invited-twice@example.com');
+  const firstToken = await invitationToken(first.email);
+  await invite('invited-twice@example.com', 'admin');
+  const secondToken = await invitationToken('invited-twice@example.com', 2);
+
+  assert.equal((await accept(firstToken)).status, 400);
+  assert.equal((await accept(secondToken)).status, 200);
+  assert.equal((await dbGet("SELECT userType FROM users WHERE email = 'invited-twice@example.com'")).userType, 'admin');
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbRun } = require('../config/database');
+
+let server;
+
+// authLimiter also counts failures per IP, so each test logs in from its own address
+const login = (email, password, ip) => server.request('POST', '/api/auth/login', {
+  body: { email, password },
+  headers: { 'X-Forwarded-For': ip }
+});
+
+// Skip the back-off delay instead of waiting it out
+const rewind = (email) => dbRun(
+  "UPDATE login_attempts SET lastFailedAt = datetime('now', '-1 hour') WHERE email = ?",
+  [email]
+);
+
+const fail = async (email, times, ip) => {
+  for (let attempt = 0; attempt < times; attempt += 1) {
+    await rewind(email);
+    assert.equal((await login(email, 'wrong-password', ip)).status, 401);
+  }
+};
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('after three failures each attempt has to wait longer', async () => {
+  const { email } = await createUser({ email: 'backoff@example.com' });
+  await fail(email, 4, '10.0.0.1');
+
+  // 2 seconds after the fourth; lastFailedAt has whole seconds, so up to 1 of them may be gone
+  const waiting = await login(email, PASSWORD, '10.0.0.1');
+  assert.equal(waiting.status, 429);
+  assert.ok(['1', '2'].includes(waiting.headers.get('retry-after')));
+
+  await rewind(email);
+  assert.equal((await login(email, PASSWORD, '10.0.0.1')).status, 200);
+});
+
+test('ten failures lock the account, even against the right password', async () => {
+  const { email } = await createUser({ email: 'locked@example.com' });
+  await fail(email, 10, '10.0.0.2');
+
+  // The account is locked, not the address
+  await rewind(email);
+  const locked = await login(email, PASSWORD, '10.0.0.3');
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 14 * 60);
+});
+
+test('unknown emails are throttled the same way', async () => {
+  await fail('nobody@example.com', 4, '10.0.0.4');
+  assert.equal((await login('nobody@example.com', 'wrong-password', '10.0.0.4')).status, 429);
+});
+
+test('signing in clears the failures', async () => {
+  const { email } = await createUser({ email: 'cleared@example.com' });
+  for (const password of ['wrong-password', 'wrong-password', PASSWORD, 'wrong-password', 'wrong-password']) {
+    await login(email, password, '10.0.0.5');
+  }
+  assert.equal((await login(email, PASSWORD, '10.0.0.5')).status, 200);
+});
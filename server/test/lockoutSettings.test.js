@@ -0,0 +1,28 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the module loads, so set before anything requires it
+process.env.LOGIN_BACKOFF_AFTER = '0';
+
+const { startServer, createUser, PASSWORD } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('LOGIN_BACKOFF_AFTER=0 backs off from the first failure', async () => {
+  const { email } = await createUser({ email: 'strict@example.com' });
+  const login = (password) => server.request('POST', '/api/auth/login', {
+    body: { email, password },
+    headers: { 'X-Forwarded-For': '10.2.0.1' }
+  });
+
+  assert.equal((await login('wrong-password')).status, 401);
+  const waiting = await login(PASSWORD);
+  assert.equal(waiting.status, 429);
+  assert.ok(Number(waiting.headers.get('retry-after')) >= 1);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { issueTokens } = require('../utils/tokens');
+const totp = require('../utils/totp');
+
+let server;
+let practitioner;
+let secret;
+let recoveryCodes;
+let enrolledStep;
+
+// A code for the step enrolment was confirmed in, or a later one (within the allowed drift)
+const code = (offset = 0) => totp.generateCode(secret, enrolledStep + offset);
+
+const login = async () => {
+  const { status, body } = await server.request('POST', '/api/auth/login', {
+    body: { email: practitioner.email, password: PASSWORD }
+  });
+  assert.equal(status, 200);
+  return body;
+};
+
+const verify = (challengeToken, answer) => server.request('POST', '/api/auth/mfa/verify', {
+  body: { challengeToken, ...answer }
+});
+
+before(async () => {
+  server = await startServer();
+  practitioner = await createUser({ email: 'mfa-practitioner@example.com', userType: 'practitioner' });
+  practitioner.token = (await issueTokens(practitioner)).token;
+
+  const enrolment = await server.request('POST', '/api/auth/mfa/enroll', { token: practitioner.token, body: {} });
+  assert.equal(enrolment.status, 200);
+  ({ secret } = enrolment.body);
+  enrolledStep = totp.currentStep();
+
+  const enabled = await server.request('POST', '/api/auth/mfa/enroll/verify', {
+    token: practitioner.token,
+    body: { code: code() }
+  });
+  assert.equal(enabled.status, 200);
+  ({ recoveryCodes } = enabled.body);
+  assert.equal(recoveryCodes.length, 10);
+});
+
+after(() => server.close());
+
+test('codes match the RFC 6238 test vector', () => {
+  // The ASCII secret "12345678901234567890" at T = 59s, truncated to 6 digits
+  const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  assert.equal(totp.generateCode(rfcSecret, 1), '287082');
+  assert.equal(totp.verifyCode(rfcSecret, '287082', { now: 59 * 1000 }), 1);
+  assert.equal(totp.verifyCode(rfcSecret, '287082', { now: 10 * 60 * 1000 }), null);
+});
+
+test('patients cannot enrol', async () => {
+  const patient = await createUser({ email: 'mfa-patient@example.com' });
+  const { token } = await issueTokens(patient);
+  assert.equal((await server.request('POST', '/api/auth/mfa/enroll', { token, body: {} })).status, 403);
+});
+
+test('an enrolled account needs a code after its password, and each code works once', async () => {
+  const first = await login();
+  assert.equal(first.mfaRequired, true);
+  assert.equal(first.token, undefined);
+
+  // The enrolment code's step is used up
+  assert.equal((await verify(first.challengeToken, { code: code() })).status, 401);
+
+  const answer = code(1);
+  const verified = await verify(first.challengeToken, { code: answer });
+  assert.equal(verified.status, 200);
+  assert.ok(verified.body.token);
+
+  // Neither the challenge token nor the code can be used again
+  assert.equal((await verify(first.challengeToken, { code: answer })).status, 401);
+  const second = await login();
+  assert.equal((await verify(second.challengeToken, { code: answer })).status, 401);
+});
+
+test('a recovery code signs in once', async () => {
+  const [recoveryCode] = recoveryCodes;
+  const first = await login();
+  assert.equal((await verify(first.challengeToken, { recoveryCode })).status, 200);
+
+  const second = await login();
+  assert.equal((await verify(second.challengeToken, { recoveryCode })).status, 401);
+
+  const status = await server.request('GET', '/api/auth/mfa/status', { token: practitioner.token });
+  assert.equal(status.body.recoveryCodesRemaining, 9);
+});
@@ -0,0 +1,179 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbGet, dbAll } = require('../config/database');
+const { registerProvider } = require('../utils/oidc');
+const { createMockProvider } = require('../scripts/mock-oidc-provider');
+
+let server;
+let idp;
+let issuer;
+
+/**
+ * Sign in through the mock IdP the way the browser and the client would
+ * @param {Object} login
+ * @param {string} login.email
+ * @param {string} [login.groups] - Comma separated
+ * @param {boolean} [login.emailVerified]
+ * @param {string} [login.provider]
+ * @param {Object} [login.form] - Fields to change in the IdP's login form (nonce, code_challenge)
+ * @param {string} [login.state] - Sent to our callback instead of the one the IdP returned
+ * @returns {Promise<Object>} - The callback's response
+ */
+const signIn = async ({ email, groups = '', emailVerified = true, provider = 'test-idp', form = {}, state }) => {
+  const started = await server.request('POST', `/api/auth/oidc/${provider}/start`);
+  assert.equal(started.status, 200);
+  const authorization = new URL(started.body.authorizationUrl);
+  assert.equal(authorization.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(authorization.searchParams.get('state'), started.body.state);
+  assert.equal((await fetch(authorization)).status, 200);
+
+  // The IdP's login form carries the authorization request through
+  const fields = new URLSearchParams({
+    ...Object.fromEntries(['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+      .map((name) => [name, authorization.searchParams.get(name)])),
+    email,
+    name: 'Sam Example',
+    groups,
+    ...(emailVerified && { email_verified: 'true' }),
+    ...form
+  });
+  const redirect = await fetch(`${issuer}/authorize`, { method: 'POST', body: fields, redirect: 'manual' });
+  const callback = new URL(redirect.headers.get('location'));
+
+  return server.request('POST', '/api/auth/oidc/callback', {
+    body: { code: callback.searchParams.get('code'), state: state || callback.searchParams.get('state') }
+  });
+};
+
+const userByEmail = (email) => dbGet('SELECT * FROM users WHERE email = ?', [email]);
+
+before(async () => {
+  server = await startServer();
+
+  idp = http.createServer();
+  idp.listen(0, '127.0.0.1');
+  await once(idp, 'listening');
+  issuer = `http://127.0.0.1:${idp.address().port}`;
+  idp.on('request', createMockProvider(issuer));
+
+  registerProvider({
+    id: 'test-idp',
+    name: 'Test IdP',
+    issuer,
+    clientId: 'knko',
+    userTypeMapping: { clinicians: 'practitioner', 'clinic-admins': 'admin' },
+    defaultUserType: 'patient'
+  });
+  registerProvider({
+    id: 'staff-idp',
+    name: 'Staff IdP',
+    issuer,
+    clientId: 'knko',
+    userTypeMapping: { clinicians: 'practitioner' }
+  });
+});
+
+after(async () => {
+  idp.closeAllConnections();
+  idp.close();
+  await server.close();
+});
+
+test('an unknown user gets an account without a local password on first sign-in', async () => {
+  const response = await signIn({ email: 'new-patient@example.com' });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.token);
+
+  const user = await userByEmail('new-patient@example.com');
+  assert.equal(user.userType, 'patient');
+  assert.equal(user.password, '!');
+  assert.equal(user.firstName, 'Sam');
+  const identities = await dbAll('SELECT provider FROM user_identities WHERE userId = ?', [user.id]);
+  assert.deepEqual(identities.map((identity) => identity.provider), ['test-idp']);
+
+  // The next sign-in finds the same account
+  assert.equal((await signIn({ email: 'new-patient@example.com' })).status, 200);
+  assert.equal((await dbAll("SELECT id FROM users WHERE email = 'new-patient@example.com'")).length, 1);
+});
+
+test("IdP groups decide the account's user type", async () => {
+  const practitioner = await signIn({ email: 'clinician@example.com', groups: 'clinicians' });
+  assert.equal(practitioner.status, 200);
+  assert.equal((await userByEmail('clinician@example.com')).userType, 'practitioner');
+
+  await signIn({ email: 'lead@example.com', groups: 'clinicians,clinic-admins' });
+  assert.equal((await userByEmail('lead@example.com')).userType, 'admin');
+});
+
+test('a change of groups at the IdP changes the user type on the next sign-in', async () => {
+  await signIn({ email: 'moved@example.com', groups: 'clinicians' });
+  const user = await userByEmail('moved@example.com');
+  assert.equal(user.userType, 'practitioner');
+
+  const moved = await signIn({ email: 'moved@example.com', groups: '' });
+  assert.equal(moved.status, 200);
+  assert.equal((await userByEmail('moved@example.com')).userType, 'patient');
+  const roles = await dbAll('SELECT role FROM user_roles WHERE userId = ?', [user.id]);
+  assert.deepEqual(roles.map((row) => row.role), ['patient']);
+  assert.ok(await dbGet("SELECT id FROM audit_logs WHERE userId = ? AND action = 'USER_TYPE_CHANGED'", [user.id]));
+});
+
+test('users in no mapped group are refused when there is no default', async () => {
+  const response = await signIn({ email: 'outsider@example.com', groups: 'contractors', provider: 'staff-idp' });
+  assert.equal(response.status, 403);
+  assert.equal(await userByEmail('outsider@example.com'), undefined);
+});
+
+test('a callback with a state we never issued is refused', async () => {
+  const response = await signIn({ email: 'state@example.com', state: 'not-our-state' });
+  assert.equal(response.status, 400);
+  assert.equal(await userByEmail('state@example.com'), undefined);
+});
+
+test('a state can only be used once', async () => {
+  const started = await server.request('POST', '/api/auth/oidc/test-idp/start');
+  const { state } = started.body;
+  await server.request('POST', '/api/auth/oidc/callback', { body: { code: 'first', state } });
+
+  const replayed = await server.request('POST', '/api/auth/oidc/callback', { body: { code: 'second', state } });
+  assert.equal(replayed.status, 400);
+});
+
+test('an ID token for another login request (nonce mismatch) is refused', async () => {
+  const response = await signIn({ email: 'nonce@example.com', form: { nonce: 'someone-elses-nonce' } });
+  assert.equal(response.status, 401);
+  assert.equal(await userByEmail('nonce@example.com'), undefined);
+});
+
+test('a code issued for another PKCE challenge is refused by the IdP', async () => {
+  const response = await signIn({ email: 'pkce@example.com', form: { code_challenge: 'an-attackers-challenge' } });
+  assert.equal(response.status, 502);
+  assert.equal(await userByEmail('pkce@example.com'), undefined);
+});
+
+test("an existing account isn't linked on an unverified email", async () => {
+  const existing = await createUser({ email: 'existing@example.com' });
+
+  const unverified = await signIn({ email: 'existing@example.com', emailVerified: false });
+  assert.equal(unverified.status, 403);
+  assert.equal((await dbAll('SELECT id FROM user_identities WHERE userId = ?', [existing.id])).length, 0);
+
+  const verified = await signIn({ email: 'existing@example.com' });
+  assert.equal(verified.status, 200);
+  assert.equal((await dbAll('SELECT id FROM user_identities WHERE userId = ?', [existing.id])).length, 1);
+  // Linking keeps the password they already had
+  const login = await server.request('POST', '/api/auth/login', { body: { email: existing.email, password: PASSWORD } });
+  assert.equal(login.status, 200);
+});
+
+test('an account created by single sign-on has no password to sign in with', async () => {
+  await signIn({ email: 'sso-only@example.com' });
+
+  for (const password of ['!', PASSWORD]) {
+    const response = await server.request('POST', '/api/auth/login', { body: { email: 'sso-only@example.com', password } });
+    assert.equal(response.status, 401);
+  }
+});
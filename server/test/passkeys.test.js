@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbRun, dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { SoftAuthenticator } = require('./softAuthenticator');
+
+let server;
+let patient;
+let authenticator;
+
+const register = async (user, device) => {
+  const { body: options } = await server.request('POST', '/api/auth/passkeys/register/options', { token: user.token });
+  return server.request('POST', '/api/auth/passkeys/register', {
+    token: user.token,
+    body: { credential: device.create(options), name: 'Test authenticator' }
+  });
+};
+
+const loginOptions = async (challengeToken) => {
+  const { status, body } = await server.request('POST', '/api/auth/passkeys/login/options', {
+    body: challengeToken ? { challengeToken } : {}
+  });
+  assert.equal(status, 200);
+  return body;
+};
+
+const login = (credential, challengeToken) => server.request('POST', '/api/auth/passkeys/login', {
+  body: { credential, ...(challengeToken && { challengeToken }) }
+});
+
+// Sign in without a password, changing what the authenticator (or "browser") does first
+const passwordless = async (device = authenticator, tamper = (options) => options) =>
+  login(device.get(tamper(await loginOptions())));
+
+before(async () => {
+  server = await startServer();
+  patient = await createUser({ email: 'passkey-patient@example.com' });
+  patient.token = (await issueTokens(patient)).token;
+  authenticator = new SoftAuthenticator();
+  assert.equal((await register(patient, authenticator)).status, 201);
+});
+
+after(() => server.close());
+
+test('a patient signs in with a passkey alone', async () => {
+  const response = await passwordless();
+  assert.equal(response.status, 200);
+  assert.ok(response.body.token);
+  assert.equal(response.body.user.id, patient.id);
+});
+
+test('a signature counter that goes backwards is refused', async () => {
+  const [stored] = authenticator.credentials.values();
+  const { signCount } = await dbGet('SELECT signCount FROM passkeys WHERE userId = ?', [patient.id]);
+
+  // A clone still at an older count
+  stored.signCount = signCount - 2;
+  const cloned = await passwordless();
+  stored.signCount = signCount;
+  assert.equal(cloned.status, 401);
+
+  assert.equal((await passwordless()).status, 200);
+});
+
+test('a challenge can only be answered once', async () => {
+  const credential = authenticator.get(await loginOptions());
+  assert.equal((await login(credential)).status, 200);
+  assert.equal((await login(credential)).status, 401);
+});
+
+test('an expired challenge is refused', async () => {
+  const credential = authenticator.get(await loginOptions());
+  await dbRun("UPDATE webauthn_challenges SET expiresAt = datetime('now', '-1 minute')");
+  assert.equal((await login(credential)).status, 401);
+});
+
+test('an assertion made for another origin is refused', async () => {
+  const phishing = new SoftAuthenticator({ origin: 'https://knko-login.example' });
+  phishing.credentials = authenticator.credentials;
+  assert.equal((await passwordless(phishing)).status, 401);
+});
+
+test('an assertion made for another relying party is refused', async () => {
+  const [stored] = authenticator.credentials.values();
+  const { rpId } = stored;
+  stored.rpId = 'knko-login.example';
+  const response = await passwordless(authenticator, (options) => ({ ...options, rpId: 'knko-login.example' }));
+  stored.rpId = rpId;
+  assert.equal(response.status, 401);
+});
+
+test('signing in without a password needs user verification', async () => {
+  const presenceOnly = new SoftAuthenticator({ userVerification: false });
+  presenceOnly.credentials = authenticator.credentials;
+  assert.equal((await passwordless(presenceOnly)).status, 401);
+});
+
+test('a passkey can only be registered from our own origin', async () => {
+  const response = await register(patient, new SoftAuthenticator({ origin: 'https://knko-login.example' }));
+  assert.equal(response.status, 400);
+});
+
+test('staff use a passkey as the second factor after their password', async () => {
+  const practitioner = await createUser({ email: 'passkey-practitioner@example.com', userType: 'practitioner' });
+  practitioner.token = (await issueTokens(practitioner)).token;
+  // The second factor doesn't need user verification: the password was the first
+  const securityKey = new SoftAuthenticator({ userVerification: false });
+  assert.equal((await register(practitioner, securityKey)).status, 201);
+
+  const password = await server.request('POST', '/api/auth/login', {
+    body: { email: practitioner.email, password: PASSWORD }
+  });
+  assert.equal(password.status, 200);
+  assert.equal(password.body.mfaRequired, true);
+  assert.deepEqual(password.body.mfaMethods, ['passkey']);
+  assert.equal(password.body.token, undefined);
+  const { challengeToken } = password.body;
+
+  const options = await loginOptions(challengeToken);
+  assert.deepEqual(options.allowCredentials.map((descriptor) => descriptor.id), [...securityKey.credentials.keys()]);
+  const verified = await login(securityKey.get(options), challengeToken);
+  assert.equal(verified.status, 200);
+  assert.ok(verified.body.token);
+  assert.equal(verified.body.user.id, practitioner.id);
+
+  // The challenge token was used up, and staff can't skip the password
+  assert.equal((await login(securityKey.get(await loginOptions()), challengeToken)).status, 401);
+  const verifying = new SoftAuthenticator();
+  verifying.credentials = securityKey.credentials;
+  assert.equal((await passwordless(verifying)).status, 403);
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbRun, dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+
+let server;
+
+const NEW_PASSWORD = 'Battery-staple-77';
+
+const forgot = (email) => server.request('POST', '/api/auth/forgot-password', { body: { email } });
+
+const reset = (token, password = NEW_PASSWORD) => server.request('POST', '/api/auth/reset-password', {
+  body: { token, password }
+});
+
+const login = (email, password) => server.request('POST', '/api/auth/login', { body: { email, password } });
+
+// The link is emailed after the response, so wait for it to reach the outbox
+const resetLink = async (email, count = 1) => {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const { sent } = await dbGet(
+      "SELECT COUNT(*) AS sent FROM email_outbox WHERE toAddress = ? AND template = 'password-reset'",
+      [email]
+    );
+    if (sent >= count) {
+      const { textBody } = await dbGet(
+        "SELECT textBody FROM email_outbox WHERE toAddress = ? AND template = 'password-reset' ORDER BY id DESC LIMIT 1",
+        [email]
+      );
+      return new URL(textBody.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`No password reset email for ${email}`);
+};
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('unknown emails get the same answer and no email', async () => {
+  const { body: known } = await forgot((await createUser({ email: 'reset-known@example.com' })).email);
+  const unknown = await forgot('reset-nobody@example.com');
+  assert.equal(unknown.status, 200);
+  assert.deepEqual(unknown.body, known);
+
+  await resetLink('reset-known@example.com');
+  assert.equal(await dbGet("SELECT id FROM email_outbox WHERE toAddress = 'reset-nobody@example.com'"), undefined);
+});
+
+test('a reset link sets a new password once and signs out every session', async () => {
+  const user = await createUser({ email: 'reset-once@example.com' });
+  const { token: session } = await issueTokens(user);
+  await forgot(user.email);
+  const token = await resetLink(user.email);
+
+  assert.equal((await reset(token)).status, 200);
+  assert.equal((await reset(token, 'Another-password-1')).status, 400);
+
+  assert.equal((await login(user.email, PASSWORD)).status, 401);
+  assert.equal((await login(user.email, NEW_PASSWORD)).status, 200);
+  assert.equal((await server.request('GET', '/api/auth/verify', { token: session })).status, 401);
+  assert.ok(await dbGet(
+    "SELECT id FROM email_outbox WHERE toAddress = ? AND template = 'password-changed'",
+    [user.email]
+  ));
+});
+
+test('only the newest link works', async () => {
+  const { email } = await createUser({ email: 'reset-newest@example.com' });
+  await forgot(email);
+  const older = await resetLink(email);
+  await forgot(email);
+  const newer = await resetLink(email, 2);
+
+  assert.equal((await reset(older)).status, 400);
+  assert.equal((await reset(newer)).status, 200);
+});
+
+test('an expired link is refused', async () => {
+  const { email } = await createUser({ email: 'reset-expired@example.com' });
+  await forgot(email);
+  const token = await resetLink(email);
+  await dbRun("UPDATE password_reset_tokens SET expiresAt = datetime('now', '-1 minute')");
+
+  assert.equal((await reset(token)).status, 400);
+  assert.equal((await login(email, PASSWORD)).status, 200);
+});
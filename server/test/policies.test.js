@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { dbRun, dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { cancellationTerms, setServicePolicy } = require('../utils/policies');
+
+const HOUR_MS = 60 * 60 * 1000;
+const POLICY = { cancelNoticeHours: 24, lateCancelFeePercent: 50, maxReschedules: 2 };
+const START = '2027-05-10T10:00:00.000Z';
+
+let server;
+let practitioner;
+let patient;
+
+// A confirmed hour of Therapeutic Massage (425.00) starting hoursAway from now
+const addAppointment = async (hoursAway, serviceId = 1) => {
+  const start = Date.now() + hoursAway * HOUR_MS;
+  const { lastID } = await dbRun(
+    `INSERT INTO appointments (patientId, practitionerId, serviceId, minutes, priceCents, startAt, endAt, status)
+     VALUES (?, ?, ?, 60, 42500, ?, ?, 'confirmed')`,
+    [patient.id, practitioner.id, serviceId, new Date(start).toISOString(), new Date(start + HOUR_MS).toISOString()]
+  );
+  return lastID;
+};
+
+const cancel = (user, id, extra = {}) => server.request('PATCH', `/api/appointments/${id}`, {
+  token: user.token,
+  body: { status: 'cancelled', reason: 'Something came up', ...extra }
+});
+
+before(async () => {
+  server = await startServer();
+  practitioner = await createUser({ email: 'policy-pr@example.com', userType: 'practitioner' });
+  patient = await createUser({ email: 'policy-pt@example.com' });
+  practitioner.token = (await issueTokens(practitioner)).token;
+  patient.token = (await issueTokens(patient)).token;
+});
+
+after(() => server.close());
+
+test('cancelling before the notice period is free', () => {
+  const terms = cancellationTerms(
+    { status: 'confirmed', start: START, priceCents: 42500 },
+    POLICY,
+    true,
+    Date.parse(START) - 25 * HOUR_MS
+  );
+  assert.equal(terms.late, false);
+  assert.equal(terms.feeCents, 0);
+  assert.equal(terms.deadline, '2027-05-09T10:00:00.000Z');
+});
+
+test('a patient cancelling a confirmed appointment late pays the fee', () => {
+  const now = Date.parse(START) - 23 * HOUR_MS;
+  const appointment = { status: 'confirmed', start: START, priceCents: 42500 };
+
+  assert.deepEqual(
+    cancellationTerms(appointment, POLICY, true, now),
+    { late: true, feeCents: 21250, deadline: '2027-05-09T10:00:00.000Z', policy: POLICY }
+  );
+  // Staff never pay, and a request the practitioner hasn't confirmed costs nothing
+  assert.equal(cancellationTerms(appointment, POLICY, false, now).feeCents, 0);
+  assert.equal(cancellationTerms({ ...appointment, status: 'requested' }, POLICY, true, now).feeCents, 0);
+  assert.equal(cancellationTerms(appointment, { ...POLICY, lateCancelFeePercent: 33 }, true, now).feeCents, 14025);
+});
+
+test('a late cancellation waits for the patient to accept the fee', async () => {
+  const id = await addAppointment(5);
+
+  const quoted = await server.request('GET', `/api/appointments/${id}/cancellation`, { token: patient.token });
+  assert.equal(quoted.status, 200);
+  assert.equal(quoted.body.cancellation.late, true);
+  assert.equal(quoted.body.cancellation.feeCents, 21250);
+
+  const unaccepted = await cancel(patient, id);
+  assert.equal(unaccepted.status, 409);
+  assert.equal(unaccepted.body.code, 'FEE_NOT_ACCEPTED');
+  assert.equal(unaccepted.body.cancellation.feeCents, 21250);
+  assert.equal((await cancel(patient, id, { acceptFeeCents: 100 })).body.code, 'FEE_NOT_ACCEPTED');
+  assert.equal((await dbGet('SELECT status FROM appointments WHERE id = ?', [id])).status, 'confirmed');
+
+  const accepted = await cancel(patient, id, { acceptFeeCents: 21250 });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.appointment.status, 'cancelled');
+  const row = await dbGet('SELECT cancellationFeeCents FROM appointments WHERE id = ?', [id]);
+  assert.equal(row.cancellationFeeCents, 21250);
+});
+
+test('cancelling in time or as the practitioner needs no fee', async () => {
+  const early = await cancel(patient, await addAppointment(48));
+  assert.equal(early.status, 200);
+
+  const byPractitioner = await cancel(practitioner, await addAppointment(5));
+  assert.equal(byPractitioner.status, 200);
+  assert.equal(byPractitioner.body.appointment.status, 'cancelled');
+});
+
+test("a service's own policy replaces the clinic's", async () => {
+  await setServicePolicy(2, { cancelNoticeHours: 2, lateCancelFeePercent: 100 });
+
+  assert.equal((await cancel(patient, await addAppointment(5, 2))).status, 200);
+  const late = await cancel(patient, await addAppointment(1, 2));
+  assert.equal(late.status, 409);
+  assert.equal(late.body.cancellation.feeCents, 42500);
+});
@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+
+let server;
+let admin;
+let practitioner;
+let patient;
+
+const REASON = 'Patient reports the booking page shows the wrong times';
+
+const signIn = async (email, userType) => {
+  const user = await createUser({ email, userType });
+  const { status, body } = await server.request('POST', '/api/auth/login', {
+    body: { email, password: PASSWORD },
+    headers: { 'X-Forwarded-For': '10.4.0.1' }
+  });
+  assert.equal(status, 200);
+  return { ...user, ...body };
+};
+
+const viewAs = (user, reason = REASON) => server.request('POST', '/api/admin/impersonation', {
+  token: admin.token,
+  body: { userId: user.id, reason }
+});
+
+const breakGlass = (patientEmail, reason) => server.request('POST', '/api/break-glass', {
+  token: practitioner.token,
+  body: { patientEmail, reason }
+});
+
+before(async () => {
+  server = await startServer();
+  admin = await signIn('access-admin@example.com', 'admin');
+  practitioner = await createUser({ email: 'access-practitioner@example.com', userType: 'practitioner' });
+  practitioner.token = (await issueTokens(practitioner)).token;
+  patient = await createUser({ email: 'access-patient@example.com' });
+  patient.token = (await issueTokens(patient)).token;
+});
+
+after(() => server.close());
+
+test('view-as needs a reason and never reaches another admin', async () => {
+  assert.equal((await viewAs(patient, 'because')).status, 400);
+  const otherAdmin = await createUser({ email: 'access-admin-2@example.com', userType: 'admin' });
+  assert.equal((await viewAs(otherAdmin)).status, 403);
+  assert.equal((await viewAs(admin)).status, 400);
+});
+
+test('a view-as token can read but not change, and every request is audited', async () => {
+  const started = await viewAs(patient);
+  assert.equal(started.status, 201);
+  const { token, impersonation } = started.body;
+
+  const profile = await server.request('GET', '/api/users/me', { token });
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.user.email, patient.email);
+
+  const write = await server.request('PUT', '/api/users/me', { token, body: { pronouns: 'they/them' } });
+  assert.equal(write.status, 403);
+  assert.equal(write.body.code, 'IMPERSONATION_READ_ONLY');
+
+  const audited = await dbAll(
+    "SELECT action FROM audit_logs WHERE userId = ? AND accessMode = 'impersonation' AND accessId = ? ORDER BY id",
+    [admin.id, impersonation.id]
+  );
+  assert.deepEqual(audited.map((row) => row.action), ['IMPERSONATION_STARTED', 'IMPERSONATED_REQUEST', 'IMPERSONATED_WRITE_BLOCKED']);
+
+  // Ending it stops the token
+  assert.equal((await server.request('POST', `/api/admin/impersonation/${impersonation.id}/end`, { token: admin.token })).status, 200);
+  assert.equal((await server.request('GET', '/api/users/me', { token })).status, 403);
+});
+
+test('a view-as token stops working when it expires', async () => {
+  const { body } = await viewAs(patient);
+  await dbRun("UPDATE impersonation_sessions SET expiresAt = datetime('now', '-1 minute') WHERE id = ?", [body.impersonation.id]);
+  assert.equal((await server.request('GET', '/api/users/me', { token: body.token })).status, 403);
+});
+
+test('breaking the glass opens one patient\'s record for a while, with a reason', async () => {
+  assert.equal((await breakGlass(patient.email, 'urgent')).status, 400);
+  assert.equal((await breakGlass('access-nobody@example.com', 'Unconscious patient arrived')).status, 404);
+
+  const granted = await breakGlass(patient.email, 'Unconscious patient arrived');
+  assert.equal(granted.status, 201);
+  const { grant } = granted.body;
+
+  const record = await server.request('GET', `/api/break-glass/${grant.id}/record`, { token: practitioner.token });
+  assert.equal(record.status, 200);
+  assert.equal(record.body.record.email, patient.email);
+  assert.ok(await dbGet(
+    "SELECT id FROM audit_logs WHERE action = 'BREAK_GLASS_RECORD_VIEWED' AND accessMode = 'break_glass' AND accessId = ?",
+    [grant.id]
+  ));
+
+  await dbRun("UPDATE break_glass_grants SET expiresAt = datetime('now', '-1 minute') WHERE id = ?", [grant.id]);
+  assert.equal((await server.request('GET', `/api/break-glass/${grant.id}/record`, { token: practitioner.token })).status, 403);
+});
+
+test('only clinicians can break the glass, and only on their own grants', async () => {
+  const refused = await server.request('POST', '/api/break-glass', {
+    token: patient.token,
+    body: { patientEmail: patient.email, reason: 'Unconscious patient arrived' }
+  });
+  assert.equal(refused.status, 403);
+
+  const { body } = await breakGlass(patient.email, 'Unconscious patient arrived');
+  const colleague = await createUser({ email: 'access-colleague@example.com', userType: 'practitioner' });
+  const { token } = await issueTokens(colleague);
+  assert.equal((await server.request('GET', `/api/break-glass/${body.grant.id}/record`, { token })).status, 403);
+
+  const report = await server.request('GET', '/api/admin/access-report', { token: admin.token });
+  assert.equal(report.status, 200);
+  assert.ok(report.body.breakGlass.some((row) => row.id === body.grant.id));
+  assert.ok(report.body.impersonations.length >= 2);
+});
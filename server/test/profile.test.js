@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+const { dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+
+let server;
+
+const signedIn = async (email) => {
+  const user = await createUser({ email });
+  return { ...user, token: (await issueTokens(user)).token };
+};
+
+const login = (email, password, ip) => server.request('POST', '/api/auth/login', {
+  body: { email, password },
+  headers: { 'X-Forwarded-For': ip }
+});
+
+const updateProfile = (user, body) => server.request('PUT', '/api/users/me', { token: user.token, body });
+
+// Confirmation links are emailed after the response, so wait for them to reach the outbox
+const confirmationToken = async (email) => {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const mail = await dbGet(
+      "SELECT textBody FROM email_outbox WHERE toAddress = ? AND template = 'email-change-confirm' ORDER BY id DESC LIMIT 1",
+      [email]
+    );
+    if (mail) {
+      return new URL(mail.textBody.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`No confirmation email for ${email}`);
+};
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('only the fields sent are changed, and contact details are stored encrypted', async () => {
+  const user = await signedIn('profile-fields@example.com');
+  const updated = await updateProfile(user, { phone: '+44 20 7946 0000', pronouns: 'they/them' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.user.phone, '+44 20 7946 0000');
+  assert.equal(updated.body.user.pronouns, 'they/them');
+  assert.equal(updated.body.user.firstName, 'Test');
+
+  const stored = await dbGet('SELECT phone FROM users WHERE id = ?', [user.id]);
+  assert.ok(!stored.phone.includes('7946'));
+  const audit = await dbGet("SELECT details FROM audit_logs WHERE userId = ? AND action = 'PROFILE_UPDATED'", [user.id]);
+  assert.equal(audit.details, 'Changed: phone, pronouns');
+
+  // An empty string clears a field
+  const cleared = await updateProfile(user, { phone: '' });
+  assert.equal(cleared.body.user.phone, null);
+  assert.equal((await server.request('GET', '/api/users/me', { token: user.token })).body.user.pronouns, 'they/them');
+});
+
+test('invalid values are refused', async () => {
+  const user = await signedIn('profile-invalid@example.com');
+  for (const body of [{}, { firstName: '' }, { phone: 'call me' }, { dateOfBirth: '2999-01-01' }, { timezone: 'Mars/Olympus' }]) {
+    assert.equal((await updateProfile(user, body)).status, 400, JSON.stringify(body));
+  }
+});
+
+test('changing the password needs the current one and signs out the other devices', async () => {
+  const { email } = await createUser({ email: 'profile-password@example.com' });
+  const { body: here } = await login(email, PASSWORD, '10.3.0.1');
+  const { body: elsewhere } = await login(email, PASSWORD, '10.3.0.2');
+  const change = (currentPassword) => server.request('POST', '/api/users/me/password', {
+    token: here.token,
+    body: { currentPassword, newPassword: 'Battery-staple-77' }
+  });
+
+  assert.equal((await change('wrong-password')).status, 400);
+  const changed = await change(PASSWORD);
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.revoked, 1);
+
+  assert.equal((await server.request('GET', '/api/auth/verify', { token: here.token })).status, 200);
+  assert.equal((await server.request('GET', '/api/auth/verify', { token: elsewhere.token })).status, 401);
+  assert.equal((await login(email, 'Battery-staple-77', '10.3.0.3')).status, 200);
+});
+
+test('a new email address is only used once it is confirmed from that address', async () => {
+  const user = await signedIn('profile-old@example.com');
+  const requested = await server.request('POST', '/api/users/me/email', {
+    token: user.token,
+    body: { newEmail: 'profile-new@example.com', currentPassword: PASSWORD }
+  });
+  assert.equal(requested.status, 200);
+  assert.equal((await server.request('GET', '/api/users/me', { token: user.token })).body.user.pendingEmail, 'profile-new@example.com');
+  assert.equal((await login('profile-old@example.com', PASSWORD, '10.3.0.4')).status, 200);
+
+  const token = await confirmationToken('profile-new@example.com');
+  assert.equal((await server.request('POST', '/api/users/email/confirm', { body: { token } })).status, 200);
+  assert.equal((await server.request('POST', '/api/users/email/confirm', { body: { token } })).status, 400);
+
+  assert.equal((await login('profile-old@example.com', PASSWORD, '10.3.0.5')).status, 401);
+  assert.equal((await login('profile-new@example.com', PASSWORD, '10.3.0.5')).status, 200);
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+
+let server;
+
+const signedIn = async (email, userType) => {
+  const user = await createUser({ email, userType });
+  return { ...user, token: (await issueTokens(user)).token };
+};
+
+// The patient invites a caregiver, who accepts with the link from the email
+const inviteProxy = async (dependent, proxy, scopes) => {
+  const invited = await server.request('POST', '/api/proxies/invitations', {
+    token: dependent.token,
+    body: { email: proxy.email, relationship: 'caregiver', scopes }
+  });
+  assert.equal(invited.status, 201);
+  const { textBody } = await dbGet(
+    "SELECT textBody FROM email_outbox WHERE toAddress = ? AND template = 'proxy-invitation' ORDER BY id DESC LIMIT 1",
+    [proxy.email]
+  );
+  return new URL(textBody.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+const accept = (user, token) => server.request('POST', '/api/proxies/invitations/accept', {
+  token: user.token,
+  body: { token }
+});
+
+const actingFor = (proxy, dependent, method, path, body) => server.request(method, path, {
+  token: proxy.token,
+  body,
+  headers: { 'X-Acting-As': String(dependent.id) }
+});
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('only the invited account can accept, and only once', async () => {
+  const dependent = await signedIn('proxy-child@example.com');
+  const proxy = await signedIn('proxy-parent@example.com');
+  const token = await inviteProxy(dependent, proxy, ['view_documents']);
+
+  const stranger = await signedIn('proxy-stranger@example.com');
+  assert.equal((await accept(stranger, token)).status, 400);
+
+  const accepted = await accept(proxy, token);
+  assert.equal(accepted.status, 200);
+  assert.deepEqual(accepted.body.relationship.scopes, ['view_documents']);
+  assert.equal((await accept(proxy, token)).status, 400);
+
+  const { body } = await server.request('GET', '/api/proxies', { token: proxy.token });
+  assert.deepEqual(body.dependents.map((row) => row.userId), [dependent.id]);
+});
+
+test('a proxy acts for the patient only within the scopes they were given', async () => {
+  const dependent = await signedIn('proxy-scoped-child@example.com');
+  const proxy = await signedIn('proxy-scoped-parent@example.com');
+  const { body: { relationship } } = await accept(proxy, await inviteProxy(dependent, proxy, ['view_documents']));
+
+  const profile = await actingFor(proxy, dependent, 'GET', '/api/users/me');
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.user.email, dependent.email);
+  assert.ok(await dbGet(
+    "SELECT id FROM audit_logs WHERE userId = ? AND action = 'PROXY_REQUEST' AND onBehalfOfUserId = ?",
+    [proxy.id, dependent.id]
+  ));
+
+  const booking = await actingFor(proxy, dependent, 'GET', '/api/appointments');
+  assert.equal(booking.status, 403);
+  assert.equal(booking.body.code, 'PROXY_SCOPE_MISSING');
+
+  // Some things are never done on someone's behalf
+  const edit = await actingFor(proxy, dependent, 'PUT', '/api/users/me', { pronouns: 'he/him' });
+  assert.equal(edit.status, 403);
+  assert.equal(edit.body.code, 'PROXY_NOT_ALLOWED');
+
+  // Only the patient decides what their proxy may do
+  assert.equal((await server.request('PUT', `/api/proxies/${relationship.id}`, {
+    token: proxy.token,
+    body: { scopes: ['view_documents', 'book'] }
+  })).status, 404);
+  assert.equal((await server.request('PUT', `/api/proxies/${relationship.id}`, {
+    token: dependent.token,
+    body: { scopes: ['view_documents', 'book'] }
+  })).status, 200);
+  assert.equal((await actingFor(proxy, dependent, 'GET', '/api/appointments')).status, 200);
+});
+
+test('revoked access stops at once, and nobody can act for a stranger', async () => {
+  const dependent = await signedIn('proxy-revoked-child@example.com');
+  const proxy = await signedIn('proxy-revoked-parent@example.com');
+  const { body: { relationship } } = await accept(proxy, await inviteProxy(dependent, proxy, ['view_documents']));
+
+  assert.equal((await server.request('DELETE', `/api/proxies/${relationship.id}`, { token: dependent.token })).status, 200);
+  assert.equal((await actingFor(proxy, dependent, 'GET', '/api/users/me')).status, 403);
+
+  const stranger = await signedIn('proxy-unrelated@example.com');
+  const response = await actingFor(stranger, dependent, 'GET', '/api/users/me');
+  assert.equal(response.status, 403);
+  assert.equal(response.body.code, 'PROXY_SCOPE_MISSING');
+});
+
+test('staff accounts cannot be proxies', async () => {
+  const dependent = await signedIn('proxy-staff-child@example.com');
+  const practitioner = await signedIn('proxy-staff@example.com', 'practitioner');
+  const token = await inviteProxy(dependent, practitioner, ['book']);
+  assert.equal((await accept(practitioner, token)).status, 403);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+
+let server;
+let admin;
+
+const signedIn = async (email, userType) => {
+  const user = await createUser({ email, userType });
+  return { ...user, token: (await issueTokens(user)).token };
+};
+
+const setRoles = (user, roles) => server.request('PUT', `/api/admin/users/${user.id}/roles`, {
+  token: admin.token,
+  body: { roles }
+});
+
+before(async () => {
+  server = await startServer();
+  admin = await signedIn('roles-admin@example.com', 'admin');
+});
+
+after(() => server.close());
+
+test('each account starts with the role for its userType', async () => {
+  const patient = await signedIn('roles-patient@example.com', 'patient');
+  assert.equal((await server.request('GET', '/api/practitioner/availability', { token: patient.token })).status, 403);
+  assert.ok(await dbGet(
+    "SELECT id FROM audit_logs WHERE userId = ? AND action = 'ACCESS_DENIED' AND details = 'Missing permission availability:read'",
+    [patient.id]
+  ));
+
+  const practitioner = await signedIn('roles-practitioner@example.com', 'practitioner');
+  assert.equal((await server.request('GET', '/api/practitioner/availability', { token: practitioner.token })).status, 200);
+  assert.equal((await server.request('GET', '/api/admin/users', { token: practitioner.token })).status, 403);
+});
+
+test('a granted or removed role applies on the next request without signing in again', async () => {
+  const staff = await signedIn('roles-front-desk@example.com', 'practitioner');
+  assert.equal((await server.request('GET', '/api/admin/users', { token: staff.token })).status, 403);
+
+  const granted = await setRoles(staff, ['practitioner', 'front_desk']);
+  assert.equal(granted.status, 200);
+  assert.equal((await server.request('GET', '/api/admin/users', { token: staff.token })).status, 200);
+  // Reading the user list doesn't let them change it
+  assert.equal((await server.request('GET', '/api/admin/roles', { token: staff.token })).status, 403);
+
+  assert.equal((await setRoles(staff, ['practitioner'])).status, 200);
+  assert.equal((await server.request('GET', '/api/admin/users', { token: staff.token })).status, 403);
+});
+
+test('roles must exist, and admins cannot change their own', async () => {
+  const staff = await signedIn('roles-unknown@example.com', 'practitioner');
+  assert.equal((await setRoles(staff, ['superuser'])).status, 400);
+  assert.equal((await setRoles(admin, ['patient'])).status, 400);
+  assert.equal((await server.request('GET', '/api/admin/roles', { token: admin.token })).status, 200);
+});
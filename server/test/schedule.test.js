@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { dbRun } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { addDays, today } = require('../utils/schedule');
+
+let server;
+let practitioner;
+let admin;
+
+const signedIn = async (email, userType) => {
+  const user = await createUser({ email, userType, timezone: 'UTC' });
+  return { ...user, token: (await issueTokens(user)).token };
+};
+
+// The practitioner's effective schedule for one date
+const scheduleOn = async (date) => {
+  const { status, body } = await server.request('GET', `/api/practitioner/schedule?from=${date}&to=${date}`, {
+    token: practitioner.token
+  });
+  assert.equal(status, 200);
+  const [day] = body.schedule;
+  return { ...day, hours: day.windows.map((window) => `${window.startTime}-${window.endTime}`) };
+};
+
+const override = (body) => server.request('POST', '/api/practitioner/overrides', { token: practitioner.token, body });
+
+const holiday = (date, name) => server.request('POST', '/api/admin/holidays', { token: admin.token, body: { date, name } });
+
+before(async () => {
+  server = await startServer();
+  practitioner = await signedIn('schedule-practitioner@example.com', 'practitioner');
+  admin = await signedIn('schedule-admin@example.com', 'admin');
+  for (const dayOfWeek of ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']) {
+    await dbRun(
+      "INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime) VALUES (?, ?, '09:00', '17:00')",
+      [practitioner.id, dayOfWeek]
+    );
+  }
+});
+
+after(() => server.close());
+
+test('time off closes a date until it is removed', async () => {
+  const date = addDays(today(), 10);
+  assert.deepEqual((await scheduleOn(date)).hours, ['09:00-17:00']);
+
+  const closed = await override({ date, kind: 'closed', reason: 'Conference' });
+  assert.equal(closed.status, 201);
+  const day = await scheduleOn(date);
+  assert.deepEqual({ status: day.status, source: day.source, note: day.note }, { status: 'closed', source: 'override', note: 'Conference' });
+
+  const removed = await server.request('DELETE', `/api/practitioner/overrides/${closed.body.override.id}`, { token: practitioner.token });
+  assert.equal(removed.status, 200);
+  assert.equal((await scheduleOn(date)).source, 'weekly');
+});
+
+test('custom hours replace the weekly hours and cannot overlap each other', async () => {
+  const date = addDays(today(), 11);
+  assert.equal((await override({ date, kind: 'custom', startTime: '08:00', endTime: '12:00' })).status, 201);
+  assert.equal((await override({ date, kind: 'custom', startTime: '13:00', endTime: '15:00' })).status, 201);
+
+  const overlapping = await override({ date, kind: 'custom', startTime: '11:00', endTime: '14:00' });
+  assert.equal(overlapping.status, 409);
+  assert.equal(overlapping.body.code, 'AVAILABILITY_OVERLAP');
+  assert.equal((await override({ date, kind: 'custom', startTime: '16:00', endTime: '15:00' })).status, 400);
+
+  assert.deepEqual((await scheduleOn(date)).hours, ['08:00-12:00', '13:00-15:00']);
+
+  // Taking the day off replaces them
+  await override({ date, kind: 'closed' });
+  assert.deepEqual((await scheduleOn(date)).hours, []);
+});
+
+test('a clinic holiday closes the day, except for a practitioner\'s own custom hours', async () => {
+  const date = addDays(today(), 12);
+  const added = await holiday(date, 'Founders Day');
+  assert.equal(added.status, 201);
+  assert.equal((await holiday(date, 'Another name')).status, 409);
+
+  const day = await scheduleOn(date);
+  assert.deepEqual({ status: day.status, source: day.source, note: day.note }, { status: 'closed', source: 'holiday', note: 'Founders Day' });
+
+  await override({ date, kind: 'custom', startTime: '10:00', endTime: '12:00' });
+  assert.deepEqual((await scheduleOn(date)).hours, ['10:00-12:00']);
+
+  // Only admins manage holidays
+  const refused = await server.request('POST', '/api/admin/holidays', {
+    token: practitioner.token,
+    body: { date: addDays(date, 1), name: 'Day off' }
+  });
+  assert.equal(refused.status, 403);
+  assert.equal((await server.request('DELETE', `/api/admin/holidays/${added.body.holiday.id}`, { token: admin.token })).status, 200);
+});
+
+test('overrides belong to the practitioner who made them', async () => {
+  const { body } = await override({ date: addDays(today(), 13), kind: 'closed' });
+  const colleague = await signedIn('schedule-colleague@example.com', 'practitioner');
+  const removed = await server.request('DELETE', `/api/practitioner/overrides/${body.override.id}`, { token: colleague.token });
+  assert.equal(removed.status, 404);
+});
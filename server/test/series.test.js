@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { dbRun } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { addDays, today } = require('../utils/schedule');
+
+let server;
+let practitioner;
+
+const first = addDays(today(), 3);
+const at = (date, time) => `${date}T${time}:00.000Z`;
+
+const patient = async (email) => {
+  const user = await createUser({ email });
+  return { ...user, token: (await issueTokens(user)).token };
+};
+
+const bookSeries = (user, start, extra = {}) => server.request('POST', '/api/appointments/series', {
+  token: user.token,
+  body: { practitionerId: practitioner.id, serviceId: 1, duration: 60, start, intervalWeeks: 1, count: 4, ...extra }
+});
+
+before(async () => {
+  server = await startServer();
+  practitioner = await createUser({ email: 'series-pr@example.com', userType: 'practitioner', timezone: 'UTC' });
+  for (const dayOfWeek of ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']) {
+    await dbRun(
+      "INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime) VALUES (?, ?, '09:00', '17:00')",
+      [practitioner.id, dayOfWeek]
+    );
+  }
+  await dbRun('INSERT INTO practitioner_services (practitionerId, serviceId) VALUES (?, 1)', [practitioner.id]);
+});
+
+after(() => server.close());
+
+test('dates repeat at the same wall-clock time in the practitioner\'s zone, across a DST change', async () => {
+  const user = await patient('series-dst@example.com');
+  const london = await createUser({ email: 'series-london@example.com', userType: 'practitioner', timezone: 'Europe/London' });
+  await dbRun('INSERT INTO practitioner_services (practitionerId, serviceId) VALUES (?, 1)', [london.id]);
+  const preview = (repeat) => server.request('POST', '/api/appointments/series/preview', {
+    token: user.token,
+    body: { practitionerId: london.id, serviceId: 1, duration: 60, start: '2027-03-21T10:00:00.000Z', intervalWeeks: 1, ...repeat }
+  });
+
+  // 10:00 GMT, then 10:00 BST once the clocks have gone forward
+  const { status, body } = await preview({ count: 3 });
+  assert.equal(status, 200);
+  assert.deepEqual(body.occurrences.map((occurrence) => occurrence.start), [
+    '2027-03-21T10:00:00.000Z',
+    '2027-03-28T09:00:00.000Z',
+    '2027-04-04T09:00:00.000Z'
+  ]);
+
+  // An end date counts the last date on or before it
+  assert.equal((await preview({ intervalWeeks: 2, until: '2027-05-02' })).body.occurrences.length, 4);
+  assert.equal((await preview({ count: 27 })).status, 400);
+  assert.equal((await preview({ until: '2027-12-31' })).status, 400);
+  assert.equal((await preview({ count: 3, until: '2027-05-02' })).status, 400);
+});
+
+test('a series books every date, or none if one is taken', async () => {
+  const booked = await bookSeries(await patient('series-a@example.com'), at(first, '10:00'));
+  assert.equal(booked.status, 201);
+  assert.deepEqual(booked.body.appointments.map((appointment) => appointment.start), [0, 7, 14, 21].map((days) => at(addDays(first, days), '10:00')));
+  assert.ok(booked.body.appointments.every((appointment) => appointment.series.id === booked.body.series.id));
+
+  // The third week is now taken for anyone else
+  const other = await patient('series-b@example.com');
+  const refused = await bookSeries(other, at(first, '10:00'), { count: 3 });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, 'SERIES_CONFLICTS');
+  assert.deepEqual(refused.body.occurrences.map((occurrence) => occurrence.reason), ['booked', 'booked', 'booked']);
+
+  const preview = await server.request('POST', '/api/appointments/series/preview', {
+    token: other.token,
+    body: { practitionerId: practitioner.id, serviceId: 1, duration: 60, start: at(first, '12:00'), intervalWeeks: 1, count: 2 }
+  });
+  assert.deepEqual(preview.body.occurrences.map((occurrence) => occurrence.available), [true, true]);
+});
+
+test('skipConflicts books the free dates and reports the rest', async () => {
+  const busy = await patient('series-c@example.com');
+  const single = await server.request('POST', '/api/appointments', {
+    token: busy.token,
+    body: { practitionerId: practitioner.id, serviceId: 1, duration: 60, start: at(addDays(first, 7), '14:00') }
+  });
+  assert.equal(single.status, 201);
+
+  const booked = await bookSeries(await patient('series-d@example.com'), at(first, '14:00'), { count: 3, skipConflicts: true });
+  assert.equal(booked.status, 201);
+  assert.equal(booked.body.appointments.length, 2);
+  assert.deepEqual(booked.body.skipped.map((occurrence) => occurrence.start), [at(addDays(first, 7), '14:00')]);
+});
+
+test('"this and following" cancels and moves the rest of the series', async () => {
+  const user = await patient('series-e@example.com');
+  const { body } = await bookSeries(user, at(first, '16:00'));
+  const [firstAppointment, second] = body.appointments;
+
+  const moved = await server.request('POST', `/api/appointments/${second.id}/reschedule`, {
+    token: user.token,
+    body: { start: at(addDays(first, 8), '12:00'), scope: 'following' }
+  });
+  assert.equal(moved.status, 200);
+  assert.deepEqual(moved.body.appointments.map((appointment) => appointment.start), [8, 15, 22].map((days) => at(addDays(first, days), '12:00')));
+
+  const cancelled = await server.request('PATCH', `/api/appointments/${second.id}`, {
+    token: user.token,
+    body: { status: 'cancelled', reason: 'Moving away', scope: 'following' }
+  });
+  assert.equal(cancelled.status, 200);
+  assert.deepEqual(cancelled.body.appointments.map((appointment) => appointment.status), ['cancelled', 'cancelled', 'cancelled']);
+
+  const kept = await server.request('GET', `/api/appointments/${firstAppointment.id}`, { token: user.token });
+  assert.equal(kept.body.appointment.status, firstAppointment.status);
+  assert.equal(kept.body.appointment.start, at(first, '16:00'));
+});
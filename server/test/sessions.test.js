@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, PASSWORD } = require('./helpers');
+
+let server;
+let user;
+
+const signIn = async (userAgent, ip) => {
+  const { status, body } = await server.request('POST', '/api/auth/login', {
+    body: { email: user.email, password: PASSWORD },
+    headers: { 'User-Agent': userAgent, 'X-Forwarded-For': ip }
+  });
+  assert.equal(status, 200);
+  return body;
+};
+
+const stillSignedIn = async (device) => (await server.request('GET', '/api/auth/sessions', { token: device.token })).status === 200;
+
+before(async () => {
+  server = await startServer();
+  user = await createUser({ email: 'devices@example.com' });
+});
+
+after(() => server.close());
+
+test('each sign-in is a device of its own', async () => {
+  const laptop = await signIn('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Firefox/130.0', '10.1.0.1');
+  await signIn('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1', '10.1.0.2');
+
+  const { status, body } = await server.request('GET', '/api/auth/sessions', { token: laptop.token });
+  assert.equal(status, 200);
+  assert.equal(body.sessions.length, 2);
+  assert.equal(body.sessions.filter((session) => session.current).length, 1);
+});
+
+test('signing out another device ends its tokens but not this one', async () => {
+  const laptop = await signIn('laptop', '10.1.0.3');
+  const phone = await signIn('phone', '10.1.0.4');
+  const { body } = await server.request('GET', '/api/auth/sessions', { token: laptop.token });
+  const phoneSession = body.sessions.find((session) => session.userAgent === 'phone');
+
+  const signedOut = await server.request('DELETE', `/api/auth/sessions/${phoneSession.id}`, { token: laptop.token });
+  assert.equal(signedOut.status, 200);
+
+  assert.equal(await stillSignedIn(phone), false);
+  const refreshed = await server.request('POST', '/api/auth/refresh', { body: { refreshToken: phone.refreshToken } });
+  assert.equal(refreshed.status, 401);
+  assert.equal(await stillSignedIn(laptop), true);
+});
+
+test("a session id belonging to someone else can't be signed out", async () => {
+  const other = await createUser({ email: 'someone-else@example.com' });
+  const { body: theirs } = await server.request('POST', '/api/auth/login', {
+    body: { email: other.email, password: PASSWORD },
+    headers: { 'X-Forwarded-For': '10.1.0.5' }
+  });
+  const { body: mine } = await server.request('POST', '/api/auth/login', {
+    body: { email: user.email, password: PASSWORD },
+    headers: { 'X-Forwarded-For': '10.1.0.5' }
+  });
+  const { body } = await server.request('GET', '/api/auth/sessions', { token: theirs.token });
+  const [theirSession] = body.sessions;
+
+  const refused = await server.request('DELETE', `/api/auth/sessions/${theirSession.id}`, { token: mine.token });
+  assert.equal(refused.status, 404);
+  assert.equal(await stillSignedIn(theirs), true);
+});
+
+test('signing out everywhere else leaves only this device', async () => {
+  const devices = [await signIn('one', '10.1.0.6'), await signIn('two', '10.1.0.7'), await signIn('three', '10.1.0.8')];
+  const [kept, ...others] = devices;
+
+  const { status, body } = await server.request('DELETE', '/api/auth/sessions', { token: kept.token });
+  assert.equal(status, 200);
+  assert.ok(body.revoked >= 2);
+
+  for (const device of others) {
+    assert.equal(await stillSignedIn(device), false);
+  }
+  const { body: listed } = await server.request('GET', '/api/auth/sessions', { token: kept.token });
+  assert.equal(listed.sessions.length, 1);
+  assert.equal(listed.sessions[0].current, true);
+});
@@ -0,0 +1,104 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { setupDatabase, createUser } = require('./helpers');
+const { dbRun } = require('../config/database');
+const { getService } = require('../utils/services');
+const { findSlots } = require('../utils/slots');
+
+let practitioner;
+let patient;
+let massage;
+
+const slotsOn = async (date, { service = massage, now } = {}) => {
+  const result = await findSlots({
+    service,
+    minutes: 60,
+    practitionerIds: [practitioner.id],
+    from: date,
+    to: date,
+    now: Date.parse(now)
+  });
+  return result[practitioner.id].slots.map((slot) => slot.start);
+};
+
+before(async () => {
+  await setupDatabase();
+  practitioner = await createUser({ email: 'slots-pr@example.com', userType: 'practitioner', timezone: 'Europe/London' });
+  patient = await createUser({ email: 'slots-pt@example.com' });
+  massage = await getService(1);
+  for (const [dayOfWeek, endTime] of [['Saturday', '12:00'], ['Sunday', '12:00'], ['Monday', '14:00']]) {
+    await dbRun(
+      "INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime) VALUES (?, ?, '09:00', ?)",
+      [practitioner.id, dayOfWeek, endTime]
+    );
+  }
+});
+
+test('hours stay on the local clock when the clocks go forward', async () => {
+  const now = '2027-03-20T00:00:00Z';
+  const saturday = await slotsOn('2027-03-27', { now });
+  const sunday = await slotsOn('2027-03-28', { now });
+
+  // 09:00-12:00 is 09:00Z-12:00Z in GMT and 08:00Z-11:00Z in BST
+  assert.equal(saturday.length, 9);
+  assert.equal(saturday[0], '2027-03-27T09:00:00.000Z');
+  assert.equal(saturday[8], '2027-03-27T11:00:00.000Z');
+  assert.equal(sunday.length, 9);
+  assert.equal(sunday[0], '2027-03-28T08:00:00.000Z');
+  assert.equal(sunday[8], '2027-03-28T10:00:00.000Z');
+});
+
+test('hours stay on the local clock when the clocks go back', async () => {
+  const now = '2027-10-25T00:00:00Z';
+  assert.equal((await slotsOn('2027-10-30', { now }))[0], '2027-10-30T08:00:00.000Z');
+  assert.equal((await slotsOn('2027-10-31', { now }))[0], '2027-10-31T09:00:00.000Z');
+});
+
+test('hours spanning the skipped hour are an hour shorter', async () => {
+  await dbRun(
+    `INSERT INTO availability_overrides (practitionerId, date, kind, startTime, endTime)
+     VALUES (?, '2027-03-28', 'custom', '00:00', '04:00')`,
+    [practitioner.id]
+  );
+  const slots = await slotsOn('2027-03-28', { now: '2027-03-20T00:00:00Z' });
+  await dbRun('DELETE FROM availability_overrides WHERE practitionerId = ?', [practitioner.id]);
+
+  // 00:00 GMT to 04:00 BST is 00:00Z-03:00Z
+  assert.equal(slots[0], '2027-03-28T00:00:00.000Z');
+  assert.equal(slots[slots.length - 1], '2027-03-28T02:00:00.000Z');
+});
+
+test("the service's buffer is kept clear around other sessions", async () => {
+  // 10:00-11:00 BST
+  await dbRun(
+    `INSERT INTO appointments (patientId, practitionerId, serviceId, minutes, priceCents, startAt, endAt, status)
+     VALUES (?, ?, 1, 60, 42500, '2027-03-29T09:00:00.000Z', '2027-03-29T10:00:00.000Z', 'confirmed')`,
+    [patient.id, practitioner.id]
+  );
+  const now = '2027-03-20T00:00:00Z';
+
+  const withoutBuffer = await slotsOn('2027-03-29', { service: { ...massage, bufferMinutes: 0 }, now });
+  assert.equal(withoutBuffer[0], '2027-03-29T08:00:00.000Z');
+  assert.equal(withoutBuffer[1], '2027-03-29T10:00:00.000Z');
+
+  // 15 minutes either side: nothing fits before it, and the first session after starts at 11:15 BST
+  assert.equal(massage.bufferMinutes, 15);
+  const withBuffer = await slotsOn('2027-03-29', { now });
+  assert.equal(withBuffer[0], '2027-03-29T10:15:00.000Z');
+  assert.equal(withBuffer.length, withoutBuffer.length - 2);
+});
+
+test('slots start at least the minimum notice from now', async () => {
+  const slots = await slotsOn('2027-03-27', { now: '2027-03-27T08:00:00Z' });
+  assert.equal(slots[0], '2027-03-27T10:00:00.000Z');
+});
+
+test('BOOKING_MIN_NOTICE_MINUTES=0 means no minimum notice, not the default', () => {
+  const notice = execFileSync(process.execPath, ['-p', "require('./utils/slots').BOOKING_MIN_NOTICE_MINUTES"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, BOOKING_MIN_NOTICE_MINUTES: '0' }
+  });
+  assert.equal(String(notice).trim(), '0');
+});
@@ -0,0 +1,171 @@
+/**
+ * A software WebAuthn authenticator, so passkeys can be tested without hardware
+ * SoftAuthenticator answers the same options the browser gets and returns
+ * credentials in the JSON shape the client sends to /api/auth/passkeys.
+ * Keys are P-256 and live in memory.
+ */
+const crypto = require('crypto');
+
+// Minimal CBOR (RFC 8949) encoder for what authenticators emit
+const encodeHead = (major, length) => {
+  if (length < 24) {
+    return Buffer.from([(major << 5) | length]);
+  }
+  if (length < 0x100) {
+    return Buffer.from([(major << 5) | 24, length]);
+  }
+  if (length < 0x10000) {
+    const head = Buffer.alloc(3);
+    head[0] = (major << 5) | 25;
+    head.writeUInt16BE(length, 1);
+    return head;
+  }
+  const head = Buffer.alloc(5);
+  head[0] = (major << 5) | 26;
+  head.writeUInt32BE(length, 1);
+  return head;
+};
+
+const encodeCbor = (value) => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, text.length), text]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)]);
+  }
+  if (value instanceof Map) {
+    return Buffer.concat([
+      encodeHead(5, value.size),
+      ...[...value].flatMap(([key, entry]) => [encodeCbor(key), encodeCbor(entry)])
+    ]);
+  }
+  throw new Error(`Cannot CBOR-encode ${typeof value}`);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+class SoftAuthenticator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.origin] - Origin the "browser" reports
+   * @param {boolean} [options.userVerification=true] - Whether it verifies the user (UV flag)
+   * @param {boolean} [options.countSignatures=true] - false behaves like a synced passkey (counter stays 0)
+   * @param {string} [options.attestation='none'] - 'none' or 'packed' (self attestation)
+   */
+  constructor({ origin = process.env.CLIENT_URL || 'http://localhost:3000', userVerification = true, countSignatures = true, attestation = 'none' } = {}) {
+    this.origin = origin.replace(/\/$/, '');
+    this.userVerification = userVerification;
+    this.countSignatures = countSignatures;
+    this.attestation = attestation;
+    this.credentials = new Map();
+  }
+
+  clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+  }
+
+  authenticatorData(rpId, signCount, attestedCredential) {
+    let flags = 0x01 | (this.userVerification ? 0x04 : 0) | (attestedCredential ? 0x40 : 0);
+    if (!this.countSignatures) {
+      flags |= 0x08 | 0x10;
+    }
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(signCount);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), count, attestedCredential || Buffer.alloc(0)]);
+  }
+
+  /**
+   * navigator.credentials.create()
+   * @param {Object} options - Registration options from the server
+   * @returns {Object} - Credential JSON
+   */
+  create(options) {
+    const rpId = options.rp.id;
+    const excluded = (options.excludeCredentials || []).some((descriptor) => this.credentials.has(descriptor.id));
+    if (excluded) {
+      throw new Error('InvalidStateError: authenticator already registered');
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const rawId = crypto.randomBytes(32);
+    const id = rawId.toString('base64url');
+    const signCount = this.countSignatures ? 1 : 0;
+
+    const coseKey = encodeCbor(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(rawId.length);
+    const attestedCredential = Buffer.concat([Buffer.alloc(16), idLength, rawId, coseKey]);
+    const authData = this.authenticatorData(rpId, signCount, attestedCredential);
+    const clientDataJSON = this.clientData('webauthn.create', options.challenge);
+
+    const attStmt = this.attestation === 'packed'
+      ? new Map([['alg', -7], ['sig', crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), privateKey)]])
+      : new Map();
+
+    this.credentials.set(id, { privateKey, rpId, userHandle: options.user.id, signCount });
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        attestationObject: encodeCbor(new Map([
+          ['fmt', this.attestation],
+          ['attStmt', attStmt],
+          ['authData', authData]
+        ])).toString('base64url'),
+        transports: ['internal']
+      }
+    };
+  }
+
+  /**
+   * navigator.credentials.get()
+   * @param {Object} options - Authentication options from the server
+   * @returns {Object} - Credential JSON
+   */
+  get(options) {
+    const allowed = (options.allowCredentials || []).map((descriptor) => descriptor.id);
+    const [id, credential] = [...this.credentials].find(([credentialId, stored]) => (
+      stored.rpId === options.rpId && (allowed.length === 0 || allowed.includes(credentialId))
+    )) || [];
+    if (!credential) {
+      throw new Error('NotAllowedError: no matching credential');
+    }
+
+    if (this.countSignatures) {
+      credential.signCount += 1;
+    }
+    const authData = this.authenticatorData(options.rpId, credential.signCount);
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), credential.privateKey).toString('base64url'),
+        userHandle: credential.userHandle
+      }
+    };
+  }
+}
+
+module.exports = { SoftAuthenticator, encodeCbor };
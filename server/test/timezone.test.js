@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimeZone, offsetAt, zonedTimeToUtc, toZonedTime, toIsoTimestamp } = require('../utils/timezone');
+
+test('wall-clock times convert with the offset in force on that date', () => {
+  assert.equal(zonedTimeToUtc('2027-01-15', '09:00', 'Europe/London'), '2027-01-15T09:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2027-07-15', '09:00', 'Europe/London'), '2027-07-15T08:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2027-01-01', '09:00', 'Asia/Kolkata'), '2027-01-01T03:30:00.000Z');
+  // Across the date line
+  assert.equal(zonedTimeToUtc('2027-01-01', '09:00', 'Pacific/Auckland'), '2026-12-31T20:00:00.000Z');
+});
+
+test('a time skipped when the clocks go forward moves forward by the gap', () => {
+  // London skips 01:00-02:00: 01:30 becomes 02:30 BST
+  assert.equal(zonedTimeToUtc('2027-03-28', '01:30', 'Europe/London'), '2027-03-28T01:30:00.000Z');
+  assert.deepEqual(toZonedTime('2027-03-28T01:30:00.000Z', 'Europe/London'), { date: '2027-03-28', time: '02:30' });
+
+  // New York skips 02:00-03:00: 02:30 becomes 03:30 EDT
+  assert.equal(zonedTimeToUtc('2027-03-14', '02:30', 'America/New_York'), '2027-03-14T07:30:00.000Z');
+
+  // Lord Howe Island only skips half an hour, 02:00-02:30
+  const lordHowe = zonedTimeToUtc('2027-10-03', '02:15', 'Australia/Lord_Howe');
+  assert.deepEqual(toZonedTime(lordHowe, 'Australia/Lord_Howe'), { date: '2027-10-03', time: '02:45' });
+
+  // Either side of the gap is untouched
+  assert.equal(zonedTimeToUtc('2027-03-28', '00:59', 'Europe/London'), '2027-03-28T00:59:00.000Z');
+  assert.equal(zonedTimeToUtc('2027-03-28', '02:00', 'Europe/London'), '2027-03-28T01:00:00.000Z');
+});
+
+test('a time that happens twice when the clocks go back is the first of the two', () => {
+  assert.equal(zonedTimeToUtc('2027-10-31', '01:30', 'Europe/London'), '2027-10-31T00:30:00.000Z');
+  assert.equal(zonedTimeToUtc('2027-11-07', '01:30', 'America/New_York'), '2027-11-07T05:30:00.000Z');
+});
+
+test('instants read back as the zone\'s wall clock', () => {
+  assert.deepEqual(toZonedTime('2027-07-15T23:30:00.000Z', 'Europe/London'), { date: '2027-07-16', time: '00:30' });
+  assert.deepEqual(toZonedTime(Date.parse('2027-01-01T03:30:00.000Z'), 'Asia/Kolkata'), { date: '2027-01-01', time: '09:00' });
+  assert.equal(offsetAt(Date.parse('2027-07-01T00:00:00Z'), 'Europe/London'), 60 * 60 * 1000);
+  assert.equal(offsetAt(Date.parse('2027-07-01T00:00:00Z'), 'America/New_York'), -4 * 60 * 60 * 1000);
+  assert.equal(toIsoTimestamp('2027-07-01 12:34:56'), '2027-07-01T12:34:56.000Z');
+  assert.equal(toIsoTimestamp(null), null);
+});
+
+test('only zones Intl knows are valid', () => {
+  assert.equal(isValidTimeZone('Europe/London'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
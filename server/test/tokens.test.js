@@ -0,0 +1,46 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createUser } = require('./helpers');
+const { dbAll } = require('../config/database');
+const { issueTokens, rotateRefreshToken, verifyAccessToken } = require('../utils/tokens');
+
+let user;
+
+before(async () => {
+  await setupDatabase();
+  user = await createUser({ email: 'tokens@example.com' });
+});
+
+test('a refresh token is exchanged for a new pair in the same session', async () => {
+  const first = await issueTokens(user);
+  const { tokens } = await rotateRefreshToken(first.refreshToken);
+
+  assert.equal(tokens.sessionId, first.sessionId);
+  assert.notEqual(tokens.refreshToken, first.refreshToken);
+  await assert.rejects(verifyAccessToken(first.token), { code: 'REVOKED' });
+  assert.equal((await verifyAccessToken(tokens.token)).userId, user.id);
+});
+
+test('reusing a rotated refresh token revokes the whole family', async () => {
+  const first = await issueTokens(user);
+  const { tokens: second } = await rotateRefreshToken(first.refreshToken);
+  const { tokens: third } = await rotateRefreshToken(second.refreshToken);
+  const other = await issueTokens(user);
+
+  await assert.rejects(rotateRefreshToken(first.refreshToken), { name: 'TokenError', code: 'REUSED' });
+
+  // The thief and the rightful holder are both signed out of that session...
+  await assert.rejects(rotateRefreshToken(third.refreshToken), { code: 'INVALID', message: 'Session has ended' });
+  await assert.rejects(verifyAccessToken(third.token), { code: 'REVOKED' });
+  const family = await dbAll('SELECT revokedAt FROM refresh_tokens WHERE familyId = ?', [first.sessionId]);
+  assert.equal(family.length, 3);
+  assert.ok(family.every((row) => row.revokedAt));
+
+  // ...but not out of their other sessions
+  assert.equal((await verifyAccessToken(other.token)).userId, user.id);
+  await rotateRefreshToken(other.refreshToken);
+});
+
+test('an unknown refresh token is refused', async () => {
+  await assert.rejects(rotateRefreshToken('not-a-token'), { code: 'INVALID' });
+});
@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { dbRun, dbGet } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { addDays, today } = require('../utils/schedule');
+
+let server;
+let practitioner;
+let booker;
+
+const day = addDays(today(), 3);
+const at = (time) => `${day}T${time}:00.000Z`;
+
+const patient = async (email) => {
+  const user = await createUser({ email });
+  return { ...user, token: (await issueTokens(user)).token };
+};
+
+const book = async (user, start) => {
+  const { status, body } = await server.request('POST', '/api/appointments', {
+    token: user.token,
+    body: { practitionerId: practitioner.id, serviceId: 1, duration: 60, start }
+  });
+  assert.equal(status, 201);
+  return body.appointment;
+};
+
+const cancel = (user, appointment) => server.request('PATCH', `/api/appointments/${appointment.id}`, {
+  token: user.token,
+  body: { status: 'cancelled', reason: 'Something came up' }
+});
+
+const join = async (user, after, before) => {
+  const { status, body } = await server.request('POST', '/api/waitlist', {
+    token: user.token,
+    body: { practitionerId: practitioner.id, serviceId: 1, duration: 60, ranges: [{ from: day, to: day, after, before }] }
+  });
+  assert.equal(status, 201);
+  return body.entry;
+};
+
+// Freed time is offered after the cancellation has been answered
+const offerFor = async (entry) => {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const offer = await dbGet("SELECT * FROM waitlist_offers WHERE entryId = ? AND status = 'pending'", [entry.id]);
+    if (offer) {
+      return offer;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`No offer for waitlist entry ${entry.id}`);
+};
+
+const accept = (user, offer) => server.request('POST', `/api/waitlist/offers/${offer.id}/accept`, { token: user.token, body: {} });
+
+before(async () => {
+  server = await startServer();
+  practitioner = await createUser({ email: 'waitlist-pr@example.com', userType: 'practitioner', timezone: 'UTC' });
+  for (const dayOfWeek of ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']) {
+    await dbRun(
+      "INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime) VALUES (?, ?, '09:00', '17:00')",
+      [practitioner.id, dayOfWeek]
+    );
+  }
+  await dbRun('INSERT INTO practitioner_services (practitionerId, serviceId) VALUES (?, 1)', [practitioner.id]);
+  booker = await patient('waitlist-booker@example.com');
+});
+
+after(() => server.close());
+
+test('a freed slot is offered to the waiting patient, who books it', async () => {
+  const booked = await book(booker, at('10:00'));
+  const waiting = await patient('waitlist-a@example.com');
+  const entry = await join(waiting, '10:00', '11:00');
+  assert.equal(entry.status, 'waiting');
+
+  assert.equal((await cancel(booker, booked)).status, 200);
+  const offer = await offerFor(entry);
+  assert.equal(offer.startAt, at('10:00'));
+
+  // Held for them: nobody else can book it
+  const other = await patient('waitlist-other@example.com');
+  const taken = await server.request('POST', '/api/appointments', {
+    token: other.token,
+    body: { practitionerId: practitioner.id, serviceId: 1, duration: 60, start: at('10:00') }
+  });
+  assert.equal(taken.status, 409);
+
+  const accepted = await accept(waiting, offer);
+  assert.equal(accepted.status, 201);
+  assert.equal(accepted.body.appointment.start, at('10:00'));
+  const stored = await dbGet('SELECT status, appointmentId FROM waitlist_offers WHERE id = ?', [offer.id]);
+  assert.deepEqual({ ...stored }, { status: 'accepted', appointmentId: accepted.body.appointment.id });
+  assert.equal((await dbGet('SELECT status FROM waitlist_entries WHERE id = ?', [entry.id])).status, 'booked');
+
+  assert.equal((await accept(waiting, offer)).status, 404);
+});
+
+test('only the patient the slot is held for can take it', async () => {
+  const booked = await book(booker, at('12:00'));
+  const waiting = await patient('waitlist-b@example.com');
+  const entry = await join(waiting, '12:00', '13:00');
+  await cancel(booker, booked);
+  const offer = await offerFor(entry);
+
+  const other = await patient('waitlist-c@example.com');
+  assert.equal((await accept(other, offer)).status, 404);
+  assert.equal((await accept(waiting, offer)).status, 201);
+});
+
+test('if the offer or entry cannot be closed, nothing is booked', async () => {
+  const booked = await book(booker, at('14:00'));
+  const waiting = await patient('waitlist-d@example.com');
+  const entry = await join(waiting, '14:00', '15:00');
+  await cancel(booker, booked);
+  const offer = await offerFor(entry);
+
+  await dbRun(`
+    CREATE TEMP TRIGGER fail_waitlist_booking BEFORE UPDATE OF status ON waitlist_entries
+    WHEN NEW.status = 'booked' BEGIN SELECT RAISE(ABORT, 'entry update failed'); END
+  `);
+  const failed = await accept(waiting, offer);
+  await dbRun('DROP TRIGGER fail_waitlist_booking');
+  assert.equal(failed.status, 500);
+
+  const appointment = await dbGet(
+    "SELECT id FROM appointments WHERE practitionerId = ? AND startAt = ? AND status != 'cancelled'",
+    [practitioner.id, at('14:00')]
+  );
+  assert.equal(appointment, undefined);
+  assert.equal((await dbGet('SELECT status FROM waitlist_offers WHERE id = ?', [offer.id])).status, 'pending');
+  assert.equal((await dbGet('SELECT status FROM waitlist_entries WHERE id = ?', [entry.id])).status, 'offered');
+
+  // Still theirs to take
+  assert.equal((await accept(waiting, offer)).status, 201);
+});
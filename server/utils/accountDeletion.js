@@ -0,0 +1,288 @@
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const AuditLogger = require('../middleware/auditLogger');
+const { revokeAllUserTokens } = require('./tokens');
+const { announceSignOut } = require('./loginSession');
+const { sendMail } = require('./mailer');
+
+/**
+ * Account deletion requests
+ * A request waits out a grace period (the user can cancel it), then the account
+ * is deleted. Deleting the users row removes personal data through ON DELETE CASCADE
+ * and anonymises rows that must be kept (audit_logs etc.) through ON DELETE SET NULL.
+ * Accounts with records that must be retained go to an admin for review first.
+ */
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+const DELETION_STATUSES = ['pending', 'in_review', 'cancelled', 'rejected', 'completed'];
+
+// Each check returns a description of records that must be retained, or null
+const RETENTION_CHECKS = [
+  async (user) => (user.userType !== 'patient' ? `Staff account (${user.userType})` : null),
+  async (user) => {
+    const { count } = await dbGet(
+      `SELECT COUNT(*) AS count FROM appointments
+       WHERE patientId = ? AND status IN ('requested', 'confirmed') AND endAt > ?`,
+      [user.id, new Date().toISOString()]
+    );
+    return count > 0 ? `${count} upcoming appointment${count === 1 ? '' : 's'}` : null;
+  }
+];
+
+/**
+ * Records an admin must review before the account can be deleted
+ * @param {Object} user - User row
+ * @returns {Promise<Array<string>>}
+ */
+const findRetainedRecords = async (user) => {
+  const found = [];
+  for (const check of RETENTION_CHECKS) {
+    const description = await check(user);
+    if (description) {
+      found.push(description);
+    }
+  }
+  return found;
+};
+
+const toRequest = (row) => row && {
+  ...row,
+  retainedRecords: row.retainedRecords ? JSON.parse(row.retainedRecords) : []
+};
+
+/**
+ * The user's deletion request that is still pending or in review
+ * @param {number} userId
+ * @returns {Promise<Object|undefined>}
+ */
+const getOpenDeletionRequest = async (userId) => toRequest(await dbGet(
+  `SELECT id, status, reason, scheduledFor, createdAt, retainedRecords FROM account_deletion_requests
+   WHERE userId = ? AND status IN ('pending', 'in_review')
+   ORDER BY id DESC LIMIT 1`,
+  [userId]
+));
+
+/**
+ * Ask for an account to be deleted once the grace period is over
+ * @param {Object} user - User row
+ * @param {string} [reason]
+ * @returns {Promise<Object>} - The new request
+ */
+const requestDeletion = async (user, reason = null) => {
+  const { lastID } = await dbRun(
+    `INSERT INTO account_deletion_requests (userId, userType, reason, scheduledFor)
+     VALUES (?, ?, ?, datetime('now', ?))`,
+    [user.id, user.userType, reason, `+${DELETION_GRACE_DAYS} days`]
+  );
+  return toRequest(await dbGet(
+    'SELECT id, status, reason, scheduledFor, createdAt, retainedRecords FROM account_deletion_requests WHERE id = ?',
+    [lastID]
+  ));
+};
+
+/**
+ * Withdraw the user's open deletion request
+ * @param {number} userId
+ * @returns {Promise<boolean>} - false if there was nothing to cancel
+ */
+const cancelDeletion = async (userId) => {
+  const { changes } = await dbRun(
+    `UPDATE account_deletion_requests SET status = 'cancelled'
+     WHERE userId = ? AND status IN ('pending', 'in_review')`,
+    [userId]
+  );
+  return changes > 0;
+};
+
+/**
+ * Delete the account: sign it out everywhere, remove data that isn't tied to it
+ * by a foreign key, then delete the users row
+ * @param {number} userId
+ * @param {Object} [io] - Socket.IO server, to disconnect open tabs
+ */
+const anonymiseUser = async (userId, io = null) => {
+  const user = await dbGet('SELECT id, email, userType FROM users WHERE id = ?', [userId]);
+  if (!user) {
+    return;
+  }
+
+  await revokeAllUserTokens(user.id, 'Account deleted');
+  await announceSignOut(io, user);
+
+  // Keyed by email rather than userId
+  await dbRun('DELETE FROM login_attempts WHERE email = ?', [user.email.toLowerCase()]);
+  await dbRun('DELETE FROM email_outbox WHERE toAddress = ?', [user.email]);
+  await dbRun(
+    "UPDATE invitations SET email = 'deleted' WHERE acceptedUserId = ? OR email = ?",
+    [user.id, user.email]
+  );
+
+  await dbRun('DELETE FROM users WHERE id = ?', [user.id]);
+};
+
+/**
+ * Carry out a deletion request
+ * @param {Object} request - account_deletion_requests row
+ * @param {Object} [io] - Socket.IO server
+ */
+const completeDeletion = async (request, io = null) => {
+  const user = await dbGet('SELECT id, email, firstName FROM users WHERE id = ?', [request.userId]);
+
+  await dbRun(
+    "UPDATE account_deletion_requests SET status = 'completed', completedAt = CURRENT_TIMESTAMP WHERE id = ?",
+    [request.id]
+  );
+
+  if (!user) {
+    return;
+  }
+
+  await anonymiseUser(user.id, io);
+
+  // Sent after anonymising, which clears earlier mail to this address from the outbox
+  sendMail({
+    to: user.email,
+    subject: 'Your KNKO account has been deleted',
+    template: 'account-deleted',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'As you requested, your KNKO account and the personal data linked to it have been deleted.',
+      'Records we are required to keep have been anonymised.'
+    ].join('\n')
+  }).catch((mailError) => {
+    console.error('Error sending account deleted email:', mailError);
+  });
+
+  AuditLogger.log({
+    userId: null,
+    userType: request.userType,
+    action: 'ACCOUNT_DELETED',
+    resource: `account_deletion_requests/${request.id}`,
+    ipAddress: null,
+    userAgent: 'system',
+    status: 'SUCCESS',
+    details: `Deletion request ${request.id} completed`
+  });
+};
+
+/**
+ * Process requests whose grace period is over: delete the account, or send it
+ * to admin review when records must be retained
+ * @param {Object} [io]
+ * @returns {Promise<{ deleted: number, inReview: number }>}
+ */
+const processDueDeletions = async (io = null) => {
+  const due = await dbAll(
+    `SELECT * FROM account_deletion_requests
+     WHERE status = 'pending' AND scheduledFor <= datetime('now')`
+  );
+  const result = { deleted: 0, inReview: 0 };
+
+  for (const request of due) {
+    const user = await dbGet('SELECT id, userType FROM users WHERE id = ?', [request.userId]);
+    const retained = user ? await findRetainedRecords(user) : [];
+
+    if (retained.length > 0) {
+      await dbRun(
+        "UPDATE account_deletion_requests SET status = 'in_review', retainedRecords = ? WHERE id = ?",
+        [JSON.stringify(retained), request.id]
+      );
+      result.inReview += 1;
+    } else {
+      await completeDeletion(request, io);
+      result.deleted += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * @param {string} [status]
+ * @returns {Promise<Array<Object>>}
+ */
+const listDeletionRequests = async (status) => {
+  const rows = await dbAll(
+    `SELECT r.id, r.userId, r.userType, r.status, r.reason, r.scheduledFor, r.retainedRecords,
+            r.reviewedBy, r.reviewedAt, r.reviewNote, r.completedAt, r.createdAt,
+            u.email, u.firstName, u.lastName
+     FROM account_deletion_requests r
+     LEFT JOIN users u ON u.id = r.userId
+     ${status ? 'WHERE r.status = ?' : ''}
+     ORDER BY r.createdAt DESC, r.id DESC`,
+    status ? [status] : []
+  );
+  return rows.map(toRequest);
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|undefined>} - Request awaiting admin review
+ */
+const getRequestInReview = (id) => dbGet(
+  "SELECT * FROM account_deletion_requests WHERE id = ? AND status = 'in_review'",
+  [id]
+);
+
+/**
+ * Delete the account despite the retained records (they are kept, anonymised)
+ * @param {Object} request
+ * @param {number} reviewedBy
+ * @param {Object} [io]
+ */
+const approveDeletion = async (request, reviewedBy, io = null) => {
+  await dbRun(
+    'UPDATE account_deletion_requests SET reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP WHERE id = ?',
+    [reviewedBy, request.id]
+  );
+  await completeDeletion(request, io);
+};
+
+/**
+ * Keep the account: the retained records outweigh the request
+ * @param {Object} request
+ * @param {number} reviewedBy
+ * @param {string} note - Shown to the user
+ */
+const rejectDeletion = async (request, reviewedBy, note) => {
+  await dbRun(
+    `UPDATE account_deletion_requests
+     SET status = 'rejected', reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP, reviewNote = ?
+     WHERE id = ?`,
+    [reviewedBy, note, request.id]
+  );
+
+  const user = await dbGet('SELECT email, firstName FROM users WHERE id = ?', [request.userId]);
+  if (user) {
+    sendMail({
+      to: user.email,
+      subject: 'About your KNKO account deletion request',
+      template: 'account-deletion-rejected',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We could not delete your KNKO account because we are required to keep some of its records:',
+        '',
+        note,
+        '',
+        'Please contact the clinic if you have any questions.'
+      ].join('\n')
+    }).catch((mailError) => {
+      console.error('Error sending deletion rejected email:', mailError);
+    });
+  }
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  DELETION_STATUSES,
+  getOpenDeletionRequest,
+  requestDeletion,
+  cancelDeletion,
+  processDueDeletions,
+  listDeletionRequests,
+  getRequestInReview,
+  approveDeletion,
+  rejectDeletion
+};
@@ -0,0 +1,463 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../config/database');
+const { ADD_ONS } = require('../config/services');
+const { getService, listPractitionersOffering } = require('./services');
+const { findSlotAt } = require('./slots');
+const { loadPractitionerZones } = require('./locations');
+const { toIsoTimestamp } = require('./timezone');
+const { getServicePolicy, cancellationTerms } = require('./policies');
+
+/**
+ * Appointments - a patient booked with a practitioner for a service
+ * A booking has to be one of the practitioner's bookable slots (their hours,
+ * the service's buffer, notice and horizon, and their other appointments).
+ * Patients' bookings are requested until the practitioner confirms them;
+ * front desk bookings are confirmed straight away. Cancelling or moving one
+ * follows the service's policy (see ./policies); either frees its time.
+ */
+
+const APPOINTMENT_STATUSES = ['requested', 'confirmed', 'completed', 'cancelled', 'no_show'];
+
+// Statuses an appointment can move to, and who may move it there: 'staff' is its
+// practitioner or someone with appointments:manage, 'anyone' also its patient
+const STATUS_TRANSITIONS = {
+  requested: { confirmed: 'staff', cancelled: 'anyone' },
+  confirmed: { completed: 'staff', no_show: 'staff', cancelled: 'anyone' },
+  completed: {},
+  cancelled: {},
+  no_show: {}
+};
+
+/**
+ * Error raised when an appointment can't be booked or changed
+ * code is 'NOT_FOUND', 'INVALID', 'CONFLICT', 'FORBIDDEN', 'POLICY' (the service's
+ * policy doesn't allow it), 'FEE_NOT_ACCEPTED' (a late cancellation whose fee the
+ * patient hasn't accepted yet; cancellation holds the terms) or 'SERIES_CONFLICTS'
+ * (some dates of a series can't be booked or moved; occurrences says which and why)
+ */
+class AppointmentError extends Error {
+  constructor(code, message, { cancellation = null, occurrences = null } = {}) {
+    super(message);
+    this.name = 'AppointmentError';
+    this.code = code;
+    this.cancellation = cancellation;
+    this.occurrences = occurrences;
+  }
+}
+
+const APPOINTMENT_SELECT = `
+  SELECT a.id, a.status, a.serviceId, s.name AS serviceName, a.minutes, a.addOns, a.priceCents,
+         a.startAt, a.endAt, a.notes, a.rescheduleCount, a.cancelReason, a.cancellationFeeCents, a.cancelledAt,
+         a.createdAt, a.updatedAt,
+         a.seriesId, sr.intervalWeeks AS seriesIntervalWeeks,
+         (SELECT COUNT(*) FROM appointments x WHERE x.seriesId = a.seriesId AND x.startAt <= a.startAt) AS seriesPosition,
+         (SELECT COUNT(*) FROM appointments x WHERE x.seriesId = a.seriesId) AS seriesLength,
+         a.patientId, p.firstName AS patientFirstName, p.lastName AS patientLastName,
+         a.practitionerId, pr.firstName AS practitionerFirstName, pr.lastName AS practitionerLastName,
+         a.locationId, l.name AS locationName
+  FROM appointments a
+  JOIN services s ON s.id = a.serviceId
+  LEFT JOIN users p ON p.id = a.patientId
+  LEFT JOIN users pr ON pr.id = a.practitionerId
+  LEFT JOIN locations l ON l.id = a.locationId
+  LEFT JOIN appointment_series sr ON sr.id = a.seriesId`;
+
+const toPerson = (id, firstName, lastName) => (id ? { id, firstName, lastName } : null);
+
+const toAppointment = (row) => ({
+  id: row.id,
+  status: row.status,
+  service: { id: row.serviceId, name: row.serviceName },
+  minutes: row.minutes,
+  addOns: JSON.parse(row.addOns),
+  priceCents: row.priceCents,
+  start: row.startAt,
+  end: row.endAt,
+  patient: toPerson(row.patientId, row.patientFirstName, row.patientLastName),
+  practitioner: toPerson(row.practitionerId, row.practitionerFirstName, row.practitionerLastName),
+  location: row.locationId ? { id: row.locationId, name: row.locationName } : null,
+  // Which of its series' appointments this is, e.g. 3 of 8
+  series: row.seriesId
+    ? { id: row.seriesId, intervalWeeks: row.seriesIntervalWeeks, position: row.seriesPosition, length: row.seriesLength }
+    : null,
+  notes: row.notes,
+  rescheduleCount: row.rescheduleCount,
+  cancelReason: row.cancelReason,
+  cancellationFeeCents: row.cancellationFeeCents,
+  cancelledAt: toIsoTimestamp(row.cancelledAt),
+  createdAt: toIsoTimestamp(row.createdAt),
+  updatedAt: toIsoTimestamp(row.updatedAt)
+});
+
+/**
+ * The appointments a viewer may see: everyone's with appointments:manage,
+ * else a practitioner's own sessions or a patient's own bookings
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @returns {{ where: string, params: Array }}
+ */
+const visibleTo = (viewer) => {
+  if (viewer.canManage) {
+    return { where: '1 = 1', params: [] };
+  }
+  if (viewer.userType === 'practitioner') {
+    return { where: 'a.practitionerId = ?', params: [viewer.userId] };
+  }
+  return { where: 'a.patientId = ?', params: [viewer.userId] };
+};
+
+/**
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {Object} [filters]
+ * @param {Array<string>} [filters.statuses]
+ * @param {string} [filters.from] - ISO 8601; appointments starting at or after it
+ * @param {string} [filters.to] - ISO 8601; ...and before it
+ * @returns {Promise<Array<Object>>} - Soonest first
+ */
+const listAppointments = async (viewer, { statuses, from, to } = {}) => {
+  const scope = visibleTo(viewer);
+  const conditions = [scope.where];
+  const params = [...scope.params];
+  if (statuses && statuses.length > 0) {
+    conditions.push(`a.status IN (${statuses.map(() => '?').join(',')})`);
+    params.push(...statuses);
+  }
+  if (from) {
+    conditions.push('a.startAt >= ?');
+    params.push(new Date(from).toISOString());
+  }
+  if (to) {
+    conditions.push('a.startAt < ?');
+    params.push(new Date(to).toISOString());
+  }
+  const rows = await dbAll(`${APPOINTMENT_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY a.startAt`, params);
+  return rows.map(toAppointment);
+};
+
+/**
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @returns {Promise<Object>}
+ * @throws {AppointmentError} - NOT_FOUND if there is none the viewer may see
+ */
+const getAppointment = async (viewer, id) => {
+  const scope = visibleTo(viewer);
+  const row = await dbGet(`${APPOINTMENT_SELECT} WHERE a.id = ? AND ${scope.where}`, [id, ...scope.params]);
+  if (!row) {
+    throw new AppointmentError('NOT_FOUND', 'Appointment not found');
+  }
+  return toAppointment(row);
+};
+
+/**
+ * Book an appointment, inside a transaction the caller holds (see bookAppointment)
+ * @param {Object} booking
+ * @param {number} booking.patientId
+ * @param {number} booking.practitionerId
+ * @param {number} booking.serviceId
+ * @param {number} booking.minutes - One of the service's durations
+ * @param {string} booking.start - ISO 8601; has to be one of the practitioner's slots
+ * @param {Array<string>} [booking.addOns] - Add-on slugs
+ * @param {string} [booking.notes]
+ * @param {number} booking.bookedBy - Who made the booking (the patient, a caregiver or staff)
+ * @param {boolean} [booking.confirmed] - true to skip the practitioner's confirmation
+ * @param {number} [booking.offerId] - The waitlist offer holding this slot for the patient
+ * @param {number} [booking.seriesId] - The recurring series it belongs to
+ * @param {number} [booking.seriesIndex] - Which of the series' dates it is, from 0
+ * @param {boolean} [booking.ignoreHorizon] - A later date of a series may be past the booking horizon
+ * @returns {Promise<Object>} - The new appointment
+ */
+const insertAppointment = async ({
+  patientId,
+  practitionerId,
+  serviceId,
+  minutes,
+  start,
+  addOns = [],
+  notes,
+  bookedBy,
+  confirmed = false,
+  offerId,
+  seriesId = null,
+  seriesIndex = null,
+  ignoreHorizon = false
+}) => {
+  const patient = await dbGet("SELECT id FROM users WHERE id = ? AND userType = 'patient'", [patientId]);
+  if (!patient) {
+    throw new AppointmentError('NOT_FOUND', 'Patient not found');
+  }
+
+  const service = await getService(serviceId);
+  if (!service) {
+    throw new AppointmentError('NOT_FOUND', 'Service not found');
+  }
+  const duration = service.durations.find((option) => option.minutes === minutes);
+  if (!duration) {
+    const offered = service.durations.map((option) => option.minutes).join(', ');
+    throw new AppointmentError('INVALID', `${service.name} can be booked for ${offered} minutes`);
+  }
+  if (!(await listPractitionersOffering(service.id)).some((practitioner) => practitioner.id === practitionerId)) {
+    throw new AppointmentError('INVALID', 'This practitioner does not offer that service');
+  }
+
+  const extras = [...new Set(addOns)].map((slug) => ADD_ONS.find((addOn) => addOn.slug === slug));
+  if (extras.includes(undefined)) {
+    throw new AppointmentError('INVALID', 'Unknown add-on');
+  }
+
+  const slot = await findSlotAt({ service, minutes, practitionerId, start, ignoreOfferId: offerId, ignoreHorizon });
+  if (!slot) {
+    throw new AppointmentError('CONFLICT', 'That time is not available. Please choose another.');
+  }
+  const clash = await dbGet(
+    `SELECT id FROM appointments
+     WHERE patientId = ? AND status IN ('requested', 'confirmed') AND startAt < ? AND endAt > ?`,
+    [patientId, slot.end, slot.start]
+  );
+  if (clash) {
+    throw new AppointmentError('CONFLICT', 'There is already an appointment for this patient at that time');
+  }
+
+  const { location } = (await loadPractitionerZones([practitionerId]))[practitionerId];
+  const priceCents = extras.reduce((total, addOn) => total + addOn.priceCents, duration.priceCents);
+  const { lastID } = await dbRun(
+    `INSERT INTO appointments
+       (patientId, practitionerId, serviceId, minutes, addOns, priceCents, startAt, endAt, locationId, status, notes,
+        bookedBy, seriesId, seriesIndex)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      patientId,
+      practitionerId,
+      service.id,
+      minutes,
+      JSON.stringify(extras),
+      priceCents,
+      slot.start,
+      slot.end,
+      location ? location.id : null,
+      confirmed ? 'confirmed' : 'requested',
+      notes || null,
+      bookedBy,
+      seriesId,
+      seriesIndex
+    ]
+  );
+  return toAppointment(await dbGet(`${APPOINTMENT_SELECT} WHERE a.id = ?`, [lastID]));
+};
+
+/**
+ * Book an appointment (see insertAppointment for the booking)
+ * @param {Object} booking
+ * @returns {Promise<Object>} - The new appointment
+ */
+const bookAppointment = (booking) => dbTransaction(() => insertAppointment(booking));
+
+// The practitioner of an appointment and the front desk act as staff; anyone else seeing it is its patient
+const isStaffFor = (viewer, appointment) =>
+  viewer.canManage || Boolean(appointment.practitioner && appointment.practitioner.id === viewer.userId);
+
+/**
+ * What cancelling an appointment would cost the viewer now
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @returns {Promise<Object>} - { late, feeCents, deadline, policy }
+ */
+const getCancellationTerms = async (viewer, id) => {
+  const appointment = await getAppointment(viewer, id);
+  return cancellationTerms(appointment, await getServicePolicy(appointment.service.id), !isStaffFor(viewer, appointment));
+};
+
+/**
+ * Write an appointment's new status, unless someone changed it since it was read
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {Object} appointment - As read, from getAppointment
+ * @param {string} status
+ * @param {Object} [cancellation] - { reason, feeCents } when it is cancelled
+ */
+const saveStatus = async (viewer, appointment, status, { reason, feeCents = null } = {}) => {
+  const cancelled = status === 'cancelled';
+  const { changes } = await dbRun(
+    `UPDATE appointments
+     SET status = ?, cancelledBy = ?, cancelReason = ?, cancellationFeeCents = ?,
+         cancelledAt = ${cancelled ? 'CURRENT_TIMESTAMP' : 'NULL'}, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ?`,
+    [
+      status,
+      cancelled ? viewer.userId : null,
+      cancelled ? reason || null : null,
+      feeCents,
+      appointment.id,
+      appointment.status
+    ]
+  );
+  if (changes === 0) {
+    throw new AppointmentError('CONFLICT', 'This appointment was changed in the meantime. Please reload it.');
+  }
+};
+
+/**
+ * Move an appointment to a new status (see STATUS_TRANSITIONS)
+ * A patient cancelling late has to accept the fee: acceptFeeCents must match the
+ * fee from getCancellationTerms, else nothing changes.
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @param {string} status
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why it was cancelled
+ * @param {number} [options.acceptFeeCents] - The late-cancel fee the patient agreed to
+ * @returns {Promise<Object>} - The updated appointment
+ */
+const updateAppointmentStatus = async (viewer, id, status, { reason, acceptFeeCents } = {}) => {
+  const appointment = await getAppointment(viewer, id);
+  const allowed = STATUS_TRANSITIONS[appointment.status][status];
+  if (!allowed) {
+    throw new AppointmentError('INVALID', `A ${appointment.status} appointment can't be marked ${status}`);
+  }
+  const isStaff = isStaffFor(viewer, appointment);
+  if (allowed === 'staff' && !isStaff) {
+    throw new AppointmentError('FORBIDDEN', 'Only the practitioner or the front desk can do this');
+  }
+  if ((status === 'completed' || status === 'no_show') && Date.parse(appointment.start) > Date.now()) {
+    throw new AppointmentError('INVALID', 'This appointment has not started yet');
+  }
+
+  let feeCents = null;
+  if (status === 'cancelled') {
+    const terms = cancellationTerms(appointment, await getServicePolicy(appointment.service.id), !isStaff);
+    if (terms.feeCents > 0 && acceptFeeCents !== terms.feeCents) {
+      throw new AppointmentError(
+        'FEE_NOT_ACCEPTED',
+        `Cancelling less than ${terms.policy.cancelNoticeHours} hours before the appointment carries a late-cancel fee`,
+        { cancellation: terms }
+      );
+    }
+    feeCents = terms.feeCents;
+  }
+
+  await saveStatus(viewer, appointment, status, { reason, feeCents });
+  return getAppointment(viewer, id);
+};
+
+/**
+ * Move an appointment to another of the practitioner's slots (or another practitioner's),
+ * inside a transaction the caller holds (see rescheduleAppointment)
+ * Patients can only move it outside the notice window and up to maxReschedules times,
+ * and it waits for the practitioner to confirm it again.
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {Object} appointment - From getAppointment
+ * @param {Object} move
+ * @param {string} move.start - ISO 8601
+ * @param {number} [move.practitionerId] - Default the same practitioner
+ * @param {boolean} [move.ignoreHorizon] - For the later dates of a series
+ */
+const moveAppointment = async (viewer, appointment, { start, practitionerId, ignoreHorizon = false }) => {
+  const { id } = appointment;
+  if (!['requested', 'confirmed'].includes(appointment.status)) {
+    throw new AppointmentError('INVALID', `A ${appointment.status} appointment can't be moved`);
+  }
+
+  const isStaff = isStaffFor(viewer, appointment);
+  const policy = await getServicePolicy(appointment.service.id);
+  if (!isStaff) {
+    if (appointment.rescheduleCount >= policy.maxReschedules) {
+      throw new AppointmentError(
+        'POLICY',
+        policy.maxReschedules === 0
+          ? 'This appointment can\'t be moved. You can cancel it instead.'
+          : `This appointment has already been moved ${appointment.rescheduleCount} times, the most allowed`
+      );
+    }
+    if (cancellationTerms(appointment, policy, true).late) {
+      throw new AppointmentError(
+        'POLICY',
+        `Appointments can't be moved less than ${policy.cancelNoticeHours} hours before they start`
+      );
+    }
+  }
+
+  const service = await getService(appointment.service.id);
+  if (!service) {
+    throw new AppointmentError('INVALID', 'This service can no longer be booked');
+  }
+  const newPractitionerId = practitionerId || (appointment.practitioner && appointment.practitioner.id);
+  if (!(await listPractitionersOffering(service.id)).some((practitioner) => practitioner.id === newPractitionerId)) {
+    throw new AppointmentError('INVALID', 'This practitioner does not offer that service');
+  }
+
+  const slot = await findSlotAt({
+    service,
+    minutes: appointment.minutes,
+    practitionerId: newPractitionerId,
+    start,
+    ignoreAppointmentId: id,
+    ignoreHorizon
+  });
+  if (!slot) {
+    throw new AppointmentError('CONFLICT', 'That time is not available. Please choose another.');
+  }
+  const clash = appointment.patient && await dbGet(
+    `SELECT id FROM appointments
+     WHERE patientId = ? AND id != ? AND status IN ('requested', 'confirmed') AND startAt < ? AND endAt > ?`,
+    [appointment.patient.id, id, slot.end, slot.start]
+  );
+  if (clash) {
+    throw new AppointmentError('CONFLICT', 'There is already an appointment for this patient at that time');
+  }
+
+  const { location } = (await loadPractitionerZones([newPractitionerId]))[newPractitionerId];
+  await dbRun(
+    `UPDATE appointments
+     SET practitionerId = ?, startAt = ?, endAt = ?, locationId = ?, status = ?,
+         rescheduleCount = rescheduleCount + ?, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      newPractitionerId,
+      slot.start,
+      slot.end,
+      location ? location.id : null,
+      isStaff ? appointment.status : 'requested',
+      isStaff ? 0 : 1,
+      id
+    ]
+  );
+};
+
+/**
+ * Move an appointment (see moveAppointment)
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @param {Object} move - { start, practitionerId }
+ * @returns {Promise<Object>} - The moved appointment
+ */
+const rescheduleAppointment = (viewer, id, move) => dbTransaction(async () => {
+  await moveAppointment(viewer, await getAppointment(viewer, id), move);
+  return getAppointment(viewer, id);
+});
+
+/**
+ * Let the patient's and the practitioner's open apps know an appointment changed
+ * @param {Object} io - Socket.IO server
+ * @param {Object} appointment
+ */
+const announceAppointment = (io, appointment) => {
+  if (!io) {
+    return;
+  }
+  [appointment.patient, appointment.practitioner].filter(Boolean).forEach((person) => {
+    io.to(`user:${person.id}`).emit('appointment:updated', { id: appointment.id, status: appointment.status });
+  });
+};
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  AppointmentError,
+  listAppointments,
+  getAppointment,
+  insertAppointment,
+  bookAppointment,
+  isStaffFor,
+  getCancellationTerms,
+  saveStatus,
+  updateAppointmentStatus,
+  moveAppointment,
+  rescheduleAppointment,
+  announceAppointment
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+/**
+ * Cookie-based authentication for browser clients
+ * A client opts in by sending `X-Auth-Mode: cookie`. Its access and refresh tokens
+ * are then kept in httpOnly cookies instead of the response body, and a
+ * double-submit CSRF token (see ../middleware/csrf) protects state-changing requests.
+ * Clients that don't opt in keep using bearer tokens.
+ */
+
+const ACCESS_COOKIE = 'knko_access';
+const REFRESH_COOKIE = 'knko_refresh';
+const CSRF_COOKIE = 'knko_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+// The refresh token is only sent to the auth endpoints
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+/**
+ * Base cookie options, read lazily so values loaded by dotenv are picked up
+ * Secure by default; AUTH_COOKIE_SECURE=false allows plain http in local development.
+ * AUTH_COOKIE_SAMESITE must be 'none' when the client is served from another site.
+ */
+const cookieOptions = () => ({
+  secure: process.env.AUTH_COOKIE_SECURE !== 'false',
+  sameSite: (process.env.AUTH_COOKIE_SAMESITE || 'lax').toLowerCase(),
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined
+});
+
+/**
+ * Whether the client asked for cookie-based authentication
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const wantsCookieAuth = (req) => String(req.get('x-auth-mode') || '').toLowerCase() === 'cookie';
+
+/**
+ * Set the access, refresh and CSRF cookies for a token pair
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} tokens - Result of issueTokens
+ * @param {Object} [options]
+ * @param {boolean} [options.keepCsrfToken=false] - Keep the current CSRF token (token rotation within a session)
+ * @returns {string} - The CSRF token the client must send back
+ */
+const setAuthCookies = (req, res, tokens, { keepCsrfToken = false } = {}) => {
+  const base = cookieOptions();
+  const current = req.cookies && req.cookies[CSRF_COOKIE];
+  const csrfToken = keepCsrfToken && current ? current : crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(ACCESS_COOKIE, tokens.token, {
+    ...base,
+    httpOnly: true,
+    path: '/',
+    maxAge: tokens.expiresIn * 1000
+  });
+  res.cookie(REFRESH_COOKIE, tokens.refreshToken, {
+    ...base,
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: tokens.refreshExpiresIn * 1000
+  });
+  // Readable by a same-site client; cross-site clients get it from the response body
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...base,
+    httpOnly: false,
+    path: '/',
+    maxAge: tokens.refreshExpiresIn * 1000
+  });
+
+  return csrfToken;
+};
+
+/**
+ * Remove the authentication cookies
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  const base = cookieOptions();
+  res.clearCookie(ACCESS_COOKIE, { ...base, httpOnly: true, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...base, httpOnly: true, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...base, path: '/' });
+};
+
+/**
+ * Token fields for a login or refresh response
+ * Bearer clients get the tokens; cookie clients get cookies and a CSRF token instead.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} tokens - Result of issueTokens
+ * @param {Object} [options]
+ * @param {boolean} [options.cookies] - Force cookie mode (defaults to the X-Auth-Mode header)
+ * @param {boolean} [options.keepCsrfToken=false]
+ * @returns {Object}
+ */
+const tokenResponse = (req, res, tokens, { cookies = wantsCookieAuth(req), keepCsrfToken = false } = {}) => {
+  if (!cookies) {
+    return {
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    };
+  }
+
+  const csrfToken = setAuthCookies(req, res, tokens, { keepCsrfToken });
+  return { expiresIn: tokens.expiresIn, csrfToken };
+};
+
+/**
+ * Access token from the Authorization header, or from the access cookie
+ * @param {Object} req - Express request
+ * @returns {{ token: string|null, fromCookie: boolean }}
+ */
+const getRequestToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  const bearer = authHeader && authHeader.split(' ')[1];
+  if (bearer) {
+    return { token: bearer, fromCookie: false };
+  }
+
+  const cookie = req.cookies && req.cookies[ACCESS_COOKIE];
+  return { token: cookie || null, fromCookie: Boolean(cookie) };
+};
+
+/**
+ * Refresh token from the request body, or from the refresh cookie
+ * @param {Object} req - Express request
+ * @returns {{ token: string|null, fromCookie: boolean }}
+ */
+const getRequestRefreshToken = (req) => {
+  const fromBody = req.body && req.body.refreshToken;
+  if (fromBody) {
+    return { token: fromBody, fromCookie: false };
+  }
+
+  const cookie = req.cookies && req.cookies[REFRESH_COOKIE];
+  return { token: cookie || null, fromCookie: Boolean(cookie) };
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  wantsCookieAuth,
+  clearAuthCookies,
+  tokenResponse,
+  getRequestToken,
+  getRequestRefreshToken
+};
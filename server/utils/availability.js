@@ -0,0 +1,123 @@
+const { dbRun, dbAll, dbTransaction } = require('../config/database');
+
+/**
+ * A practitioner's weekly template: any number of windows per day, e.g.
+ * 09:00-12:00 and 14:00-18:00 on Monday. Windows on the same day may touch
+ * (12:00-14:00 after 09:00-12:00) but not overlap.
+ */
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// HH:MM, 24-hour
+const TIME_FORMAT = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// SQL ordering by day of week, then time
+const AVAILABILITY_ORDER = `CASE dayOfWeek ${DAYS_OF_WEEK.map((day, i) => `WHEN '${day}' THEN ${i + 1}`).join(' ')} END, startTime`;
+
+/**
+ * Error raised when availability windows overlap
+ * conflict is the window the new one runs into
+ */
+class AvailabilityError extends Error {
+  constructor(message, conflict) {
+    super(message);
+    this.name = 'AvailabilityError';
+    this.code = 'AVAILABILITY_OVERLAP';
+    this.conflict = conflict;
+  }
+}
+
+/**
+ * @param {string} time - HH:MM
+ * @returns {number} - Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const overlaps = (a, b) =>
+  a.dayOfWeek === b.dayOfWeek &&
+  toMinutes(a.startTime) < toMinutes(b.endTime) &&
+  toMinutes(b.startTime) < toMinutes(a.endTime);
+
+const describe = (window) => `${window.dayOfWeek} ${window.startTime}-${window.endTime}`;
+
+/**
+ * Throw if any two windows overlap
+ * @param {Array<Object>} windows - { dayOfWeek, startTime, endTime }
+ */
+const assertNoOverlap = (windows) => {
+  windows.forEach((window, i) => {
+    const conflict = windows.slice(i + 1).find((other) => overlaps(window, other));
+    if (conflict) {
+      throw new AvailabilityError(`${describe(window)} overlaps ${describe(conflict)}`, conflict);
+    }
+  });
+};
+
+/**
+ * @param {number} practitionerId
+ * @returns {Promise<Array<Object>>}
+ */
+const listAvailability = (practitionerId) => dbAll(
+  `SELECT * FROM practitioner_availability WHERE practitionerId = ? ORDER BY ${AVAILABILITY_ORDER}`,
+  [practitionerId]
+);
+
+/**
+ * Add one window, refusing it if it overlaps one the practitioner already has that day
+ * @param {number} practitionerId
+ * @param {Object} window - { dayOfWeek, startTime, endTime }
+ * @returns {Promise<Object>} - The new window with its id
+ */
+const addAvailabilityWindow = (practitionerId, window) => dbTransaction(async () => {
+  const sameDay = await dbAll(
+    'SELECT id, dayOfWeek, startTime, endTime FROM practitioner_availability WHERE practitionerId = ? AND dayOfWeek = ?',
+    [practitionerId, window.dayOfWeek]
+  );
+  const conflict = sameDay.find((existing) => overlaps(window, existing));
+  if (conflict) {
+    throw new AvailabilityError(`This overlaps your ${describe(conflict)} window`, conflict);
+  }
+
+  const { lastID } = await dbRun(
+    `INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime, updatedAt)
+     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [practitionerId, window.dayOfWeek, window.startTime, window.endTime]
+  );
+  return { id: lastID, dayOfWeek: window.dayOfWeek, startTime: window.startTime, endTime: window.endTime };
+});
+
+/**
+ * Replace the whole weekly template - all of it is saved, or none of it
+ * @param {number} practitionerId
+ * @param {Array<Object>} windows - { dayOfWeek, startTime, endTime }; empty clears the template
+ * @returns {Promise<Array<Object>>} - The saved template
+ */
+const replaceWeeklyTemplate = async (practitionerId, windows) => {
+  assertNoOverlap(windows);
+
+  await dbTransaction(async () => {
+    await dbRun('DELETE FROM practitioner_availability WHERE practitionerId = ?', [practitionerId]);
+    for (const window of windows) {
+      await dbRun(
+        `INSERT INTO practitioner_availability (practitionerId, dayOfWeek, startTime, endTime, updatedAt)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [practitionerId, window.dayOfWeek, window.startTime, window.endTime]
+      );
+    }
+  });
+  return listAvailability(practitionerId);
+};
+
+module.exports = {
+  DAYS_OF_WEEK,
+  TIME_FORMAT,
+  AVAILABILITY_ORDER,
+  AvailabilityError,
+  toMinutes,
+  listAvailability,
+  addAvailabilityWindow,
+  replaceWeeklyTemplate
+};
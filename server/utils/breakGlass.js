@@ -0,0 +1,114 @@
+const { dbRun, dbGet, dbAll } = require('../config/database');
+
+/**
+ * Break-glass access - a clinician opens a patient record in an emergency
+ * There are no care-team assignments yet, so every record a practitioner opens
+ * goes through a grant. A grant needs a typed reason, lasts BREAK_GLASS_MINUTES
+ * and each view under it is audited with the grant's id.
+ */
+
+const BREAK_GLASS_MINUTES = parseInt(process.env.BREAK_GLASS_MINUTES, 10) || 60;
+
+const GRANT_COLUMNS = `g.id, g.userId, g.patientId, p.firstName AS patientFirstName, p.lastName AS patientLastName,
+  g.reason, g.createdAt, g.expiresAt, g.endedAt`;
+
+/**
+ * Open a patient's record under break-glass access
+ * @param {Object} options
+ * @param {number} options.userId - Clinician
+ * @param {number} options.patientId
+ * @param {string} options.reason
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<Object>} - The grant
+ */
+const grantBreakGlass = async ({ userId, patientId, reason, ipAddress = null, userAgent = null }) => {
+  const { lastID } = await dbRun(
+    `INSERT INTO break_glass_grants (userId, patientId, reason, ipAddress, userAgent, expiresAt)
+     VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+    [userId, patientId, reason, ipAddress, userAgent, `+${BREAK_GLASS_MINUTES} minutes`]
+  );
+  return dbGet(`SELECT ${GRANT_COLUMNS} FROM break_glass_grants g LEFT JOIN users p ON p.id = g.patientId WHERE g.id = ?`, [lastID]);
+};
+
+/**
+ * A clinician's grant, if it is still running
+ * @param {number} userId
+ * @param {number} id
+ * @returns {Promise<Object|undefined>}
+ */
+const getActiveGrant = (userId, id) => dbGet(
+  `SELECT ${GRANT_COLUMNS} FROM break_glass_grants g LEFT JOIN users p ON p.id = g.patientId
+   WHERE g.id = ? AND g.userId = ? AND g.endedAt IS NULL AND g.expiresAt > datetime('now')`,
+  [id, userId]
+);
+
+/**
+ * Whether a clinician currently has break-glass access to a patient
+ * For endpoints outside ./routes/breakGlass that serve patient records.
+ * @param {number} userId
+ * @param {number} patientId
+ * @returns {Promise<Object|undefined>} - The grant, if any
+ */
+const findActiveGrantForPatient = (userId, patientId) => dbGet(
+  `SELECT ${GRANT_COLUMNS} FROM break_glass_grants g LEFT JOIN users p ON p.id = g.patientId
+   WHERE g.userId = ? AND g.patientId = ? AND g.endedAt IS NULL AND g.expiresAt > datetime('now')
+   ORDER BY g.expiresAt DESC LIMIT 1`,
+  [userId, patientId]
+);
+
+/**
+ * @param {number} userId
+ * @returns {Promise<Array<Object>>} - The clinician's running grants
+ */
+const listActiveGrants = (userId) => dbAll(
+  `SELECT ${GRANT_COLUMNS} FROM break_glass_grants g LEFT JOIN users p ON p.id = g.patientId
+   WHERE g.userId = ? AND g.endedAt IS NULL AND g.expiresAt > datetime('now')
+   ORDER BY g.createdAt DESC, g.id DESC`,
+  [userId]
+);
+
+/**
+ * Close a grant before it expires
+ * @param {number} userId
+ * @param {number} id
+ * @returns {Promise<boolean>} - false if the clinician has no such running grant
+ */
+const endGrant = async (userId, id) => {
+  const { changes } = await dbRun(
+    `UPDATE break_glass_grants SET endedAt = CURRENT_TIMESTAMP
+     WHERE id = ? AND userId = ? AND endedAt IS NULL AND expiresAt > datetime('now')`,
+    [id, userId]
+  );
+  return changes > 0;
+};
+
+/**
+ * Grants for the access report, with how many times the record was viewed under each
+ * @param {Object} [range]
+ * @param {string} [range.from] - ISO date
+ * @param {string} [range.to] - ISO date
+ */
+const listGrants = ({ from = null, to = null } = {}) => dbAll(
+  `SELECT g.id, g.userId, u.firstName AS userFirstName, u.lastName AS userLastName, u.userType,
+          g.patientId, p.firstName AS patientFirstName, p.lastName AS patientLastName,
+          g.reason, g.ipAddress, g.createdAt, g.expiresAt, g.endedAt,
+          (SELECT COUNT(*) FROM audit_logs l
+           WHERE l.accessMode = 'break_glass' AND l.accessId = g.id AND l.action = 'BREAK_GLASS_RECORD_VIEWED') AS viewCount
+   FROM break_glass_grants g
+   LEFT JOIN users u ON u.id = g.userId
+   LEFT JOIN users p ON p.id = g.patientId
+   WHERE (? IS NULL OR g.createdAt >= datetime(?)) AND (? IS NULL OR g.createdAt < datetime(?))
+   ORDER BY g.createdAt DESC, g.id DESC`,
+  [from, from, to, to]
+);
+
+module.exports = {
+  BREAK_GLASS_MINUTES,
+  grantBreakGlass,
+  getActiveGrant,
+  findActiveGrantForPatient,
+  listActiveGrants,
+  endGrant,
+  listGrants
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { hash } = require('../middleware/encryption');
+const { listAppointments, getAppointment } = require('./appointments');
+const { loadPractitionerZones } = require('./locations');
+const { addDays } = require('./schedule');
+const { DEFAULT_TIMEZONE, toZonedTime, zonedTimeToUtc, toIsoTimestamp } = require('./timezone');
+const { buildCalendar } = require('./ical');
+
+/**
+ * Calendar feeds - a secret URL per user that calendar apps subscribe to
+ * The token is only shown when the feed is created or regenerated (it's
+ * stored hashed); regenerating it revokes the old URL. Feeds carry the user's
+ * confirmed appointments (and completed ones from the last FEED_PAST_DAYS).
+ * Unless the user turns details on, events are titled without the service or
+ * the other person, since calendars are often shared or synced to third parties.
+ */
+
+const FEED_PAST_DAYS = 90;
+
+const FEED_STATUSES = ['confirmed', 'completed'];
+
+const toFeed = (row) => ({
+  enabled: Boolean(row),
+  showDetails: row ? Boolean(row.showDetails) : false,
+  createdAt: row ? toIsoTimestamp(row.createdAt) : null,
+  lastFetchedAt: row ? toIsoTimestamp(row.lastFetchedAt) : null
+});
+
+/**
+ * @param {number} userId
+ * @returns {Promise<Object>} - { enabled, showDetails, createdAt, lastFetchedAt }
+ */
+const getFeed = async (userId) =>
+  toFeed(await dbGet('SELECT showDetails, createdAt, lastFetchedAt FROM calendar_feeds WHERE userId = ?', [userId]));
+
+/**
+ * Create the user's feed, or give it a new token so the old URL stops working
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.showDetails] - Left as it was when not given
+ * @returns {Promise<{ token: string, feed: Object }>}
+ */
+const issueFeedToken = async (userId, { showDetails } = {}) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await dbRun(
+    `INSERT INTO calendar_feeds (userId, tokenHash, showDetails) VALUES (?, ?, ?)
+     ON CONFLICT(userId) DO UPDATE SET
+       tokenHash = excluded.tokenHash,
+       showDetails = COALESCE(?, showDetails),
+       createdAt = CURRENT_TIMESTAMP,
+       lastFetchedAt = NULL`,
+    [userId, hash(token), showDetails ? 1 : 0, showDetails === undefined ? null : Number(showDetails)]
+  );
+  return { token, feed: await getFeed(userId) };
+};
+
+/**
+ * @param {number} userId
+ * @param {Object} changes - { showDetails }
+ * @returns {Promise<Object|null>} - The feed, or null if the user has none
+ */
+const updateFeed = async (userId, { showDetails }) => {
+  const { changes } = await dbRun(
+    'UPDATE calendar_feeds SET showDetails = ? WHERE userId = ?',
+    [showDetails ? 1 : 0, userId]
+  );
+  return changes > 0 ? getFeed(userId) : null;
+};
+
+/**
+ * Turn the feed off; its URL stops working
+ * @param {number} userId
+ * @returns {Promise<boolean>} - false if there was none
+ */
+const deleteFeed = async (userId) =>
+  (await dbRun('DELETE FROM calendar_feeds WHERE userId = ?', [userId])).changes > 0;
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : null);
+
+// One appointment as an event, titled for the viewer
+const toEvent = (viewer, appointment, timeZone, showDetails) => {
+  const isPatient = appointment.patient && appointment.patient.id === viewer.userId;
+  let summary = isPatient ? 'KNKO appointment' : 'KNKO session';
+  let description = null;
+  if (showDetails) {
+    const other = isPatient ? personName(appointment.practitioner) : personName(appointment.patient);
+    summary = other ? `${appointment.service.name} - ${other}` : appointment.service.name;
+    description = [
+      `${appointment.minutes} minutes`,
+      ...appointment.addOns.map((addOn) => `+ ${addOn.name}`),
+      ...(appointment.notes ? ['', appointment.notes] : [])
+    ].join('\n');
+  }
+  return {
+    uid: `appointment-${appointment.id}`,
+    start: appointment.start,
+    end: appointment.end,
+    timeZone,
+    summary,
+    description,
+    location: appointment.location ? appointment.location.name : null,
+    status: appointment.status === 'requested' ? 'TENTATIVE' : appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    updatedAt: appointment.updatedAt
+  };
+};
+
+// A series' starts, in the order of its rule
+const seriesSlots = ({ startAt, timeZone, intervalWeeks, occurrences }) => {
+  const { date, time } = toZonedTime(startAt, timeZone);
+  return Array.from({ length: occurrences }, (_, index) =>
+    zonedTimeToUtc(addDays(date, index * intervalWeeks * 7), time, timeZone));
+};
+
+/**
+ * The events for a feed's appointments: each series is one recurring event; its
+ * dates without an appointment in the feed are excluded, and appointments moved
+ * off their date are overrides of it
+ * @param {Object} viewer - { userId, userType }
+ * @param {Array<Object>} appointments
+ * @param {boolean} showDetails
+ * @returns {Promise<Array<Object>>}
+ */
+const feedEvents = async (viewer, appointments, showDetails) => {
+  const zones = await loadPractitionerZones(
+    [...new Set(appointments.filter((a) => a.practitioner).map((a) => a.practitioner.id))]
+  );
+  const zoneOf = (appointment) =>
+    (appointment.practitioner ? zones[appointment.practitioner.id].timeZone : DEFAULT_TIMEZONE);
+
+  const seriesIds = [...new Set(appointments.filter((a) => a.series).map((a) => a.series.id))];
+  const placeholders = seriesIds.map(() => '?').join(', ');
+  const seriesRows = seriesIds.length === 0 ? [] : await dbAll(
+    `SELECT id, intervalWeeks, occurrences, startAt, timeZone FROM appointment_series
+     WHERE id IN (${placeholders}) AND startAt IS NOT NULL`,
+    seriesIds
+  );
+  const indexRows = seriesRows.length === 0 ? [] : await dbAll(
+    `SELECT id, seriesIndex FROM appointments WHERE seriesId IN (${placeholders}) AND seriesIndex IS NOT NULL`,
+    seriesIds
+  );
+  const indexOf = new Map(indexRows.map((row) => [row.id, row.seriesIndex]));
+  const recurring = new Set(seriesRows.map((row) => row.id));
+
+  const events = appointments
+    .filter((appointment) => !appointment.series || !recurring.has(appointment.series.id) || !indexOf.has(appointment.id))
+    .map((appointment) => toEvent(viewer, appointment, zoneOf(appointment), showDetails));
+
+  seriesRows.forEach((series) => {
+    const slots = seriesSlots(series);
+    const booked = new Map(appointments
+      .filter((appointment) => appointment.series && appointment.series.id === series.id && indexOf.has(appointment.id))
+      .map((appointment) => [indexOf.get(appointment.id), appointment]));
+    const [first] = [...booked.values()];
+    if (!first) {
+      return;
+    }
+    const master = toEvent(viewer, first, series.timeZone, showDetails);
+    const duration = Date.parse(first.end) - Date.parse(first.start);
+
+    events.push({
+      ...master,
+      uid: `series-${series.id}`,
+      start: slots[0],
+      end: new Date(Date.parse(slots[0]) + duration).toISOString(),
+      recurrence: {
+        intervalWeeks: series.intervalWeeks,
+        count: slots.length,
+        exdates: slots.filter((_, index) => !booked.has(index))
+      }
+    });
+    booked.forEach((appointment, index) => {
+      const event = toEvent(viewer, appointment, series.timeZone, showDetails);
+      const moved = Date.parse(appointment.start) !== Date.parse(slots[index])
+        || Date.parse(appointment.end) - Date.parse(appointment.start) !== duration;
+      if (moved || event.summary !== master.summary || event.location !== master.location) {
+        events.push({ ...event, uid: `series-${series.id}`, recurrenceId: slots[index] });
+      }
+    });
+  });
+
+  return events.sort((a, b) => a.start.localeCompare(b.start));
+};
+
+/**
+ * A feed's calendar, for the app that subscribed to it
+ * @param {string} token - From the feed URL
+ * @returns {Promise<string|null>} - null for an unknown or revoked token, or a suspended account
+ */
+const renderFeed = async (token) => {
+  const feed = await dbGet(
+    `SELECT f.userId, f.showDetails, u.userType, u.firstName
+     FROM calendar_feeds f JOIN users u ON u.id = f.userId
+     WHERE f.tokenHash = ? AND u.status = 'approved'`,
+    [hash(String(token || ''))]
+  );
+  if (!feed) {
+    return null;
+  }
+  await dbRun('UPDATE calendar_feeds SET lastFetchedAt = CURRENT_TIMESTAMP WHERE userId = ?', [feed.userId]);
+
+  const viewer = { userId: feed.userId, userType: feed.userType, canManage: false };
+  const appointments = await listAppointments(viewer, {
+    statuses: FEED_STATUSES,
+    from: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+  return buildCalendar({
+    name: `KNKO - ${feed.firstName}`,
+    events: await feedEvents(viewer, appointments, Boolean(feed.showDetails))
+  });
+};
+
+/**
+ * One appointment as an .ics file, with its details - the viewer downloads it themselves
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @returns {Promise<string>}
+ */
+const renderAppointment = async (viewer, id) => {
+  const appointment = await getAppointment(viewer, id);
+  const zones = appointment.practitioner ? await loadPractitionerZones([appointment.practitioner.id]) : {};
+  const timeZone = appointment.practitioner ? zones[appointment.practitioner.id].timeZone : DEFAULT_TIMEZONE;
+  return buildCalendar({
+    name: appointment.service.name,
+    events: [toEvent(viewer, appointment, timeZone, true)]
+  });
+};
+
+module.exports = {
+  FEED_PAST_DAYS,
+  getFeed,
+  issueFeedToken,
+  updateFeed,
+  deleteFeed,
+  renderFeed,
+  renderAppointment
+};
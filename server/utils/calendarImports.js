@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../config/database');
+const { listAppointments } = require('./appointments');
+const { loadPractitionerZones } = require('./locations');
+const { toIsoTimestamp } = require('./timezone');
+const { IcalError, readBusyTimes } = require('./icalParser');
+
+/**
+ * Calendar imports - a practitioner's other calendars, read as busy times
+ * An import is an uploaded .ics file, a URL on a host in CALENDAR_IMPORT_HOSTS
+ * or a file inside CALENDAR_IMPORT_DIR; the last two are synced every
+ * CALENDAR_IMPORT_POLL_MINUTES, an upload when it is uploaded again. Each sync
+ * replaces the import's busy blocks (the times of its events from yesterday to
+ * IMPORT_DAYS ahead), which slots treat like booked sessions. Booked
+ * appointments that overlap them are reported, not cancelled.
+ */
+
+const IMPORT_DAYS = 366;
+const MAX_CALENDAR_IMPORTS = 10;
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const CALENDAR_IMPORT_POLL_MINUTES = parseInt(process.env.CALENDAR_IMPORT_POLL_MINUTES, 10) || 60;
+
+const IMPORT_HOSTS = (process.env.CALENDAR_IMPORT_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+const IMPORT_DIR = process.env.CALENDAR_IMPORT_DIR ? path.resolve(process.env.CALENDAR_IMPORT_DIR) : null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Appointments that hold their time, and so can clash with a busy block
+const HOLDING_STATUSES = ['requested', 'confirmed'];
+
+/**
+ * Error raised when a calendar can't be imported or synced
+ * code is 'NOT_FOUND', 'INVALID' (not a readable .ics file, or a bad source),
+ * 'NOT_ALLOWED' (a host or folder that isn't configured, or too many imports)
+ * or 'FETCH_FAILED'
+ */
+class CalendarImportError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CalendarImportError';
+    this.code = code;
+  }
+}
+
+const toImport = (row) => ({
+  id: row.id,
+  name: row.name,
+  sourceType: row.sourceType,
+  source: row.source,
+  blockCount: row.blockCount,
+  skippedCount: row.skippedCount,
+  lastSyncedAt: toIsoTimestamp(row.lastSyncedAt),
+  lastError: row.lastError,
+  createdAt: toIsoTimestamp(row.createdAt)
+});
+
+const IMPORT_SELECT = `
+  SELECT id, practitionerId, name, sourceType, source, blockCount, skippedCount, lastSyncedAt, lastError, createdAt
+  FROM calendar_imports`;
+
+// An https URL on an allowed host; webcal:// is how calendar apps share them. Plain http isn't
+// taken: calendar URLs often carry a secret token
+const calendarUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value).trim().replace(/^webcals?:/i, 'https:'));
+  } catch (error) {
+    throw new CalendarImportError('INVALID', 'Invalid calendar URL');
+  }
+  if (url.protocol !== 'https:') {
+    throw new CalendarImportError('INVALID', 'Calendar URLs must start with https:// or webcal://');
+  }
+  if (!IMPORT_HOSTS.includes(url.hostname.toLowerCase())) {
+    throw new CalendarImportError('NOT_ALLOWED', `Calendars can't be imported from ${url.hostname}`);
+  }
+  return url.toString();
+};
+
+// A file inside the import folder, however the path is written, as a path relative to the folder;
+// that's all that is stored or shown, so the server's layout isn't
+const calendarPath = (value) => {
+  if (!IMPORT_DIR) {
+    throw new CalendarImportError('NOT_ALLOWED', 'Importing calendars from server files is not enabled');
+  }
+  const resolved = path.resolve(IMPORT_DIR, String(value));
+  if (!resolved.startsWith(`${IMPORT_DIR}${path.sep}`)) {
+    throw new CalendarImportError('NOT_ALLOWED', 'Calendar files must be in the import folder');
+  }
+  return path.relative(IMPORT_DIR, resolved);
+};
+
+/**
+ * Where an import's calendar comes from
+ * @param {Object} source - One of { ics }, { url } or { path }
+ * @returns {{ sourceType: string, source: string|null }} - source is the URL, or the path within CALENDAR_IMPORT_DIR
+ * @throws {CalendarImportError}
+ */
+const resolveSource = ({ ics, url, path: file }) => {
+  if (url !== undefined) {
+    return { sourceType: 'url', source: calendarUrl(url) };
+  }
+  if (file !== undefined) {
+    return { sourceType: 'path', source: calendarPath(file) };
+  }
+  if (ics === undefined) {
+    throw new CalendarImportError('INVALID', 'Upload an .ics file, or give a URL or file path');
+  }
+  return { sourceType: 'upload', source: null };
+};
+
+// Redirects aren't followed, so a calendar can't be fetched from a host that isn't allowed; the body is
+// read as it arrives and dropped once it passes MAX_CALENDAR_BYTES, whatever content-length says
+const fetchCalendar = async (url) => {
+  const { host } = new URL(url);
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Accept: 'text/calendar' },
+      redirect: 'error',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new CalendarImportError('FETCH_FAILED', `Couldn't reach ${host}`);
+  }
+  if (!response.ok) {
+    throw new CalendarImportError('FETCH_FAILED', `${host} returned ${response.status}`);
+  }
+  if (Number(response.headers.get('content-length')) > MAX_CALENDAR_BYTES) {
+    throw new CalendarImportError('INVALID', 'The calendar is too large to import');
+  }
+
+  const chunks = [];
+  let size = 0;
+  try {
+    // Leaving the loop early cancels the rest of the download
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      if (size > MAX_CALENDAR_BYTES) {
+        break;
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    throw new CalendarImportError('FETCH_FAILED', `Couldn't download the calendar from ${host}`);
+  }
+  if (size > MAX_CALENDAR_BYTES) {
+    throw new CalendarImportError('INVALID', 'The calendar is too large to import');
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// The real path is checked too, so a link in the folder can't lead out of it
+const readCalendarFile = async (file) => {
+  try {
+    const real = await fs.promises.realpath(path.join(IMPORT_DIR, file));
+    if (!real.startsWith(`${await fs.promises.realpath(IMPORT_DIR)}${path.sep}`)) {
+      throw new CalendarImportError('NOT_ALLOWED', 'Calendar files must be in the import folder');
+    }
+    if ((await fs.promises.stat(real)).size > MAX_CALENDAR_BYTES) {
+      throw new CalendarImportError('INVALID', 'The calendar is too large to import');
+    }
+    return await fs.promises.readFile(real, 'utf8');
+  } catch (error) {
+    if (error instanceof CalendarImportError) {
+      throw error;
+    }
+    throw new CalendarImportError('FETCH_FAILED', `Couldn't read ${path.basename(file)}`);
+  }
+};
+
+/**
+ * A calendar's busy times for the practitioner
+ * @param {number} practitionerId
+ * @param {string} text - The .ics file
+ * @returns {Promise<{ blocks: Array<Object>, skipped: number }>}
+ * @throws {CalendarImportError} - INVALID if it isn't a readable calendar
+ */
+const readCalendar = async (practitionerId, text) => {
+  if (Buffer.byteLength(text) > MAX_CALENDAR_BYTES) {
+    throw new CalendarImportError('INVALID', 'The calendar is too large to import');
+  }
+  const zones = await loadPractitionerZones([practitionerId]);
+  const now = Date.now();
+  try {
+    return readBusyTimes(text, {
+      timeZone: zones[practitionerId].timeZone,
+      from: now - DAY_MS,
+      to: now + IMPORT_DAYS * DAY_MS
+    });
+  } catch (error) {
+    if (error instanceof IcalError) {
+      throw new CalendarImportError('INVALID', error.message);
+    }
+    throw error;
+  }
+};
+
+// The calendar text for a source (checked again, in case the allowed hosts or folder changed); uploads bring their own
+const loadCalendar = async ({ sourceType, source }, ics) => {
+  if (sourceType === 'url') {
+    return fetchCalendar(calendarUrl(source));
+  }
+  if (sourceType === 'path') {
+    return readCalendarFile(calendarPath(source));
+  }
+  if (typeof ics !== 'string') {
+    throw new CalendarImportError('INVALID', 'Upload the .ics file again to update this calendar');
+  }
+  return ics;
+};
+
+/**
+ * The practitioner's upcoming appointments that overlap busy blocks
+ * @param {number} practitionerId
+ * @param {Array<Object>} blocks - [{ start, end, importId? }] as ISO 8601
+ * @returns {Promise<Array<Object>>} - [{ appointment, busy: { start, end, importId } }], soonest first
+ */
+const findConflicts = async (practitionerId, blocks) => {
+  if (blocks.length === 0) {
+    return [];
+  }
+  const appointments = await listAppointments(
+    { userId: practitionerId, userType: 'practitioner', canManage: false },
+    { statuses: HOLDING_STATUSES, from: new Date(Date.now() - DAY_MS).toISOString() }
+  );
+  return appointments.flatMap((appointment) => {
+    const start = Date.parse(appointment.start);
+    const end = Date.parse(appointment.end);
+    const busy = blocks.find((block) => Date.parse(block.start) < end && start < Date.parse(block.end));
+    return busy && end > Date.now() ? [{ appointment, busy }] : [];
+  });
+};
+
+const storedBlocks = async (practitionerId, importId = null) => {
+  const rows = await dbAll(
+    `SELECT importId, startAt, endAt FROM busy_blocks
+     WHERE practitionerId = ? AND endAt > ? AND importId = COALESCE(?, importId)
+     ORDER BY startAt`,
+    [practitionerId, new Date().toISOString(), importId]
+  );
+  return rows.map((row) => ({ importId: row.importId, start: row.startAt, end: row.endAt }));
+};
+
+/**
+ * @param {number} practitionerId
+ * @returns {Promise<{ imports: Array<Object>, conflicts: Array<Object> }>}
+ */
+const listImports = async (practitionerId) => {
+  const rows = await dbAll(`${IMPORT_SELECT} WHERE practitionerId = ? ORDER BY createdAt, id`, [practitionerId]);
+  return {
+    imports: rows.map(toImport),
+    conflicts: await findConflicts(practitionerId, await storedBlocks(practitionerId))
+  };
+};
+
+/**
+ * What importing a calendar would do, without saving anything
+ * @param {number} practitionerId
+ * @param {Object} source - { ics }, { url } or { path }
+ * @returns {Promise<Object>} - { sourceType, blockCount, skippedCount, firstStart, lastEnd, conflicts }
+ * @throws {CalendarImportError}
+ */
+const previewImport = async (practitionerId, source) => {
+  const resolved = resolveSource(source);
+  const { blocks, skipped } = await readCalendar(practitionerId, await loadCalendar(resolved, source.ics));
+  return {
+    sourceType: resolved.sourceType,
+    blockCount: blocks.length,
+    skippedCount: skipped,
+    firstStart: blocks.length > 0 ? blocks[0].start : null,
+    lastEnd: blocks.length > 0 ? blocks.reduce((last, block) => (block.end > last ? block.end : last), blocks[0].end) : null,
+    conflicts: await findConflicts(practitionerId, blocks)
+  };
+};
+
+// Replace an import's blocks, inside a transaction the caller holds; 4 values a row keeps inserts under SQLite's limit
+const saveBlocks = async (practitionerId, importId, { blocks, skipped }) => {
+  await dbRun('DELETE FROM busy_blocks WHERE importId = ?', [importId]);
+  for (let index = 0; index < blocks.length; index += 200) {
+    const chunk = blocks.slice(index, index + 200);
+    await dbRun(
+      `INSERT INTO busy_blocks (importId, practitionerId, startAt, endAt) VALUES ${chunk.map(() => '(?, ?, ?, ?)').join(', ')}`,
+      chunk.flatMap((block) => [importId, practitionerId, block.start, block.end])
+    );
+  }
+  await dbRun(
+    `UPDATE calendar_imports
+     SET blockCount = ?, skippedCount = ?, lastSyncedAt = CURRENT_TIMESTAMP, lastError = NULL
+     WHERE id = ?`,
+    [blocks.length, skipped, importId]
+  );
+};
+
+const getImportRow = async (practitionerId, id) => {
+  const row = await dbGet(`${IMPORT_SELECT} WHERE id = ? AND practitionerId = ?`, [id, practitionerId]);
+  if (!row) {
+    throw new CalendarImportError('NOT_FOUND', 'Calendar not found');
+  }
+  return row;
+};
+
+/**
+ * Import a calendar: its busy times stop patients booking those slots
+ * @param {number} practitionerId
+ * @param {Object} calendar - { name } and one of { ics }, { url } or { path }
+ * @returns {Promise<{ import: Object, conflicts: Array<Object> }>}
+ * @throws {CalendarImportError}
+ */
+const createImport = async (practitionerId, { name, ...source }) => {
+  const resolved = resolveSource(source);
+  const busy = await readCalendar(practitionerId, await loadCalendar(resolved, source.ics));
+
+  const id = await dbTransaction(async () => {
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM calendar_imports WHERE practitionerId = ?', [practitionerId]);
+    if (count >= MAX_CALENDAR_IMPORTS) {
+      throw new CalendarImportError('NOT_ALLOWED', `You can import at most ${MAX_CALENDAR_IMPORTS} calendars`);
+    }
+    const { lastID } = await dbRun(
+      'INSERT INTO calendar_imports (practitionerId, name, sourceType, source) VALUES (?, ?, ?, ?)',
+      [practitionerId, name, resolved.sourceType, resolved.source]
+    );
+    await saveBlocks(practitionerId, lastID, busy);
+    return lastID;
+  });
+
+  return {
+    import: toImport(await getImportRow(practitionerId, id)),
+    conflicts: await findConflicts(practitionerId, await storedBlocks(practitionerId, id))
+  };
+};
+
+/**
+ * Read an import's calendar again; a failure is kept on the import (its old blocks stay)
+ * @param {number} practitionerId
+ * @param {number} id
+ * @param {string} [ics] - A new copy of an uploaded file
+ * @returns {Promise<{ import: Object, conflicts: Array<Object> }>}
+ * @throws {CalendarImportError}
+ */
+const syncImport = async (practitionerId, id, ics) => {
+  const row = await getImportRow(practitionerId, id);
+  try {
+    const busy = await readCalendar(practitionerId, await loadCalendar(row, ics));
+    await dbTransaction(() => saveBlocks(practitionerId, id, busy));
+  } catch (error) {
+    if (error instanceof CalendarImportError && row.sourceType !== 'upload') {
+      await dbRun('UPDATE calendar_imports SET lastError = ? WHERE id = ?', [error.message, id]);
+    }
+    throw error;
+  }
+  return {
+    import: toImport(await getImportRow(practitionerId, id)),
+    conflicts: await findConflicts(practitionerId, await storedBlocks(practitionerId, id))
+  };
+};
+
+/**
+ * Remove an import and its busy times
+ * @param {number} practitionerId
+ * @param {number} id
+ * @returns {Promise<boolean>} - false if there was none
+ */
+const deleteImport = async (practitionerId, id) =>
+  (await dbRun('DELETE FROM calendar_imports WHERE id = ? AND practitionerId = ?', [id, practitionerId])).changes > 0;
+
+/**
+ * Sync every URL and file import, one at a time; failures are kept on each import
+ * @returns {Promise<number>} - How many synced
+ */
+const syncRemoteImports = async () => {
+  const rows = await dbAll(`SELECT id, practitionerId FROM calendar_imports WHERE sourceType IN ('url', 'path')`);
+  let synced = 0;
+  for (const row of rows) {
+    try {
+      await syncImport(row.practitionerId, row.id);
+      synced += 1;
+    } catch (error) {
+      if (!(error instanceof CalendarImportError)) {
+        console.error(`Error syncing calendar import ${row.id}:`, error);
+      }
+    }
+  }
+  return synced;
+};
+
+module.exports = {
+  CALENDAR_IMPORT_POLL_MINUTES,
+  MAX_CALENDAR_BYTES,
+  CalendarImportError,
+  listImports,
+  previewImport,
+  createImport,
+  syncImport,
+  deleteImport,
+  syncRemoteImports
+};
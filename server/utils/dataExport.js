@@ -0,0 +1,192 @@
+const JSZip = require('jszip');
+const { dbGet, dbAll } = require('../config/database');
+const { loadProfile } = require('./profile');
+const { getUserRoles } = require('./roles');
+const { listPasskeys } = require('./passkeys');
+
+/**
+ * Right of access: everything the platform holds about a user, as a zip
+ * with export.json (all sections) plus one CSV per table-like section.
+ * Secrets (password hash, MFA secret, token hashes) are never exported.
+ */
+
+/**
+ * Sections of the export, in order. load() returns an object or an array of rows;
+ * arrays are also written as <name>.csv.
+ */
+const EXPORT_SECTIONS = [
+  {
+    name: 'profile',
+    load: (userId) => loadProfile(userId)
+  },
+  {
+    name: 'roles',
+    load: async (userId) => (await getUserRoles(userId)).map((role) => ({ role }))
+  },
+  {
+    name: 'mfa',
+    load: async (userId) => {
+      const mfa = await dbGet('SELECT enabled, enrolledAt FROM user_mfa WHERE userId = ?', [userId]);
+      return { enabled: Boolean(mfa && mfa.enabled), enrolledAt: mfa ? mfa.enrolledAt : null };
+    }
+  },
+  {
+    name: 'passkeys',
+    load: async (userId) => (await listPasskeys(userId)).map((passkey) => ({
+      ...passkey,
+      transports: passkey.transports.join(' ')
+    }))
+  },
+  {
+    name: 'identities',
+    load: (userId) => dbAll(
+      'SELECT provider, email, createdAt, lastLoginAt FROM user_identities WHERE userId = ? ORDER BY id',
+      [userId]
+    )
+  },
+  {
+    name: 'sessions',
+    load: (userId) => dbAll(
+      `SELECT id, deviceName, ipAddress, userAgent, createdAt, lastSeenAt, revokedAt, revokedReason
+       FROM sessions WHERE userId = ? ORDER BY createdAt`,
+      [userId]
+    )
+  },
+  {
+    name: 'availability',
+    load: (userId) => dbAll(
+      `SELECT dayOfWeek, startTime, endTime, createdAt, updatedAt
+       FROM practitioner_availability WHERE practitionerId = ? ORDER BY id`,
+      [userId]
+    )
+  },
+  {
+    name: 'availability_overrides',
+    load: (userId) => dbAll(
+      `SELECT date, kind, startTime, endTime, reason, createdAt
+       FROM availability_overrides WHERE practitionerId = ? ORDER BY date, startTime`,
+      [userId]
+    )
+  },
+  {
+    name: 'services_offered',
+    load: (userId) => dbAll(
+      `SELECT s.name, ps.createdAt FROM practitioner_services ps
+       JOIN services s ON s.id = ps.serviceId WHERE ps.practitionerId = ? ORDER BY s.id`,
+      [userId]
+    )
+  },
+  {
+    name: 'appointments',
+    load: (userId) => dbAll(
+      `SELECT CASE WHEN a.patientId = ? THEN 'patient' ELSE 'practitioner' END AS role,
+              s.name AS service, a.minutes, a.addOns, a.priceCents, a.startAt, a.endAt, a.status,
+              a.notes, a.cancelReason, a.createdAt
+       FROM appointments a JOIN services s ON s.id = a.serviceId
+       WHERE a.patientId = ? OR a.practitionerId = ? ORDER BY a.startAt`,
+      [userId, userId, userId]
+    )
+  },
+  {
+    name: 'waitlist',
+    load: (userId) => dbAll(
+      `SELECT s.name AS service, w.minutes, w.ranges, w.timeZone, w.status, w.createdAt
+       FROM waitlist_entries w JOIN services s ON s.id = w.serviceId
+       WHERE w.patientId = ? ORDER BY w.id`,
+      [userId]
+    )
+  },
+  {
+    name: 'calendarFeed',
+    load: (userId) => dbAll(
+      'SELECT showDetails, createdAt, lastFetchedAt FROM calendar_feeds WHERE userId = ?',
+      [userId]
+    )
+  },
+  {
+    name: 'calendarImports',
+    load: (userId) => dbAll(
+      `SELECT name, sourceType, source, blockCount, skippedCount, lastSyncedAt, lastError, createdAt
+       FROM calendar_imports WHERE practitionerId = ?`,
+      [userId]
+    )
+  },
+  {
+    name: 'proxies',
+    load: (userId) => dbAll(
+      `SELECT CASE WHEN dependentUserId = ? THEN 'acts_for_me' ELSE 'i_act_for' END AS direction,
+              relationship, scopes, status, inviteEmail, createdAt, acceptedAt, revokedAt
+       FROM proxy_relationships WHERE dependentUserId = ? OR proxyUserId = ? ORDER BY id`,
+      [userId, userId, userId]
+    )
+  },
+  {
+    name: 'emails',
+    load: async (userId) => {
+      const user = await dbGet('SELECT email FROM users WHERE id = ?', [userId]);
+      return dbAll(
+        'SELECT subject, template, createdAt FROM email_outbox WHERE toAddress = ? ORDER BY id',
+        [user.email]
+      );
+    }
+  },
+  {
+    name: 'audit_trail',
+    load: (userId) => dbAll(
+      // Includes what proxies did on the user's behalf, without the proxy's device details
+      `SELECT timestamp, action, resource, status, details,
+              CASE WHEN userId = ? THEN ipAddress END AS ipAddress,
+              CASE WHEN userId = ? THEN userAgent END AS userAgent,
+              onBehalfOfUserId
+       FROM audit_logs WHERE userId = ? OR onBehalfOfUserId = ? ORDER BY id`,
+      [userId, userId, userId, userId]
+    )
+  }
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+const toCsv = (rows) => {
+  if (rows.length === 0) {
+    return '';
+  }
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(',')].concat(
+    rows.map((row) => columns.map((column) => csvValue(row[column])).join(','))
+  );
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Build the export archive for a user
+ * @param {number} userId
+ * @returns {Promise<Buffer>} - Zip file contents
+ */
+const buildUserExport = async (userId) => {
+  const data = { exportedAt: new Date().toISOString() };
+  const zip = new JSZip();
+
+  for (const section of EXPORT_SECTIONS) {
+    data[section.name] = await section.load(userId);
+    if (Array.isArray(data[section.name])) {
+      zip.file(`${section.name}.csv`, toCsv(data[section.name]));
+    }
+  }
+
+  zip.file('export.json', JSON.stringify(data, null, 2));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  buildUserExport
+};
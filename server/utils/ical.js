@@ -0,0 +1,195 @@
+const { offsetAt, toZonedTime } = require('./timezone');
+
+/**
+ * iCalendar (RFC 5545) - calendars of appointments for calendar apps
+ * Event times are written in the practitioner's zone (TZID) with a VTIMEZONE
+ * giving that zone's offsets over the span the calendar covers, so apps show
+ * them right even across DST changes; UTC ones are written as UTC. A series is
+ * one event with a weekly RRULE; dates it no longer has are EXDATEs, and moved
+ * ones are separate events with a RECURRENCE-ID.
+ */
+
+const PRODUCT_ID = '-//KNKO//Appointments//EN';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'knko.app';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+// TEXT values: backslashes, semicolons, commas and line breaks are escaped
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space, without splitting a character
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  for (const character of line) {
+    const limit = lines.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + character) > limit) {
+      lines.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+};
+
+// 20261021T090000Z
+const formatUtc = (instant) => new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// A wall-clock time as 20261021T090000
+const formatLocal = ({ date, time }) => `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// +0100, -0430
+const formatOffset = (offset) => {
+  const minutes = Math.abs(offset) / MINUTE_MS;
+  const sign = offset < 0 ? '-' : '+';
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * A date-time property in the event's zone
+ * @param {string} name - e.g. 'DTSTART'
+ * @param {string|number} instant
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const dateTimeProperty = (name, instant, timeZone) => (timeZone === 'UTC'
+  ? `${name}:${formatUtc(instant)}`
+  : `${name};TZID=${timeZone}:${formatLocal(toZonedTime(instant, timeZone))}`);
+
+// The minute a zone's offset changes between two instants that have different offsets
+const findTransition = (timeZone, before, after) => {
+  let low = before;
+  let high = after;
+  while (high - low > MINUTE_MS) {
+    const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+    if (offsetAt(middle, timeZone) === offsetAt(low, timeZone)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return high;
+};
+
+/**
+ * A VTIMEZONE covering from one instant to another: the offset in force at the
+ * start, then each change after it
+ * @param {string} timeZone
+ * @param {number} from
+ * @param {number} to
+ * @returns {Array<string>} - Lines
+ */
+const timeZoneLines = (timeZone, from, to) => {
+  const observance = (at, offsetFrom, offsetTo, kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD') => [
+    `BEGIN:${kind}`,
+    `DTSTART:${formatUtc(at + offsetFrom).slice(0, -1)}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${kind}`
+  ];
+
+  const start = from - DAY_MS;
+  const initial = offsetAt(start, timeZone);
+  // Summer time if the zone is behind it at some point in the coming year
+  const summer = Array.from({ length: 12 }, (_, month) => offsetAt(start + (month + 1) * 30 * DAY_MS, timeZone))
+    .some((offset) => offset < initial);
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(start, initial, initial, summer ? 'DAYLIGHT' : 'STANDARD')
+  ];
+  let previous = initial;
+  for (let day = start + DAY_MS; day <= to + DAY_MS; day += DAY_MS) {
+    const offset = offsetAt(day, timeZone);
+    if (offset !== previous) {
+      lines.push(...observance(findTransition(timeZone, day - DAY_MS, day), previous, offset));
+      previous = offset;
+    }
+  }
+  return [...lines, 'END:VTIMEZONE'];
+};
+
+/**
+ * @param {Object} event
+ * @param {string} event.uid - Without the domain, e.g. 'appointment-12'
+ * @param {string} event.start - ISO 8601
+ * @param {string} event.end - ISO 8601
+ * @param {string} event.timeZone
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} event.status - 'CONFIRMED', 'TENTATIVE' or 'CANCELLED'
+ * @param {string} [event.updatedAt] - ISO 8601
+ * @param {Object} [event.recurrence] - { intervalWeeks, count, exdates: [ISO 8601] }
+ * @param {string} [event.recurrenceId] - The series date (ISO 8601) a moved occurrence replaces
+ * @param {number} stamp - DTSTAMP, milliseconds since the epoch
+ * @returns {Array<string>} - Lines
+ */
+const eventLines = (event, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}@${UID_DOMAIN}`,
+  `DTSTAMP:${formatUtc(stamp)}`,
+  dateTimeProperty('DTSTART', event.start, event.timeZone),
+  dateTimeProperty('DTEND', event.end, event.timeZone),
+  ...(event.recurrence
+    ? [
+        `RRULE:FREQ=WEEKLY;INTERVAL=${event.recurrence.intervalWeeks};COUNT=${event.recurrence.count}`,
+        ...event.recurrence.exdates.map((exdate) => dateTimeProperty('EXDATE', exdate, event.timeZone))
+      ]
+    : []),
+  ...(event.recurrenceId ? [dateTimeProperty('RECURRENCE-ID', event.recurrenceId, event.timeZone)] : []),
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  `STATUS:${event.status}`,
+  'TRANSP:OPAQUE',
+  ...(event.updatedAt ? [`LAST-MODIFIED:${formatUtc(event.updatedAt)}`] : []),
+  'END:VEVENT'
+];
+
+/**
+ * A whole iCalendar file
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown by apps that subscribe to it
+ * @param {Array<Object>} calendar.events - See eventLines
+ * @param {string} [calendar.method] - 'PUBLISH' for feeds and downloads
+ * @returns {string} - CRLF-separated, folded
+ */
+const buildCalendar = ({ name, events, method = 'PUBLISH' }) => {
+  const spans = new Map();
+  events.filter((event) => event.timeZone !== 'UTC').forEach((event) => {
+    const last = Date.parse(event.end) + (event.recurrence
+      ? (event.recurrence.count - 1) * event.recurrence.intervalWeeks * WEEK_MS
+      : 0);
+    const span = spans.get(event.timeZone) || { from: Infinity, to: -Infinity };
+    spans.set(event.timeZone, {
+      from: Math.min(span.from, Date.parse(event.start), event.recurrenceId ? Date.parse(event.recurrenceId) : Infinity),
+      to: Math.max(span.to, last)
+    });
+  });
+
+  const stamp = Date.now();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...[...spans].flatMap(([timeZone, { from, to }]) => timeZoneLines(timeZone, from, to)),
+    ...events.flatMap((event) => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildCalendar
+};
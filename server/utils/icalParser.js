@@ -0,0 +1,411 @@
+const { isValidTimeZone, zonedTimeToUtc } = require('./timezone');
+const { addDays, isValidDate } = require('./schedule');
+
+/**
+ * Reading iCalendar (RFC 5545) files from other calendars as busy times
+ * Only when an event happens is read; titles, attendees and descriptions are
+ * left in the file. Recurring events are expanded: RRULE with FREQ DAILY to
+ * YEARLY, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY and BYMONTH, plus RDATE,
+ * EXDATE and occurrences moved or cancelled by RECURRENCE-ID. A TZID is read as
+ * an IANA zone (or a common Windows name for one); floating times and all-day
+ * events are in the practitioner's zone.
+ */
+
+class IcalError extends Error {}
+
+// Refuses the whole calendar, where other IcalErrors only skip the event they're in
+class CalendarTooLargeError extends IcalError {}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// More than this in the imported span is refused rather than half-imported
+const MAX_BUSY_BLOCKS = 5000;
+
+// Periods (days, weeks, months or years) walked through for one RRULE, and for all of a calendar's;
+// a rule with COUNT is walked from its start, since occurrences before the imported span still count
+const MAX_RULE_PERIODS = 10000;
+const MAX_CALENDAR_PERIODS = 100000;
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+// Outlook and Exchange name zones the Windows way
+const WINDOWS_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'India Standard Time': 'Asia/Kolkata',
+  'Tokyo Standard Time': 'Asia/Tokyo'
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// 0 for Monday
+const weekdayOf = (date) => (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+
+// month is 1-12
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// NAME;PARAM=value;PARAM="quoted:value":VALUE
+const parseLine = (line) => {
+  let colon = 0;
+  let quoted = false;
+  for (; colon < line.length; colon += 1) {
+    if (line[colon] === '"') {
+      quoted = !quoted;
+    } else if (line[colon] === ':' && !quoted) {
+      break;
+    }
+  }
+  const [name, ...params] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  return {
+    name: name.toUpperCase(),
+    params: params.reduce((values, param) => {
+      const [key, ...value] = param.split('=');
+      return { ...values, [key.toUpperCase()]: value.join('=').replace(/^"|"$/g, '') };
+    }, {}),
+    value: line.slice(colon + 1)
+  };
+};
+
+/**
+ * The VEVENTs of a calendar, each as property name => [{ params, value }]
+ * @param {string} text
+ * @returns {Array<Object>}
+ * @throws {IcalError} - If it isn't an iCalendar file
+ */
+const parseEvents = (text) => {
+  const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(Boolean);
+  if (lines.length === 0 || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new IcalError('This is not an iCalendar (.ics) file');
+  }
+
+  const events = [];
+  let event = null;
+  // Components inside an event (alarms) whose properties aren't the event's
+  let nested = 0;
+  lines.forEach((line) => {
+    const property = parseLine(line.trim());
+    const component = property.value.toUpperCase();
+    if (property.name === 'BEGIN') {
+      if (component === 'VEVENT') {
+        event = {};
+        nested = 0;
+      } else if (event) {
+        nested += 1;
+      }
+    } else if (property.name === 'END') {
+      if (component === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      } else if (event) {
+        nested -= 1;
+      }
+    } else if (event && nested === 0) {
+      event[property.name] = [...(event[property.name] || []), property];
+    }
+  });
+  return events;
+};
+
+// A DATE (20261021) or DATE-TIME (20261021T090000, 20261021T090000Z) as { date, time, utc }; time is null for a date
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec(value.trim());
+  const date = match && `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match || !isValidDate(date)) {
+    throw new IcalError(`Unreadable date "${value}"`);
+  }
+  return { date, time: match[4] === undefined ? null : `${match[4]}:${match[5]}`, utc: Boolean(match[6]) };
+};
+
+// P1W, PT1H30M, P1DT12H, -PT15M; in milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new IcalError(`Unreadable duration "${value}"`);
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = (Number(weeks) * 7 + Number(days)) * DAY_MS
+    + (Number(hours) * 60 + Number(minutes)) * MINUTE_MS + Number(seconds) * 1000;
+  return sign === '-' ? -total : total;
+};
+
+// The zone a property's times are in
+const zoneOf = (property, fallback) => {
+  const tzid = property.params.TZID;
+  if (!tzid) {
+    return fallback;
+  }
+  // Some apps prefix the IANA name, e.g. /citadel.org/20190101_1/Europe/London
+  const candidates = [tzid, WINDOWS_ZONES[tzid], tzid.split('/').slice(-2).join('/')];
+  return candidates.find((zone) => zone && isValidTimeZone(zone)) || fallback;
+};
+
+// Each value of a property that can have several (EXDATE:20261021T090000Z,20261028T090000Z)
+const instantsOf = (properties = [], fallback) => properties.flatMap((property) => {
+  const zone = zoneOf(property, fallback);
+  return property.value.split(',').map((value) => {
+    const { date, time, utc } = parseDateValue(value);
+    return Date.parse(zonedTimeToUtc(date, time || '00:00', utc ? 'UTC' : zone));
+  });
+});
+
+// The dates of one month that match BYDAY (with optional ordinals, e.g. 2TU, -1FR) and BYMONTHDAY
+const monthDates = (year, month, byDay, byMonthDay) => {
+  const count = daysInMonth(year, month);
+  const days = byMonthDay
+    ? byMonthDay.map((day) => (day < 0 ? count + day + 1 : day)).filter((day) => day >= 1 && day <= count)
+    : Array.from({ length: count }, (_, index) => index + 1);
+  return [...new Set(days)]
+    .filter((day) => !byDay || byDay.some(({ ordinal, weekday }) => {
+      if (weekdayOf(`${year}-${pad(month)}-${pad(day)}`) !== weekday) {
+        return false;
+      }
+      if (ordinal > 0) {
+        return Math.ceil(day / 7) === ordinal;
+      }
+      return ordinal === 0 || Math.ceil((count - day + 1) / 7) === -ordinal;
+    }))
+    .sort((a, b) => a - b)
+    .map((day) => `${year}-${pad(month)}-${pad(day)}`);
+};
+
+/**
+ * The dates an RRULE repeats on, from the first date to the last (or until
+ * the rule's COUNT is used up - the caller counts)
+ * @param {Object} rule - RRULE parts, e.g. { FREQ: 'WEEKLY', BYDAY: 'MO,WE' }
+ * @param {string} first - DTSTART's date
+ * @param {string} last - YYYY-MM-DD
+ * @param {Object} options
+ * @param {string} [options.skipTo] - Periods before the one holding this date are passed over;
+ *   only for rules without COUNT
+ * @param {{ periods: number }} options.budget - Periods the calendar has left, used up here
+ * @returns {Generator<string>}
+ * @throws {IcalError} - Past MAX_RULE_PERIODS; CalendarTooLargeError once the budget is spent
+ */
+function* ruleDates(rule, first, last, { skipTo = first, budget }) {
+  const interval = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+  const byDay = rule.BYDAY && rule.BYDAY.split(',').map((value) => {
+    const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(value.trim());
+    if (!match) {
+      throw new IcalError(`Unreadable BYDAY "${value}"`);
+    }
+    return { ordinal: match[1] ? Number(match[1]) : 0, weekday: WEEKDAYS.indexOf(match[2]) };
+  });
+  const byMonthDay = rule.BYMONTHDAY && rule.BYMONTHDAY.split(',').map(Number);
+  const byMonth = rule.BYMONTH && rule.BYMONTH.split(',').map(Number);
+  const [year, month, day] = first.split('-').map(Number);
+  // Monthly and yearly rules without BYDAY repeat on DTSTART's day of the month
+  const monthDays = byMonthDay || (byDay ? null : [day]);
+
+  const [skipYear, skipMonth] = skipTo.split('-').map(Number);
+  const daysToSkip = Math.round((Date.parse(`${skipTo}T00:00:00Z`) - Date.parse(`${first}T00:00:00Z`)) / DAY_MS);
+  const firstPeriod = Math.max(0, Math.floor({
+    DAILY: daysToSkip / interval,
+    WEEKLY: (daysToSkip + weekdayOf(first)) / (7 * interval),
+    MONTHLY: ((skipYear - year) * 12 + skipMonth - month) / interval,
+    YEARLY: (skipYear - year) / interval
+  }[rule.FREQ] || 0));
+
+  for (let period = firstPeriod; ; period += 1) {
+    if (period - firstPeriod >= MAX_RULE_PERIODS) {
+      throw new IcalError('An event repeats too often to read');
+    }
+    budget.periods -= 1;
+    if (budget.periods < 0) {
+      throw new CalendarTooLargeError('This calendar has too many repeating events to import');
+    }
+    let periodStart;
+    let candidates;
+    if (rule.FREQ === 'DAILY') {
+      periodStart = addDays(first, period * interval);
+      candidates = [periodStart].filter((date) =>
+        (!byDay || byDay.some(({ weekday }) => weekday === weekdayOf(date)))
+        && (!byMonth || byMonth.includes(Number(date.slice(5, 7))))
+        && (!byMonthDay || byMonthDay.includes(Number(date.slice(8, 10)))));
+    } else if (rule.FREQ === 'WEEKLY') {
+      periodStart = addDays(first, period * 7 * interval - weekdayOf(first));
+      candidates = (byDay || [{ weekday: weekdayOf(first) }])
+        .map(({ weekday }) => addDays(periodStart, weekday))
+        .sort();
+    } else if (rule.FREQ === 'MONTHLY') {
+      const months = (month - 1) + period * interval;
+      const periodYear = year + Math.floor(months / 12);
+      const periodMonth = (months % 12) + 1;
+      periodStart = `${periodYear}-${pad(periodMonth)}-01`;
+      candidates = !byMonth || byMonth.includes(periodMonth)
+        ? monthDates(periodYear, periodMonth, byDay, monthDays)
+        : [];
+    } else if (rule.FREQ === 'YEARLY') {
+      const periodYear = year + period * interval;
+      periodStart = `${periodYear}-01-01`;
+      candidates = (byMonth || [month]).sort((a, b) => a - b)
+        .flatMap((periodMonth) => monthDates(periodYear, periodMonth, byDay, monthDays));
+    } else {
+      throw new IcalError(`Repeating ${rule.FREQ || 'without a FREQ'} isn't supported`);
+    }
+
+    if (periodStart > last) {
+      return;
+    }
+    for (const date of candidates) {
+      if (date > last) {
+        return;
+      }
+      if (date > first) {
+        yield date;
+      }
+    }
+  }
+}
+
+/**
+ * The busy times in a calendar between two instants
+ * @param {string} text - The .ics file
+ * @param {Object} options
+ * @param {string} options.timeZone - For floating times and all-day events
+ * @param {number} options.from - Milliseconds since the epoch
+ * @param {number} options.to
+ * @returns {{ blocks: Array<{ start: string, end: string }>, skipped: number }} - blocks soonest
+ *   first; skipped counts events that couldn't be read (or whose repeats couldn't be)
+ * @throws {IcalError}
+ */
+const readBusyTimes = (text, { timeZone, from, to }) => {
+  const events = parseEvents(text);
+  const lastDate = addDays(new Date(to).toISOString().slice(0, 10), 1);
+  const blocks = [];
+  const budget = { periods: MAX_CALENDAR_PERIODS };
+  let skipped = 0;
+  const tooManyBlocks = () =>
+    new CalendarTooLargeError(`This calendar has more than ${MAX_BUSY_BLOCKS} events in the imported period`);
+  const inSpan = (block) => block.end > block.start && block.end > from && block.start < to;
+
+  const isBusy = (event) =>
+    !(event.TRANSP && event.TRANSP[0].value.toUpperCase() === 'TRANSPARENT')
+    && !(event.STATUS && event.STATUS[0].value.toUpperCase() === 'CANCELLED');
+
+  // Moved or cancelled occurrences, by UID and the instant they replace
+  const replaced = new Map();
+  events.filter((event) => event['RECURRENCE-ID'] && event.UID).forEach((event) => {
+    try {
+      const [instant] = instantsOf(event['RECURRENCE-ID'], timeZone);
+      replaced.set(`${event.UID[0].value}|${instant}`, true);
+    } catch (error) {
+      skipped += 1;
+    }
+  });
+
+  events.forEach((event) => {
+    try {
+      if (!event.DTSTART) {
+        throw new IcalError('An event has no start');
+      }
+      const start = parseDateValue(event.DTSTART[0].value);
+      const allDay = start.time === null;
+      const zone = start.utc ? 'UTC' : allDay ? timeZone : zoneOf(event.DTSTART[0], timeZone);
+      const startOf = (date) => Date.parse(zonedTimeToUtc(date, start.time || '00:00', zone));
+
+      // Length in days for all-day events (so a day stays a day across DST), else in milliseconds
+      let days = 1;
+      let length = 0;
+      if (event.DTEND) {
+        const end = parseDateValue(event.DTEND[0].value);
+        days = Math.round((Date.parse(`${end.date}T00:00:00Z`) - Date.parse(`${start.date}T00:00:00Z`)) / DAY_MS);
+        length = allDay ? 0 : instantsOf(event.DTEND, timeZone)[0] - startOf(start.date);
+      } else if (event.DURATION) {
+        length = parseDuration(event.DURATION[0].value);
+        days = Math.round(length / DAY_MS);
+      }
+      const blockOf = (date) => {
+        const instant = startOf(date);
+        const end = allDay ? Date.parse(zonedTimeToUtc(addDays(date, days), '00:00', zone)) : instant + length;
+        return { start: instant, end };
+      };
+
+      if (!isBusy(event)) {
+        return;
+      }
+      const uid = event.UID ? event.UID[0].value : null;
+      const first = blockOf(start.date);
+      const instances = [first].filter(inSpan);
+      if (event.RRULE && !event['RECURRENCE-ID']) {
+        const rule = event.RRULE[0].value.split(';').reduce((parts, part) => {
+          const [key, value] = part.split('=');
+          return { ...parts, [key.toUpperCase()]: value };
+        }, {});
+        const unsupported = Object.keys(rule).find((key) => !SUPPORTED_RULE_PARTS.includes(key));
+        if (unsupported) {
+          throw new IcalError(`Repeating by ${unsupported} isn't supported`);
+        }
+        const count = parseInt(rule.COUNT, 10) || Infinity;
+        const until = rule.UNTIL ? instantsOf([{ params: {}, value: rule.UNTIL }], zone)[0] : Infinity;
+        const untilDate = until === Infinity ? lastDate : addDays(new Date(until).toISOString().slice(0, 10), 1);
+        const last = untilDate < lastDate ? untilDate : lastDate;
+        // Occurrences that start before this date end before from, whatever the zone's offset, and are only counted
+        const reach = Math.max(0, allDay ? days * DAY_MS : length);
+        const firstNeeded = addDays(new Date(Math.max(0, from - reach)).toISOString().slice(0, 10), -1);
+        const skipTo = count === Infinity ? firstNeeded : start.date;
+        let occurrences = 1;
+        for (const date of ruleDates(rule, start.date, last, { skipTo, budget })) {
+          if (occurrences >= count) {
+            break;
+          }
+          occurrences += 1;
+          if (date >= firstNeeded) {
+            const block = blockOf(date);
+            if (block.start > until) {
+              break;
+            }
+            if (inSpan(block)) {
+              instances.push(block);
+            }
+            if (blocks.length + instances.length > MAX_BUSY_BLOCKS) {
+              throw tooManyBlocks();
+            }
+          }
+        }
+      }
+      const duration = first.end - first.start;
+      instances.push(...instantsOf(event.RDATE, zone).map((instant) => ({ start: instant, end: instant + duration })));
+
+      const excluded = new Set(instantsOf(event.EXDATE, zone));
+      instances
+        .filter((block) => event['RECURRENCE-ID'] || !excluded.has(block.start))
+        .filter((block) => event['RECURRENCE-ID'] || !replaced.has(`${uid}|${block.start}`))
+        .filter(inSpan)
+        .forEach((block) => blocks.push(block));
+    } catch (error) {
+      if (!(error instanceof IcalError) || error instanceof CalendarTooLargeError) {
+        throw error;
+      }
+      skipped += 1;
+    }
+  });
+
+  if (blocks.length > MAX_BUSY_BLOCKS) {
+    throw tooManyBlocks();
+  }
+  return {
+    blocks: blocks
+      .sort((a, b) => a.start - b.start)
+      .map((block) => ({ start: new Date(block.start).toISOString(), end: new Date(block.end).toISOString() })),
+    skipped
+  };
+};
+
+module.exports = {
+  IcalError,
+  readBusyTimes
+};
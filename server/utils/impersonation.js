@@ -0,0 +1,115 @@
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { getSession, isSessionIdle } = require('./sessions');
+
+/**
+ * "View as" - an admin sees the app exactly as another user does
+ * Each impersonation is a row in impersonation_sessions with the admin's stated
+ * reason. Its token (see signImpersonationToken in ./tokens) is read-only, can't be
+ * refreshed and stops working when the impersonation ends, expires or the admin's
+ * own session ends.
+ */
+
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES, 10) || 15;
+
+/**
+ * Start an impersonation
+ * @param {Object} options
+ * @param {Object} options.admin - { userId, sid } from the admin's access token
+ * @param {Object} options.target - User row of the account to view as
+ * @param {string} options.reason
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<Object>} - The impersonation session
+ */
+const startImpersonation = async ({ admin, target, reason, ipAddress = null, userAgent = null }) => {
+  const { lastID } = await dbRun(
+    `INSERT INTO impersonation_sessions (adminId, adminSessionId, targetUserId, reason, ipAddress, userAgent, expiresAt)
+     VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+    [admin.userId, admin.sid || null, target.id, reason, ipAddress, userAgent, `+${IMPERSONATION_MINUTES} minutes`]
+  );
+  return getImpersonation(lastID);
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|undefined>}
+ */
+const getImpersonation = (id) => dbGet('SELECT * FROM impersonation_sessions WHERE id = ?', [id]);
+
+/**
+ * Whether an impersonation can still be used
+ * It ends with the admin's own session, so signing out (or idling out) ends it too.
+ * @param {Object} impersonation - Row from getImpersonation
+ * @returns {Promise<boolean>}
+ */
+const isImpersonationActive = async (impersonation) => {
+  if (!impersonation || impersonation.endedAt) {
+    return false;
+  }
+  if (new Date(`${impersonation.expiresAt.replace(' ', 'T')}Z`).getTime() <= Date.now()) {
+    return false;
+  }
+  if (impersonation.adminSessionId) {
+    const session = await getSession(impersonation.adminSessionId);
+    if (!session || session.revokedAt || isSessionIdle(session)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * End an impersonation early
+ * @param {number} id
+ * @param {string} reason - e.g. 'Exited', 'Logout'
+ * @param {number} [adminId] - Only end it if it belongs to this admin
+ * @returns {Promise<boolean>} - false if there was no running impersonation to end
+ */
+const endImpersonation = async (id, reason, adminId = null) => {
+  const { changes } = await dbRun(
+    `UPDATE impersonation_sessions SET endedAt = CURRENT_TIMESTAMP, endedReason = ?
+     WHERE id = ? AND endedAt IS NULL ${adminId ? 'AND adminId = ?' : ''}`,
+    adminId ? [reason, id, adminId] : [reason, id]
+  );
+  return changes > 0;
+};
+
+/**
+ * End every running impersonation started from an admin session that has ended
+ * @param {string} sessionId
+ * @param {string} reason
+ */
+const endImpersonationsForSession = (sessionId, reason) => dbRun(
+  `UPDATE impersonation_sessions SET endedAt = CURRENT_TIMESTAMP, endedReason = ?
+   WHERE adminSessionId = ? AND endedAt IS NULL AND expiresAt > datetime('now')`,
+  [`Admin session ended: ${reason}`, sessionId]
+);
+
+/**
+ * Impersonations for the access report, with how many requests were made in each
+ * @param {Object} [range]
+ * @param {string} [range.from] - ISO date
+ * @param {string} [range.to] - ISO date
+ */
+const listImpersonations = ({ from = null, to = null } = {}) => dbAll(
+  `SELECT i.id, i.adminId, a.firstName AS adminFirstName, a.lastName AS adminLastName,
+          i.targetUserId, t.firstName AS targetFirstName, t.lastName AS targetLastName, t.userType AS targetUserType,
+          i.reason, i.ipAddress, i.startedAt, i.expiresAt, i.endedAt, i.endedReason,
+          (SELECT COUNT(*) FROM audit_logs l WHERE l.accessMode = 'impersonation' AND l.accessId = i.id) AS requestCount
+   FROM impersonation_sessions i
+   LEFT JOIN users a ON a.id = i.adminId
+   LEFT JOIN users t ON t.id = i.targetUserId
+   WHERE (? IS NULL OR i.startedAt >= datetime(?)) AND (? IS NULL OR i.startedAt < datetime(?))
+   ORDER BY i.startedAt DESC, i.id DESC`,
+  [from, from, to, to]
+);
+
+module.exports = {
+  IMPERSONATION_MINUTES,
+  startImpersonation,
+  getImpersonation,
+  isImpersonationActive,
+  endImpersonation,
+  endImpersonationsForSession,
+  listImpersonations
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { hash } = require('../middleware/encryption');
+const { sendMail, clientUrl } = require('./mailer');
+
+/**
+ * Staff account invitations
+ * Admin and practitioner accounts can only be created by accepting an invitation
+ * issued by an existing admin; public signup creates patients only.
+ */
+
+const INVITABLE_USER_TYPES = ['admin', 'practitioner'];
+const INVITATION_EXPIRY_DAYS = parseInt(process.env.INVITATION_EXPIRY_DAYS, 10) || 7;
+
+const USER_TYPE_LABELS = {
+  admin: 'an administrator',
+  practitioner: 'a practitioner'
+};
+
+/**
+ * Create an invitation, replacing any earlier open invitation for the same email
+ * @param {Object} invitation
+ * @param {string} invitation.email
+ * @param {string} invitation.userType - 'admin' or 'practitioner'
+ * @param {number} invitation.invitedBy - Admin user ID
+ * @returns {Promise<{ id: number, email: string, userType: string, expiresAt: string, token: string }>}
+ */
+const createInvitation = async ({ email, userType, invitedBy }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await dbRun(
+    `UPDATE invitations SET revokedAt = CURRENT_TIMESTAMP
+     WHERE email = ? AND acceptedAt IS NULL AND revokedAt IS NULL`,
+    [email]
+  );
+  const { lastID } = await dbRun(
+    `INSERT INTO invitations (email, userType, tokenHash, invitedBy, expiresAt)
+     VALUES (?, ?, ?, ?, datetime('now', ?))`,
+    [email, userType, hash(token), invitedBy, `+${INVITATION_EXPIRY_DAYS} days`]
+  );
+
+  const row = await dbGet('SELECT expiresAt FROM invitations WHERE id = ?', [lastID]);
+  return { id: lastID, email, userType, expiresAt: row.expiresAt, token };
+};
+
+/**
+ * Look up an invitation that can still be accepted
+ * @param {string} token - Plain token from the invitation link
+ * @returns {Promise<Object|undefined>}
+ */
+const findOpenInvitation = (token) => dbGet(
+  `SELECT id, email, userType, expiresAt FROM invitations
+   WHERE tokenHash = ? AND acceptedAt IS NULL AND revokedAt IS NULL AND expiresAt > datetime('now')`,
+  [hash(String(token || ''))]
+);
+
+/**
+ * Claim an invitation so it cannot be accepted twice
+ * @param {number} id
+ * @returns {Promise<boolean>} - false if it was accepted, revoked or expired in the meantime
+ */
+const claimInvitation = async (id) => {
+  const { changes } = await dbRun(
+    `UPDATE invitations SET acceptedAt = CURRENT_TIMESTAMP
+     WHERE id = ? AND acceptedAt IS NULL AND revokedAt IS NULL AND expiresAt > datetime('now')`,
+    [id]
+  );
+  return changes > 0;
+};
+
+/**
+ * Undo a claim when the account could not be created
+ * @param {number} id
+ */
+const releaseInvitation = (id) => dbRun(
+  'UPDATE invitations SET acceptedAt = NULL WHERE id = ? AND acceptedUserId IS NULL',
+  [id]
+);
+
+/**
+ * Record which account was created from an invitation
+ * @param {number} id
+ * @param {number} userId
+ */
+const completeInvitation = (id, userId) => dbRun(
+  'UPDATE invitations SET acceptedUserId = ? WHERE id = ?',
+  [userId, id]
+);
+
+/**
+ * Revoke an open invitation
+ * @param {number} id
+ * @returns {Promise<boolean>} - false if not found or no longer open
+ */
+const revokeInvitation = async (id) => {
+  const { changes } = await dbRun(
+    'UPDATE invitations SET revokedAt = CURRENT_TIMESTAMP WHERE id = ? AND acceptedAt IS NULL AND revokedAt IS NULL',
+    [id]
+  );
+  return changes > 0;
+};
+
+/**
+ * List invitations, newest first, with a derived status
+ * @returns {Promise<Array<Object>>}
+ */
+const listInvitations = () => dbAll(
+  `SELECT i.id, i.email, i.userType, i.invitedBy, i.expiresAt, i.acceptedAt, i.acceptedUserId, i.revokedAt, i.createdAt,
+          CASE
+            WHEN i.acceptedAt IS NOT NULL THEN 'accepted'
+            WHEN i.revokedAt IS NOT NULL THEN 'revoked'
+            WHEN i.expiresAt <= datetime('now') THEN 'expired'
+            ELSE 'pending'
+          END AS status
+   FROM invitations i
+   ORDER BY i.createdAt DESC, i.id DESC`
+);
+
+/**
+ * Email the invitation link
+ * @param {Object} invitation - { email, userType }
+ * @param {string} token
+ * @param {Object} inviter - { firstName, lastName }
+ */
+const sendInvitationEmail = async (invitation, token, inviter) => {
+  const link = clientUrl('/accept-invitation', { token });
+  const inviterName = inviter ? `${inviter.firstName} ${inviter.lastName}` : 'An administrator';
+
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to KNKO',
+    template: 'invitation',
+    text: [
+      `${inviterName} has invited you to join KNKO as ${USER_TYPE_LABELS[invitation.userType]}.`,
+      '',
+      'Use the link below to set up your account:',
+      link,
+      '',
+      `This invitation expires in ${INVITATION_EXPIRY_DAYS} days. If you weren't expecting it, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  INVITABLE_USER_TYPES,
+  createInvitation,
+  findOpenInvitation,
+  claimInvitation,
+  releaseInvitation,
+  completeInvitation,
+  revokeInvitation,
+  listInvitations,
+  sendInvitationEmail
+};
@@ -0,0 +1,129 @@
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+/**
+ * Clinic locations and the time zone each practitioner's hours are in:
+ * their own time zone if set, else their location's, else DEFAULT_TIMEZONE.
+ */
+
+/**
+ * Error raised for a duplicate location name, or a location or practitioner that doesn't exist
+ * code is 'DUPLICATE' or 'NOT_FOUND'
+ */
+class LocationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LocationError';
+    this.code = code;
+  }
+}
+
+const LOCATION_COLUMNS = 'id, name, address, timezone, createdAt, updatedAt';
+
+/**
+ * @returns {Promise<Array<Object>>} - Every location with how many practitioners work there
+ */
+const listLocations = () => dbAll(
+  `SELECT ${LOCATION_COLUMNS},
+          (SELECT COUNT(*) FROM users WHERE users.locationId = locations.id) AS practitionerCount
+   FROM locations ORDER BY name`
+);
+
+const assertNameFree = async (name, id = null) => {
+  const existing = await dbGet('SELECT id FROM locations WHERE name = ? AND id IS NOT ?', [name, id]);
+  if (existing) {
+    throw new LocationError('DUPLICATE', `There is already a location called ${name}`);
+  }
+};
+
+/**
+ * @param {Object} location - { name, address, timezone }
+ * @returns {Promise<Object>}
+ */
+const addLocation = async ({ name, address, timezone }) => {
+  await assertNameFree(name);
+  const { lastID } = await dbRun(
+    'INSERT INTO locations (name, address, timezone) VALUES (?, ?, ?)',
+    [name, address || null, timezone]
+  );
+  return dbGet(`SELECT ${LOCATION_COLUMNS} FROM locations WHERE id = ?`, [lastID]);
+};
+
+/**
+ * Change a location - practitioners there without their own time zone follow a new one
+ * @param {number} id
+ * @param {Object} location - { name, address, timezone }
+ * @returns {Promise<Object>}
+ */
+const updateLocation = async (id, { name, address, timezone }) => {
+  await assertNameFree(name, id);
+  const { changes } = await dbRun(
+    'UPDATE locations SET name = ?, address = ?, timezone = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, address || null, timezone, id]
+  );
+  if (changes === 0) {
+    throw new LocationError('NOT_FOUND', 'Location not found');
+  }
+  return dbGet(`SELECT ${LOCATION_COLUMNS} FROM locations WHERE id = ?`, [id]);
+};
+
+/**
+ * Delete a location - its practitioners are left without one
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+const deleteLocation = async (id) => {
+  await dbRun('UPDATE users SET locationId = NULL WHERE locationId = ?', [id]);
+  return (await dbRun('DELETE FROM locations WHERE id = ?', [id])).changes > 0;
+};
+
+/**
+ * @param {number} practitionerId
+ * @param {number|null} locationId - null removes them from their location
+ */
+const assignLocation = async (practitionerId, locationId) => {
+  if (locationId !== null && !(await dbGet('SELECT id FROM locations WHERE id = ?', [locationId]))) {
+    throw new LocationError('NOT_FOUND', 'Location not found');
+  }
+  const { changes } = await dbRun(
+    "UPDATE users SET locationId = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND userType = 'practitioner'",
+    [locationId, practitionerId]
+  );
+  if (changes === 0) {
+    throw new LocationError('NOT_FOUND', 'Practitioner not found');
+  }
+};
+
+/**
+ * Where practitioners work and the time zone of their hours
+ * @param {Array<number>} practitionerIds
+ * @returns {Promise<Object>} - practitionerId => { timeZone, location: { id, name } | null }
+ */
+const loadPractitionerZones = async (practitionerIds) => {
+  if (practitionerIds.length === 0) {
+    return {};
+  }
+  const rows = await dbAll(
+    `SELECT u.id, u.timezone, l.id AS locationId, l.name AS locationName, l.timezone AS locationTimezone
+     FROM users u LEFT JOIN locations l ON l.id = u.locationId
+     WHERE u.id IN (${practitionerIds.map(() => '?').join(',')})`,
+    practitionerIds
+  );
+  return rows.reduce((zones, row) => {
+    zones[row.id] = {
+      timeZone: row.timezone || row.locationTimezone || DEFAULT_TIMEZONE,
+      location: row.locationId ? { id: row.locationId, name: row.locationName } : null
+    };
+    return zones;
+  }, {});
+};
+
+module.exports = {
+  LocationError,
+  listLocations,
+  addLocation,
+  updateLocation,
+  deleteLocation,
+  assignLocation,
+  loadPractitionerZones
+};
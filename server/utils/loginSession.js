@@ -0,0 +1,196 @@
+const AuditLogger = require('../middleware/auditLogger');
+const { clearFailedLogins } = require('../middleware/accountLockout');
+const { issueTokens, signChallengeToken } = require('./tokens');
+const { getMfaStatus } = require('./mfa');
+const { hasRecentSession } = require('./sessions');
+const { tokenResponse } = require('./authCookies');
+
+// Accounts that exist but may not sign in, and what to tell them
+const ACCOUNT_STATUS_ERRORS = {
+  pending: 'Your account is awaiting approval by an administrator',
+  suspended: 'Your account has been suspended. Please contact an administrator.'
+};
+
+/**
+ * Shape of the user object returned to the client
+ * @param {Object} user - User row
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  userType: user.userType
+});
+
+/**
+ * Respond 403 (and audit) when the account is pending or suspended
+ * @returns {boolean} - true if the login was rejected
+ */
+const rejectInactiveAccount = (req, res, user) => {
+  const error = ACCOUNT_STATUS_ERRORS[user.status];
+  if (!error) {
+    return false;
+  }
+
+  AuditLogger.log({
+    userId: user.id,
+    userType: user.userType,
+    action: 'LOGIN',
+    resource: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent') || 'Unknown',
+    status: 'FAILURE',
+    details: `Account ${user.status}`
+  });
+  res.status(403).json({ error, accountStatus: user.status });
+  return true;
+};
+
+/**
+ * Continue a login once the primary credential has been verified:
+ * reject inactive accounts, ask for a second factor when MFA applies,
+ * otherwise complete the login
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Full user row
+ * @param {Object} [options] - Passed on to completeLogin
+ */
+const beginLogin = async (req, res, user, options = {}) => {
+  if (rejectInactiveAccount(req, res, user)) {
+    return;
+  }
+
+  // Staff accounts with MFA enrolled (or required by policy) need a second step
+  let mfa;
+  try {
+    mfa = await getMfaStatus(user);
+  } catch (mfaError) {
+    console.error('Error checking MFA status:', mfaError);
+    return res.status(500).json({ error: 'An error occurred' });
+  }
+
+  if (mfa.enabled || mfa.required) {
+    const purpose = mfa.enabled ? 'mfa_challenge' : 'mfa_enrollment';
+    AuditLogger.log({
+      userId: user.id,
+      userType: user.userType,
+      action: mfa.enabled ? 'MFA_CHALLENGE_ISSUED' : 'MFA_ENROLLMENT_REQUIRED',
+      resource: req.originalUrl,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent') || 'Unknown',
+      status: 'SUCCESS',
+      details: 'Primary credential verified, awaiting second factor'
+    });
+
+    return res.json({
+      ...options.extra,
+      [mfa.enabled ? 'mfaRequired' : 'mfaEnrollmentRequired']: true,
+      ...(mfa.enabled && { mfaMethods: Object.keys(mfa.methods).filter((method) => mfa.methods[method]) }),
+      challengeToken: signChallengeToken(user, purpose)
+    });
+  }
+
+  completeLogin(req, res, user, options);
+};
+
+/**
+ * Finish a login once every required factor has been verified:
+ * issue tokens (as cookies when the client asked for them), mark practitioners
+ * active, audit and respond
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Full user row
+ * @param {Object} [options]
+ * @param {string} [options.details] - Audit log details
+ * @param {Object} [options.extra] - Extra fields merged into the response body
+ */
+const completeLogin = async (req, res, user, { details = 'Login successful', extra = {} } = {}) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent') || 'Unknown';
+
+  // The account may have been suspended while a second factor was pending
+  if (rejectInactiveAccount(req, res, user)) {
+    return;
+  }
+
+  // Issue a short-lived access token and a rotating refresh token
+  let tokens;
+  try {
+    tokens = await issueTokens(user, { ipAddress, userAgent });
+  } catch (tokenError) {
+    console.error('Error issuing tokens:', tokenError);
+    return res.status(500).json({ error: 'An error occurred' });
+  }
+
+  // Every factor passed - reset the per-account failure counter
+  clearFailedLogins(user.email).catch((lockoutError) => {
+    console.error('Error clearing failed logins:', lockoutError);
+  });
+
+  // If user is a practitioner, tell dashboards they are active (the new session counts as activity)
+  if (user.userType === 'practitioner') {
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('practitioner:status', {
+        userId: user.id,
+        isActive: true,
+        lastActivity: new Date().toISOString(),
+        practitioner: {
+          id: user.id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email
+        }
+      });
+    }
+  }
+
+  // Log successful login
+  AuditLogger.log({
+    userId: user.id,
+    userType: user.userType,
+    action: 'LOGIN',
+    resource: req.originalUrl,
+    ipAddress,
+    userAgent,
+    status: 'SUCCESS',
+    details
+  });
+
+  res.json({
+    message: 'Login successful',
+    ...tokenResponse(req, res, tokens),
+    user: toPublicUser(user),
+    ...extra
+  });
+};
+
+/**
+ * Tell connected clients that sessions have ended
+ * Sockets of the ended session (or of every session of the user) are told to sign
+ * out and disconnected; practitioners are shown offline once no device is left.
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {Object} user - { id, userType }
+ * @param {string} [sessionId] - Only this session ended; all of the user's sessions otherwise
+ */
+const announceSignOut = async (io, user, sessionId = null) => {
+  if (!io) {
+    return;
+  }
+
+  const room = sessionId ? `session:${sessionId}` : `user:${user.id}`;
+  io.to(room).emit('session:revoked');
+  io.in(room).disconnectSockets(true);
+
+  if (user.userType === 'practitioner' && !(await hasRecentSession(user.id))) {
+    io.emit('practitioner:status', { userId: user.id, isActive: false, lastActivity: null });
+  }
+};
+
+module.exports = {
+  toPublicUser,
+  beginLogin,
+  announceSignOut,
+  completeLogin
+};
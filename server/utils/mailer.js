@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { dbRun } = require('../config/database');
+
+/**
+ * Pluggable mail delivery
+ * A transport is an async function receiving { to, from, subject, text, html, template }.
+ * The default 'outbox' transport stores messages in the email_outbox table (and,
+ * when MAIL_OUTBOX_DIR is set, as .eml files) so the app runs without an SMTP server.
+ * Production deployments register their own transport with registerTransport().
+ */
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'KNKO <no-reply@knko.local>';
+
+/**
+ * Write a message as an .eml file for local inspection
+ * @param {string} directory
+ * @param {Object} message
+ */
+const writeEmlFile = (directory, message) => {
+  fs.mkdirSync(directory, { recursive: true });
+  const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.eml`;
+  const content = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text
+  ].join('\r\n');
+  fs.writeFileSync(path.join(directory, fileName), content);
+};
+
+const outboxTransport = async (message) => {
+  await dbRun(
+    `INSERT INTO email_outbox (toAddress, fromAddress, subject, textBody, htmlBody, template)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [message.to, message.from, message.subject, message.text, message.html || null, message.template || null]
+  );
+
+  if (process.env.MAIL_OUTBOX_DIR) {
+    writeEmlFile(process.env.MAIL_OUTBOX_DIR, message);
+  }
+};
+
+const consoleTransport = async (message) => {
+  console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+};
+
+const transports = {
+  outbox: outboxTransport,
+  console: consoleTransport
+};
+
+/**
+ * Register a named transport (e.g. an SMTP or API-based sender)
+ * @param {string} name
+ * @param {Function} transport - async (message) => void
+ */
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html]
+ * @param {string} [message.template] - Template name, kept for outbox inspection
+ */
+const sendMail = async (message) => {
+  const transport = getTransport();
+  await transport({ from: DEFAULT_FROM, ...message });
+};
+
+/**
+ * Build an absolute link into the React client
+ * @param {string} pathname - e.g. '/reset-password'
+ * @param {Object} [query]
+ */
+const clientUrl = (pathname, query = {}) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const search = new URLSearchParams(query).toString();
+  return `${base}${pathname}${search ? `?${search}` : ''}`;
+};
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  clientUrl
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { encrypt, decrypt, hash } = require('../middleware/encryption');
+const totp = require('./totp');
+const { countPasskeys } = require('./passkeys');
+
+/**
+ * Multi-factor authentication (TOTP) persistence helpers
+ */
+
+// HIPAA-covered staff accounts that can enrol an authenticator app
+const MFA_USER_TYPES = ['practitioner', 'admin'];
+const RECOVERY_CODE_COUNT = 10;
+const MFA_ISSUER = process.env.MFA_ISSUER || 'KNKO';
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Whether MFA applies to this kind of account at all
+ * @param {string} userType
+ */
+const isMfaEligible = (userType) => MFA_USER_TYPES.includes(userType);
+
+/**
+ * Get a user's MFA state - an authenticator app and a passkey both count as a second factor
+ * @param {Object} user - { id, userType }
+ * @returns {Promise<{ eligible: boolean, enabled: boolean, required: boolean, methods: { totp: boolean, passkey: boolean } }>}
+ */
+const getMfaStatus = async (user) => {
+  if (!isMfaEligible(user.userType)) {
+    return { eligible: false, enabled: false, required: false, methods: { totp: false, passkey: false } };
+  }
+
+  const mfa = await dbGet('SELECT enabled FROM user_mfa WHERE userId = ?', [user.id]);
+  const policy = await dbGet('SELECT required FROM mfa_policies WHERE userType = ?', [user.userType]);
+  const methods = {
+    totp: Boolean(mfa && mfa.enabled),
+    passkey: (await countPasskeys(user.id)) > 0
+  };
+
+  return {
+    eligible: true,
+    enabled: methods.totp || methods.passkey,
+    required: Boolean(policy && policy.required),
+    methods
+  };
+};
+
+/**
+ * Start (or restart) enrolment: store a new, not yet enabled secret
+ * @param {Object} user - { id, email }
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const beginEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+
+  await dbRun(
+    `INSERT INTO user_mfa (userId, secret, enabled) VALUES (?, ?, 0)
+     ON CONFLICT(userId) DO UPDATE SET secret = excluded.secret, enabled = 0, lastUsedStep = NULL, enrolledAt = NULL`,
+    [user.id, encrypt(secret)]
+  );
+
+  return {
+    secret,
+    otpauthUrl: totp.buildOtpauthUrl({ secret, accountName: user.email, issuer: MFA_ISSUER })
+  };
+};
+
+/**
+ * Verify a TOTP code for a user, rejecting replays of an already used code
+ * @param {number} userId
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {boolean} [options.pending=false] - Verify against a secret that is not yet enabled (enrolment)
+ * @returns {Promise<boolean>}
+ */
+const verifyTotpCode = async (userId, code, { pending = false } = {}) => {
+  const mfa = await dbGet('SELECT secret, enabled, lastUsedStep FROM user_mfa WHERE userId = ?', [userId]);
+  if (!mfa || Boolean(mfa.enabled) === pending) {
+    return false;
+  }
+
+  const step = totp.verifyCode(decrypt(mfa.secret), code);
+  if (step === null || (mfa.lastUsedStep !== null && step <= mfa.lastUsedStep)) {
+    return false;
+  }
+
+  await dbRun('UPDATE user_mfa SET lastUsedStep = ? WHERE userId = ?', [step, userId]);
+  return true;
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {number} userId
+ * @returns {Promise<string[]>} - Plain codes, shown to the user exactly once
+ */
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await dbRun('DELETE FROM mfa_recovery_codes WHERE userId = ?', [userId]);
+  for (const code of codes) {
+    await dbRun(
+      'INSERT INTO mfa_recovery_codes (userId, codeHash) VALUES (?, ?)',
+      [userId, hash(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+/**
+ * Use up a recovery code
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  const { changes } = await dbRun(
+    `UPDATE mfa_recovery_codes SET usedAt = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM mfa_recovery_codes WHERE userId = ? AND codeHash = ? AND usedAt IS NULL LIMIT 1
+     )`,
+    [userId, hash(normalizeRecoveryCode(code))]
+  );
+  return changes > 0;
+};
+
+/**
+ * Count recovery codes that have not been used yet
+ * @param {number} userId
+ */
+const countRecoveryCodes = async (userId) => {
+  const row = await dbGet(
+    'SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE userId = ? AND usedAt IS NULL',
+    [userId]
+  );
+  return row.remaining;
+};
+
+/**
+ * Mark a pending enrolment as complete
+ * @param {number} userId
+ */
+const enableMfa = (userId) => dbRun(
+  'UPDATE user_mfa SET enabled = 1, enrolledAt = CURRENT_TIMESTAMP WHERE userId = ?',
+  [userId]
+);
+
+/**
+ * Remove MFA from an account entirely
+ * @param {number} userId
+ */
+const disableMfa = async (userId) => {
+  await dbRun('DELETE FROM user_mfa WHERE userId = ?', [userId]);
+  await dbRun('DELETE FROM mfa_recovery_codes WHERE userId = ?', [userId]);
+};
+
+/**
+ * List the MFA policy for every eligible userType
+ * @returns {Promise<Array<{ userType: string, required: boolean, updatedAt: string|null }>>}
+ */
+const getMfaPolicies = async () => {
+  const rows = await dbAll('SELECT userType, required, updatedAt FROM mfa_policies');
+  return MFA_USER_TYPES.map((userType) => {
+    const row = rows.find((r) => r.userType === userType);
+    return {
+      userType,
+      required: Boolean(row && row.required),
+      updatedAt: row ? row.updatedAt : null
+    };
+  });
+};
+
+/**
+ * Set whether MFA is mandatory for a userType
+ * @param {string} userType
+ * @param {boolean} required
+ * @param {number} updatedBy - Admin user ID
+ */
+const setMfaPolicy = (userType, required, updatedBy) => dbRun(
+  `INSERT INTO mfa_policies (userType, required, updatedBy, updatedAt) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+   ON CONFLICT(userType) DO UPDATE SET required = excluded.required, updatedBy = excluded.updatedBy, updatedAt = CURRENT_TIMESTAMP`,
+  [userType, required ? 1 : 0, updatedBy]
+);
+
+module.exports = {
+  MFA_USER_TYPES,
+  isMfaEligible,
+  getMfaStatus,
+  beginEnrollment,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  enableMfa,
+  disableMfa,
+  getMfaPolicies,
+  setMfaPolicy
+};
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { dbRun, dbGet, dbTransaction } = require('../config/database');
+const { hash } = require('../middleware/encryption');
+const { assignDefaultRole } = require('./roles');
+const { clientUrl } = require('./mailer');
+
+/**
+ * OpenID Connect single sign-on (authorization code flow with PKCE)
+ * Providers are registered with registerProvider(); one is also registered from the
+ * OIDC_* environment variables when OIDC_ISSUER is set. IdP groups are mapped to
+ * our userType and unknown users are provisioned on their first login.
+ * Accounts created this way have no usable local password.
+ */
+
+// Stored instead of a bcrypt hash - bcrypt.compare() never matches it
+const NO_LOCAL_PASSWORD = '!';
+
+const LOGIN_REQUEST_MINUTES = 10;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+// Most privileged first - a user in several mapped groups gets the first match
+const USER_TYPE_PRECEDENCE = ['admin', 'practitioner', 'patient'];
+
+class OidcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+const providers = new Map();
+const metadataCache = new Map();
+
+/**
+ * Register an identity provider
+ * @param {Object} provider
+ * @param {string} provider.id - Used in URLs, e.g. 'clinic-sso'
+ * @param {string} provider.name - Shown on the login button
+ * @param {string} provider.issuer - Discovery is read from <issuer>/.well-known/openid-configuration
+ * @param {string} provider.clientId
+ * @param {string} [provider.clientSecret] - Omit for public clients (PKCE only)
+ * @param {string} [provider.scopes]
+ * @param {string} [provider.groupsClaim] - Claim holding the user's groups
+ * @param {Object} [provider.userTypeMapping] - { groupName: userType }
+ * @param {string} [provider.defaultUserType] - For users in no mapped group; they are refused when unset
+ * @param {string} [provider.redirectUri]
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.id, {
+    scopes: 'openid email profile',
+    groupsClaim: 'groups',
+    userTypeMapping: {},
+    defaultUserType: null,
+    redirectUri: clientUrl('/login/sso'),
+    ...provider
+  });
+};
+
+/**
+ * Parse 'group=userType,group=userType'
+ * @param {string} value
+ * @returns {Object}
+ */
+const parseUserTypeMapping = (value = '') => value
+  .split(',')
+  .map((entry) => entry.split('=').map((part) => part.trim()))
+  .filter(([group, userType]) => group && USER_TYPE_PRECEDENCE.includes(userType))
+  .reduce((mapping, [group, userType]) => ({ ...mapping, [group]: userType }), {});
+
+// The provider configured through OIDC_* (read on first use, after .env is loaded)
+let envProviderLoaded = false;
+const loadEnvProvider = () => {
+  if (envProviderLoaded) {
+    return;
+  }
+  envProviderLoaded = true;
+  if (!process.env.OIDC_ISSUER) {
+    return;
+  }
+
+  registerProvider({
+    id: process.env.OIDC_PROVIDER_ID || 'sso',
+    name: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    ...(process.env.OIDC_SCOPES && { scopes: process.env.OIDC_SCOPES }),
+    ...(process.env.OIDC_GROUPS_CLAIM && { groupsClaim: process.env.OIDC_GROUPS_CLAIM }),
+    userTypeMapping: parseUserTypeMapping(process.env.OIDC_USER_TYPE_MAP),
+    defaultUserType: USER_TYPE_PRECEDENCE.includes(process.env.OIDC_DEFAULT_USER_TYPE)
+      ? process.env.OIDC_DEFAULT_USER_TYPE
+      : null,
+    ...(process.env.OIDC_REDIRECT_URI && { redirectUri: process.env.OIDC_REDIRECT_URI })
+  });
+};
+
+/**
+ * Providers for the login page
+ * @returns {Array<{ id: string, name: string }>}
+ */
+const listProviders = () => {
+  loadEnvProvider();
+  return [...providers.values()].map(({ id, name }) => ({ id, name }));
+};
+
+const getProvider = (id) => {
+  loadEnvProvider();
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new OidcError('UNKNOWN_PROVIDER', 'Unknown identity provider');
+  }
+  return provider;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new OidcError('PROVIDER_ERROR', `Identity provider returned ${response.status} for ${url}`);
+  }
+  return response.json();
+};
+
+/**
+ * Discovery document and signing keys, cached for an hour
+ * @param {Object} provider
+ * @param {boolean} [refresh] - Refetch, e.g. when the ID token uses an unknown key
+ */
+const getMetadata = async (provider, refresh = false) => {
+  const cached = metadataCache.get(provider.id);
+  if (cached && !refresh && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+    return cached;
+  }
+
+  const discovery = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  const jwks = await fetchJson(discovery.jwks_uri);
+  const metadata = { discovery, keys: jwks.keys || [], fetchedAt: Date.now() };
+  metadataCache.set(provider.id, metadata);
+  return metadata;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Start a login: remember the PKCE verifier and nonce, and build the IdP URL
+ * @param {string} providerId
+ * @returns {Promise<{ authorizationUrl: string, state: string }>}
+ */
+const createAuthorizationRequest = async (providerId) => {
+  const provider = getProvider(providerId);
+  const { discovery } = await getMetadata(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(16));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await dbRun(
+    `INSERT INTO oidc_login_requests (stateHash, provider, codeVerifier, nonce, expiresAt)
+     VALUES (?, ?, ?, ?, datetime('now', ?))`,
+    [hash(state), provider.id, codeVerifier, nonce, `+${LOGIN_REQUEST_MINUTES} minutes`]
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return { authorizationUrl: `${discovery.authorization_endpoint}?${params}`, state };
+};
+
+/**
+ * Verify the ID token's signature and claims
+ * @returns {Promise<Object>} - Claims
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('INVALID_TOKEN', 'Malformed ID token');
+  }
+
+  const findKey = (keys) => keys.find((key) => (decoded.header.kid ? key.kid === decoded.header.kid : key.use !== 'enc'));
+  let metadata = await getMetadata(provider);
+  let jwk = findKey(metadata.keys);
+  if (!jwk) {
+    // The IdP may have rotated its keys
+    metadata = await getMetadata(provider, true);
+    jwk = findKey(metadata.keys);
+  }
+  if (!jwk) {
+    throw new OidcError('INVALID_TOKEN', 'ID token signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: SUPPORTED_ALGORITHMS,
+      issuer: metadata.discovery.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw new OidcError('INVALID_TOKEN', `ID token rejected: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('INVALID_TOKEN', 'ID token nonce mismatch');
+  }
+  return claims;
+};
+
+/**
+ * Finish a login: consume the state, exchange the code and verify the ID token
+ * @param {string} state
+ * @param {string} code
+ * @returns {Promise<{ provider: Object, claims: Object }>}
+ */
+const exchangeCode = async (state, code) => {
+  const request = await dbGet(
+    "SELECT * FROM oidc_login_requests WHERE stateHash = ? AND expiresAt > datetime('now')",
+    [hash(String(state || ''))]
+  );
+  // Single use, even if two callbacks race
+  const consumed = request && (await dbRun('DELETE FROM oidc_login_requests WHERE stateHash = ?', [request.stateHash])).changes === 1;
+  if (!consumed) {
+    throw new OidcError('INVALID_STATE', 'This sign-in attempt has expired. Please try again.');
+  }
+
+  const provider = getProvider(request.provider);
+  const { discovery } = await getMetadata(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: request.codeVerifier
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+  if (!tokens.id_token) {
+    throw new OidcError('INVALID_TOKEN', 'Identity provider returned no ID token');
+  }
+
+  let claims = await verifyIdToken(provider, tokens.id_token, request.nonce);
+
+  // Some IdPs only put email and groups in the userinfo response
+  if ((!claims.email || !claims[provider.groupsClaim]) && discovery.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(discovery.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims };
+    }
+  }
+
+  return { provider, claims };
+};
+
+/**
+ * Our userType for the IdP user, from their groups
+ * @returns {string|null} - null when the user may not sign in
+ */
+const mapUserType = (provider, claims) => {
+  const groups = [].concat(claims[provider.groupsClaim] || []);
+  const matched = groups.map((group) => provider.userTypeMapping[group]).filter(Boolean);
+  return USER_TYPE_PRECEDENCE.find((userType) => matched.includes(userType)) || provider.defaultUserType;
+};
+
+/**
+ * Give a linked account the userType its IdP groups map to now, so someone moved to
+ * another group at the IdP can't keep what the old one let them do. Only the role
+ * named after the old userType is swapped; roles an admin granted on top stay
+ * @returns {Promise<Object>} - The user row as it is now
+ */
+const applyUserType = async (user, userType) => {
+  if (user.userType === userType) {
+    return user;
+  }
+  await dbTransaction(async () => {
+    await dbRun('UPDATE users SET userType = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [userType, user.id]);
+    await dbRun('DELETE FROM user_roles WHERE userId = ? AND role = ?', [user.id, user.userType]);
+    await assignDefaultRole(user.id, userType);
+  });
+  return { ...user, userType };
+};
+
+/**
+ * The local account for an IdP user: linked earlier, linked now by verified email,
+ * or created just in time. Its userType follows the IdP groups on every sign-in
+ * @returns {Promise<{ user: Object, provisioned: boolean, previousUserType: string|null }>} -
+ *   previousUserType is set when the groups changed it
+ */
+const findOrProvisionUser = async (provider, claims) => {
+  const userType = mapUserType(provider, claims);
+  if (!userType) {
+    throw new OidcError('NOT_ALLOWED', 'Your account is not allowed to sign in to KNKO');
+  }
+
+  const identity = await dbGet(
+    'SELECT userId FROM user_identities WHERE provider = ? AND subject = ?',
+    [provider.id, claims.sub]
+  );
+  if (identity) {
+    await dbRun(
+      'UPDATE user_identities SET lastLoginAt = CURRENT_TIMESTAMP WHERE provider = ? AND subject = ?',
+      [provider.id, claims.sub]
+    );
+    const linked = await dbGet('SELECT * FROM users WHERE id = ?', [identity.userId]);
+    return {
+      user: await applyUserType(linked, userType),
+      provisioned: false,
+      previousUserType: linked.userType === userType ? null : linked.userType
+    };
+  }
+
+  if (!claims.email) {
+    throw new OidcError('MISSING_CLAIMS', 'Your identity provider did not share an email address');
+  }
+
+  let user = await dbGet('SELECT * FROM users WHERE email = ?', [claims.email]);
+  if (user && claims.email_verified !== true) {
+    // Linking on an unverified address would let anyone claim the account
+    throw new OidcError('NOT_ALLOWED', 'An account with this email already exists');
+  }
+
+  let provisioned = false;
+  let previousUserType = null;
+  if (user && user.userType !== userType) {
+    previousUserType = user.userType;
+    user = await applyUserType(user, userType);
+  }
+  if (!user) {
+    const [nameFirst, ...nameRest] = String(claims.name || '').split(' ');
+    const { lastID } = await dbRun(
+      `INSERT INTO users (email, password, firstName, lastName, userType, status)
+       VALUES (?, ?, ?, ?, ?, 'approved')`,
+      [
+        claims.email,
+        NO_LOCAL_PASSWORD,
+        claims.given_name || nameFirst || claims.email.split('@')[0],
+        claims.family_name || nameRest.join(' '),
+        userType
+      ]
+    );
+    await assignDefaultRole(lastID, userType);
+    user = await dbGet('SELECT * FROM users WHERE id = ?', [lastID]);
+    provisioned = true;
+  }
+
+  await dbRun(
+    `INSERT INTO user_identities (userId, provider, subject, email, lastLoginAt)
+     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [user.id, provider.id, claims.sub, claims.email]
+  );
+  return { user, provisioned, previousUserType };
+};
+
+/**
+ * @param {Object} user - User row
+ * @returns {boolean} - false for accounts that can only sign in through SSO
+ */
+const hasLocalPassword = (user) => user.password !== NO_LOCAL_PASSWORD;
+
+const purgeExpiredLoginRequests = () => dbRun(
+  "DELETE FROM oidc_login_requests WHERE expiresAt <= datetime('now')"
+);
+
+module.exports = {
+  OidcError,
+  registerProvider,
+  listProviders,
+  createAuthorizationRequest,
+  exchangeCode,
+  findOrProvisionUser,
+  hasLocalPassword,
+  purgeExpiredLoginRequests
+};
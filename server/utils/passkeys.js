@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { hash } = require('../middleware/encryption');
+const { getJwtSecret } = require('./tokens');
+const webauthn = require('./webauthn');
+
+/**
+ * Passkey (WebAuthn credential) persistence and ceremony options
+ * Patients can sign in with a passkey instead of a password; staff use one as
+ * their second factor. Challenges are single-use and stored hashed, like reset tokens.
+ */
+
+const CHALLENGE_MINUTES = 5;
+const MAX_PASSKEYS_PER_USER = 10;
+
+/**
+ * Relying party settings - by default the host and origin of CLIENT_URL
+ * @returns {{ id: string, name: string, origin: string }}
+ */
+const getRelyingParty = () => {
+  const clientUrl = new URL(process.env.CLIENT_URL || 'http://localhost:3000');
+  return {
+    id: process.env.WEBAUTHN_RP_ID || clientUrl.hostname,
+    name: process.env.WEBAUTHN_RP_NAME || 'KNKO',
+    origin: process.env.WEBAUTHN_ORIGIN || clientUrl.origin
+  };
+};
+
+// Stable per account, but doesn't reveal the user ID to the authenticator
+const getUserHandle = (userId) => crypto
+  .createHmac('sha256', getJwtSecret())
+  .update(`passkey-user:${userId}`)
+  .digest()
+  .toString('base64url');
+
+/**
+ * Store a new challenge
+ * @param {string} purpose - 'registration' or 'authentication'
+ * @param {number|null} userId - null for a passwordless login, where the user isn't known yet
+ * @returns {Promise<string>}
+ */
+const createChallenge = async (purpose, userId = null) => {
+  const challenge = crypto.randomBytes(32).toString('base64url');
+  await dbRun(
+    `INSERT INTO webauthn_challenges (challengeHash, purpose, userId, expiresAt)
+     VALUES (?, ?, ?, datetime('now', ?))`,
+    [hash(challenge), purpose, userId, `+${CHALLENGE_MINUTES} minutes`]
+  );
+  return challenge;
+};
+
+/**
+ * Use up the challenge the authenticator signed
+ * @param {Object} credential - As sent by the browser
+ * @param {string} purpose
+ * @param {number|null} userId
+ * @returns {Promise<string|null>} - The challenge, or null when unknown, expired or already used
+ */
+const consumeChallenge = async (credential, purpose, userId = null) => {
+  let challenge;
+  try {
+    challenge = JSON.parse(Buffer.from(credential.response.clientDataJSON, 'base64url').toString('utf8')).challenge;
+  } catch (error) {
+    return null;
+  }
+  if (typeof challenge !== 'string') {
+    return null;
+  }
+
+  const { changes } = await dbRun(
+    `DELETE FROM webauthn_challenges
+     WHERE challengeHash = ? AND purpose = ? AND userId IS ? AND expiresAt > datetime('now')`,
+    [hash(challenge), purpose, userId]
+  );
+  return changes === 1 ? challenge : null;
+};
+
+/**
+ * @param {number} userId
+ * @returns {Promise<Array<Object>>} - The user's passkeys, without key material
+ */
+const listPasskeys = (userId) => dbAll(
+  `SELECT id, name, transports, backedUp, createdAt, lastUsedAt
+   FROM passkeys WHERE userId = ? ORDER BY id`,
+  [userId]
+).then((rows) => rows.map((row) => ({
+  ...row,
+  transports: row.transports ? JSON.parse(row.transports) : [],
+  backedUp: Boolean(row.backedUp)
+})));
+
+/**
+ * @param {number} userId
+ */
+const countPasskeys = async (userId) => {
+  const row = await dbGet('SELECT COUNT(*) AS count FROM passkeys WHERE userId = ?', [userId]);
+  return row.count;
+};
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {Object} user - { id, email, firstName, lastName }
+ */
+const getRegistrationOptions = async (user) => {
+  const rp = getRelyingParty();
+  const existing = await dbAll('SELECT credentialId, transports FROM passkeys WHERE userId = ?', [user.id]);
+
+  return {
+    challenge: await createChallenge('registration', user.id),
+    rp: { id: rp.id, name: rp.name },
+    user: {
+      id: getUserHandle(user.id),
+      name: user.email,
+      displayName: `${user.firstName} ${user.lastName}`.trim()
+    },
+    pubKeyCredParams: webauthn.SUPPORTED_ALGORITHMS.map((alg) => ({ type: 'public-key', alg })),
+    timeout: CHALLENGE_MINUTES * 60 * 1000,
+    attestation: 'none',
+    authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+    // Don't register the same authenticator twice
+    excludeCredentials: existing.map((passkey) => ({
+      type: 'public-key',
+      id: passkey.credentialId,
+      transports: passkey.transports ? JSON.parse(passkey.transports) : undefined
+    }))
+  };
+};
+
+/**
+ * Verify a registration response and store the passkey
+ * @param {Object} user - { id }
+ * @param {Object} credential - As sent by the browser
+ * @param {string} [name] - Label shown in settings
+ * @returns {Promise<Object>} - The stored passkey, without key material
+ */
+const registerPasskey = async (user, credential, name) => {
+  if (await countPasskeys(user.id) >= MAX_PASSKEYS_PER_USER) {
+    throw new webauthn.WebAuthnError(`You can register up to ${MAX_PASSKEYS_PER_USER} passkeys`);
+  }
+
+  const challenge = await consumeChallenge(credential, 'registration', user.id);
+  if (!challenge) {
+    throw new webauthn.WebAuthnError('This passkey request has expired. Please try again.');
+  }
+
+  const rp = getRelyingParty();
+  const verified = webauthn.verifyRegistration(credential, { challenge, origin: rp.origin, rpId: rp.id });
+
+  const transports = Array.isArray(credential.response.transports)
+    ? credential.response.transports.filter((transport) => typeof transport === 'string')
+    : [];
+  const { lastID } = await dbRun(
+    `INSERT INTO passkeys (userId, credentialId, publicKey, algorithm, signCount, transports, aaguid, backedUp, name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user.id,
+      verified.credentialId,
+      JSON.stringify(verified.publicKey),
+      verified.algorithm,
+      verified.signCount,
+      JSON.stringify(transports),
+      verified.aaguid,
+      verified.backedUp ? 1 : 0,
+      name || 'Passkey'
+    ]
+  );
+
+  return (await listPasskeys(user.id)).find((passkey) => passkey.id === lastID);
+};
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {number|null} userId - Known user (second factor), or null for a passwordless login
+ */
+const getAuthenticationOptions = async (userId = null) => {
+  const rp = getRelyingParty();
+  const allowed = userId
+    ? await dbAll('SELECT credentialId, transports FROM passkeys WHERE userId = ?', [userId])
+    : [];
+
+  return {
+    challenge: await createChallenge('authentication', userId),
+    rpId: rp.id,
+    timeout: CHALLENGE_MINUTES * 60 * 1000,
+    // A passkey that replaces the password must also check who is holding it
+    userVerification: userId ? 'preferred' : 'required',
+    // Empty for a passwordless login: the authenticator offers its discoverable passkeys
+    allowCredentials: allowed.map((passkey) => ({
+      type: 'public-key',
+      id: passkey.credentialId,
+      transports: passkey.transports ? JSON.parse(passkey.transports) : undefined
+    }))
+  };
+};
+
+/**
+ * Verify an authentication response
+ * @param {Object} credential - As sent by the browser
+ * @param {number|null} userId - The user the challenge was issued for, or null for a passwordless login
+ * @returns {Promise<Object>} - The passkey row (with userId) that signed in
+ */
+const authenticatePasskey = async (credential, userId = null) => {
+  const passkey = credential && typeof credential.id === 'string'
+    ? await dbGet('SELECT * FROM passkeys WHERE credentialId = ?', [credential.id])
+    : null;
+
+  const challenge = credential && credential.response
+    ? await consumeChallenge(credential, 'authentication', userId)
+    : null;
+  if (!challenge) {
+    throw new webauthn.WebAuthnError('This passkey request has expired. Please try again.');
+  }
+  if (!passkey || (userId && passkey.userId !== userId)) {
+    throw new webauthn.WebAuthnError('Unknown passkey');
+  }
+  if (credential.response.userHandle && credential.response.userHandle !== getUserHandle(passkey.userId)) {
+    throw new webauthn.WebAuthnError('Passkey does not belong to this account');
+  }
+
+  const rp = getRelyingParty();
+  const { signCount, backedUp } = webauthn.verifyAssertion(
+    credential,
+    { challenge, origin: rp.origin, rpId: rp.id, requireUserVerification: !userId },
+    { publicKey: JSON.parse(passkey.publicKey), algorithm: passkey.algorithm, signCount: passkey.signCount }
+  );
+
+  await dbRun(
+    'UPDATE passkeys SET signCount = ?, backedUp = ?, lastUsedAt = CURRENT_TIMESTAMP WHERE id = ?',
+    [signCount, backedUp ? 1 : 0, passkey.id]
+  );
+  return passkey;
+};
+
+/**
+ * @param {number} userId
+ * @param {number} id
+ * @returns {Promise<boolean>} - false if the user has no such passkey
+ */
+const removePasskey = async (userId, id) => {
+  const { changes } = await dbRun('DELETE FROM passkeys WHERE id = ? AND userId = ?', [id, userId]);
+  return changes > 0;
+};
+
+const purgeExpiredChallenges = () => dbRun(
+  "DELETE FROM webauthn_challenges WHERE expiresAt <= datetime('now')"
+);
+
+module.exports = {
+  getRelyingParty,
+  listPasskeys,
+  countPasskeys,
+  getRegistrationOptions,
+  registerPasskey,
+  getAuthenticationOptions,
+  authenticatePasskey,
+  removePasskey,
+  purgeExpiredChallenges
+};
@@ -0,0 +1,108 @@
+const { dbRun, dbGet, dbAll } = require('../config/database');
+
+/**
+ * Cancellation and rescheduling policies
+ * A service's own policy wins over the clinic defaults. A patient who cancels a
+ * confirmed appointment less than cancelNoticeHours before it starts pays
+ * lateCancelFeePercent of its price. Patients can move an appointment up to
+ * maxReschedules times, and not inside the notice window. Practitioners and the
+ * front desk aren't bound by either.
+ */
+
+// 0 is a real setting here (no notice, no fee, no moves), so only a missing value falls back
+const envInteger = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Clinic defaults; a service can set its own
+const CANCELLATION_NOTICE_HOURS = envInteger('CANCELLATION_NOTICE_HOURS', 24);
+const LATE_CANCEL_FEE_PERCENT = envInteger('LATE_CANCEL_FEE_PERCENT', 50);
+const MAX_RESCHEDULES = envInteger('MAX_RESCHEDULES', 2);
+
+const POLICY_FIELDS = ['cancelNoticeHours', 'lateCancelFeePercent', 'maxReschedules'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CLINIC_POLICY = {
+  cancelNoticeHours: CANCELLATION_NOTICE_HOURS,
+  lateCancelFeePercent: LATE_CANCEL_FEE_PERCENT,
+  maxReschedules: MAX_RESCHEDULES
+};
+
+/**
+ * @param {Object} overrides - A service's own values; null ones follow the clinic
+ * @returns {Object} - { cancelNoticeHours, lateCancelFeePercent, maxReschedules }
+ */
+const resolvePolicy = (overrides) => POLICY_FIELDS.reduce((policy, field) => ({
+  ...policy,
+  [field]: overrides[field] ?? CLINIC_POLICY[field]
+}), {});
+
+/**
+ * @param {number} serviceId
+ * @returns {Promise<Object>} - The policy that applies to the service's appointments
+ */
+const getServicePolicy = async (serviceId) => resolvePolicy(
+  (await dbGet(`SELECT ${POLICY_FIELDS.join(', ')} FROM services WHERE id = ?`, [serviceId])) || {}
+);
+
+/**
+ * @returns {Promise<Array<Object>>} - Every active service with its own values (null for
+ *   the clinic default) and the policy that applies
+ */
+const listServicePolicies = async () => {
+  const rows = await dbAll(
+    `SELECT id, name, category, ${POLICY_FIELDS.join(', ')} FROM services WHERE active = 1 ORDER BY id`
+  );
+  return rows.map(({ id, name, category, ...overrides }) => ({
+    id,
+    name,
+    category,
+    overrides,
+    policy: resolvePolicy(overrides)
+  }));
+};
+
+/**
+ * @param {number} serviceId
+ * @param {Object} overrides - { cancelNoticeHours, lateCancelFeePercent, maxReschedules }; null follows the clinic
+ * @returns {Promise<boolean>} - false if there is no such service
+ */
+const setServicePolicy = async (serviceId, overrides) => {
+  const { changes } = await dbRun(
+    `UPDATE services SET ${POLICY_FIELDS.map((field) => `${field} = ?`).join(', ')} WHERE id = ?`,
+    [...POLICY_FIELDS.map((field) => overrides[field] ?? null), serviceId]
+  );
+  return changes > 0;
+};
+
+/**
+ * What cancelling an appointment now costs
+ * @param {Object} appointment - { status, start, priceCents }
+ * @param {Object} policy - From getServicePolicy
+ * @param {boolean} byPatient - false for the practitioner or front desk, who never pay a fee
+ * @param {number} [now]
+ * @returns {{ late: boolean, feeCents: number, deadline: string, policy: Object }}
+ *   deadline is the last instant it can be cancelled for free
+ */
+const cancellationTerms = (appointment, policy, byPatient, now = Date.now()) => {
+  const deadline = Date.parse(appointment.start) - policy.cancelNoticeHours * HOUR_MS;
+  const late = now > deadline;
+  const charged = late && byPatient && appointment.status === 'confirmed';
+  return {
+    late,
+    feeCents: charged ? Math.round((appointment.priceCents * policy.lateCancelFeePercent) / 100) : 0,
+    deadline: new Date(deadline).toISOString(),
+    policy
+  };
+};
+
+module.exports = {
+  CLINIC_POLICY,
+  POLICY_FIELDS,
+  getServicePolicy,
+  listServicePolicies,
+  setServicePolicy,
+  cancellationTerms
+};
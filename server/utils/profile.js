@@ -0,0 +1,68 @@
+const { dbGet } = require('../config/database');
+const { decrypt } = require('../middleware/encryption');
+const { hasLocalPassword } = require('./oidc');
+
+/**
+ * The account owner's view of their profile
+ * Phone and date of birth are stored encrypted and decrypted here.
+ */
+
+// A stored value that can no longer be decrypted (e.g. the key changed) reads as empty
+const safeDecrypt = (value) => {
+  try {
+    return decrypt(value);
+  } catch (error) {
+    console.error('Error decrypting profile field:', error.message);
+    return null;
+  }
+};
+
+/**
+ * New address of an email change that still awaits confirmation
+ * @param {number} userId
+ * @returns {Promise<string|null>}
+ */
+const getPendingEmail = async (userId) => {
+  const request = await dbGet(
+    `SELECT newEmail FROM email_change_requests
+     WHERE userId = ? AND usedAt IS NULL AND expiresAt > datetime('now')
+     ORDER BY id DESC LIMIT 1`,
+    [userId]
+  );
+  return request ? request.newEmail : null;
+};
+
+/**
+ * Profile as returned to the account owner
+ * @param {Object} user - User row
+ * @param {string|null} pendingEmail
+ */
+const toProfile = (user, pendingEmail) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  userType: user.userType,
+  phone: safeDecrypt(user.phone),
+  dateOfBirth: safeDecrypt(user.dateOfBirth),
+  pronouns: user.pronouns,
+  preferredContactMethod: user.preferredContactMethod,
+  // When null, times show in the browser's zone and a practitioner's hours are in their location's
+  timezone: user.timezone,
+  // false for single sign-on accounts, which can't change their password or email here
+  hasPassword: hasLocalPassword(user),
+  pendingEmail
+});
+
+/**
+ * @param {number} userId
+ * @returns {Promise<Object|null>}
+ */
+const loadProfile = async (userId) => {
+  const user = await dbGet('SELECT * FROM users WHERE id = ?', [userId]);
+  return user ? toProfile(user, await getPendingEmail(userId)) : null;
+};
+
+module.exports = {
+  loadProfile
+};
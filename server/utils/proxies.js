@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { hash } = require('../middleware/encryption');
+const { sendMail, clientUrl } = require('./mailer');
+
+/**
+ * Proxy access - a parent, guardian or caregiver acting for a patient
+ * The patient (dependent) invites the proxy by email and chooses what they may
+ * do; the proxy accepts while signed in to their own account with that email.
+ * Requests on the dependent's behalf carry the X-Acting-As header and are only
+ * accepted by endpoints that ask for one of the scopes (see requireAuth).
+ */
+
+const PROXY_SCOPES = ['book', 'view_documents', 'message'];
+const PROXY_RELATIONSHIPS = ['parent', 'guardian', 'caregiver', 'family', 'other'];
+const PROXY_INVITATION_DAYS = parseInt(process.env.PROXY_INVITATION_DAYS, 10) || 7;
+const MAX_PROXIES_PER_USER = 5;
+
+const SCOPE_LABELS = {
+  book: 'book and manage appointments',
+  view_documents: 'view documents and records',
+  message: 'message practitioners'
+};
+
+/**
+ * Error raised when a proxy relationship can't be created or changed
+ * code is 'NOT_FOUND', 'INVALID' or 'LIMIT'
+ */
+class ProxyError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProxyError';
+    this.code = code;
+  }
+}
+
+const toRelationship = (row) => ({ ...row, scopes: JSON.parse(row.scopes) });
+
+/**
+ * Invite someone to act for a patient
+ * An open invitation to the same email is replaced.
+ * @param {Object} options
+ * @param {Object} options.dependent - User row of the inviting patient
+ * @param {string} options.email - Proxy's email
+ * @param {string} options.relationship
+ * @param {Array<string>} options.scopes
+ * @returns {Promise<{ invitation: Object, token: string }>}
+ */
+const createProxyInvitation = async ({ dependent, email, relationship, scopes }) => {
+  if (email.toLowerCase() === dependent.email.toLowerCase()) {
+    throw new ProxyError('INVALID', 'You cannot invite yourself');
+  }
+
+  const active = await dbGet(
+    "SELECT COUNT(*) AS count FROM proxy_relationships WHERE dependentUserId = ? AND status = 'active'",
+    [dependent.id]
+  );
+  if (active.count >= MAX_PROXIES_PER_USER) {
+    throw new ProxyError('LIMIT', `You can have up to ${MAX_PROXIES_PER_USER} people acting for you`);
+  }
+
+  await dbRun(
+    `UPDATE proxy_relationships SET status = 'revoked', revokedAt = CURRENT_TIMESTAMP, tokenHash = NULL
+     WHERE dependentUserId = ? AND lower(inviteEmail) = lower(?) AND status = 'pending'`,
+    [dependent.id, email]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const { lastID } = await dbRun(
+    `INSERT INTO proxy_relationships (dependentUserId, relationship, scopes, inviteEmail, tokenHash, expiresAt)
+     VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+    [dependent.id, relationship, JSON.stringify(scopes), email, hash(token), `+${PROXY_INVITATION_DAYS} days`]
+  );
+
+  const invitation = await dbGet(
+    'SELECT id, relationship, scopes, inviteEmail, expiresAt, createdAt FROM proxy_relationships WHERE id = ?',
+    [lastID]
+  );
+  return { invitation: toRelationship(invitation), token };
+};
+
+/**
+ * An invitation that can still be accepted, with who sent it
+ * @param {string} token - Plain token from the invitation link
+ * @returns {Promise<Object|undefined>}
+ */
+const findOpenProxyInvitation = async (token) => {
+  const row = await dbGet(
+    `SELECT r.id, r.dependentUserId, r.relationship, r.scopes, r.inviteEmail, r.expiresAt,
+            u.firstName AS dependentFirstName, u.lastName AS dependentLastName
+     FROM proxy_relationships r JOIN users u ON u.id = r.dependentUserId
+     WHERE r.tokenHash = ? AND r.status = 'pending' AND r.expiresAt > datetime('now')`,
+    [hash(String(token || ''))]
+  );
+  return row ? toRelationship(row) : undefined;
+};
+
+/**
+ * Accept an invitation as the signed-in proxy
+ * @param {Object} invitation - From findOpenProxyInvitation
+ * @param {Object} proxy - User row of the accepting account
+ * @returns {Promise<Object>} - The relationship
+ */
+const acceptProxyInvitation = async (invitation, proxy) => {
+  if (invitation.inviteEmail.toLowerCase() !== proxy.email.toLowerCase()) {
+    throw new ProxyError('INVALID', 'This invitation was sent to a different email address');
+  }
+  if (invitation.dependentUserId === proxy.id) {
+    throw new ProxyError('INVALID', 'You cannot act for yourself');
+  }
+
+  // Accepting again (e.g. with new scopes) replaces the earlier relationship
+  await dbRun(
+    `UPDATE proxy_relationships SET status = 'revoked', revokedAt = CURRENT_TIMESTAMP, revokedBy = ?
+     WHERE dependentUserId = ? AND proxyUserId = ? AND status = 'active'`,
+    [proxy.id, invitation.dependentUserId, proxy.id]
+  );
+
+  const { changes } = await dbRun(
+    `UPDATE proxy_relationships
+     SET status = 'active', proxyUserId = ?, acceptedAt = CURRENT_TIMESTAMP, tokenHash = NULL
+     WHERE id = ? AND status = 'pending' AND expiresAt > datetime('now')`,
+    [proxy.id, invitation.id]
+  );
+  if (changes === 0) {
+    throw new ProxyError('NOT_FOUND', 'This invitation is invalid or has expired');
+  }
+  return getRelationship(invitation.id);
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|undefined>}
+ */
+const getRelationship = async (id) => {
+  const row = await dbGet('SELECT * FROM proxy_relationships WHERE id = ?', [id]);
+  if (!row) {
+    return undefined;
+  }
+  const { tokenHash, ...relationship } = toRelationship(row);
+  return relationship;
+};
+
+/**
+ * The active relationship that lets a proxy act for a dependent
+ * @param {number} proxyUserId
+ * @param {number} dependentUserId
+ * @returns {Promise<Object|undefined>}
+ */
+const findActiveRelationship = async (proxyUserId, dependentUserId) => {
+  const row = await dbGet(
+    `SELECT r.id, r.dependentUserId, r.proxyUserId, r.relationship, r.scopes, u.email AS dependentEmail
+     FROM proxy_relationships r JOIN users u ON u.id = r.dependentUserId
+     WHERE r.proxyUserId = ? AND r.dependentUserId = ? AND r.status = 'active'
+       AND u.status = 'approved'`,
+    [proxyUserId, dependentUserId]
+  );
+  return row ? toRelationship(row) : undefined;
+};
+
+/**
+ * Everyone a user acts for, everyone who acts for them and their open invitations
+ * @param {number} userId
+ */
+const listRelationships = async (userId) => {
+  const [dependents, proxies, invitations] = await Promise.all([
+    dbAll(
+      `SELECT r.id, r.dependentUserId AS userId, u.firstName, u.lastName, r.relationship, r.scopes, r.acceptedAt
+       FROM proxy_relationships r JOIN users u ON u.id = r.dependentUserId
+       WHERE r.proxyUserId = ? AND r.status = 'active' AND u.status = 'approved'
+       ORDER BY u.firstName, u.lastName`,
+      [userId]
+    ),
+    dbAll(
+      `SELECT r.id, r.proxyUserId AS userId, u.firstName, u.lastName, u.email, r.relationship, r.scopes, r.acceptedAt
+       FROM proxy_relationships r JOIN users u ON u.id = r.proxyUserId
+       WHERE r.dependentUserId = ? AND r.status = 'active'
+       ORDER BY r.acceptedAt`,
+      [userId]
+    ),
+    dbAll(
+      `SELECT id, inviteEmail AS email, relationship, scopes, expiresAt, createdAt
+       FROM proxy_relationships
+       WHERE dependentUserId = ? AND status = 'pending' AND expiresAt > datetime('now')
+       ORDER BY createdAt DESC`,
+      [userId]
+    )
+  ]);
+
+  return {
+    dependents: dependents.map(toRelationship),
+    proxies: proxies.map(toRelationship),
+    invitations: invitations.map(toRelationship)
+  };
+};
+
+/**
+ * Change what a proxy may do (by the dependent)
+ * @param {number} dependentUserId
+ * @param {number} id
+ * @param {Array<string>} scopes
+ * @returns {Promise<boolean>} - false if the dependent has no such active relationship
+ */
+const updateScopes = async (dependentUserId, id, scopes) => {
+  const { changes } = await dbRun(
+    `UPDATE proxy_relationships SET scopes = ?
+     WHERE id = ? AND dependentUserId = ? AND status = 'active'`,
+    [JSON.stringify(scopes), id, dependentUserId]
+  );
+  return changes > 0;
+};
+
+/**
+ * End a relationship or cancel an invitation - the dependent can remove a proxy,
+ * and a proxy can stop acting for someone
+ * @param {number} userId - Either side of the relationship
+ * @param {number} id
+ * @returns {Promise<Object|undefined>} - The ended relationship, if there was one
+ */
+const revokeRelationship = async (userId, id) => {
+  const { changes } = await dbRun(
+    `UPDATE proxy_relationships
+     SET status = 'revoked', revokedAt = CURRENT_TIMESTAMP, revokedBy = ?, tokenHash = NULL
+     WHERE id = ? AND status IN ('pending', 'active') AND (dependentUserId = ? OR proxyUserId = ?)`,
+    [userId, id, userId, userId]
+  );
+  return changes > 0 ? getRelationship(id) : undefined;
+};
+
+/**
+ * Email the invitation link
+ * @param {Object} invitation - { inviteEmail, scopes }
+ * @param {string} token
+ * @param {Object} dependent - { firstName, lastName }
+ */
+const sendProxyInvitationEmail = async (invitation, token, dependent) => {
+  const link = clientUrl('/accept-proxy', { token });
+
+  await sendMail({
+    to: invitation.inviteEmail,
+    subject: `${dependent.firstName} ${dependent.lastName} has asked you to help manage their care on KNKO`,
+    template: 'proxy-invitation',
+    text: [
+      `${dependent.firstName} ${dependent.lastName} would like you to act for them on KNKO. You would be able to:`,
+      ...invitation.scopes.map((scope) => `- ${SCOPE_LABELS[scope]}`),
+      '',
+      'Sign in (or create an account) with this email address, then open the link below to accept:',
+      link,
+      '',
+      `This invitation expires in ${PROXY_INVITATION_DAYS} days. If you weren't expecting it, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  PROXY_SCOPES,
+  PROXY_RELATIONSHIPS,
+  ProxyError,
+  createProxyInvitation,
+  findOpenProxyInvitation,
+  acceptProxyInvitation,
+  getRelationship,
+  findActiveRelationship,
+  listRelationships,
+  updateScopes,
+  revokeRelationship,
+  sendProxyInvitationEmail
+};
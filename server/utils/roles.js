@@ -0,0 +1,108 @@
+const { dbRun, dbGet, dbAll } = require('../config/database');
+
+/**
+ * Role and permission lookups
+ * Permissions are read from the database on each check, so a role change
+ * takes effect on the user's next request without signing them out.
+ */
+
+/**
+ * Give a new account the role matching its userType
+ * @param {number} userId
+ * @param {string} userType
+ */
+const assignDefaultRole = (userId, userType) => dbRun(
+  'INSERT OR IGNORE INTO user_roles (userId, role) VALUES (?, ?)',
+  [userId, userType]
+);
+
+/**
+ * @param {number} userId
+ * @returns {Promise<Array<string>>} - Role names
+ */
+const getUserRoles = async (userId) => {
+  const rows = await dbAll('SELECT role FROM user_roles WHERE userId = ? ORDER BY role', [userId]);
+  return rows.map((row) => row.role);
+};
+
+/**
+ * Every permission granted by any of the user's roles
+ * @param {number} userId
+ * @returns {Promise<Array<string>>}
+ */
+const getUserPermissions = async (userId) => {
+  const rows = await dbAll(
+    `SELECT DISTINCT rp.permission FROM user_roles ur
+     JOIN role_permissions rp ON rp.role = ur.role
+     WHERE ur.userId = ?`,
+    [userId]
+  );
+  return rows.map((row) => row.permission);
+};
+
+/**
+ * @param {number} userId
+ * @param {string} permission - e.g. 'availability:write'
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (userId, permission) => {
+  const row = await dbGet(
+    `SELECT 1 AS found FROM user_roles ur
+     JOIN role_permissions rp ON rp.role = ur.role
+     WHERE ur.userId = ? AND rp.permission = ?
+     LIMIT 1`,
+    [userId, permission]
+  );
+  return Boolean(row);
+};
+
+/**
+ * Roles with their permissions
+ * @returns {Promise<Array<{ name: string, description: string, idleTimeoutMinutes: number, permissions: Array<string> }>>}
+ */
+const listRoles = async () => {
+  const roles = await dbAll('SELECT name, description, idleTimeoutMinutes FROM roles ORDER BY name');
+  const grants = await dbAll('SELECT role, permission FROM role_permissions ORDER BY permission');
+  return roles.map((role) => ({
+    ...role,
+    permissions: grants.filter((grant) => grant.role === role.name).map((grant) => grant.permission)
+  }));
+};
+
+/**
+ * Change how long a role's sessions may stay idle before automatic logoff
+ * @param {string} role
+ * @param {number} minutes
+ * @returns {Promise<boolean>} - false if the role doesn't exist
+ */
+const setRoleIdleTimeout = async (role, minutes) => {
+  const { changes } = await dbRun('UPDATE roles SET idleTimeoutMinutes = ? WHERE name = ?', [minutes, role]);
+  return changes > 0;
+};
+
+/**
+ * Replace a user's roles
+ * @param {number} userId
+ * @param {Array<string>} roles - Existing role names (at least one)
+ * @param {number} grantedBy - Admin making the change
+ */
+const setUserRoles = async (userId, roles, grantedBy) => {
+  const placeholders = roles.map(() => '?').join(',');
+  await dbRun(`DELETE FROM user_roles WHERE userId = ? AND role NOT IN (${placeholders})`, [userId, ...roles]);
+  for (const role of roles) {
+    await dbRun(
+      'INSERT OR IGNORE INTO user_roles (userId, role, grantedBy) VALUES (?, ?, ?)',
+      [userId, role, grantedBy]
+    );
+  }
+};
+
+module.exports = {
+  assignDefaultRole,
+  getUserRoles,
+  getUserPermissions,
+  hasPermission,
+  listRoles,
+  setRoleIdleTimeout,
+  setUserRoles
+};
@@ -0,0 +1,296 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../config/database');
+const { DAYS_OF_WEEK, AVAILABILITY_ORDER, toMinutes } = require('./availability');
+const { zonedTimeToUtc } = require('./timezone');
+const { loadPractitionerZones } = require('./locations');
+
+/**
+ * Effective schedule - what a practitioner actually works on concrete dates
+ * For each date, in order of precedence:
+ *   1. the practitioner's overrides for that date (time off, or custom hours
+ *      that replace the weekly windows - even on a clinic holiday),
+ *   2. a clinic holiday (closed),
+ *   3. the weekly template for that day of the week.
+ * Dates are calendar dates (YYYY-MM-DD); times are HH:MM like the weekly template,
+ * in the practitioner's time zone. Each window also carries its UTC start and end,
+ * so a window keeps its wall-clock hours across DST changes.
+ */
+
+const MAX_SCHEDULE_DAYS = 92;
+const DEFAULT_SCHEDULE_DAYS = 7;
+
+/**
+ * Error raised for an invalid date range or a conflicting override or holiday
+ * code is 'INVALID', 'OVERLAP' or 'DUPLICATE'
+ */
+class ScheduleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = code;
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} - true for a real calendar date in YYYY-MM-DD form
+ */
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const dayOfWeekOf = (date) => DAYS_OF_WEEK[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+/**
+ * The date range of a request (?from=&to=, both inclusive)
+ * Without them it starts today and lasts defaultDays.
+ * @param {Object} params - { from, to }
+ * @param {number} [defaultDays]
+ * @returns {{ from: string, to: string }}
+ */
+const parseDateRange = ({ from, to } = {}, defaultDays = DEFAULT_SCHEDULE_DAYS) => {
+  const start = from || today();
+  const end = to || (isValidDate(start) ? addDays(start, defaultDays - 1) : start);
+  if (!isValidDate(start) || !isValidDate(end)) {
+    throw new ScheduleError('INVALID', 'Dates must be in YYYY-MM-DD format');
+  }
+  if (end < start) {
+    throw new ScheduleError('INVALID', '"to" must not be before "from"');
+  }
+  if (addDays(start, MAX_SCHEDULE_DAYS - 1) < end) {
+    throw new ScheduleError('INVALID', `The range can be at most ${MAX_SCHEDULE_DAYS} days`);
+  }
+  return { from: start, to: end };
+};
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<string>} - Every date from..to inclusive
+ */
+const datesBetween = (from, to) => {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * @param {number} practitionerId
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<Array<Object>>}
+ */
+const listOverrides = (practitionerId, from, to) => dbAll(
+  `SELECT id, date, kind, startTime, endTime, reason, createdAt FROM availability_overrides
+   WHERE practitionerId = ? AND date BETWEEN ? AND ? ORDER BY date, startTime`,
+  [practitionerId, from, to]
+);
+
+/**
+ * Set time off or custom hours on a date
+ * Time off replaces anything else on that date; custom hours replace time off
+ * and may be added as several windows, which can't overlap.
+ * @param {number} practitionerId
+ * @param {Object} override - { date, kind: 'closed'|'custom', startTime, endTime, reason }
+ * @returns {Promise<Object>} - The new override
+ */
+const addOverride = (practitionerId, { date, kind, startTime, endTime, reason }) => dbTransaction(async () => {
+  if (kind === 'closed') {
+    await dbRun('DELETE FROM availability_overrides WHERE practitionerId = ? AND date = ?', [practitionerId, date]);
+  } else {
+    await dbRun(
+      "DELETE FROM availability_overrides WHERE practitionerId = ? AND date = ? AND kind = 'closed'",
+      [practitionerId, date]
+    );
+    const windows = await dbAll(
+      "SELECT startTime, endTime FROM availability_overrides WHERE practitionerId = ? AND date = ? AND kind = 'custom'",
+      [practitionerId, date]
+    );
+    const conflict = windows.find((window) =>
+      toMinutes(startTime) < toMinutes(window.endTime) && toMinutes(window.startTime) < toMinutes(endTime));
+    if (conflict) {
+      throw new ScheduleError('OVERLAP', `This overlaps your ${conflict.startTime}-${conflict.endTime} hours on ${date}`);
+    }
+  }
+
+  const { lastID } = await dbRun(
+    `INSERT INTO availability_overrides (practitionerId, date, kind, startTime, endTime, reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [practitionerId, date, kind, kind === 'custom' ? startTime : null, kind === 'custom' ? endTime : null, reason || null]
+  );
+  return dbGet(
+    'SELECT id, date, kind, startTime, endTime, reason, createdAt FROM availability_overrides WHERE id = ?',
+    [lastID]
+  );
+});
+
+/**
+ * @param {number} practitionerId
+ * @param {number} id
+ * @returns {Promise<boolean>} - false if the practitioner has no such override
+ */
+const deleteOverride = async (practitionerId, id) => {
+  const { changes } = await dbRun(
+    'DELETE FROM availability_overrides WHERE id = ? AND practitionerId = ?',
+    [id, practitionerId]
+  );
+  return changes > 0;
+};
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<Array<Object>>}
+ */
+const listHolidays = (from, to) => dbAll(
+  'SELECT id, date, name, createdAt FROM clinic_holidays WHERE date BETWEEN ? AND ? ORDER BY date',
+  [from, to]
+);
+
+/**
+ * @param {Object} holiday - { date, name, createdBy }
+ * @returns {Promise<Object>}
+ */
+const addHoliday = async ({ date, name, createdBy }) => {
+  const existing = await dbGet('SELECT name FROM clinic_holidays WHERE date = ?', [date]);
+  if (existing) {
+    throw new ScheduleError('DUPLICATE', `${date} is already a holiday (${existing.name})`);
+  }
+  const { lastID } = await dbRun(
+    'INSERT INTO clinic_holidays (date, name, createdBy) VALUES (?, ?, ?)',
+    [date, name, createdBy]
+  );
+  return dbGet('SELECT id, date, name, createdAt FROM clinic_holidays WHERE id = ?', [lastID]);
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+const deleteHoliday = async (id) => (await dbRun('DELETE FROM clinic_holidays WHERE id = ?', [id])).changes > 0;
+
+const groupBy = (rows, key) => rows.reduce((groups, row) => {
+  (groups[row[key]] = groups[row[key]] || []).push(row);
+  return groups;
+}, {});
+
+// A window on a date, with the instants it starts and ends; a window made empty by
+// clocks going forward (e.g. 02:00-02:30) is dropped
+const toWindows = (date, timeZone, rows) => rows
+  .map(({ startTime, endTime }) => ({
+    startTime,
+    endTime,
+    start: zonedTimeToUtc(date, startTime, timeZone),
+    end: zonedTimeToUtc(date, endTime, timeZone)
+  }))
+  .filter((window) => window.start < window.end);
+
+/**
+ * Resolve the effective schedule of several practitioners for a date range
+ * @param {Array<number>} practitionerIds
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD (inclusive)
+ * @returns {Promise<Object>} - practitionerId => [{ date, dayOfWeek, timeZone, status, source, note, windows }]
+ *   status is 'open' or 'closed'; source is 'override', 'holiday' or 'weekly';
+ *   windows are { startTime, endTime, start, end } with start and end as UTC instants
+ */
+const resolveSchedules = async (practitionerIds, from, to) => {
+  if (practitionerIds.length === 0) {
+    return {};
+  }
+
+  const placeholders = practitionerIds.map(() => '?').join(',');
+  const [weekly, overrides, holidays, zones] = await Promise.all([
+    dbAll(
+      `SELECT practitionerId, dayOfWeek, startTime, endTime FROM practitioner_availability
+       WHERE practitionerId IN (${placeholders}) ORDER BY ${AVAILABILITY_ORDER}`,
+      practitionerIds
+    ),
+    dbAll(
+      `SELECT practitionerId, date, kind, startTime, endTime, reason FROM availability_overrides
+       WHERE practitionerId IN (${placeholders}) AND date BETWEEN ? AND ? ORDER BY date, startTime`,
+      [...practitionerIds, from, to]
+    ),
+    listHolidays(from, to),
+    loadPractitionerZones(practitionerIds)
+  ]);
+
+  const weeklyByPractitioner = groupBy(weekly, 'practitionerId');
+  const overridesByPractitioner = groupBy(overrides, 'practitionerId');
+  const holidaysByDate = groupBy(holidays, 'date');
+  const dates = datesBetween(from, to);
+
+  return practitionerIds.reduce((schedules, practitionerId) => {
+    const weeklyByDay = groupBy(weeklyByPractitioner[practitionerId] || [], 'dayOfWeek');
+    const overridesByDate = groupBy(overridesByPractitioner[practitionerId] || [], 'date');
+    const { timeZone } = zones[practitionerId];
+
+    schedules[practitionerId] = dates.map((date) => {
+      const day = { date, dayOfWeek: dayOfWeekOf(date), timeZone };
+      const dateOverrides = overridesByDate[date];
+      const holiday = holidaysByDate[date] && holidaysByDate[date][0];
+
+      if (dateOverrides) {
+        const closed = dateOverrides.find((override) => override.kind === 'closed');
+        const windows = closed ? [] : toWindows(date, timeZone, dateOverrides);
+        return {
+          ...day,
+          status: windows.length > 0 ? 'open' : 'closed',
+          source: 'override',
+          note: (closed || dateOverrides[0]).reason,
+          windows
+        };
+      }
+      if (holiday) {
+        return { ...day, status: 'closed', source: 'holiday', note: holiday.name, windows: [] };
+      }
+      const windows = toWindows(date, timeZone, weeklyByDay[day.dayOfWeek] || []);
+      return { ...day, status: windows.length > 0 ? 'open' : 'closed', source: 'weekly', note: null, windows };
+    });
+    return schedules;
+  }, {});
+};
+
+/**
+ * A schedule as others see it - the reason for time off is the practitioner's own
+ * @param {Array<Object>} days - From resolveSchedules
+ * @returns {Array<Object>}
+ */
+const publicSchedule = (days) => days.map((day) => (day.source === 'override' ? { ...day, note: null } : day));
+
+module.exports = {
+  MAX_SCHEDULE_DAYS,
+  ScheduleError,
+  isValidDate,
+  addDays,
+  today,
+  dayOfWeekOf,
+  parseDateRange,
+  datesBetween,
+  listOverrides,
+  addOverride,
+  deleteOverride,
+  listHolidays,
+  addHoliday,
+  deleteHoliday,
+  resolveSchedules,
+  publicSchedule
+};
@@ -0,0 +1,343 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../config/database');
+const { getService, listPractitionersOffering } = require('./services');
+const { BOOKING_MIN_NOTICE_MINUTES, findSlotAt } = require('./slots');
+const { resolveSchedules, addDays } = require('./schedule');
+const { loadPractitionerZones } = require('./locations');
+const { toZonedTime, zonedTimeToUtc } = require('./timezone');
+const { getServicePolicy, cancellationTerms } = require('./policies');
+const {
+  AppointmentError,
+  getAppointment,
+  insertAppointment,
+  isStaffFor,
+  saveStatus,
+  moveAppointment
+} = require('./appointments');
+
+/**
+ * Recurring series - the same session every few weeks, booked in one request
+ * Dates repeat on the practitioner's calendar at the same wall-clock time, so a
+ * weekly 18:00 stays 18:00 across DST changes. Each date is checked like a
+ * single booking, except that later dates may be past the booking horizon; the
+ * ones that can't be booked are reported with the reason. "This and following"
+ * changes apply to an appointment and the series' later ones still requested
+ * or confirmed.
+ */
+
+const MAX_SERIES_OCCURRENCES = 26;
+const MAX_INTERVAL_WEEKS = 12;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const UNAVAILABLE_MESSAGES = {
+  too_soon: 'This is too soon to book',
+  not_working: 'The practitioner isn\'t working then',
+  booked: 'The practitioner is already booked then',
+  patient_busy: 'There is already an appointment for this patient then'
+};
+
+/**
+ * The starts of a series
+ * @param {string} start - ISO 8601 of the first appointment
+ * @param {string} timeZone - The practitioner's
+ * @param {Object} repeat
+ * @param {number} repeat.intervalWeeks - 1 for weekly, 2 for every other week...
+ * @param {number} [repeat.count] - How many appointments...
+ * @param {string} [repeat.until] - ...or the last date (YYYY-MM-DD) one can be on
+ * @returns {Array<string>} - ISO 8601 instants
+ * @throws {AppointmentError} - INVALID for too many or too few
+ */
+const seriesStarts = (start, timeZone, { intervalWeeks, count, until }) => {
+  const { date, time } = toZonedTime(start, timeZone);
+  const total = count || Math.floor((Date.parse(`${until}T00:00:00Z`) - Date.parse(`${date}T00:00:00Z`))
+    / (intervalWeeks * 7 * DAY_MS)) + 1;
+  if (total > MAX_SERIES_OCCURRENCES) {
+    throw new AppointmentError('INVALID', `A series can have at most ${MAX_SERIES_OCCURRENCES} appointments`);
+  }
+  if (total < 2) {
+    throw new AppointmentError('INVALID', 'A series needs at least 2 appointments');
+  }
+  return Array.from({ length: total }, (_, index) =>
+    zonedTimeToUtc(addDays(date, index * intervalWeeks * 7), time, timeZone));
+};
+
+// Whether the practitioner's hours on the day cover a session
+const isWorking = async (practitionerId, start, end) => {
+  const date = start.slice(0, 10);
+  const days = (await resolveSchedules([practitionerId], addDays(date, -1), addDays(date, 1)))[practitionerId];
+  return days.some((day) => day.windows.some((window) =>
+    Date.parse(window.start) <= Date.parse(start) && Date.parse(window.end) >= Date.parse(end)));
+};
+
+/**
+ * Whether one date of a series can be booked, and if not why
+ * @returns {Promise<Object>} - { start, end, available, reason, message }; reason is
+ *   'too_soon', 'not_working', 'booked' or 'patient_busy'
+ */
+const checkOccurrence = async ({ service, minutes, practitionerId, patientId, start }) => {
+  const end = new Date(Date.parse(start) + minutes * MINUTE_MS).toISOString();
+  const unavailable = (reason) => ({ start, end, available: false, reason, message: UNAVAILABLE_MESSAGES[reason] });
+
+  const notice = (service.minNoticeMinutes ?? BOOKING_MIN_NOTICE_MINUTES) * MINUTE_MS;
+  if (Date.parse(start) < Date.now() + notice) {
+    return unavailable('too_soon');
+  }
+  if (!(await findSlotAt({ service, minutes, practitionerId, start, ignoreHorizon: true }))) {
+    return unavailable((await isWorking(practitionerId, start, end)) ? 'booked' : 'not_working');
+  }
+  const clash = patientId && await dbGet(
+    `SELECT id FROM appointments
+     WHERE patientId = ? AND status IN ('requested', 'confirmed') AND startAt < ? AND endAt > ?`,
+    [patientId, end, start]
+  );
+  if (clash) {
+    return unavailable('patient_busy');
+  }
+  return { start, end, available: true };
+};
+
+/**
+ * Every date of a series and whether it can be booked
+ * @param {Object} booking - As for bookSeries
+ * @returns {Promise<Array<Object>>} - See checkOccurrence
+ */
+const checkSeries = async ({ patientId, practitionerId, serviceId, minutes, start, repeat }) => {
+  const service = await getService(serviceId);
+  if (!service) {
+    throw new AppointmentError('NOT_FOUND', 'Service not found');
+  }
+  if (!service.durations.some((duration) => duration.minutes === minutes)) {
+    const offered = service.durations.map((duration) => duration.minutes).join(', ');
+    throw new AppointmentError('INVALID', `${service.name} can be booked for ${offered} minutes`);
+  }
+  if (!(await listPractitionersOffering(service.id)).some((practitioner) => practitioner.id === practitionerId)) {
+    throw new AppointmentError('INVALID', 'This practitioner does not offer that service');
+  }
+
+  const { timeZone } = (await loadPractitionerZones([practitionerId]))[practitionerId];
+  const occurrences = [];
+  for (const occurrenceStart of seriesStarts(start, timeZone, repeat)) {
+    occurrences.push(await checkOccurrence({ service, minutes, practitionerId, patientId, start: occurrenceStart }));
+  }
+  return { occurrences, timeZone };
+};
+
+/**
+ * What booking a series would give, without booking it
+ * @param {Object} booking - As for bookSeries
+ * @returns {Promise<Array<Object>>} - [{ start, end, available, reason, message }]
+ */
+const previewSeries = async (booking) => (await checkSeries(booking)).occurrences;
+
+/**
+ * Book a recurring series
+ * @param {Object} booking - As for insertAppointment, plus:
+ * @param {Object} booking.repeat - { intervalWeeks, count } or { intervalWeeks, until }
+ * @param {boolean} [booking.skipConflicts] - Book the dates that are free and leave out the
+ *   rest; without it any date that can't be booked refuses the whole series
+ * @returns {Promise<Object>} - { series: { id, intervalWeeks }, appointments, skipped }
+ * @throws {AppointmentError} - SERIES_CONFLICTS, with occurrences
+ */
+const bookSeries = ({ repeat, skipConflicts = false, ...booking }) => dbTransaction(async () => {
+  const { occurrences, timeZone } = await checkSeries({ ...booking, repeat });
+  const free = occurrences.filter((occurrence) => occurrence.available);
+  const skipped = occurrences.filter((occurrence) => !occurrence.available);
+  if (free.length === 0 || (skipped.length > 0 && !skipConflicts)) {
+    throw new AppointmentError(
+      'SERIES_CONFLICTS',
+      free.length === 0
+        ? 'None of these dates can be booked'
+        : `${skipped.length} of ${occurrences.length} dates can't be booked`,
+      { occurrences }
+    );
+  }
+
+  // The series keeps every date of its rule, skipped ones included, so calendars can repeat it
+  const { lastID: seriesId } = await dbRun(
+    `INSERT INTO appointment_series
+       (patientId, practitionerId, serviceId, intervalWeeks, occurrences, startAt, timeZone, bookedBy)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      booking.patientId,
+      booking.practitionerId,
+      booking.serviceId,
+      repeat.intervalWeeks,
+      occurrences.length,
+      occurrences[0].start,
+      timeZone,
+      booking.bookedBy
+    ]
+  );
+  const appointments = [];
+  for (const [seriesIndex, occurrence] of occurrences.entries()) {
+    if (occurrence.available) {
+      appointments.push(await insertAppointment({
+        ...booking,
+        start: occurrence.start,
+        seriesId,
+        seriesIndex,
+        ignoreHorizon: true
+      }));
+    }
+  }
+  // Each was read back before the next was added, so count the whole series
+  return {
+    series: { id: seriesId, intervalWeeks: repeat.intervalWeeks },
+    appointments: appointments.map((appointment) => ({
+      ...appointment,
+      series: { ...appointment.series, length: appointments.length }
+    })),
+    skipped
+  };
+});
+
+/**
+ * An appointment and, with scope 'following', its series' later ones still to come
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @param {string} scope - 'this' or 'following'
+ * @returns {Promise<Array<Object>>} - Soonest first
+ */
+const appointmentsInScope = async (viewer, id, scope) => {
+  const appointment = await getAppointment(viewer, id);
+  if (scope !== 'following' || !appointment.series) {
+    return [appointment];
+  }
+  const later = await dbAll(
+    `SELECT id FROM appointments
+     WHERE seriesId = ? AND startAt > ? AND status IN ('requested', 'confirmed') ORDER BY startAt`,
+    [appointment.series.id, appointment.start]
+  );
+  return [appointment, ...(await Promise.all(later.map((row) => getAppointment(viewer, row.id))))];
+};
+
+// Each appointment's cancellation terms, and the fee for all of them
+const termsFor = async (viewer, appointments) => {
+  const each = await Promise.all(appointments.map(async (appointment) => cancellationTerms(
+    appointment,
+    await getServicePolicy(appointment.service.id),
+    !isStaffFor(viewer, appointment)
+  )));
+  return {
+    each,
+    total: {
+      ...each[0],
+      late: each.some((terms) => terms.late),
+      feeCents: each.reduce((sum, terms) => sum + terms.feeCents, 0),
+      appointments: appointments.length
+    }
+  };
+};
+
+/**
+ * What cancelling an appointment (and with scope 'following', the rest of its series) would cost
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @param {string} scope - 'this' or 'following'
+ * @returns {Promise<Object>} - { late, feeCents, deadline, policy, appointments }; deadline
+ *   and policy are the first appointment's
+ */
+const getSeriesCancellationTerms = async (viewer, id, scope) =>
+  (await termsFor(viewer, await appointmentsInScope(viewer, id, scope))).total;
+
+/**
+ * Cancel an appointment and the rest of its series
+ * A late-cancel fee has to be accepted as for one appointment, for the total.
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @param {Object} options - { reason, acceptFeeCents }
+ * @returns {Promise<Array<Object>>} - The cancelled appointments
+ */
+const cancelFollowing = (viewer, id, { reason, acceptFeeCents }) => dbTransaction(async () => {
+  const appointments = await appointmentsInScope(viewer, id, 'following');
+  if (!['requested', 'confirmed'].includes(appointments[0].status)) {
+    throw new AppointmentError('INVALID', `A ${appointments[0].status} appointment can't be marked cancelled`);
+  }
+  const terms = await termsFor(viewer, appointments);
+  if (terms.total.feeCents > 0 && acceptFeeCents !== terms.total.feeCents) {
+    throw new AppointmentError(
+      'FEE_NOT_ACCEPTED',
+      `Cancelling less than ${terms.total.policy.cancelNoticeHours} hours before an appointment carries a late-cancel fee`,
+      { cancellation: terms.total }
+    );
+  }
+  for (const [index, appointment] of appointments.entries()) {
+    await saveStatus(viewer, appointment, 'cancelled', { reason, feeCents: terms.each[index].feeCents });
+  }
+  return Promise.all(appointments.map((appointment) => getAppointment(viewer, appointment.id)));
+});
+
+/**
+ * Move an appointment and the rest of its series by the same step: the same
+ * number of days and the new time of day, e.g. every Tuesday 10:00 becomes every
+ * Wednesday 14:00. Nothing moves unless every date can.
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} id
+ * @param {Object} move - { start, practitionerId }; start is the new time of this appointment
+ * @returns {Promise<Array<Object>>} - The moved appointments
+ * @throws {AppointmentError} - SERIES_CONFLICTS, with occurrences
+ */
+const rescheduleFollowing = (viewer, id, { start, practitionerId }) => dbTransaction(async () => {
+  const appointments = await appointmentsInScope(viewer, id, 'following');
+  const [first] = appointments;
+  const newPractitionerId = practitionerId || (first.practitioner && first.practitioner.id);
+  if (!newPractitionerId) {
+    throw new AppointmentError('INVALID', 'Choose a practitioner');
+  }
+  const zones = await loadPractitionerZones(
+    [...new Set([newPractitionerId, ...appointments.map((appointment) => appointment.practitioner && appointment.practitioner.id)])]
+      .filter(Boolean)
+  );
+  const zoneOf = (appointment) => zones[(appointment.practitioner || { id: newPractitionerId }).id].timeZone;
+  const newZone = zones[newPractitionerId].timeZone;
+
+  const target = toZonedTime(start, newZone);
+  const dayShift = Math.round(
+    (Date.parse(`${target.date}T00:00:00Z`) - Date.parse(`${toZonedTime(first.start, zoneOf(first)).date}T00:00:00Z`)) / DAY_MS
+  );
+  const moves = appointments.map((appointment) => ({
+    appointment,
+    start: zonedTimeToUtc(addDays(toZonedTime(appointment.start, zoneOf(appointment)).date, dayShift), target.time, newZone)
+  }));
+
+  // Moving later, start with the last so no appointment lands on one that hasn't moved yet
+  const order = Date.parse(start) > Date.parse(first.start) ? [...moves].reverse() : moves;
+  const occurrences = [];
+  for (const move of order) {
+    try {
+      await moveAppointment(viewer, move.appointment, {
+        start: move.start,
+        practitionerId: newPractitionerId,
+        ignoreHorizon: true
+      });
+      occurrences.push({ id: move.appointment.id, start: move.start, available: true });
+    } catch (error) {
+      if (!(error instanceof AppointmentError)) {
+        throw error;
+      }
+      occurrences.push({ id: move.appointment.id, start: move.start, available: false, message: error.message });
+    }
+  }
+
+  const failed = occurrences.filter((occurrence) => !occurrence.available);
+  if (failed.length > 0) {
+    throw new AppointmentError(
+      'SERIES_CONFLICTS',
+      `${failed.length} of ${occurrences.length} appointments can't be moved there`,
+      { occurrences: occurrences.sort((a, b) => a.start.localeCompare(b.start)) }
+    );
+  }
+  return Promise.all(appointments.map((appointment) => getAppointment(viewer, appointment.id)));
+});
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  MAX_INTERVAL_WEEKS,
+  previewSeries,
+  bookSeries,
+  appointmentsInScope,
+  getSeriesCancellationTerms,
+  cancelFollowing,
+  rescheduleFollowing
+};
@@ -0,0 +1,94 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../config/database');
+
+/**
+ * The service catalogue (seeded from ../config/services) and which
+ * practitioners offer each service
+ */
+
+const SERVICE_COLUMNS = 'id, slug, name, category, description, bufferMinutes, minNoticeMinutes, maxAdvanceDays';
+
+const withDurations = async (services) => {
+  if (services.length === 0) {
+    return [];
+  }
+  const durations = await dbAll(
+    `SELECT serviceId, minutes, priceCents FROM service_durations
+     WHERE serviceId IN (${services.map(() => '?').join(',')}) ORDER BY minutes`,
+    services.map((service) => service.id)
+  );
+  return services.map((service) => ({
+    ...service,
+    durations: durations
+      .filter((duration) => duration.serviceId === service.id)
+      .map(({ minutes, priceCents }) => ({ minutes, priceCents }))
+  }));
+};
+
+/**
+ * @returns {Promise<Array<Object>>} - Bookable services with their durations
+ */
+const listServices = async () => withDurations(
+  await dbAll(`SELECT ${SERVICE_COLUMNS} FROM services WHERE active = 1 ORDER BY id`)
+);
+
+/**
+ * @param {string|number} idOrSlug - e.g. 2 or 'deep-tissue-bodywork'
+ * @returns {Promise<Object|null>}
+ */
+const getService = async (idOrSlug) => {
+  const column = /^\d+$/.test(String(idOrSlug)) ? 'id' : 'slug';
+  const service = await dbGet(
+    `SELECT ${SERVICE_COLUMNS} FROM services WHERE ${column} = ? AND active = 1`,
+    [String(idOrSlug)]
+  );
+  return service ? (await withDurations([service]))[0] : null;
+};
+
+/**
+ * @param {number} serviceId
+ * @returns {Promise<Array<Object>>} - { id, firstName, lastName } of the approved practitioners offering it
+ */
+const listPractitionersOffering = (serviceId) => dbAll(
+  `SELECT u.id, u.firstName, u.lastName FROM practitioner_services ps
+   JOIN users u ON u.id = ps.practitionerId
+   WHERE ps.serviceId = ? AND u.userType = 'practitioner' AND u.status = 'approved'
+   ORDER BY u.lastName, u.firstName`,
+  [serviceId]
+);
+
+/**
+ * @param {number} practitionerId
+ * @returns {Promise<Array<number>>} - Ids of the services they offer
+ */
+const listPractitionerServiceIds = async (practitionerId) => (await dbAll(
+  'SELECT serviceId FROM practitioner_services WHERE practitionerId = ? ORDER BY serviceId',
+  [practitionerId]
+)).map((row) => row.serviceId);
+
+/**
+ * Replace the services a practitioner offers
+ * @param {number} practitionerId
+ * @param {Array<number>} serviceIds - Unknown ids are ignored
+ * @returns {Promise<Array<number>>} - The services they now offer
+ */
+const setPractitionerServices = async (practitionerId, serviceIds) => {
+  await dbTransaction(async () => {
+    await dbRun('DELETE FROM practitioner_services WHERE practitionerId = ?', [practitionerId]);
+    for (const serviceId of new Set(serviceIds)) {
+      await dbRun(
+        `INSERT INTO practitioner_services (practitionerId, serviceId)
+         SELECT ?, id FROM services WHERE id = ? AND active = 1`,
+        [practitionerId, serviceId]
+      );
+    }
+  });
+  return listPractitionerServiceIds(practitionerId);
+};
+
+module.exports = {
+  listServices,
+  getService,
+  listPractitionersOffering,
+  listPractitionerServiceIds,
+  setPractitionerServices
+};
@@ -0,0 +1,185 @@
+const { dbRun, dbGet, dbAll } = require('../config/database');
+
+/**
+ * Login sessions - one row per sign-in on a device
+ * A session's id is also the family id of its refresh tokens and the `sid`
+ * claim of its access tokens, so revoking the session invalidates both.
+ */
+
+// A practitioner counts as online while one of their sessions was seen this recently
+const PRESENCE_WINDOW_MINUTES = 5;
+// Don't write lastSeenAt on every request
+const TOUCH_INTERVAL_SECONDS = 60;
+// Idle timeout for accounts whose roles don't set one
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 15;
+// Clients report activity about once a minute, so allow for that much lag
+const IDLE_GRACE_SECONDS = 60;
+
+const toTime = (sqliteDate) => (sqliteDate ? new Date(`${sqliteDate.replace(' ', 'T')}Z`).getTime() : 0);
+
+/**
+ * Short human-readable device description from a user agent
+ * @param {string} userAgent
+ * @returns {string} - e.g. 'Chrome on macOS'
+ */
+const describeDevice = (userAgent = '') => {
+  const ua = String(userAgent);
+
+  let browser = 'Unknown browser';
+  if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/Firefox\//.test(ua)) browser = 'Firefox';
+  else if (/Chrome\//.test(ua)) browser = 'Chrome';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+  else if (/curl|PostmanRuntime|node/i.test(ua)) browser = 'API client';
+
+  let os = '';
+  if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Android/.test(ua)) os = 'Android';
+  else if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  return os ? `${browser} on ${os}` : browser;
+};
+
+/**
+ * Create a session, or refresh its details when its tokens are rotated
+ * @param {Object} session
+ * @param {string} session.id
+ * @param {number} session.userId
+ * @param {string} [session.ipAddress]
+ * @param {string} [session.userAgent]
+ */
+const recordSession = ({ id, userId, ipAddress = null, userAgent = null }) => dbRun(
+  `INSERT INTO sessions (id, userId, deviceName, ipAddress, userAgent) VALUES (?, ?, ?, ?, ?)
+   ON CONFLICT(id) DO UPDATE SET
+     ipAddress = COALESCE(excluded.ipAddress, ipAddress),
+     userAgent = COALESCE(excluded.userAgent, userAgent),
+     deviceName = COALESCE(excluded.deviceName, deviceName),
+     lastSeenAt = CURRENT_TIMESTAMP`,
+  [id, userId, userAgent ? describeDevice(userAgent) : null, ipAddress, userAgent]
+);
+
+/**
+ * A session with its idle timeout (the shortest of its user's roles)
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+const getSession = (id) => dbGet(
+  `SELECT s.id, s.userId, s.deviceName, s.ipAddress, s.userAgent, s.createdAt, s.lastSeenAt,
+          COALESCE(s.lastActivityAt, s.lastSeenAt) AS lastActivityAt, s.revokedAt, s.revokedReason,
+          (SELECT MIN(r.idleTimeoutMinutes) FROM user_roles ur JOIN roles r ON r.name = ur.role
+           WHERE ur.userId = s.userId) AS idleTimeoutMinutes
+   FROM sessions s WHERE s.id = ?`,
+  [id]
+);
+
+/**
+ * Idle timeout that applies to a session
+ * @param {Object} session - Row from getSession
+ * @returns {number} - Minutes
+ */
+const getIdleTimeoutMinutes = (session) => session.idleTimeoutMinutes || DEFAULT_IDLE_TIMEOUT_MINUTES;
+
+/**
+ * Whether the user has not interacted with the session for longer than its idle timeout
+ * @param {Object} session - Row from getSession
+ * @returns {boolean}
+ */
+const isSessionIdle = (session) => {
+  const idleFor = Date.now() - toTime(session.lastActivityAt);
+  return idleFor > getIdleTimeoutMinutes(session) * 60 * 1000 + IDLE_GRACE_SECONDS * 1000;
+};
+
+/**
+ * Record user activity on a session (resets its idle timeout)
+ * @param {string} id
+ */
+const recordActivity = (id) => dbRun(
+  `UPDATE sessions SET lastActivityAt = CURRENT_TIMESTAMP, lastSeenAt = CURRENT_TIMESTAMP
+   WHERE id = ? AND revokedAt IS NULL`,
+  [id]
+);
+
+/**
+ * Mark a session as used now (at most once per TOUCH_INTERVAL_SECONDS unless forced)
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ */
+const touchSession = (id, { force = false } = {}) => dbRun(
+  `UPDATE sessions SET lastSeenAt = CURRENT_TIMESTAMP
+   WHERE id = ? AND revokedAt IS NULL ${force ? '' : 'AND lastSeenAt <= datetime(\'now\', ?)'}`,
+  force ? [id] : [id, `-${TOUCH_INTERVAL_SECONDS} seconds`]
+);
+
+/**
+ * Mark a session as signed out
+ * @param {string} id
+ * @param {string} reason
+ */
+const markSessionRevoked = (id, reason) => dbRun(
+  'UPDATE sessions SET revokedAt = CURRENT_TIMESTAMP, revokedReason = ? WHERE id = ? AND revokedAt IS NULL',
+  [reason, id]
+);
+
+// Sessions that can still be used: not revoked and holding an unexpired refresh token
+const LIVE_SESSION = `s.revokedAt IS NULL AND EXISTS (
+  SELECT 1 FROM refresh_tokens rt
+  WHERE rt.familyId = s.id AND rt.rotatedAt IS NULL AND rt.revokedAt IS NULL
+    AND datetime(rt.expiresAt) > datetime('now')
+)`;
+
+/**
+ * List a user's live sessions, most recently used first
+ * @param {number} userId
+ * @returns {Promise<Array<Object>>}
+ */
+const listSessions = (userId) => dbAll(
+  `SELECT s.id, s.deviceName, s.ipAddress, s.userAgent, s.createdAt, s.lastSeenAt
+   FROM sessions s
+   WHERE s.userId = ? AND ${LIVE_SESSION}
+   ORDER BY s.lastSeenAt DESC`,
+  [userId]
+);
+
+/**
+ * Whether a user is still signed in anywhere and was seen recently
+ * @param {number} userId
+ * @returns {Promise<boolean>}
+ */
+const hasRecentSession = async (userId) => {
+  const row = await dbGet(
+    `SELECT 1 AS found FROM sessions s
+     WHERE s.userId = ? AND ${LIVE_SESSION}
+       AND datetime(s.lastSeenAt) > datetime('now', ?)
+     LIMIT 1`,
+    [userId, `-${PRESENCE_WINDOW_MINUTES} minutes`]
+  );
+  return Boolean(row);
+};
+
+/**
+ * Remove sessions that ended more than a day ago
+ */
+const purgeEndedSessions = () => dbRun(
+  `DELETE FROM sessions
+   WHERE (revokedAt IS NOT NULL AND datetime(revokedAt) < datetime('now', '-1 day'))
+      OR NOT EXISTS (SELECT 1 FROM refresh_tokens rt WHERE rt.familyId = sessions.id)`
+);
+
+module.exports = {
+  PRESENCE_WINDOW_MINUTES,
+  describeDevice,
+  recordSession,
+  getSession,
+  getIdleTimeoutMinutes,
+  isSessionIdle,
+  recordActivity,
+  touchSession,
+  markSessionRevoked,
+  listSessions,
+  hasRecentSession,
+  purgeEndedSessions
+};
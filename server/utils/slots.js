@@ -0,0 +1,199 @@
+const { dbAll } = require('../config/database');
+const { resolveSchedules, addDays } = require('./schedule');
+const { toZonedTime } = require('./timezone');
+
+/**
+ * Bookable slots - the start times a service can be booked at, from each
+ * practitioner's effective schedule (weekly template, overrides, holidays).
+ * A session has to fit inside the practitioner's hours, keep the service's
+ * buffer clear of other sessions, start at least the minimum notice from now
+ * and no further ahead than the booking horizon.
+ */
+
+// Slots start every SLOT_INTERVAL_MINUTES from the start of a window
+const SLOT_INTERVAL_MINUTES = parseInt(process.env.SLOT_INTERVAL_MINUTES, 10) || 15;
+// Clinic defaults; a service can set its own. 0 (no minimum notice) is a real setting, so only
+// a missing value falls back
+const minNoticeSetting = parseInt(process.env.BOOKING_MIN_NOTICE_MINUTES, 10);
+const BOOKING_MIN_NOTICE_MINUTES = Number.isNaN(minNoticeSetting) ? 120 : minNoticeSetting;
+const BOOKING_HORIZON_DAYS = parseInt(process.env.BOOKING_HORIZON_DAYS, 10) || 60;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Sessions already booked with the practitioners between two instants
+ * Requested and confirmed appointments hold their time; cancelled ones free it.
+ * A waitlist offer holds its time too until it is answered or runs out, and so
+ * do busy times from the practitioner's imported calendars.
+ * @param {Array<number>} practitionerIds
+ * @param {number} from - Milliseconds since the epoch
+ * @param {number} to
+ * @param {Object} [ignore]
+ * @param {number} [ignore.appointmentId] - An appointment being moved, whose time counts as free
+ * @param {number} [ignore.offerId] - A waitlist offer being taken up
+ * @returns {Promise<Object>} - practitionerId => [{ start, end }] in milliseconds
+ */
+const listBookedIntervals = async (practitionerIds, from, to, { appointmentId = null, offerId = null } = {}) => {
+  if (practitionerIds.length === 0) {
+    return {};
+  }
+  const placeholders = practitionerIds.map(() => '?').join(',');
+  const range = [new Date(to).toISOString(), new Date(from).toISOString()];
+  const rows = await dbAll(
+    `SELECT practitionerId, startAt, endAt FROM appointments
+     WHERE practitionerId IN (${placeholders})
+       AND status IN ('requested', 'confirmed') AND startAt < ? AND endAt > ? AND id IS NOT ?
+     UNION ALL
+     SELECT practitionerId, startAt, endAt FROM waitlist_offers
+     WHERE practitionerId IN (${placeholders})
+       AND status = 'pending' AND expiresAt > ? AND startAt < ? AND endAt > ? AND id IS NOT ?
+     UNION ALL
+     SELECT practitionerId, startAt, endAt FROM busy_blocks
+     WHERE practitionerId IN (${placeholders}) AND startAt < ? AND endAt > ?`,
+    [
+      ...practitionerIds, ...range, appointmentId,
+      ...practitionerIds, new Date().toISOString(), ...range, offerId,
+      ...practitionerIds, ...range
+    ]
+  );
+  return practitionerIds.reduce((booked, practitionerId) => ({
+    ...booked,
+    [practitionerId]: rows
+      .filter((row) => row.practitionerId === practitionerId)
+      .map((row) => ({ start: Date.parse(row.startAt), end: Date.parse(row.endAt) }))
+  }), {});
+};
+
+// Windows that touch (09:00-12:00, 12:00-14:00) are one stretch a session can span
+const mergeWindows = (days) => days
+  .flatMap((day) => day.windows)
+  .map((window) => ({ start: Date.parse(window.start), end: Date.parse(window.end) }))
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && last.end >= window.start) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push(window);
+    }
+    return merged;
+  }, []);
+
+/**
+ * @param {Object} options
+ * @param {Object} options.service - From getService
+ * @param {number} options.minutes - One of the service's durations
+ * @param {Array<number>} options.practitionerIds
+ * @param {string} options.from - YYYY-MM-DD, in each practitioner's time zone
+ * @param {string} options.to - YYYY-MM-DD (inclusive)
+ * @param {string} [options.after] - HH:MM; only slots starting at or after it...
+ * @param {string} [options.before] - HH:MM; ...and before it
+ * @param {string} [options.timeZone] - Zone of after/before (default each practitioner's)
+ * @param {number} [options.ignoreAppointmentId] - An appointment being moved
+ * @param {number} [options.ignoreOfferId] - A waitlist offer being taken up
+ * @param {boolean} [options.ignoreHorizon] - Allow slots past the booking horizon (a series' later dates)
+ * @param {number} [options.now]
+ * @returns {Promise<Object>} - practitionerId => { timeZone, slots: [{ start, end }] } (UTC ISO 8601)
+ */
+const findSlots = async ({
+  service,
+  minutes,
+  practitionerIds,
+  from,
+  to,
+  after,
+  before,
+  timeZone,
+  ignoreAppointmentId,
+  ignoreOfferId,
+  ignoreHorizon = false,
+  now = Date.now()
+}) => {
+  const noticeMinutes = service.minNoticeMinutes ?? BOOKING_MIN_NOTICE_MINUTES;
+  const horizonDays = service.maxAdvanceDays ?? BOOKING_HORIZON_DAYS;
+  const earliest = now + noticeMinutes * MINUTE_MS;
+  // Without the horizon, the end of the last date asked for (in any time zone) is the limit
+  const latest = ignoreHorizon ? Date.parse(`${to}T00:00:00Z`) + 2 * DAY_MS : now + horizonDays * DAY_MS;
+  const length = minutes * MINUTE_MS;
+  const buffer = service.bufferMinutes * MINUTE_MS;
+
+  const schedules = await resolveSchedules(practitionerIds, from, to);
+  const booked = await listBookedIntervals(practitionerIds, earliest - DAY_MS, latest + DAY_MS, {
+    appointmentId: ignoreAppointmentId,
+    offerId: ignoreOfferId
+  });
+
+  const inTimeRange = (start, zone) => {
+    const { time } = toZonedTime(start, timeZone || zone);
+    return (!after || time >= after) && (!before || time < before);
+  };
+
+  return practitionerIds.reduce((result, practitionerId) => {
+    const days = schedules[practitionerId];
+    const zone = days.length > 0 ? days[0].timeZone : null;
+    const taken = booked[practitionerId] || [];
+    const slots = [];
+
+    mergeWindows(days).forEach((window) => {
+      for (let start = window.start; start + length <= window.end; start += SLOT_INTERVAL_MINUTES * MINUTE_MS) {
+        const end = start + length;
+        const clash = taken.some((session) => session.start < end + buffer && start - buffer < session.end);
+        if (start >= earliest && start <= latest && !clash && inTimeRange(start, zone)) {
+          slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+        }
+      }
+    });
+
+    result[practitionerId] = { timeZone: zone, slots };
+    return result;
+  }, {});
+};
+
+/**
+ * The slot starting at an instant, if the practitioner can be booked then
+ * @param {Object} options
+ * @param {Object} options.service - From getService
+ * @param {number} options.minutes
+ * @param {number} options.practitionerId
+ * @param {string} options.start - ISO 8601
+ * @param {number} [options.ignoreAppointmentId] - An appointment being moved
+ * @param {number} [options.ignoreOfferId] - A waitlist offer being taken up
+ * @param {boolean} [options.ignoreHorizon]
+ * @param {number} [options.now]
+ * @returns {Promise<Object|null>} - { start, end }
+ */
+const findSlotAt = async ({
+  service,
+  minutes,
+  practitionerId,
+  start,
+  ignoreAppointmentId,
+  ignoreOfferId,
+  ignoreHorizon,
+  now
+}) => {
+  const instant = new Date(start).toISOString();
+  // A day either side covers the practitioner's calendar date in any time zone
+  const date = instant.slice(0, 10);
+  const slots = await findSlots({
+    service,
+    minutes,
+    practitionerIds: [practitionerId],
+    from: addDays(date, -1),
+    to: addDays(date, 1),
+    ignoreAppointmentId,
+    ignoreOfferId,
+    ignoreHorizon,
+    now
+  });
+  return slots[practitionerId].slots.find((slot) => slot.start === instant) || null;
+};
+
+module.exports = {
+  SLOT_INTERVAL_MINUTES,
+  BOOKING_MIN_NOTICE_MINUTES,
+  BOOKING_HORIZON_DAYS,
+  findSlots,
+  findSlotAt
+};
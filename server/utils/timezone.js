@@ -0,0 +1,104 @@
+/**
+ * Time zones - wall-clock times (a weekly template's 09:00, a date's custom
+ * hours) belong to a practitioner's IANA time zone; instants (appointments,
+ * sessions) are UTC and converted for the viewer on the way out.
+ */
+
+// Zone for practitioners with neither their own nor a location's
+const DEFAULT_TIMEZONE = process.env.CLINIC_TIMEZONE || 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} - true for a zone Intl knows, e.g. 'Europe/London'
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone
+ * @returns {number} - The zone's UTC offset at that instant, in milliseconds
+ */
+const offsetAt = (instant, timeZone) => {
+  const parts = formatterFor(timeZone).formatToParts(new Date(instant))
+    .reduce((values, part) => ({ ...values, [part.type]: Number(part.value) }), {});
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - (instant - (((instant % 1000) + 1000) % 1000));
+};
+
+/**
+ * The instant a wall-clock time happens in a zone
+ * Around DST changes: a time skipped when clocks go forward is moved forward
+ * by the gap (02:30 becomes 03:30), and a time that happens twice when they
+ * go back is the first of the two.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @returns {string} - ISO 8601 UTC instant
+ */
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const wall = Date.parse(`${date}T${time}:00Z`);
+  const offsets = [offsetAt(wall - DAY_MS, timeZone), offsetAt(wall + DAY_MS, timeZone)];
+  const candidates = offsets
+    .map((offset) => wall - offset)
+    .filter((instant) => instant + offsetAt(instant, timeZone) === wall);
+  const instant = candidates.length > 0 ? Math.min(...candidates) : wall - offsets[0];
+  return new Date(instant).toISOString();
+};
+
+/**
+ * The wall-clock date and time of an instant in a zone
+ * @param {string|number} instant - ISO 8601 or milliseconds since the epoch
+ * @param {string} timeZone
+ * @returns {{ date: string, time: string }} - YYYY-MM-DD and HH:MM
+ */
+const toZonedTime = (instant, timeZone) => {
+  const parts = formatterFor(timeZone).formatToParts(new Date(instant))
+    .reduce((values, part) => ({ ...values, [part.type]: part.value }), {});
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+/**
+ * A SQLite CURRENT_TIMESTAMP value ('YYYY-MM-DD HH:MM:SS', UTC) as an ISO 8601 instant
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+const toIsoTimestamp = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : value);
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  offsetAt,
+  zonedTimeToUtc,
+  toZonedTime,
+  toIsoTimestamp
+};
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { dbRun, dbGet, dbAll } = require('../config/database');
+const { hash } = require('../middleware/encryption');
+const {
+  recordSession,
+  getSession,
+  isSessionIdle,
+  touchSession,
+  markSessionRevoked,
+  purgeEndedSessions
+} = require('./sessions');
+const { getImpersonation, isImpersonationActive, endImpersonationsForSession } = require('./impersonation');
+
+/**
+ * HIPAA-compliant token service
+ * Short-lived access tokens (JWT) plus rotating, server-side refresh tokens.
+ * Each login is a session (see ./sessions); its id is the refresh token family
+ * id and the access token's `sid` claim.
+ */
+
+// HIPAA-compliant access token expiration: 15 minutes, refreshed silently by the client
+const TOKEN_EXPIRATION = process.env.TOKEN_EXPIRATION || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 7;
+// Challenge tokens bridge the steps of a multi-step login (e.g. password -> MFA code)
+const CHALLENGE_TOKEN_EXPIRATION = '5m';
+
+/**
+ * Read the JWT secret lazily so values loaded by dotenv are picked up
+ */
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+/**
+ * Error raised when a refresh token cannot be used
+ * code is 'INVALID' (unknown/expired), 'REUSED' (replay of a rotated token)
+ * or 'REVOKED' (access token on the revocation list)
+ */
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Sign a short-lived access token
+ * @param {Object} user - User row (id, email, userType)
+ * @param {string} sessionId - Session (refresh token family) the access token belongs to
+ * @returns {{ token: string, jti: string, expiresIn: number }}
+ */
+const signAccessToken = (user, sessionId) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId: user.id, email: user.email, userType: user.userType, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: TOKEN_EXPIRATION, jwtid: jti }
+  );
+  const { exp, iat } = jwt.decode(token);
+  return { token, jti, expiresIn: exp - iat };
+};
+
+/**
+ * Sign a view-as token: the target user's claims plus an `imp` claim naming the
+ * impersonation and the admin behind it. It has no session and no refresh token.
+ * @param {Object} target - User row (id, email, userType) being viewed as
+ * @param {Object} impersonation - Row from impersonation_sessions
+ * @returns {{ token: string, expiresIn: number }}
+ */
+const signImpersonationToken = (target, impersonation) => {
+  const expiresAt = Math.floor(new Date(`${impersonation.expiresAt.replace(' ', 'T')}Z`).getTime() / 1000);
+  const expiresIn = Math.max(expiresAt - Math.floor(Date.now() / 1000), 1);
+  const token = jwt.sign(
+    {
+      userId: target.id,
+      email: target.email,
+      userType: target.userType,
+      imp: { id: impersonation.id, by: impersonation.adminId }
+    },
+    getJwtSecret(),
+    { expiresIn, jwtid: crypto.randomUUID() }
+  );
+  return { token, expiresIn };
+};
+
+/**
+ * Issue a new access token and refresh token pair
+ * @param {Object} user - User row (id, email, userType)
+ * @param {Object} options
+ * @param {string} [options.sessionId] - Existing session when rotating; a new session is started otherwise
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number, refreshExpiresIn: number, sessionId: string }>}
+ */
+const issueTokens = async (user, { sessionId = crypto.randomUUID(), ipAddress = null, userAgent = null } = {}) => {
+  const { token, jti, expiresIn } = signAccessToken(user, sessionId);
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await dbRun(
+    `INSERT INTO refresh_tokens (userId, familyId, tokenHash, accessJti, expiresAt, ipAddress, userAgent)
+     VALUES (?, ?, ?, ?, datetime('now', ?), ?, ?)`,
+    [user.id, sessionId, hash(refreshToken), jti, `+${REFRESH_TOKEN_DAYS} days`, ipAddress, userAgent]
+  );
+  await recordSession({ id: sessionId, userId: user.id, ipAddress, userAgent });
+
+  return { token, refreshToken, expiresIn, refreshExpiresIn: REFRESH_TOKEN_DAYS * 24 * 60 * 60, sessionId };
+};
+
+/**
+ * Add an access token to the revocation list
+ * @param {string} jti - JWT ID
+ * @param {number|null} userId
+ * @param {string} reason
+ * @param {number} [exp] - Token expiry (seconds since epoch); defaults to the maximum access token lifetime
+ */
+const revokeAccessToken = (jti, userId, reason, exp) => {
+  if (!jti) return Promise.resolve();
+  const expiresAt = exp || Math.floor(Date.now() / 1000) + 24 * 60 * 60;
+  return dbRun(
+    `INSERT OR IGNORE INTO revoked_tokens (jti, userId, reason, expiresAt)
+     VALUES (?, ?, ?, datetime(?, 'unixepoch'))`,
+    [jti, userId, reason, expiresAt]
+  );
+};
+
+/**
+ * End a session: revoke every refresh token in its family along with its current access token
+ * @param {string} familyId - Session id
+ * @param {string} reason
+ */
+const revokeTokenFamily = async (familyId, reason) => {
+  const current = await dbGet(
+    `SELECT userId, accessJti FROM refresh_tokens
+     WHERE familyId = ? AND rotatedAt IS NULL AND revokedAt IS NULL`,
+    [familyId]
+  );
+
+  await dbRun(
+    'UPDATE refresh_tokens SET revokedAt = CURRENT_TIMESTAMP WHERE familyId = ? AND revokedAt IS NULL',
+    [familyId]
+  );
+
+  if (current) {
+    await revokeAccessToken(current.accessJti, current.userId, reason);
+  }
+  await markSessionRevoked(familyId, reason);
+  // An admin's view-as token doesn't outlive the session it was started from
+  await endImpersonationsForSession(familyId, reason);
+};
+
+/**
+ * Revoke all refresh token families belonging to a user
+ * @param {number} userId
+ * @param {string} reason
+ */
+const revokeAllUserTokens = async (userId, reason) => {
+  const families = await dbAll(
+    'SELECT DISTINCT familyId FROM refresh_tokens WHERE userId = ? AND revokedAt IS NULL',
+    [userId]
+  );
+  for (const { familyId } of families) {
+    await revokeTokenFamily(familyId, reason);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Presenting a token that was already rotated or revoked is treated as theft
+ * and revokes the whole family.
+ * @param {string} refreshToken
+ * @param {Object} meta - { ipAddress, userAgent }
+ * @returns {Promise<{ user: Object, tokens: Object }>}
+ */
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  const row = await dbGet('SELECT * FROM refresh_tokens WHERE tokenHash = ?', [hash(refreshToken)]);
+
+  if (!row) {
+    throw new TokenError('INVALID', 'Invalid refresh token');
+  }
+
+  if (row.revokedAt && !row.rotatedAt) {
+    // Signed out (logout, remote sign-out, password reset) - not a replay
+    throw new TokenError('INVALID', 'Session has ended');
+  }
+
+  if (row.rotatedAt) {
+    await revokeTokenFamily(row.familyId, 'Refresh token reuse detected');
+    const error = new TokenError('REUSED', 'Refresh token reuse detected');
+    error.userId = row.userId;
+    throw error;
+  }
+
+  const expired = await dbGet("SELECT datetime(?) <= datetime('now') AS expired", [row.expiresAt]);
+  if (expired.expired) {
+    throw new TokenError('INVALID', 'Refresh token expired');
+  }
+
+  // Silent refreshes don't keep an unattended session alive
+  const session = await getSession(row.familyId);
+  if (session && isSessionIdle(session)) {
+    await revokeTokenFamily(row.familyId, 'Idle timeout');
+    throw new TokenError('INVALID', 'Session timed out');
+  }
+
+  const user = await dbGet('SELECT id, email, firstName, lastName, userType FROM users WHERE id = ?', [row.userId]);
+  if (!user) {
+    throw new TokenError('INVALID', 'User not found');
+  }
+
+  // Guard against two concurrent rotations of the same token
+  const { changes } = await dbRun(
+    'UPDATE refresh_tokens SET rotatedAt = CURRENT_TIMESTAMP WHERE id = ? AND rotatedAt IS NULL AND revokedAt IS NULL',
+    [row.id]
+  );
+  if (changes === 0) {
+    await revokeTokenFamily(row.familyId, 'Refresh token reuse detected');
+    const error = new TokenError('REUSED', 'Refresh token reuse detected');
+    error.userId = row.userId;
+    throw error;
+  }
+
+  // The access token issued alongside the old refresh token is superseded
+  await revokeAccessToken(row.accessJti, row.userId, 'Rotated');
+
+  const tokens = await issueTokens(user, { sessionId: row.familyId, ...meta });
+  return { user, tokens };
+};
+
+/**
+ * Check whether an access token has been revoked
+ * @param {string} jti
+ * @returns {Promise<boolean>}
+ */
+const isTokenRevoked = async (jti) => {
+  if (!jti) return false;
+  const row = await dbGet('SELECT jti FROM revoked_tokens WHERE jti = ?', [jti]);
+  return Boolean(row);
+};
+
+/**
+ * Verify an access token's signature, expiry and revocation status
+ * @param {string} token
+ * @returns {Promise<Object>} - Decoded token claims
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.purpose) {
+    // Challenge tokens are never valid as access tokens
+    throw new TokenError('INVALID', 'Not an access token');
+  }
+  if (await isTokenRevoked(decoded.jti)) {
+    throw new TokenError('REVOKED', 'Token has been revoked');
+  }
+  if (decoded.imp && !(await isImpersonationActive(await getImpersonation(decoded.imp.id)))) {
+    throw new TokenError('REVOKED', 'Impersonation has ended');
+  }
+  if (decoded.sid) {
+    // Signing a device out remotely ends its session before its access token expires
+    const session = await getSession(decoded.sid);
+    if (!session || session.revokedAt) {
+      throw new TokenError('REVOKED', 'Session has ended');
+    }
+    // Automatic logoff: the session was left unattended for longer than its idle timeout
+    if (isSessionIdle(session)) {
+      await revokeTokenFamily(decoded.sid, 'Idle timeout');
+      throw new TokenError('REVOKED', 'Session timed out');
+    }
+    touchSession(decoded.sid).catch((err) => {
+      console.error('Error updating session activity:', err);
+    });
+  }
+  return decoded;
+};
+
+/**
+ * Sign a short-lived, single-purpose challenge token
+ * @param {Object} user - User row (id, email, userType)
+ * @param {string} purpose - e.g. 'mfa_challenge', 'mfa_enrollment'
+ * @returns {string}
+ */
+const signChallengeToken = (user, purpose) => jwt.sign(
+  { userId: user.id, email: user.email, userType: user.userType, purpose },
+  getJwtSecret(),
+  { expiresIn: CHALLENGE_TOKEN_EXPIRATION, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Verify a challenge token issued for the given purpose
+ * @param {string} token
+ * @param {string} purpose
+ * @returns {Promise<Object>} - Decoded token claims
+ */
+const verifyChallengeToken = async (token, purpose) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.purpose !== purpose) {
+    throw new TokenError('INVALID', 'Invalid challenge token');
+  }
+  if (await isTokenRevoked(decoded.jti)) {
+    throw new TokenError('REVOKED', 'Challenge token has already been used');
+  }
+  return decoded;
+};
+
+/**
+ * Remove revocation entries, refresh tokens and sessions that have expired anyway
+ */
+const purgeExpiredTokens = async () => {
+  await dbRun("DELETE FROM revoked_tokens WHERE datetime(expiresAt) < datetime('now')");
+  await dbRun("DELETE FROM refresh_tokens WHERE datetime(expiresAt) < datetime('now', '-1 day')");
+  await purgeEndedSessions();
+};
+
+module.exports = {
+  TokenError,
+  getJwtSecret,
+  issueTokens,
+  signImpersonationToken,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  purgeExpiredTokens
+};
@@ -0,0 +1,477 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../config/database');
+const { getService, listPractitionersOffering } = require('./services');
+const { findSlots } = require('./slots');
+const { insertAppointment } = require('./appointments');
+const { ScheduleError, parseDateRange, addDays, today } = require('./schedule');
+const { loadPractitionerZones } = require('./locations');
+const { toZonedTime, toIsoTimestamp } = require('./timezone');
+const { sendMail, clientUrl } = require('./mailer');
+
+/**
+ * Waitlist - patients queueing for a practitioner's service in preferred date
+ * and time ranges. When time frees up (a cancellation, a move, an offer nobody
+ * took), the first waiting patient with a range that fits gets a slot held for
+ * them for WAITLIST_HOLD_MINUTES. The hold keeps it out of everyone else's
+ * slots; if they don't take it in time, or turn it down, it goes to the next.
+ */
+
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+const MAX_WAITLIST_ENTRIES = 5;
+const MAX_WAITLIST_RANGES = 5;
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Error raised when a waitlist entry or offer can't be created or answered
+ * code is 'NOT_FOUND', 'INVALID', 'CONFLICT' or 'AVAILABLE' (there are free
+ * slots in the ranges, so there is nothing to wait for)
+ */
+class WaitlistError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WaitlistError';
+    this.code = code;
+  }
+}
+
+const ENTRY_SELECT = `
+  SELECT w.id, w.status, w.serviceId, s.name AS serviceName, w.minutes, w.ranges, w.timeZone, w.createdAt,
+         w.patientId, p.firstName AS patientFirstName, p.lastName AS patientLastName,
+         w.practitionerId, pr.firstName AS practitionerFirstName, pr.lastName AS practitionerLastName,
+         o.id AS offerId, o.startAt AS offerStartAt, o.endAt AS offerEndAt, o.expiresAt AS offerExpiresAt
+  FROM waitlist_entries w
+  JOIN services s ON s.id = w.serviceId
+  JOIN users p ON p.id = w.patientId
+  JOIN users pr ON pr.id = w.practitionerId
+  LEFT JOIN waitlist_offers o ON o.entryId = w.id AND o.status = 'pending'`;
+
+const toEntry = (row) => ({
+  id: row.id,
+  status: row.status,
+  service: { id: row.serviceId, name: row.serviceName },
+  minutes: row.minutes,
+  ranges: JSON.parse(row.ranges),
+  timeZone: row.timeZone,
+  patient: { id: row.patientId, firstName: row.patientFirstName, lastName: row.patientLastName },
+  practitioner: { id: row.practitionerId, firstName: row.practitionerFirstName, lastName: row.practitionerLastName },
+  offer: row.offerId
+    ? { id: row.offerId, start: row.offerStartAt, end: row.offerEndAt, expiresAt: row.offerExpiresAt }
+    : null,
+  createdAt: toIsoTimestamp(row.createdAt)
+});
+
+// Like appointments: everyone's with appointments:manage, else a practitioner's queue or a patient's own
+const visibleTo = (viewer) => {
+  if (viewer.canManage) {
+    return { where: '1 = 1', params: [] };
+  }
+  if (viewer.userType === 'practitioner') {
+    return { where: 'w.practitionerId = ?', params: [viewer.userId] };
+  }
+  return { where: 'w.patientId = ?', params: [viewer.userId] };
+};
+
+/**
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @returns {Promise<Array<Object>>} - Waiting and offered entries, first in the queue first
+ */
+const listWaitlist = async (viewer) => {
+  const scope = visibleTo(viewer);
+  const rows = await dbAll(
+    `${ENTRY_SELECT} WHERE w.status IN ('waiting', 'offered') AND ${scope.where} ORDER BY w.id`,
+    scope.params
+  );
+  return rows.map(toEntry);
+};
+
+const getEntry = async (viewer, id) => {
+  const scope = visibleTo(viewer);
+  const row = await dbGet(`${ENTRY_SELECT} WHERE w.id = ? AND ${scope.where}`, [id, ...scope.params]);
+  if (!row) {
+    throw new WaitlistError('NOT_FOUND', 'Waitlist entry not found');
+  }
+  return toEntry(row);
+};
+
+/**
+ * @param {Array<Object>} ranges - [{ from, to, after, before }]: dates YYYY-MM-DD in the
+ *   practitioner's time zone, optional times HH:MM
+ * @returns {Array<Object>} - The ranges, without empty times
+ * @throws {WaitlistError} - INVALID
+ */
+const normalizeRanges = (ranges) => {
+  if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_WAITLIST_RANGES) {
+    throw new WaitlistError('INVALID', `Choose between 1 and ${MAX_WAITLIST_RANGES} date ranges`);
+  }
+  return ranges.map((range) => {
+    const { after, before } = range;
+    let dates;
+    try {
+      dates = parseDateRange({ from: range.from || null, to: range.to || null });
+    } catch (error) {
+      if (error instanceof ScheduleError) {
+        throw new WaitlistError('INVALID', error.message);
+      }
+      throw error;
+    }
+    const { from, to } = dates;
+    if (to < today()) {
+      throw new WaitlistError('INVALID', 'A date range is already over');
+    }
+    if ((after && !TIME_FORMAT.test(after)) || (before && !TIME_FORMAT.test(before))) {
+      throw new WaitlistError('INVALID', 'Times must be in HH:MM format (24-hour)');
+    }
+    if (after && before && after >= before) {
+      throw new WaitlistError('INVALID', '"after" must be before "before"');
+    }
+    return { from, to, ...(after && { after }), ...(before && { before }) };
+  });
+};
+
+/**
+ * The first of an entry's slots that is free now and, optionally, overlaps some freed time
+ * Time the entry has already been offered and let go of is skipped, so it moves on to the next.
+ * @param {Object} entry - A waitlist_entries row
+ * @param {Object} service - From getService
+ * @param {Object} [freed] - { start, end } in milliseconds
+ * @returns {Promise<Object|null>} - { start, end }
+ */
+const findEntrySlot = async (entry, service, freed) => {
+  const passed = (await dbAll(
+    "SELECT startAt, endAt FROM waitlist_offers WHERE entryId = ? AND status IN ('declined', 'expired', 'withdrawn')",
+    [entry.id]
+  )).map((offer) => ({ start: Date.parse(offer.startAt), end: Date.parse(offer.endAt) }));
+  const overlaps = (slot, interval) => Date.parse(slot.start) < interval.end && interval.start < Date.parse(slot.end);
+
+  // Only the days around freed time can have a slot in it
+  const around = freed && {
+    from: addDays(new Date(freed.start).toISOString().slice(0, 10), -1),
+    to: addDays(new Date(freed.end).toISOString().slice(0, 10), 1)
+  };
+  for (const range of JSON.parse(entry.ranges)) {
+    const from = [range.from, today(), ...(around ? [around.from] : [])].sort().pop();
+    const to = around && around.to < range.to ? around.to : range.to;
+    if (from > to) {
+      continue;
+    }
+    const slots = (await findSlots({
+      service,
+      minutes: entry.minutes,
+      practitionerIds: [entry.practitionerId],
+      from,
+      to,
+      after: range.after,
+      before: range.before,
+      timeZone: entry.timeZone || undefined
+    }))[entry.practitionerId].slots;
+    const slot = slots.find((candidate) => !passed.some((interval) => overlaps(candidate, interval)) &&
+      (!freed || overlaps(candidate, freed)));
+    if (slot) {
+      return slot;
+    }
+  }
+  return null;
+};
+
+/**
+ * Queue a patient for a practitioner's service
+ * @param {Object} request
+ * @param {number} request.patientId
+ * @param {number} request.practitionerId
+ * @param {number} request.serviceId
+ * @param {number} request.minutes - One of the service's durations
+ * @param {Array<Object>} request.ranges - See normalizeRanges
+ * @param {string} [request.timeZone] - Zone of the ranges' times (default the practitioner's)
+ * @param {number} request.createdBy - The patient, a caregiver or staff
+ * @returns {Promise<Object>} - The new entry
+ */
+const joinWaitlist = ({ patientId, practitionerId, serviceId, minutes, ranges, timeZone, createdBy }) =>
+  dbTransaction(async () => {
+    const patient = await dbGet("SELECT id FROM users WHERE id = ? AND userType = 'patient'", [patientId]);
+    if (!patient) {
+      throw new WaitlistError('NOT_FOUND', 'Patient not found');
+    }
+    const service = await getService(serviceId);
+    if (!service) {
+      throw new WaitlistError('NOT_FOUND', 'Service not found');
+    }
+    if (!service.durations.some((duration) => duration.minutes === minutes)) {
+      const offered = service.durations.map((duration) => duration.minutes).join(', ');
+      throw new WaitlistError('INVALID', `${service.name} can be booked for ${offered} minutes`);
+    }
+    if (!(await listPractitionersOffering(service.id)).some((practitioner) => practitioner.id === practitionerId)) {
+      throw new WaitlistError('INVALID', 'This practitioner does not offer that service');
+    }
+    const normalized = normalizeRanges(ranges);
+
+    const active = await dbAll(
+      "SELECT practitionerId, serviceId FROM waitlist_entries WHERE patientId = ? AND status IN ('waiting', 'offered')",
+      [patientId]
+    );
+    if (active.some((entry) => entry.practitionerId === practitionerId && entry.serviceId === service.id)) {
+      throw new WaitlistError('CONFLICT', 'You are already on this practitioner\'s waitlist for this service');
+    }
+    if (active.length >= MAX_WAITLIST_ENTRIES) {
+      throw new WaitlistError('INVALID', `You can be on at most ${MAX_WAITLIST_ENTRIES} waitlists at a time`);
+    }
+
+    const entry = {
+      practitionerId,
+      minutes,
+      ranges: JSON.stringify(normalized),
+      timeZone: timeZone || null
+    };
+    if (await findEntrySlot(entry, service)) {
+      throw new WaitlistError('AVAILABLE', 'There are free times in these ranges. Please book one of them.');
+    }
+
+    const { lastID } = await dbRun(
+      `INSERT INTO waitlist_entries (patientId, practitionerId, serviceId, minutes, ranges, timeZone, untilDate, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        patientId,
+        practitionerId,
+        service.id,
+        minutes,
+        entry.ranges,
+        entry.timeZone,
+        normalized.map((range) => range.to).sort().pop(),
+        createdBy
+      ]
+    );
+    return toEntry(await dbGet(`${ENTRY_SELECT} WHERE w.id = ?`, [lastID]));
+  });
+
+/**
+ * Tell the patient about an offer: their open apps, and an email
+ * @param {Object} io - Socket.IO server
+ * @param {Object} offer - { id, entryId, practitionerId, startAt, expiresAt }
+ */
+const announceOffer = async (io, offer) => {
+  const entry = await dbGet(
+    `SELECT w.id, w.patientId, w.timeZone, s.name AS serviceName, p.email, p.firstName,
+            pr.firstName AS practitionerFirstName, pr.lastName AS practitionerLastName
+     FROM waitlist_entries w
+     JOIN services s ON s.id = w.serviceId
+     JOIN users p ON p.id = w.patientId
+     JOIN users pr ON pr.id = w.practitionerId
+     WHERE w.id = ?`,
+    [offer.entryId]
+  );
+  if (io) {
+    io.to(`user:${entry.patientId}`).emit('waitlist:offer', {
+      id: offer.id,
+      entryId: entry.id,
+      start: offer.startAt,
+      expiresAt: offer.expiresAt
+    });
+  }
+
+  const { timeZone } = (await loadPractitionerZones([offer.practitionerId]))[offer.practitionerId];
+  const zone = entry.timeZone || timeZone;
+  const when = toZonedTime(offer.startAt, zone);
+  await sendMail({
+    to: entry.email,
+    subject: `A ${entry.serviceName} time has opened up`,
+    template: 'waitlist-offer',
+    text: [
+      `Hi ${entry.firstName},`,
+      '',
+      `A time you were waiting for with ${entry.practitionerFirstName} ${entry.practitionerLastName} is free:`,
+      `${entry.serviceName} on ${when.date} at ${when.time} (${zone}).`,
+      '',
+      `We're holding it for you for ${WAITLIST_HOLD_MINUTES} minutes. Book it from your appointments:`,
+      clientUrl('/user-dashboard/appointment'),
+      '',
+      "If you don't want it, you don't need to do anything - it will go to the next person on the waitlist."
+    ].join('\n')
+  });
+};
+
+/**
+ * Offer freed time to the practitioner's waitlist, first come first served
+ * Each waiting entry with a range that fits gets at most one slot; the held
+ * slots are taken out of what the next entry can be offered.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} freed - { practitionerId, start, end } (ISO 8601)
+ * @returns {Promise<number>} - How many offers were made
+ */
+const offerFreedTime = async (io, { practitionerId, start, end }) => {
+  const offers = await dbTransaction(async () => {
+    const entries = await dbAll(
+      `SELECT * FROM waitlist_entries
+       WHERE practitionerId = ? AND status = 'waiting' AND untilDate >= ? ORDER BY id`,
+      [practitionerId, today()]
+    );
+    const made = [];
+    for (const entry of entries) {
+      const service = await getService(entry.serviceId);
+      const slot = service && await findEntrySlot(entry, service, { start: Date.parse(start), end: Date.parse(end) });
+      if (slot) {
+        const expiresAt = new Date(Date.now() + WAITLIST_HOLD_MINUTES * MINUTE_MS).toISOString();
+        const { lastID } = await dbRun(
+          `INSERT INTO waitlist_offers (entryId, practitionerId, startAt, endAt, expiresAt)
+           VALUES (?, ?, ?, ?, ?)`,
+          [entry.id, practitionerId, slot.start, slot.end, expiresAt]
+        );
+        await dbRun(
+          "UPDATE waitlist_entries SET status = 'offered', updatedAt = CURRENT_TIMESTAMP WHERE id = ?",
+          [entry.id]
+        );
+        made.push({ id: lastID, entryId: entry.id, practitionerId, startAt: slot.start, expiresAt });
+      }
+    }
+    return made;
+  });
+
+  await Promise.all(offers.map((offer) => announceOffer(io, offer).catch((error) => {
+    console.error('Error announcing waitlist offer:', error);
+  })));
+  return offers.length;
+};
+
+/**
+ * Let an offer go - declined, run out or withdrawn - and pass its time on
+ * @returns {Promise<boolean>} - false if it wasn't pending any more
+ */
+const releaseOffer = async (io, offer, status) => {
+  const { changes } = await dbRun(
+    "UPDATE waitlist_offers SET status = ?, respondedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+    [status, offer.id]
+  );
+  if (changes === 0) {
+    return false;
+  }
+  await dbRun(
+    "UPDATE waitlist_entries SET status = 'waiting', updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'offered'",
+    [offer.entryId]
+  );
+  await offerFreedTime(io, { practitionerId: offer.practitionerId, start: offer.startAt, end: offer.endAt });
+  return true;
+};
+
+// A pending offer on an entry the viewer may act for
+const getPendingOffer = async (viewer, offerId) => {
+  const offer = await dbGet(
+    "SELECT * FROM waitlist_offers WHERE id = ? AND status = 'pending'",
+    [offerId]
+  );
+  if (!offer) {
+    throw new WaitlistError('NOT_FOUND', 'This offer has already been answered or has run out');
+  }
+  const entry = await getEntry(viewer, offer.entryId);
+  if (!viewer.canManage && entry.patient.id !== viewer.userId) {
+    throw new WaitlistError('NOT_FOUND', 'Offer not found');
+  }
+  if (Date.parse(offer.expiresAt) <= Date.now()) {
+    throw new WaitlistError('NOT_FOUND', 'This offer has already been answered or has run out');
+  }
+  return { offer, entry };
+};
+
+/**
+ * Book the slot an offer holds
+ * @param {Object} viewer - { userId, userType, canManage }
+ * @param {number} offerId
+ * @param {Object} booking - { addOns, notes, bookedBy }
+ * @returns {Promise<Object>} - The appointment; requested like any patient booking, or
+ *   confirmed if the front desk took the offer up for them
+ */
+const acceptOffer = async (viewer, offerId, { addOns, notes, bookedBy }) => {
+  const { offer, entry } = await getPendingOffer(viewer, offerId);
+  // The booking and the offer and entry closing happen together, or the patient could be offered it again
+  return dbTransaction(async () => {
+    const appointment = await insertAppointment({
+      patientId: entry.patient.id,
+      practitionerId: offer.practitionerId,
+      serviceId: entry.service.id,
+      minutes: entry.minutes,
+      start: offer.startAt,
+      addOns,
+      notes,
+      bookedBy,
+      confirmed: viewer.canManage,
+      offerId: offer.id
+    });
+    const { changes } = await dbRun(
+      `UPDATE waitlist_offers SET status = 'accepted', appointmentId = ?, respondedAt = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [appointment.id, offer.id]
+    );
+    if (changes === 0) {
+      throw new WaitlistError('NOT_FOUND', 'This offer has already been answered or has run out');
+    }
+    await dbRun(
+      "UPDATE waitlist_entries SET status = 'booked', updatedAt = CURRENT_TIMESTAMP WHERE id = ?",
+      [entry.id]
+    );
+    return appointment;
+  });
+};
+
+/**
+ * Turn an offer down; the entry keeps its place for other times
+ * @param {Object} io
+ * @param {Object} viewer
+ * @param {number} offerId
+ */
+const declineOffer = async (io, viewer, offerId) => {
+  const { offer } = await getPendingOffer(viewer, offerId);
+  if (!(await releaseOffer(io, offer, 'declined'))) {
+    throw new WaitlistError('NOT_FOUND', 'This offer has already been answered or has run out');
+  }
+};
+
+/**
+ * Take a patient off a waitlist; a slot held for them goes to the next
+ * @param {Object} io
+ * @param {Object} viewer
+ * @param {number} id
+ */
+const leaveWaitlist = async (io, viewer, id) => {
+  const entry = await getEntry(viewer, id);
+  if (!['waiting', 'offered'].includes(entry.status)) {
+    throw new WaitlistError('INVALID', 'This waitlist entry is already closed');
+  }
+  await dbRun(
+    "UPDATE waitlist_entries SET status = 'left', updatedAt = CURRENT_TIMESTAMP WHERE id = ?",
+    [id]
+  );
+  const offer = await dbGet("SELECT * FROM waitlist_offers WHERE entryId = ? AND status = 'pending'", [id]);
+  if (offer) {
+    await releaseOffer(io, offer, 'withdrawn');
+  }
+};
+
+/**
+ * Pass on offers nobody took in time, and close entries whose ranges are all over
+ * @param {Object} io - Socket.IO server
+ */
+const expireWaitlist = async (io) => {
+  const lapsed = await dbAll(
+    "SELECT * FROM waitlist_offers WHERE status = 'pending' AND expiresAt <= ? ORDER BY id",
+    [new Date().toISOString()]
+  );
+  for (const offer of lapsed) {
+    await releaseOffer(io, offer, 'expired');
+  }
+  await dbRun(
+    `UPDATE waitlist_entries SET status = 'expired', updatedAt = CURRENT_TIMESTAMP
+     WHERE status = 'waiting' AND untilDate < ?`,
+    [today()]
+  );
+};
+
+module.exports = {
+  WAITLIST_HOLD_MINUTES,
+  MAX_WAITLIST_RANGES,
+  WaitlistError,
+  listWaitlist,
+  joinWaitlist,
+  leaveWaitlist,
+  acceptOffer,
+  declineOffer,
+  offerFreedTime,
+  expireWaitlist
+};
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+
+/**
+ * WebAuthn (passkeys) - the relying party side of registration and assertion
+ * Supports 'none' and 'packed' attestation with ES256, RS256 and EdDSA keys.
+ * Attestation certificates are not checked against a trust store: we don't
+ * restrict which authenticators may be used, only that each key proves possession.
+ * Credentials arrive as JSON with base64url-encoded binary fields.
+ */
+
+const COSE_ALGORITHMS = {
+  '-7': { name: 'ES256', hash: 'sha256' },
+  '-257': { name: 'RS256', hash: 'sha256' },
+  '-8': { name: 'EdDSA', hash: null }
+};
+
+// Offered to the browser, most preferred first
+const SUPPORTED_ALGORITHMS = [-7, -8, -257];
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_DATA = 0x40;
+
+class WebAuthnError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebAuthnError';
+  }
+}
+
+const fromBase64url = (value) => {
+  if (typeof value !== 'string') {
+    throw new WebAuthnError('Malformed credential');
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/**
+ * Decode one CBOR item (RFC 8949) - the subset authenticators use
+ * @param {Buffer} buffer
+ * @param {number} [offset]
+ * @returns {{ value: *, offset: number }} - Decoded item and the offset just after it
+ */
+const decodeCbor = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    throw new WebAuthnError('Truncated CBOR data');
+  }
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const info = initial & 31;
+  let pos = offset + 1;
+
+  let length;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    length = buffer.readUInt8(pos);
+    pos += 1;
+  } else if (info === 25) {
+    length = buffer.readUInt16BE(pos);
+    pos += 2;
+  } else if (info === 26) {
+    length = buffer.readUInt32BE(pos);
+    pos += 4;
+  } else if (info === 27) {
+    length = Number(buffer.readBigUInt64BE(pos));
+    pos += 8;
+  } else {
+    throw new WebAuthnError('Unsupported CBOR encoding');
+  }
+
+  switch (major) {
+    case 0:
+      return { value: length, offset: pos };
+    case 1:
+      return { value: -1 - length, offset: pos };
+    case 2:
+      return { value: buffer.subarray(pos, pos + length), offset: pos + length };
+    case 3:
+      return { value: buffer.toString('utf8', pos, pos + length), offset: pos + length };
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i += 1) {
+        const item = decodeCbor(buffer, pos);
+        items.push(item.value);
+        pos = item.offset;
+      }
+      return { value: items, offset: pos };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i += 1) {
+        const key = decodeCbor(buffer, pos);
+        const entry = decodeCbor(buffer, key.offset);
+        map.set(key.value, entry.value);
+        pos = entry.offset;
+      }
+      return { value: map, offset: pos };
+    }
+    case 7:
+      if (info === 20 || info === 21) {
+        return { value: info === 21, offset: pos };
+      }
+      if (info === 22) {
+        return { value: null, offset: pos };
+      }
+      throw new WebAuthnError('Unsupported CBOR simple value');
+    default:
+      throw new WebAuthnError('Unsupported CBOR type');
+  }
+};
+
+/**
+ * Convert a COSE_Key to a JWK Node can verify with
+ * @param {Map} cose
+ * @returns {{ jwk: Object, algorithm: number }}
+ */
+const coseToJwk = (cose) => {
+  const algorithm = cose.get(3);
+  if (!COSE_ALGORITHMS[algorithm]) {
+    throw new WebAuthnError('Unsupported public key algorithm');
+  }
+
+  const kty = cose.get(1);
+  if (kty === 2 && cose.get(-1) === 1) {
+    return { algorithm, jwk: { kty: 'EC', crv: 'P-256', x: cose.get(-2).toString('base64url'), y: cose.get(-3).toString('base64url') } };
+  }
+  if (kty === 3) {
+    return { algorithm, jwk: { kty: 'RSA', n: cose.get(-1).toString('base64url'), e: cose.get(-2).toString('base64url') } };
+  }
+  if (kty === 1 && cose.get(-1) === 6) {
+    return { algorithm, jwk: { kty: 'OKP', crv: 'Ed25519', x: cose.get(-2).toString('base64url') } };
+  }
+  throw new WebAuthnError('Unsupported public key type');
+};
+
+/**
+ * @param {Buffer} authData
+ * @returns {Object} - rpIdHash, flags, signCount and, after registration, the credential
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new WebAuthnError('Malformed authenticator data');
+  }
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    backedUp: Boolean(flags & FLAG_BACKED_UP),
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (flags & FLAG_ATTESTED_DATA) {
+    const idLength = authData.readUInt16BE(53);
+    const credentialId = authData.subarray(55, 55 + idLength);
+    const { value: cose } = decodeCbor(authData, 55 + idLength);
+    parsed.aaguid = authData.subarray(37, 53).toString('hex');
+    parsed.credentialId = credentialId.toString('base64url');
+    parsed.publicKey = coseToJwk(cose);
+  }
+
+  return parsed;
+};
+
+const verifySignature = (algorithm, jwk, data, signature) => {
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  return crypto.verify(COSE_ALGORITHMS[algorithm].hash, data, key, signature);
+};
+
+/**
+ * Check clientDataJSON against what we asked for
+ * @returns {Buffer} - SHA-256 of clientDataJSON, which the authenticator signs
+ */
+const verifyClientData = (encoded, type, expected) => {
+  const raw = fromBase64url(encoded);
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    throw new WebAuthnError('Malformed client data');
+  }
+
+  if (clientData.type !== type) {
+    throw new WebAuthnError('Unexpected ceremony type');
+  }
+  if (clientData.challenge !== expected.challenge) {
+    throw new WebAuthnError('Challenge mismatch');
+  }
+  if (clientData.origin !== expected.origin) {
+    throw new WebAuthnError('Origin mismatch');
+  }
+  return crypto.createHash('sha256').update(raw).digest();
+};
+
+const verifyAuthenticatorFlags = (authData, expected) => {
+  const rpIdHash = crypto.createHash('sha256').update(expected.rpId).digest();
+  if (!crypto.timingSafeEqual(authData.rpIdHash, rpIdHash)) {
+    throw new WebAuthnError('Relying party mismatch');
+  }
+  if (!authData.userPresent) {
+    throw new WebAuthnError('User presence was not confirmed');
+  }
+  if (expected.requireUserVerification && !authData.userVerified) {
+    throw new WebAuthnError('User verification is required');
+  }
+};
+
+/**
+ * Verify a registration (navigator.credentials.create) response
+ * @param {Object} credential - { id, type, response: { clientDataJSON, attestationObject, transports? } }
+ * @param {Object} expected - { challenge, origin, rpId, requireUserVerification }
+ * @returns {{ credentialId: string, publicKey: Object, algorithm: number, signCount: number, aaguid: string, backedUp: boolean }}
+ */
+const verifyRegistration = (credential, expected) => {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new WebAuthnError('Malformed credential');
+  }
+
+  const clientDataHash = verifyClientData(credential.response.clientDataJSON, 'webauthn.create', expected);
+  const { value: attestation } = decodeCbor(fromBase64url(credential.response.attestationObject));
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw new WebAuthnError('Malformed attestation');
+  }
+
+  const rawAuthData = attestation.get('authData');
+  const authData = parseAuthenticatorData(rawAuthData);
+  verifyAuthenticatorFlags(authData, expected);
+  if (!authData.credentialId) {
+    throw new WebAuthnError('No credential in attestation');
+  }
+  if (authData.credentialId !== credential.id) {
+    throw new WebAuthnError('Credential ID mismatch');
+  }
+
+  const format = attestation.get('fmt');
+  const statement = attestation.get('attStmt') || new Map();
+  if (format === 'packed') {
+    const signed = Buffer.concat([rawAuthData, clientDataHash]);
+    const x5c = statement.get('x5c');
+    const valid = x5c
+      ? crypto.verify(
+        COSE_ALGORITHMS[statement.get('alg')]?.hash || 'sha256',
+        signed,
+        new crypto.X509Certificate(x5c[0]).publicKey,
+        statement.get('sig')
+      )
+      // Self attestation: signed with the credential's own key
+      : statement.get('alg') === authData.publicKey.algorithm
+        && verifySignature(authData.publicKey.algorithm, authData.publicKey.jwk, signed, statement.get('sig'));
+    if (!valid) {
+      throw new WebAuthnError('Invalid attestation signature');
+    }
+  } else if (format !== 'none') {
+    throw new WebAuthnError(`Unsupported attestation format: ${format}`);
+  }
+
+  return {
+    credentialId: authData.credentialId,
+    publicKey: authData.publicKey.jwk,
+    algorithm: authData.publicKey.algorithm,
+    signCount: authData.signCount,
+    aaguid: authData.aaguid,
+    backedUp: authData.backedUp
+  };
+};
+
+/**
+ * Verify an authentication (navigator.credentials.get) response
+ * @param {Object} credential - { id, type, response: { clientDataJSON, authenticatorData, signature, userHandle? } }
+ * @param {Object} expected - { challenge, origin, rpId, requireUserVerification }
+ * @param {Object} stored - { publicKey, algorithm, signCount } of the registered credential
+ * @returns {{ signCount: number, backedUp: boolean }}
+ */
+const verifyAssertion = (credential, expected, stored) => {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new WebAuthnError('Malformed credential');
+  }
+
+  const clientDataHash = verifyClientData(credential.response.clientDataJSON, 'webauthn.get', expected);
+  const rawAuthData = fromBase64url(credential.response.authenticatorData);
+  const authData = parseAuthenticatorData(rawAuthData);
+  verifyAuthenticatorFlags(authData, expected);
+
+  const valid = verifySignature(
+    stored.algorithm,
+    stored.publicKey,
+    Buffer.concat([rawAuthData, clientDataHash]),
+    fromBase64url(credential.response.signature)
+  );
+  if (!valid) {
+    throw new WebAuthnError('Invalid signature');
+  }
+
+  // A counter that doesn't move forward means the key may have been cloned.
+  // Authenticators that don't count (synced passkeys) always report 0.
+  if ((authData.signCount > 0 || stored.signCount > 0) && authData.signCount <= stored.signCount) {
+    throw new WebAuthnError('Signature counter did not increase');
+  }
+
+  return { signCount: authData.signCount, backedUp: authData.backedUp };
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  WebAuthnError,
+  decodeCbor,
+  verifyRegistration,
+  verifyAssertion
+};